@@ -9,8 +9,10 @@ module.exports = {
     useRuntimeConfig: 'readonly',
     definePageMeta: 'readonly',
     navigateTo: 'readonly',
+    createError: 'readonly',
     useRoute: 'readonly',
     useRouter: 'readonly',
+    useRequestURL: 'readonly',
     useState: 'readonly',
     useNuxtData: 'readonly',
     useAsyncData: 'readonly',
@@ -0,0 +1,326 @@
+/**
+ * Scrap List Logic
+ *
+ * The parts of useScraps that need neither Vue nor Nuxt, so scripts can
+ * test them against the in-memory Supabase client:
+ *
+ * - how each sort orders scraps, and whether a scrap passes the filters
+ * - reading a sort a page at a time, each page starting after a cursor
+ * - merging scraps that change while a list is live: `receiveScrap` and
+ *   `showWaiting` work on a plain `{ scraps, newScraps, inserted, total }`
+ *   list (useScraps passes its refs' values)
+ * - reading what changed since a watermark, a page at a time
+ */
+
+export const cleanTags = (tags) => [
+  ...new Set((tags || []).map((tag) => tag.trim()).filter(Boolean))
+]
+
+// Columns each sort orders by, as Postgres is asked for them. Each ends
+// with the id, so the order is total and a page can start after a row.
+export const SORT_ORDERS = {
+  newest: [
+    { column: 'published_at', ascending: false, nullsFirst: false },
+    { column: 'updated_at', ascending: false, nullsFirst: true },
+    { column: 'created_at', ascending: false, nullsFirst: true },
+    { column: 'id', ascending: false, nullsFirst: true }
+  ],
+  oldest: [
+    { column: 'created_at', ascending: true, nullsFirst: false },
+    { column: 'id', ascending: true, nullsFirst: false }
+  ],
+  updated: [
+    { column: 'updated_at', ascending: false, nullsFirst: true },
+    { column: 'created_at', ascending: false, nullsFirst: true },
+    { column: 'id', ascending: false, nullsFirst: true }
+  ]
+}
+
+// Negative when `a` is listed before `b`
+export const compareScraps = (a, b, sortBy) => {
+  for (const { column, ascending, nullsFirst } of SORT_ORDERS[sortBy]) {
+    const [x, y] = [a, b].map((scrap) =>
+      column === 'id' || !scrap[column]
+        ? (scrap[column] ?? null)
+        : Date.parse(scrap[column])
+    )
+    if (x === y) continue
+    if (x === null) return nullsFirst ? -1 : 1
+    if (y === null) return nullsFirst ? 1 : -1
+    return (x < y ? -1 : 1) * (ascending ? 1 : -1)
+  }
+  return 0
+}
+
+// Whether a scrap passes the filters useScraps applies in Postgres
+export const matchesFilters = (scrap, filters = {}) => {
+  if (!scrap.content && !scrap.summary && !scrap.screenshot_url) return false
+  if (filters.type && scrap.type !== filters.type) return false
+  if (filters.source && scrap.source !== filters.source) return false
+  if (
+    typeof filters.shared !== 'undefined' &&
+    scrap.shared !== filters.shared
+  ) {
+    return false
+  }
+
+  const tags = scrap.tags || []
+  const anyTags = cleanTags(filters.tags?.any)
+  const allTags = cleanTags(filters.tags?.all)
+  const excludedTags = cleanTags(filters.tags?.exclude)
+  return (
+    (!anyTags.length || anyTags.some((tag) => tags.includes(tag))) &&
+    allTags.every((tag) => tags.includes(tag)) &&
+    !excludedTags.some((tag) => tags.includes(tag))
+  )
+}
+
+// Dates in the future are shown as now
+export const clampDates = (scrap) => {
+  const now = new Date()
+  return {
+    ...scrap,
+    created_at:
+      new Date(scrap.created_at) > now ? now.toISOString() : scrap.created_at,
+    published_at:
+      scrap.published_at && new Date(scrap.published_at) > now
+        ? now.toISOString()
+        : scrap.published_at
+  }
+}
+
+// A value for a PostgREST filter string, quoted so commas, dots and
+// parentheses in it survive
+export const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`
+
+// Cursors are the sort and the last row's sort key, opaque to callers
+export const encodeCursor = (sortBy, scrap) =>
+  btoa(
+    JSON.stringify([
+      sortBy,
+      ...SORT_ORDERS[sortBy].map(({ column }) => scrap[column] ?? null)
+    ])
+  )
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+
+export const decodeCursor = (cursor, sortBy) => {
+  try {
+    const [cursorSort, ...values] = JSON.parse(
+      atob(cursor.replace(/-/g, '+').replace(/_/g, '/'))
+    )
+    if (
+      cursorSort === sortBy &&
+      values.length === SORT_ORDERS[sortBy].length &&
+      values.every((value) => value === null || typeof value === 'string')
+    ) {
+      return values
+    }
+  } catch {
+    // Falls through to the error below
+  }
+  throw new Error(`Invalid cursor for the ${sortBy} sort`)
+}
+
+// PostgREST filter for the rows listed after a cursor's key, compared
+// column by column: (a after x) or (a = x and b after y) or ...
+export const afterCursor = (sortBy, values) => {
+  const orders = SORT_ORDERS[sortBy]
+
+  return orders
+    .map(({ column, ascending, nullsFirst }, index) => {
+      const value = values[index]
+      const operator = ascending ? 'gt' : 'lt'
+      let after
+      if (value === null) {
+        // Nulls sort on one side of everything else
+        after = nullsFirst ? `${column}.not.is.null` : null
+      } else if (nullsFirst) {
+        after = `${column}.${operator}.${quote(value)}`
+      } else {
+        after = `or(${column}.${operator}.${quote(value)},${column}.is.null)`
+      }
+      if (!after) return null
+
+      const equal = orders.slice(0, index).map(({ column: previous }, i) => {
+        const previousValue = values[i]
+        return previousValue === null
+          ? `${previous}.is.null`
+          : `${previous}.eq.${quote(previousValue)}`
+      })
+      return equal.length ? `and(${[...equal, after].join(',')})` : after
+    })
+    .filter(Boolean)
+    .join(',')
+}
+
+// The limit, filters, sort and count a fetch uses, defaults filled in
+export const pageOptions = (options = {}) => ({
+  limit: options.limit || 20,
+  filters: options.filters,
+  sortBy: options.sortBy || 'newest',
+  count: options.count || 'exact'
+})
+
+// The fetch after `last`: its options, starting at `cursor`, with
+// `filters` replacing its filters when given
+export const nextPageOptions = (last, cursor, filters) => ({
+  ...last,
+  cursor,
+  filters: filters ?? last.filters
+})
+
+/**
+ * Read one page of a sort from a filtered select
+ *
+ * Asks for one row more than `limit` to tell whether there is another
+ * page. Resolves to the page's rows, the cursor of the next page (null
+ * after the last) and the select's count, if it asked for one.
+ */
+export const readPage = async (query, { sortBy, limit, cursor } = {}) => {
+  // Keyset pagination: rows after the cursor, so scraps added or removed
+  // in the meantime don't shift later pages
+  if (cursor) {
+    query = query.or(afterCursor(sortBy, decodeCursor(cursor, sortBy)))
+  }
+  for (const { column, ascending, nullsFirst } of SORT_ORDERS[sortBy]) {
+    query = query.order(column, { ascending, nullsFirst })
+  }
+
+  const { data, error, count } = await query.limit(limit + 1)
+  if (error) throw error
+
+  const rows = (data || []).slice(0, limit)
+  return {
+    rows,
+    nextCursor:
+      (data?.length || 0) > limit
+        ? encodeCursor(sortBy, rows[rows.length - 1])
+        : null,
+    count
+  }
+}
+
+/**
+ * Merge an inserted or updated scrap into a live list
+ *
+ * Listed scraps change in place (or leave, when they stop matching the
+ * filters), and ones that would be listed above the first wait in
+ * `newScraps` so the page doesn't move. Anything further down arrives
+ * with the next page. `inserted` marks a new row rather than an update;
+ * `list.inserted` keeps those ids so showing them can count them.
+ */
+export const receiveScrap = (
+  list,
+  row,
+  { filters, sortBy = 'newest', inserted = false } = {}
+) => {
+  const index = list.scraps.findIndex(({ id }) => id === row.id)
+  const waiting = list.newScraps.findIndex(({ id }) => id === row.id)
+  const known = index !== -1 ? list.scraps[index] : list.newScraps[waiting]
+  // Realtime leaves out large columns an update didn't touch
+  const scrap = clampDates({ ...known, ...row })
+  const matches = matchesFilters(scrap, filters)
+
+  if (index !== -1) {
+    if (matches) {
+      list.scraps.splice(index, 1, scrap)
+    } else {
+      list.scraps.splice(index, 1)
+      list.total = Math.max(0, list.total - 1)
+    }
+  } else if (waiting !== -1) {
+    if (matches) {
+      list.newScraps.splice(waiting, 1, scrap)
+    } else {
+      list.newScraps.splice(waiting, 1)
+      list.inserted.delete(scrap.id)
+    }
+  } else {
+    const first = list.scraps[0]
+    if (matches && (!first || compareScraps(scrap, first, sortBy) < 0)) {
+      list.newScraps.push(scrap)
+      if (inserted) list.inserted.add(scrap.id)
+    }
+  }
+}
+
+/**
+ * Move the waiting scraps to the top of the list, in order
+ *
+ * Only new rows add to the total; an update that moved a scrap up was
+ * already counted.
+ */
+export const showWaiting = (list, sortBy = 'newest') => {
+  const arrived = [...list.newScraps].sort((a, b) =>
+    compareScraps(a, b, sortBy)
+  )
+  const ids = new Set(arrived.map(({ id }) => id))
+  list.scraps = [...arrived, ...list.scraps.filter(({ id }) => !ids.has(id))]
+  list.total += arrived.filter(({ id }) => list.inserted.has(id)).length
+  list.newScraps = []
+  list.inserted.clear()
+}
+
+// When a scrap last changed, as the database's `changed_at` computed
+// column has it: the later of created_at and updated_at
+export const changedAt = (scrap) => {
+  const { created_at: created, updated_at: updated } = scrap
+  if (!updated) return created || null
+  if (!created) return updated
+  return Date.parse(updated) >= Date.parse(created) ? updated : created
+}
+
+// Where reading changes picks up: the last change seen, ties broken by id
+export const watermarkOf = (scrap) => {
+  const at = changedAt(scrap)
+  return at ? { at, id: scrap.id } : null
+}
+
+export const laterWatermark = (a, b) => {
+  if (!a || !b) return a || b
+  const difference = Date.parse(a.at) - Date.parse(b.at)
+  if (difference) return difference > 0 ? a : b
+  return a.id >= b.id ? a : b
+}
+
+// PostgREST filter for rows changed after a watermark
+export const changedAfter = ({ at, id }) =>
+  `changed_at.gt.${quote(at)},and(changed_at.eq.${quote(at)},id.gt.${quote(String(id))})`
+
+/**
+ * Read scraps changed after `since`, oldest change first, `limit` at a
+ * time and at most `pages` pages
+ *
+ * `query()` builds a fresh filtered select. Each row goes to
+ * `onRow(row, inserted)`, `inserted` being whether it was created after
+ * `since`. Resolves to the watermark of the last row read (or `since`),
+ * so a read cut short by `pages` continues where it stopped.
+ */
+export const readChanges = async (
+  query,
+  since,
+  onRow,
+  { limit = 100, pages = 10 } = {}
+) => {
+  let watermark = since
+  for (let page = 0; page < pages; page++) {
+    let select = query()
+    if (watermark) select = select.or(changedAfter(watermark))
+    const { data, error } = await select
+      .order('changed_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit)
+    if (error) throw error
+
+    const rows = data || []
+    for (const row of rows) {
+      onRow(row, !since || Date.parse(row.created_at) > Date.parse(since.at))
+    }
+    // Rows come in watermark order, so the last one read is the newest
+    if (rows.length) watermark = watermarkOf(rows[rows.length - 1])
+    if (rows.length < limit) break
+  }
+  return watermark
+}
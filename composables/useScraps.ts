@@ -1,8 +1,21 @@
-import { ref, computed } from 'vue'
+import { ref, reactive, computed, getCurrentScope, onScopeDispose } from 'vue'
+import type { RealtimeChannel } from '@supabase/supabase-js'
 import type { Database } from '~/types/supabase'
+import {
+  clampDates,
+  cleanTags,
+  laterWatermark,
+  nextPageOptions,
+  pageOptions,
+  readChanges,
+  readPage,
+  receiveScrap,
+  showWaiting,
+  watermarkOf
+} from './scraps/list.js'
 
 // Match the database schema exactly
-interface Scrap {
+export interface Scrap {
   // Required fields
   id: string
   created_at: string
@@ -24,9 +37,36 @@ interface Scrap {
         url: string
       }
     }
-    images?: Array<{ url: string }>
+    images?: Array<{
+      url: string
+      width?: number
+      height?: number
+      alt?: string
+      source?: string
+    }>
     href?: string
     description?: string
+    author?: string
+    section?: string
+    keywords?: string[]
+    publisher?: { name?: string; url?: string; logo?: string }
+    source_data?: { provider?: string }
+    // Which harvester source (json-ld, opengraph, ...) supplied each field
+    sources?: Record<string, string>
+    // Captured by the screenshot pipeline; `screenshot_url` is the full page
+    screenshot?: {
+      thumb_url: string
+      width: number | null
+      height: number | null
+      captured_at: string
+    }
+    // Set when the content came from an archived snapshot
+    archive?: {
+      service: string
+      snapshot_url: string
+      snapshot_at: string | null
+      reason: string
+    }
     [key: string]: any
   } | null
 
@@ -65,33 +105,156 @@ export const enum ScrapSource {
   Twitter = 'twitter',
   Github = 'github',
   Arena = 'arena',
-  Mastodon = 'mastodon'
+  Mastodon = 'mastodon',
+  Youtube = 'youtube'
+}
+
+// Widths /api/img resizes to (IMAGE_WIDTHS in server/lib/images/proxy.js)
+export const IMAGE_WIDTHS = [160, 320, 640, 960, 1280]
+
+const isRemoteImage = (url: string): boolean => /^(https?:)?\/\//i.test(url)
+
+// Remote images go through the proxy; our own files are used as they are
+// (proxyPath in server/lib/images/proxy.js builds the same URLs)
+export const proxyImageUrl = (url: string, width: number): string => {
+  if (!isRemoteImage(url)) return url
+  const absolute = url.startsWith('//') ? `https:${url}` : url
+  return `/api/img?url=${encodeURIComponent(absolute)}&w=${width}`
+}
+
+interface TagFilters {
+  // At least one of these tags
+  any?: string[]
+  // Every one of these tags
+  all?: string[]
+  // None of these tags (untagged scraps included)
+  exclude?: string[]
 }
 
 interface ScrapFilters {
   type?: string
   source?: string
   shared?: boolean
+  tags?: TagFilters
 }
 
+export interface TagUsage {
+  tag: string
+  count: number
+  last_used_at: string | null
+}
+
+// Embedding columns related scraps and semantic search can match in
+export type EmbeddingSpace = 'embedding' | 'embedding_nomic' | 'image_embedding'
+
+export interface RelatedScrap {
+  // Listed without its content and embeddings
+  scrap: Omit<Scrap, 'content'>
+  // Cosine similarity, 1 for identical
+  similarity: number
+}
+
+export interface RelatedScraps {
+  related: RelatedScrap[]
+  space: EmbeddingSpace
+  // The scrap has no embedding in `space`...
+  missing: boolean
+  // ...but may have one in these
+  available: EmbeddingSpace[]
+}
+
+// Postgres array literal, quoted so tags with commas or quotes survive
+const pgArray = (values: string[]): string =>
+  `{${values.map((value) => `"${value.replace(/["\\]/g, '\\$&')}"`).join(',')}}`
+
+type SortBy = 'newest' | 'oldest' | 'updated'
+
 interface FetchOptions {
-  page?: number
+  // From a page's nextCursor; without one, the first page replaces the list
+  cursor?: string | null
   limit?: number
   filters?: ScrapFilters
-  sortBy?: 'newest' | 'oldest' | 'updated'
+  sortBy?: SortBy
+  // 'estimated' lets Postgres guess the total from its statistics once
+  // the table is large, rather than counting every matching row
+  count?: 'exact' | 'estimated'
 }
 
+// Live updates: realtime when it connects, polling while it doesn't
+export type LiveStatus = 'off' | 'connecting' | 'live' | 'polling'
+const RECONNECT_MIN_MS = 1000
+const RECONNECT_MAX_MS = 60 * 1000
+const POLL_INTERVAL_MS = 30 * 1000
+// Changed scraps one poll reads per page, and pages per poll
+const POLL_LIMIT = 100
+const POLL_PAGES = 10
+
+let liveChannels = 0
+
 export default function useScraps() {
   const supabase = useSupabaseClient<Database>()
 
   const scraps = ref<Scrap[]>([])
   const isLoading = ref(false)
   const error = ref<Error | null>(null)
-  const currentPage = ref(1)
   const totalScraps = ref(0)
   const totalPages = ref(0)
+  // Whether totalScraps is Postgres' estimate
+  const totalIsEstimate = ref(false)
+  // Where the next page starts; null after the last page
+  const nextCursor = ref<string | null>(null)
+  // Limit, filters, sort and count of the last fetch, for loadMore
+  const lastOptions = ref<FetchOptions>({})
+  // Scraps that arrived while live, waiting for showNewScraps()
+  const newScraps = ref<Scrap[]>([])
+  // Ids in newScraps that are new rows rather than updates
+  const insertedIds = reactive(new Set<string>())
+  const liveStatus = ref<LiveStatus>('off')
+  const lastUpdated = ref<Date | null>(null)
+
+  const hasMoreScraps = computed(() => nextCursor.value !== null)
+
+  // Scraps with substantial content that pass the filters
+  const filteredQuery = (
+    filters: ScrapFilters = {},
+    count?: 'exact' | 'estimated'
+  ) => {
+    let query = supabase
+      .from('scraps')
+      .select('*', count ? { count } : undefined)
+
+    // IMPORTANT: Only fetch scraps with substantial content
+    query = query.or(
+      'content.not.is.null,summary.not.is.null,screenshot_url.not.is.null'
+    )
 
-  const hasMoreScraps = computed(() => currentPage.value < totalPages.value)
+    // Apply filters
+    if (filters.type) {
+      query = query.eq('type', filters.type)
+    }
+    if (filters.source) {
+      query = query.eq('source', filters.source)
+    }
+    if (typeof filters.shared !== 'undefined') {
+      query = query.eq('shared', filters.shared)
+    }
+
+    // Tag filters run as array operators on the (GIN-indexed) tags column
+    const anyTags = cleanTags(filters.tags?.any)
+    const allTags = cleanTags(filters.tags?.all)
+    const excludedTags = cleanTags(filters.tags?.exclude)
+    if (anyTags.length) {
+      query = query.filter('tags', 'ov', pgArray(anyTags))
+    }
+    if (allTags.length) {
+      query = query.filter('tags', 'cs', pgArray(allTags))
+    }
+    if (excludedTags.length) {
+      query = query.or(`tags.is.null,tags.not.ov.${pgArray(excludedTags)}`)
+    }
+
+    return query
+  }
 
   const fetchScraps = async (options: FetchOptions = {}) => {
     if (isLoading.value) return
@@ -100,77 +263,40 @@ export default function useScraps() {
     error.value = null
 
     try {
-      // Start building the query
-      let query = supabase.from('scraps').select('*', { count: 'exact' })
+      const page = pageOptions(options)
+      const after = !!options.cursor
 
-      // IMPORTANT: Only fetch scraps with substantial content
-      query = query.or(
-        'content.not.is.null,summary.not.is.null,screenshot_url.not.is.null'
+      // Only the first page is counted
+      const read = await readPage(
+        filteredQuery(page.filters, after ? undefined : page.count),
+        { ...page, cursor: options.cursor }
       )
-
-      // Apply filters
-      if (options.filters?.type) {
-        query = query.eq('type', options.filters.type)
-      }
-      if (options.filters?.source) {
-        query = query.eq('source', options.filters.source)
-      }
-      if (typeof options.filters?.shared !== 'undefined') {
-        query = query.eq('shared', options.filters.shared)
-      }
-
-      // Apply sorting
-      const sortBy = options.sortBy || 'newest'
-      switch (sortBy) {
-        case 'oldest':
-          query = query.order('created_at', { ascending: true })
-          break
-        case 'updated':
-          query = query
-            .order('updated_at', { ascending: false })
-            .order('created_at', { ascending: false })
-          break
-        case 'newest':
-        default:
-          query = query
-            .order('published_at', { ascending: false, nullsFirst: false })
-            .order('updated_at', { ascending: false })
-            .order('created_at', { ascending: false })
+      const total = read.count
+      // The cursor holds the stored dates, not the ones shown
+      nextCursor.value = read.nextCursor
+
+      // Process dates to ensure none are in the future
+      const processedScraps = (read.rows as Scrap[]).map(clampDates)
+
+      if (!after) {
+        scraps.value = processedScraps
+        newScraps.value = []
+        insertedIds.clear()
+        totalScraps.value = total ?? processedScraps.length
+        totalIsEstimate.value = page.count === 'estimated' && total !== null
+      } else {
+        // A scrap updated since the last page can sort after the cursor
+        // again
+        const listed = new Set(scraps.value.map((scrap) => scrap.id))
+        scraps.value = [
+          ...scraps.value,
+          ...processedScraps.filter((scrap) => !listed.has(scrap.id))
+        ]
       }
 
-      // Apply pagination
-      const limit = options.limit || 20
-      const offset = ((options.page || currentPage.value) - 1) * limit
-      query = query.range(offset, offset + limit - 1)
-
-      // Execute query
-      const { data, error: queryError, count } = await query
-
-      if (queryError) throw queryError
-
-      if (data && count !== null) {
-        // Process dates to ensure none are in the future
-        const processedScraps = data.map((scrap) => ({
-          ...scrap,
-          created_at:
-            new Date(scrap.created_at) > new Date()
-              ? new Date().toISOString()
-              : scrap.created_at,
-          published_at:
-            scrap.published_at && new Date(scrap.published_at) > new Date()
-              ? new Date().toISOString()
-              : scrap.published_at
-        }))
-
-        scraps.value =
-          options.page === 1
-            ? processedScraps
-            : [...scraps.value, ...processedScraps]
-
-        totalScraps.value = count
-        currentPage.value = options.page || currentPage.value
-        totalPages.value = Math.ceil(count / limit)
-      }
+      totalPages.value = Math.ceil(totalScraps.value / page.limit)
+      lastOptions.value = page
+      lastUpdated.value = new Date()
     } catch (err) {
       console.error('Error fetching scraps:', err)
       error.value =
@@ -180,18 +306,232 @@ export default function useScraps() {
     }
   }
 
+  // Next page of the last fetch, with its limit, filters, sort and count;
+  // pass `filters` to replace its filters
   const loadMore = (filters?: ScrapFilters) => {
     if (!isLoading.value && hasMoreScraps.value) {
-      fetchScraps({
-        page: currentPage.value + 1,
-        filters
-      })
+      fetchScraps(nextPageOptions(lastOptions.value, nextCursor.value, filters))
+    }
+  }
+
+  // Live updates
+  let channel: RealtimeChannel | null = null
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+  let pollTimer: ReturnType<typeof setInterval> | null = null
+  let reconnectAttempts = 0
+  // Bumped by stopLive, so a startLive still waiting knows to give up
+  let liveRuns = 0
+  // Last change read, by the database's clock
+  let watermark: { at: string; id: string } | null = null
+
+  // The list as receiveScrap and showWaiting see it; they work on the
+  // reactive arrays in place, and the total is written back
+  const liveList = () => ({
+    scraps: scraps.value,
+    newScraps: newScraps.value,
+    inserted: insertedIds,
+    total: totalScraps.value
+  })
+
+  const receive = (row: Scrap, inserted: boolean) => {
+    const list = liveList()
+    receiveScrap(list, row, { ...lastOptions.value, inserted })
+    totalScraps.value = list.total
+  }
+
+  // A change over Realtime, which comes in commit order
+  const receiveLive = (row: Scrap, inserted: boolean) => {
+    watermark = laterWatermark(watermark, watermarkOf(row))
+    receive(row, inserted)
+  }
+
+  // Scraps changed since the last one read, a page at a time. A poll that
+  // stops at POLL_PAGES leaves the rest for the next one, so the
+  // watermark only moves as far as it read.
+  const poll = async () => {
+    try {
+      watermark = await readChanges(
+        () => filteredQuery(lastOptions.value.filters),
+        watermark,
+        receive,
+        { limit: POLL_LIMIT, pages: POLL_PAGES }
+      )
+      lastUpdated.value = new Date()
+    } catch (pollError) {
+      console.error('Error polling for scraps:', pollError)
+    }
+  }
+
+  // The newest change in the whole table, or null when it's empty
+  const newestChange = async () => {
+    const { data, error: queryError } = await supabase
+      .from('scraps')
+      .select('id, created_at, updated_at')
+      .order('changed_at', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: false })
+      .limit(1)
+    if (queryError) throw queryError
+    return data?.length ? watermarkOf(data[0]) : null
+  }
+
+  const startPolling = () => {
+    liveStatus.value = 'polling'
+    if (pollTimer) return
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    poll()
+  }
+
+  const stopPolling = () => {
+    if (pollTimer) clearInterval(pollTimer)
+    pollTimer = null
+  }
+
+  const closeChannel = () => {
+    const closing = channel
+    channel = null
+    if (closing) supabase.removeChannel(closing)
+  }
+
+  const connect = () => {
+    reconnectTimer = null
+    const current = supabase
+      .channel(`scraps-live-${++liveChannels}`)
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'scraps' },
+        ({ new: row }) => receiveLive(row as Scrap, true)
+      )
+      .on(
+        'postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'scraps' },
+        ({ new: row }) => receiveLive(row as Scrap, false)
+      )
+    channel = current
+
+    current.subscribe((status, err) => {
+      // Closed by us, or replaced by a newer channel
+      if (channel !== current) return
+
+      if (status === 'SUBSCRIBED') {
+        reconnectAttempts = 0
+        stopPolling()
+        liveStatus.value = 'live'
+        // Pick up whatever changed while disconnected
+        poll()
+      } else if (liveStatus.value !== 'off') {
+        console.warn(
+          `Realtime ${status.toLowerCase()}, polling instead`,
+          err || ''
+        )
+        closeChannel()
+        startPolling()
+
+        // Back off exponentially, with jitter so tabs don't retry in step
+        const delay = Math.min(
+          RECONNECT_MAX_MS,
+          RECONNECT_MIN_MS * 2 ** reconnectAttempts++
+        )
+        reconnectTimer = setTimeout(
+          connect,
+          delay / 2 + (Math.random() * delay) / 2
+        )
+      }
+    })
+  }
+
+  // Follow inserts and updates to scraps matching the last fetch's
+  // filters, over Supabase Realtime, or by polling when `realtime` is off
+  // or can't connect. Stops with the component that started it.
+  const startLive = async ({
+    realtime = true
+  }: { realtime?: boolean } = {}) => {
+    if (import.meta.server || liveStatus.value !== 'off') return
+    liveStatus.value = 'connecting'
+
+    // Changes are read from the newest listed scrap on; an empty list
+    // asks the database, whose clock the changes carry
+    watermark = scraps.value.map(watermarkOf).reduce(laterWatermark, null)
+    if (!watermark) {
+      const run = liveRuns
+      try {
+        const newest = await newestChange()
+        // Stopped (or restarted) while waiting
+        if (run !== liveRuns) return
+        watermark = newest
+      } catch (queryError) {
+        // Without a watermark every scrap would look new
+        console.error('Error reading the newest change:', queryError)
+        if (run === liveRuns) stopLive()
+        return
+      }
+    }
+
+    if (realtime) {
+      connect()
+    } else {
+      startPolling()
+    }
+  }
+
+  const stopLive = () => {
+    liveRuns++
+    liveStatus.value = 'off'
+    if (reconnectTimer) clearTimeout(reconnectTimer)
+    reconnectTimer = null
+    reconnectAttempts = 0
+    stopPolling()
+    closeChannel()
+  }
+
+  if (getCurrentScope()) onScopeDispose(stopLive)
+
+  // Move the waiting scraps into the list, in order
+  const showNewScraps = () => {
+    if (!newScraps.value.length) return
+    const list = liveList()
+    showWaiting(list, lastOptions.value.sortBy)
+    scraps.value = list.scraps
+    newScraps.value = list.newScraps
+    totalScraps.value = list.total
+  }
+
+  // Every tag with its usage count and last use, most used first
+  const fetchTagIndex = async (
+    params: { shared?: boolean; min?: number; limit?: number } = {}
+  ): Promise<TagUsage[]> => {
+    const response = await $fetch<{ success: boolean; data: TagUsage[] }>(
+      '/api/tags',
+      { query: params }
+    )
+    return response.data
+  }
+
+  // Scraps nearest to this one in an embedding space, most similar first
+  const fetchRelated = async (
+    id: string,
+    params: { space?: EmbeddingSpace; limit?: number; min?: number } = {}
+  ): Promise<RelatedScraps> => {
+    const response = await $fetch<{
+      success: boolean
+      data: RelatedScrap[]
+      metadata: {
+        space: EmbeddingSpace
+        missing: boolean
+        available: EmbeddingSpace[]
+      }
+    }>(`/api/scraps/${encodeURIComponent(id)}/related`, { query: params })
+    return {
+      related: response.data,
+      space: response.metadata.space,
+      missing: response.metadata.missing,
+      available: response.metadata.available
     }
   }
 
   // Helper functions for UI
-  const getMediaUrl = (scrap: Scrap): string | null => {
+  const getMediaSource = (scrap: Scrap): string | null => {
     return (
+      scrap.metadata?.screenshot?.thumb_url ||
       scrap.screenshot_url ||
       scrap.metadata?.screenshotUrl ||
       scrap.metadata?.image?.thumb?.url ||
@@ -200,7 +540,22 @@ export default function useScraps() {
     )
   }
 
-  const hasMedia = (scrap: Scrap): boolean => !!getMediaUrl(scrap)
+  // Proxied, resized image for `src`
+  const getMediaUrl = (scrap: Scrap, width = 640): string | null => {
+    const source = getMediaSource(scrap)
+    return source ? proxyImageUrl(source, width) : null
+  }
+
+  // Every proxied width for `srcset`, or null when the image is our own
+  const getMediaSrcset = (scrap: Scrap): string | null => {
+    const source = getMediaSource(scrap)
+    if (!source || !isRemoteImage(source)) return null
+    return IMAGE_WIDTHS.map(
+      (width) => `${proxyImageUrl(source, width)} ${width}w`
+    ).join(', ')
+  }
+
+  const hasMedia = (scrap: Scrap): boolean => !!getMediaSource(scrap)
 
   const getDisplayTitle = (scrap: Scrap): string => {
     return scrap.title || scrap.content || scrap.summary || 'Untitled Scrap'
@@ -224,6 +579,17 @@ export default function useScraps() {
     )
   }
 
+  // Snapshot details for content read from an archive, else null
+  const getArchiveData = (scrap: Scrap) => {
+    const archive = scrap.metadata?.archive
+    if (!archive?.snapshot_url) return null
+    return {
+      url: archive.snapshot_url,
+      date: archive.snapshot_at ? new Date(archive.snapshot_at) : null,
+      service: archive.service
+    }
+  }
+
   return {
     scraps,
     isLoading,
@@ -232,11 +598,26 @@ export default function useScraps() {
     hasMoreScraps,
     totalScraps: computed(() => totalScraps.value),
     totalPages: computed(() => totalPages.value),
+    totalIsEstimate: computed(() => totalIsEstimate.value),
+    nextCursor: computed(() => nextCursor.value),
     fetchScraps,
+    fetchTagIndex,
+    fetchRelated,
+    // Live updates
+    newScraps: computed(() => newScraps.value),
+    // How many of newScraps are new rows; the rest are updates
+    newScrapsCount: computed(() => insertedIds.size),
+    liveStatus: computed(() => liveStatus.value),
+    lastUpdated: computed(() => lastUpdated.value),
+    startLive,
+    stopLive,
+    showNewScraps,
     // Helper functions
     getMediaUrl,
+    getMediaSrcset,
     hasMedia,
     getDisplayTitle,
-    getSourceData
+    getSourceData,
+    getArchiveData
   }
 }
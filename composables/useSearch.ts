@@ -0,0 +1,206 @@
+import { ref, computed } from 'vue'
+import { watchDebounced } from '@vueuse/core'
+import type { EmbeddingSpace, RelatedScrap, Scrap } from './useScraps'
+
+// Part of a title or snippet; `match` marks the words the query matched
+export interface HighlightSegment {
+  text: string
+  match: boolean
+}
+
+export interface SearchResult {
+  // Listed without its content, which can be large
+  scrap: Omit<Scrap, 'content'>
+  rank: number
+  title: HighlightSegment[] | null
+  snippet: HighlightSegment[] | null
+}
+
+export interface SearchTerm {
+  text: string
+  phrase: boolean
+  prefix: boolean
+  negated: boolean
+}
+
+// Same filters as typed in the box (`source:`, `tag:`, ...); these win
+interface SearchFilters {
+  source?: string
+  type?: string
+  tags?: { all?: string[]; exclude?: string[] }
+  // YYYY, YYYY-MM or YYYY-MM-DD
+  after?: string
+  before?: string
+}
+
+interface SearchResponse {
+  success: boolean
+  data: SearchResult[]
+  metadata: {
+    query: string
+    terms: SearchTerm[]
+    total: number
+    limit: number
+    offset: number
+    hasMore: boolean
+  }
+}
+
+interface SearchOptions {
+  limit?: number
+  // Milliseconds to wait after typing stops (0 to search only on demand)
+  debounce?: number
+}
+
+// A title or snippet with nothing highlighted
+const plainSegments = (text?: string | null): HighlightSegment[] | null =>
+  text ? [{ text, match: false }] : null
+
+// Search syntax: see server/lib/search.js. A query starting with "~" is a
+// semantic search instead: the nearest scraps by meaning, in `space`
+export default function useSearch(options: SearchOptions = {}) {
+  const limit = options.limit || 20
+  const debounce = options.debounce ?? 250
+
+  const query = ref('')
+  const filters = ref<SearchFilters>({})
+  // Embedding space for semantic searches (the server's default if unset)
+  const space = ref<EmbeddingSpace | undefined>()
+  const results = ref<SearchResult[]>([])
+  const terms = ref<SearchTerm[]>([])
+  const total = ref(0)
+  const hasMore = ref(false)
+  const isLoading = ref(false)
+  const error = ref<Error | null>(null)
+  // Only the newest request may write results, however the responses race
+  let latestRequest = 0
+
+  const semantic = computed(() => query.value.trimStart().startsWith('~'))
+
+  const hasQuery = computed(
+    () =>
+      !!query.value.trim() ||
+      Object.values(filters.value).some((value) =>
+        typeof value === 'object'
+          ? !!(value.all?.length || value.exclude?.length)
+          : !!value
+      )
+  )
+
+  const semanticRequest = async (): Promise<SearchResponse> => {
+    const response = await $fetch<{ data: RelatedScrap[] }>(
+      '/api/search/semantic',
+      {
+        query: {
+          q: query.value.trim().replace(/^~/, ''),
+          space: space.value,
+          limit
+        }
+      }
+    )
+    // Nearest by meaning: nothing to highlight and no further pages
+    return {
+      success: true,
+      data: response.data.map(({ scrap, similarity }) => ({
+        scrap,
+        rank: similarity,
+        title: plainSegments(scrap.title),
+        snippet: plainSegments(scrap.summary?.substring(0, 240))
+      })),
+      metadata: {
+        query: query.value.trim(),
+        terms: [],
+        total: response.data.length,
+        limit,
+        offset: 0,
+        hasMore: false
+      }
+    }
+  }
+
+  const request = async (offset: number) => {
+    if (semantic.value) return await semanticRequest()
+    const { source, type, tags, after, before } = filters.value
+    return await $fetch<SearchResponse>('/api/search', {
+      query: {
+        q: query.value.trim() || undefined,
+        source,
+        type,
+        tag: tags?.all?.join(',') || undefined,
+        exclude: tags?.exclude?.join(',') || undefined,
+        after,
+        before,
+        limit,
+        offset
+      }
+    })
+  }
+
+  const run = async (offset: number) => {
+    const requestId = ++latestRequest
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await request(offset)
+      if (requestId !== latestRequest) return
+
+      results.value =
+        offset === 0 ? response.data : [...results.value, ...response.data]
+      terms.value = response.metadata.terms
+      total.value = response.metadata.total
+      hasMore.value = response.metadata.hasMore
+    } catch (err: any) {
+      if (requestId !== latestRequest) return
+      console.error('Error searching scraps:', err)
+      // The API explains refused queries ("Unknown date ...") in the body
+      error.value = new Error(
+        err?.data?.error?.message || err?.message || 'Search failed'
+      )
+    } finally {
+      if (requestId === latestRequest) isLoading.value = false
+    }
+  }
+
+  // Search from the first result; an empty box clears the results
+  const search = async () => {
+    if (!hasQuery.value || query.value.trim() === '~') return clear()
+    await run(0)
+  }
+
+  const loadMore = async () => {
+    if (isLoading.value || !hasMore.value) return
+    await run(results.value.length)
+  }
+
+  const clear = () => {
+    latestRequest++
+    results.value = []
+    terms.value = []
+    total.value = 0
+    hasMore.value = false
+    isLoading.value = false
+    error.value = null
+  }
+
+  if (debounce > 0) {
+    watchDebounced([query, filters, space], search, { debounce, deep: true })
+  }
+
+  return {
+    query,
+    filters,
+    space,
+    semantic,
+    results,
+    terms,
+    total: computed(() => total.value),
+    hasMore: computed(() => hasMore.value),
+    hasQuery,
+    isLoading,
+    error,
+    search,
+    loadMore,
+    clear
+  }
+}
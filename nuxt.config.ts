@@ -42,6 +42,51 @@ export default defineNuxtConfig({
   ],
 
   runtimeConfig: {
+    // Server-only scraper settings (see server/lib/scraper/README.md)
+    scraper: {
+      breakerStore: process.env.SCRAPER_BREAKER_STORE || 'memory',
+      breakerFile: process.env.SCRAPER_BREAKER_FILE || '.data/circuit-breakers.json',
+      breakerDomains: process.env.SCRAPER_BREAKER_DOMAINS || '',
+      feedStore: process.env.SCRAPER_FEED_STORE || 'file',
+      feedFile: process.env.SCRAPER_FEED_FILE || '.data/feeds.json',
+      jobStore: process.env.SCRAPER_JOB_STORE || 'file',
+      jobFile: process.env.SCRAPER_JOB_FILE || '.data/scrape-jobs.json',
+      jobConcurrency: process.env.SCRAPER_JOB_CONCURRENCY || '3',
+      jobWorker: process.env.SCRAPER_JOB_WORKER || 'true',
+      renderer: process.env.SCRAPER_RENDERER || '',
+      renderConcurrency: process.env.SCRAPER_RENDER_CONCURRENCY || '2',
+      renderTimeout: process.env.SCRAPER_RENDER_TIMEOUT || '20000',
+      allowDomains: process.env.SCRAPER_ALLOW_DOMAINS || '',
+      denyDomains: process.env.SCRAPER_DENY_DOMAINS || '',
+      rateLimit: process.env.SCRAPER_RATE_LIMIT || '120',
+      rateWindowMs: process.env.SCRAPER_RATE_WINDOW_MS || '600000',
+      trustedProxies: process.env.SCRAPER_TRUSTED_PROXIES || '0',
+      adminRole: process.env.SCRAPER_ADMIN_ROLE || 'admin',
+      telemetrySink: process.env.SCRAPER_TELEMETRY_SINK || 'memory',
+      telemetryFile: process.env.SCRAPER_TELEMETRY_FILE || '.data/scrape-events.ndjson',
+      archive: process.env.SCRAPER_ARCHIVE || 'wayback',
+      archiveEndpoint: process.env.SCRAPER_ARCHIVE_ENDPOINT || '',
+      archiveTimeout: process.env.SCRAPER_ARCHIVE_TIMEOUT || '15000',
+      screenshots: process.env.SCRAPER_SCREENSHOTS || '',
+      screenshotBucket: process.env.SCRAPER_SCREENSHOT_BUCKET || 'screenshots',
+      screenshotDir: process.env.SCRAPER_SCREENSHOT_DIR || '.data/screenshots',
+      screenshotInterval: process.env.SCRAPER_SCREENSHOT_INTERVAL || '5000'
+    },
+    images: {
+      cache: process.env.IMAGE_PROXY_CACHE || 'memory',
+      cacheDir: process.env.IMAGE_PROXY_CACHE_DIR || '.data/images',
+      formats: process.env.IMAGE_PROXY_FORMATS || 'webp,avif,jpeg',
+      rateLimit: process.env.IMAGE_PROXY_RATE_LIMIT || '600'
+    },
+    // Related scraps and semantic search (see server/plugins/embeddings.js)
+    embeddings: {
+      space: process.env.EMBEDDING_SPACE || 'embedding',
+      openaiKey: process.env.OPENAI_API_KEY || '',
+      openaiModel: process.env.EMBEDDING_OPENAI_MODEL || 'text-embedding-ada-002',
+      ollamaUrl: process.env.EMBEDDING_OLLAMA_URL || '',
+      nomicModel: process.env.EMBEDDING_NOMIC_MODEL || 'nomic-embed-text',
+      searchRateLimit: process.env.EMBEDDING_SEARCH_RATE_LIMIT || '60'
+    },
     public: {
       supabaseUrl: process.env.SUPABASE_URL,
       supabaseKey: process.env.SUPABASE_KEY,
@@ -53,6 +98,16 @@ export default defineNuxtConfig({
 
   ssr: true,
 
+  nitro: {
+    experimental: {
+      tasks: true
+    },
+    // Feeds keep their own poll intervals; this is only how often they are checked
+    scheduledTasks: {
+      [process.env.SCRAPER_FEEDS_CRON || '*/15 * * * *']: ['feeds:poll']
+    }
+  },
+
   css: ['~/assets/css/fonts.css', '~/assets/css/main.css'],
 
   postcss: {
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Subscriptions and Polling from the Command Line
+ *
+ * The same poller the `feeds:poll` Nitro task runs, for cron jobs or
+ * one-off runs outside the server.
+ *
+ *   node scripts/feeds.mjs add <url> [--source pinboard] [--interval 30]
+ *   node scripts/feeds.mjs list
+ *   node scripts/feeds.mjs remove <url>
+ *   node scripts/feeds.mjs poll [--all] [--save]
+ *
+ * `--all` polls feeds that are not due yet; `--save` writes scraped entries
+ * to `scraps` (needs SUPABASE_URL and SUPABASE_SERVICE_KEY). Feeds live in
+ * `.data/feeds.json` unless `--store supabase` (or SCRAPER_FEED_STORE) says
+ * otherwise; `--file` picks another JSON file.
+ */
+
+import { parseArgs } from 'util'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+import { createFeedStore } from '../server/lib/feeds/store.js'
+import { addFeed, pollFeeds, isDue } from '../server/lib/feeds/poller.js'
+
+dotenv.config()
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    source: { type: 'string' },
+    interval: { type: 'string' },
+    store: { type: 'string', default: process.env.SCRAPER_FEED_STORE || 'file' },
+    file: { type: 'string', default: process.env.SCRAPER_FEED_FILE || '.data/feeds.json' },
+    all: { type: 'boolean', default: false },
+    save: { type: 'boolean', default: false }
+  }
+})
+
+const [command, url] = positionals
+
+let supabase = null
+function getClient() {
+  if (!supabase) {
+    const key = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+    if (!process.env.SUPABASE_URL || !key) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required')
+    }
+    supabase = createClient(process.env.SUPABASE_URL, key, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    })
+  }
+  return supabase
+}
+
+const store = createFeedStore(values.store, { file: values.file, client: getClient })
+
+async function main() {
+  switch (command) {
+    case 'add': {
+      if (!url) throw new Error('Usage: feeds.mjs add <url> [--source name] [--interval minutes]')
+      const feed = await addFeed(store, {
+        url,
+        source: values.source,
+        pollIntervalMinutes: values.interval
+      })
+      console.log(`✅ ${feed.url} (source "${feed.source}", every ${feed.poll_interval_minutes} min)`)
+      break
+    }
+
+    case 'remove': {
+      if (!url) throw new Error('Usage: feeds.mjs remove <url>')
+      await store.delete(new URL(url).href)
+      console.log(`🗑️  Removed ${url}`)
+      break
+    }
+
+    case 'list': {
+      const feeds = await store.list()
+      if (!feeds.length) console.log('No feeds yet. Add one with: node scripts/feeds.mjs add <url>')
+      feeds.forEach(feed => {
+        console.log(`${isDue(feed) ? '⏰' : '💤'} ${feed.url}`)
+        console.log(`   Source: ${feed.source}, every ${feed.poll_interval_minutes} min, ${feed.seen?.length || 0} entries seen`)
+        console.log(`   Last polled: ${feed.last_polled_at || 'never'}${feed.last_error ? `, last error: ${feed.last_error}` : ''}`)
+      })
+      break
+    }
+
+    case 'poll': {
+      const { polled, skipped, summary } = await pollFeeds(store, {
+        force: values.all,
+        supabase: values.save ? getClient() : null
+      })
+
+      polled.forEach(feed => {
+        const icon = feed.status === 'failed' ? '❌' : '✅'
+        console.log(`${icon} ${feed.url}: ${feed.status}, ${feed.new} new, ${feed.queued} queued, ${feed.saved} saved`)
+        if (feed.error) console.log(`   Error: ${feed.error.type} - ${feed.error.message}`)
+      })
+      console.log(`\n📊 ${summary.polled} polled, ${skipped} not due, ${summary.failed} failed, ${summary.queued} entries queued`)
+      break
+    }
+
+    default:
+      console.log('Usage: node scripts/feeds.mjs <add|list|remove|poll> [url] [options]')
+      process.exitCode = 1
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Scraper Admin Operations
+ *
+ * Covers what the /api/admin/scraper routes are built on: the failure log
+ * the error handler writes to, the admin role check, resetting circuit
+ * breakers and purging cached validators and robots.txt rules.
+ *
+ * Run with: node scripts/test-admin.mjs
+ */
+
+import { ScrapingErrorHandler, CircuitBreaker, BreakerStates } from '../server/lib/scraper/error-handler.js'
+import { FailureLog } from '../server/lib/scraper/failure-log.js'
+import { MemoryValidatorStore } from '../server/lib/scraper/conditional.js'
+import { RobotsCache } from '../server/lib/scraper/robots.js'
+import { isAdmin } from '../server/lib/admin-roles.js'
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`)
+  error.response = { status, headers: {} }
+  return error
+}
+
+/**
+ * Test that failed operations land in the failure log, newest first
+ */
+async function testFailureLog() {
+  console.log('📝 Testing Failure Log...\n')
+
+  const log = new FailureLog({ capacity: 3 })
+  const handler = new ScrapingErrorHandler({ maxRetries: 0, logErrors: false, failureLog: log })
+
+  await handler.wrap('https://a.example/missing', async () => { throw httpError(404) }, { source: 'feed' })
+  await handler.wrap('https://b.example/page', async () => { throw httpError(403) })
+  await handler.wrap('https://a.example/ok', async () => ({ ok: true }))
+  await handler.wrap('https://c.example/slow', async () => {
+    const error = new Error('socket hang up')
+    error.code = 'ETIMEDOUT'
+    throw error
+  })
+  await handler.wrap('https://d.example/gone', async () => { throw httpError(410) })
+
+  const all = log.list()
+  const domainA = log.list({ domain: 'a.example' })
+  const timeouts = log.list({ type: 'timeout' })
+  const future = log.list({ since: new Date(Date.now() + 60000).toISOString() })
+
+  console.log(`  Kept ${all.length} of 4 failures: ${all.map(entry => entry.url).join(', ')}`)
+  console.log(`  a.example: ${domainA.length}, timeouts: ${timeouts.length}, future: ${future.length}`)
+  console.log(`  Newest: ${all[0]?.type} ${all[0]?.httpStatus} on ${all[0]?.domain}`)
+
+  // `failureLog: null` turns recording off
+  const quiet = new ScrapingErrorHandler({ maxRetries: 0, logErrors: false, failureLog: null })
+  const quietResult = await quiet.wrap('https://e.example/', async () => { throw httpError(404) })
+
+  const success = all.length === 3 &&
+    all[0].url === 'https://d.example/gone' && all[0].httpStatus === 410 && all[0].domain === 'd.example' &&
+    all[2].url === 'https://b.example/page' &&
+    domainA.length === 0 && timeouts.length === 1 && timeouts[0].canRetry === true &&
+    future.length === 0 && quietResult.success === false
+
+  console.log(`\n📊 Failure Log Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test which users count as admins
+ */
+async function testAdminRole() {
+  console.log('🔑 Testing Admin Role Check...\n')
+
+  const cases = [
+    { label: 'role: admin', user: { app_metadata: { role: 'admin' } }, expected: true },
+    { label: 'roles: [editor, admin]', user: { app_metadata: { roles: ['editor', 'admin'] } }, expected: true },
+    { label: 'role: editor', user: { app_metadata: { role: 'editor' } }, expected: false },
+    { label: 'user_metadata role', user: { app_metadata: {}, user_metadata: { role: 'admin' } }, expected: false },
+    { label: 'no user', user: null, expected: false },
+    { label: 'custom role ops', user: { app_metadata: { role: 'ops' } }, role: 'ops', expected: true }
+  ]
+
+  let success = true
+  for (const { label, user, role, expected } of cases) {
+    const actual = isAdmin(user, role)
+    console.log(`  ${actual === expected ? '✅' : '❌'} ${label} → ${actual ? 'admin' : 'not admin'}`)
+    if (actual !== expected) success = false
+  }
+
+  console.log(`\n📊 Admin Role Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test resetting one domain's breaker and all of them
+ */
+async function testBreakerReset() {
+  console.log('🔌 Testing Circuit Breaker Reset...\n')
+
+  const handler = new ScrapingErrorHandler({
+    maxRetries: 0,
+    logErrors: false,
+    failureLog: null,
+    circuitBreaker: new CircuitBreaker({ failureThreshold: 1 })
+  })
+
+  await handler.wrap('https://a.example/', async () => { throw httpError(503) })
+  await handler.wrap('https://b.example/', async () => { throw httpError(503) })
+
+  const before = (await handler.getCircuitBreakerStatus()).domains
+  await handler.resetCircuitBreaker('a.example')
+  const afterOne = (await handler.getCircuitBreakerStatus()).domains
+  await handler.resetCircuitBreaker()
+  const afterAll = (await handler.getCircuitBreakerStatus()).domains
+
+  console.log(`  Before: a.example ${before['a.example']?.state}, b.example ${before['b.example']?.state}`)
+  console.log(`  After resetting a.example: a.example ${afterOne['a.example']?.state ?? 'closed'}, b.example ${afterOne['b.example']?.state}`)
+  console.log(`  After resetting all: ${Object.keys(afterAll).length} domains tracked`)
+
+  const success = before['a.example']?.state === BreakerStates.OPEN &&
+    (afterOne['a.example']?.state ?? BreakerStates.CLOSED) === BreakerStates.CLOSED &&
+    afterOne['b.example']?.state === BreakerStates.OPEN &&
+    Object.values(afterAll).every(domain => domain.state === BreakerStates.CLOSED)
+
+  console.log(`\n📊 Breaker Reset Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test purging cached validators and robots.txt rules
+ */
+async function testCachePurge() {
+  console.log('🧹 Testing Cache Purge...\n')
+
+  const validators = new MemoryValidatorStore()
+  await validators.set('https://a.example/post?utm_source=feed', { etag: '"1"' })
+  await validators.set('https://a.example/other', { etag: '"2"' })
+  await validators.set('https://b.example/page', { etag: '"3"' })
+
+  // Spelling variants of a URL share one entry
+  const deleted = await validators.delete('https://a.example/post')
+  const deletedAgain = await validators.delete('https://a.example/post')
+  const remaining = await validators.get('https://a.example/other')
+  const cleared = await validators.clear()
+
+  const robotsTransport = { fetch: async () => ({ ok: true, status: 200, text: async () => 'User-agent: *\nDisallow:' }) }
+  const robots = new RobotsCache({ transport: robotsTransport })
+  await robots.get('https://a.example/x')
+  await robots.get('https://b.example/y')
+  const robotsOne = robots.clear('https://a.example/anything')
+  const robotsAll = robots.clear()
+
+  console.log(`  Validators: deleted ${deleted}, again ${deletedAgain}, other kept ${Boolean(remaining)}, cleared ${cleared}`)
+  console.log(`  robots.txt: cleared one site ${robotsOne}, then ${robotsAll}`)
+
+  const success = deleted === true && deletedAgain === false && Boolean(remaining) && cleared === 2 &&
+    robotsOne === 1 && robotsAll === 1
+
+  console.log(`\n📊 Cache Purge Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scraper Admin Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Failure Log', fn: testFailureLog },
+    { name: 'Admin Role', fn: testAdminRole },
+    { name: 'Breaker Reset', fn: testBreakerReset },
+    { name: 'Cache Purge', fn: testCachePurge }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The admin operations are working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the admin operations.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
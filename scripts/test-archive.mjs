@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Archive Fallback
+ *
+ * Runs a local mirror that answers like the Wayback availability API and
+ * archive.today's timegate, serving the snapshots in
+ * scripts/fixtures/archive. Checks the lookups, that gone, dead-domain and
+ * paywalled pages come back from the archive marked `archived: true`, and
+ * that retryable failures, missing snapshots and `archive: false` leave
+ * the original result alone.
+ *
+ * Run with: node scripts/test-archive.mjs
+ */
+
+import { createServer } from 'http'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import {
+  ArchiveResolver,
+  WaybackArchive,
+  ArchiveTodayArchive,
+  parseWaybackTimestamp
+} from '../server/lib/scraper/archive.js'
+import { scrapeUrl, scrapeUrls, scrapeForApp } from '../server/lib/scraper/demo-scraper.js'
+import { HttpClient } from '../server/lib/scraper/http-client.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures')
+
+const GONE = 'https://quay-courier.example/ferries/night-timetable'
+const DEAD = 'https://closed-gazette.example/2021/harbour-wall'
+const PAYWALLED = 'https://harbour-weekly.example/culture/organ'
+const BUSY = 'https://busy.example/story'
+const ERROR_CAPTURE = 'https://old-shop.example/catalogue'
+const NEVER_ARCHIVED = 'https://quay-courier.example/never-archived'
+// A domain of their own, so earlier failures do not trip its breaker
+const BATCH_GONE = 'https://ferry-notes.example/winter-sailings'
+const BATCH_NEVER_ARCHIVED = 'https://ferry-notes.example/never-archived'
+
+// What the mirror has: original URL → capture
+const SNAPSHOTS = {
+  [GONE]: { timestamp: '20221029093000', status: '200', file: 'archive/gone-story.html' },
+  [DEAD]: { timestamp: '20210612151500', status: '200', file: 'archive/gone-story.html' },
+  [PAYWALLED]: { timestamp: '20230910120000', status: '200', file: 'archive/organ-full.html' },
+  [ERROR_CAPTURE]: { timestamp: '20200101000000', status: '404', file: 'archive/gone-story.html' },
+  [BATCH_GONE]: { timestamp: '20221101080000', status: '200', file: 'archive/gone-story.html' }
+}
+
+const options = { validatorStore: false, oembed: false, renderingTier: false }
+
+/**
+ * Local archive mirror; records the paths asked for
+ */
+async function startMirror() {
+  const requested = []
+  const server = createServer((request, response) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://mirror')
+    requested.push(request.url)
+
+    if (pathname === '/wayback/available') {
+      const url = searchParams.get('url')
+      const snapshot = SNAPSHOTS[url]
+      const closest = snapshot && {
+        available: true,
+        url: `${base}/web/${snapshot.timestamp}/${url}`,
+        timestamp: snapshot.timestamp,
+        status: snapshot.status
+      }
+      response.writeHead(200, { 'content-type': 'application/json' })
+      response.end(JSON.stringify({ url, archived_snapshots: closest ? { closest } : {} }))
+      return
+    }
+
+    const capture = pathname.match(/^\/web\/(\d{14})id_\/(.+)$/)
+    if (capture && SNAPSHOTS[capture[2]]?.timestamp === capture[1]) {
+      response.writeHead(200, { 'content-type': 'text/html; charset=utf-8' })
+      response.end(readFileSync(join(fixturesDir, SNAPSHOTS[capture[2]].file)))
+      return
+    }
+
+    // archive.today: the timegate redirects to the snapshot page
+    const timegate = pathname.match(/^\/timegate\/(.+)$/)
+    if (timegate && SNAPSHOTS[timegate[1]]?.status === '200') {
+      response.writeHead(302, { location: `/snap/${SNAPSHOTS[timegate[1]].timestamp}` })
+      response.end()
+      return
+    }
+
+    const snap = pathname.match(/^\/snap\/(\d{14})$/)
+    const snapped = snap && Object.values(SNAPSHOTS).find(snapshot => snapshot.timestamp === snap[1])
+    if (snapped) {
+      response.writeHead(200, {
+        'content-type': 'text/html; charset=utf-8',
+        'memento-datetime': new Date(parseWaybackTimestamp(snapped.timestamp)).toUTCString()
+      })
+      response.end(readFileSync(join(fixturesDir, snapped.file)))
+      return
+    }
+
+    response.writeHead(404)
+    response.end()
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const base = `http://127.0.0.1:${server.address().port}`
+  return { server, base, requested }
+}
+
+function page(url, status, body = '', headers = {}) {
+  return {
+    status,
+    url,
+    headers: { 'content-type': 'text/html; charset=utf-8', ...headers },
+    text: () => Promise.resolve(body)
+  }
+}
+
+/**
+ * The live web: a gone page, a dead domain, a paywalled teaser, a busy
+ * server and robots.txt missing everywhere; the mirror is fetched for real
+ */
+const liveWeb = {
+  fetch: async (url, fetchOptions) => {
+    const { hostname, pathname } = new URL(url)
+    if (hostname === '127.0.0.1') return HttpClient.fetch(url, fetchOptions)
+    if (pathname === '/robots.txt') return page(url, 404)
+
+    if (hostname === 'closed-gazette.example') {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`)
+      error.code = 'ENOTFOUND'
+      throw error
+    }
+    if (url === PAYWALLED) return page(url, 200, readFileSync(join(fixturesDir, 'paywall/piano-teaser.html'), 'utf8'))
+    if (hostname === 'busy.example') return page(url, 503, 'Busy', { 'retry-after': '0' })
+    return page(url, 404, 'Not Found')
+  }
+}
+
+/**
+ * Test the Wayback and archive.today lookups against the mirror
+ */
+async function testLookups(mirror) {
+  console.log('🔎 Testing Archive Lookups...\n')
+
+  const lookup = { transport: HttpClient, timeout: 5000 }
+  const wayback = new WaybackArchive({ endpoint: `${mirror.base}/wayback/available` })
+  const found = await wayback.lookup(GONE, lookup)
+  const missing = await wayback.lookup(NEVER_ARCHIVED, lookup)
+  const errorCapture = await wayback.lookup(ERROR_CAPTURE, lookup)
+
+  console.log(`  Wayback: ${found?.snapshotUrl} at ${found?.timestamp}`)
+  console.log(`  Wayback, never archived: ${missing}; capture of a 404: ${errorCapture}`)
+
+  const archiveToday = new ArchiveTodayArchive({ endpoint: mirror.base })
+  const gated = await archiveToday.lookup(GONE, lookup)
+  const none = await archiveToday.lookup(NEVER_ARCHIVED, lookup)
+
+  console.log(`  archive.today: ${gated?.snapshotUrl} at ${gated?.timestamp}, html ${gated?.html?.length} chars`)
+  console.log(`  archive.today, never archived: ${none}`)
+
+  const success = found?.snapshotUrl === `${mirror.base}/web/20221029093000id_/${GONE}` &&
+    found.timestamp === '2022-10-29T09:30:00.000Z' &&
+    missing === null && errorCapture === null &&
+    gated?.snapshotUrl === `${mirror.base}/snap/20221029093000` && gated.timestamp === '2022-10-29T09:30:00.000Z' &&
+    gated.html.includes('Night ferry timetable') && none === null &&
+    parseWaybackTimestamp('20240102') === '2024-01-02T00:00:00.000Z' && parseWaybackTimestamp('junk') === null
+
+  console.log(`\n📊 Lookups Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that gone, dead-domain and paywalled pages come back from the archive
+ */
+async function testFallback(mirror) {
+  console.log('🗄️  Testing Archive Fallback...\n')
+
+  const archive = new ArchiveResolver({ archive: new WaybackArchive({ endpoint: `${mirror.base}/wayback/available` }) })
+  const scrape = url => scrapeUrl(url, { ...options, transport: liveWeb, archive })
+
+  const gone = await scrape(GONE)
+  const dead = await scrape(DEAD)
+  const paywalled = await scrape(PAYWALLED)
+  const app = await scrapeForApp(GONE, { ...options, transport: liveWeb, archive })
+
+  for (const [label, result] of Object.entries({ gone, dead, paywalled })) {
+    const data = result.data || {}
+    console.log(`  ${label}: success ${result.success}, archived ${data.archived}, ${data.archivedAt}, tier ${data.tier}, reason ${data.metadata?.archive?.reason}`)
+  }
+  console.log(`  scrapeForApp: success ${app.success}, archived ${app.article?.archived}, title "${app.article?.title}"`)
+
+  const success = gone.success && gone.data.archived === true &&
+    gone.data.archivedAt === '2022-10-29T09:30:00.000Z' && gone.data.tier === 'archive' &&
+    gone.data.title.startsWith('Night ferry timetable') &&
+    gone.data.metadata.archive.reason === 'http_error' &&
+    gone.data.metadata.archive.snapshot_url === `${mirror.base}/web/20221029093000id_/${GONE}` &&
+    gone.data.requestedUrl === GONE &&
+    dead.success && dead.data.archived === true && dead.data.metadata.archive.reason === 'dns_error' &&
+    paywalled.success && paywalled.data.archived === true && paywalled.data.paywall === false &&
+    paywalled.data.metadata.archive.reason === 'paywall' &&
+    paywalled.data.content.includes('harvest festival') &&
+    app.success && app.article.archived === true
+
+  console.log(`\n📊 Fallback Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the failures the archive must leave alone
+ */
+async function testNoFallback(mirror) {
+  console.log('🚫 Testing Results Left Alone...\n')
+
+  const archive = new ArchiveResolver({ archive: new WaybackArchive({ endpoint: `${mirror.base}/wayback/available` }) })
+  const lookups = () => mirror.requested.filter(path => path.startsWith('/wayback/')).length
+  const before = lookups()
+
+  const busy = await scrapeUrl(BUSY, { ...options, transport: liveWeb, archive })
+  const afterBusy = lookups()
+  const optedOut = await scrapeUrl(GONE, { ...options, transport: liveWeb, archive: false })
+  const unconfigured = await scrapeUrl(GONE, { ...options, transport: liveWeb })
+  const afterOff = lookups()
+  const noSnapshot = await scrapeUrl(NEVER_ARCHIVED, { ...options, transport: liveWeb, archive })
+  const errorCapture = await scrapeUrl(ERROR_CAPTURE, { ...options, transport: liveWeb, archive })
+
+  console.log(`  Retryable 503: ${busy.error?.type} (canRetry ${busy.error?.canRetry}), lookups ${afterBusy - before}`)
+  console.log(`  archive: false / no archive configured: ${optedOut.error?.type} / ${unconfigured.error?.type}, lookups ${afterOff - afterBusy}`)
+  console.log(`  No snapshot: ${noSnapshot.error?.type} ${noSnapshot.error?.metadata?.httpStatus}`)
+  console.log(`  Only a capture of an error page: ${errorCapture.error?.type} ${errorCapture.error?.metadata?.httpStatus}`)
+
+  const success = !busy.success && busy.error.canRetry && afterBusy === before &&
+    !optedOut.success && !unconfigured.success && afterOff === afterBusy &&
+    !noSnapshot.success && noSnapshot.error.metadata.httpStatus === 404 &&
+    !errorCapture.success && errorCapture.error.metadata.httpStatus === 404
+
+  console.log(`\n📊 Left Alone Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that batches count archived pages as successes
+ */
+async function testBatch(mirror) {
+  console.log('📦 Testing Batch Fallback...\n')
+
+  const archive = new ArchiveResolver({ archive: new ArchiveTodayArchive({ endpoint: mirror.base }) })
+  const batch = await scrapeUrls([BATCH_GONE, BATCH_NEVER_ARCHIVED], { ...options, transport: liveWeb, archive, concurrency: 2 })
+
+  const archived = batch.results.find(item => item.url === BATCH_GONE)
+  console.log(`  Succeeded ${batch.summary.succeeded}, failed ${batch.summary.failed}, success rate ${batch.summary.successRate}`)
+  console.log(`  ${BATCH_GONE}: archived ${archived?.data.archived} from ${archived?.data.metadata.archive.service}`)
+
+  const success = batch.summary.succeeded === 1 && batch.summary.failed === 1 &&
+    batch.summary.successRate === 0.5 &&
+    archived?.data.archived === true && archived.data.metadata.archive.service === 'archive_today' &&
+    batch.errors[0]?.url === BATCH_NEVER_ARCHIVED
+
+  console.log(`\n📊 Batch Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Archive Fallback Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const mirror = await startMirror()
+
+  const tests = [
+    { name: 'Lookups', fn: testLookups },
+    { name: 'Fallback', fn: testFallback },
+    { name: 'Left Alone', fn: testNoFallback },
+    { name: 'Batch', fn: testBatch }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn(mirror)
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  mirror.server.close()
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The archive fallback is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the archive fallback.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
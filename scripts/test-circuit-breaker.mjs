@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Circuit Breaker
+ *
+ * Walks the closed → open → half-open state machine, checks that only one
+ * probe gets through at a time, and runs the file and Supabase stores
+ * (the latter against the in-memory Supabase stand-in).
+ *
+ * Run with: node scripts/test-circuit-breaker.mjs
+ */
+
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import { CircuitBreaker, BreakerStates } from '../server/lib/scraper/circuit-breaker.js'
+import { FileBreakerStore, SupabaseBreakerStore, BREAKER_TABLE } from '../server/lib/scraper/breaker-stores.js'
+import { ScrapingErrorHandler } from '../server/lib/scraper/error-handler.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Fire several acquires at once and count how many were let through
+ */
+async function race(breakers, domain, count = 5) {
+  const permits = await Promise.all(
+    Array.from({ length: count }, (_, i) => breakers[i % breakers.length].acquire(domain))
+  )
+  return permits.filter(permit => permit.allowed).length
+}
+
+/**
+ * Test the closed → open → half-open → closed cycle
+ */
+async function testStateMachine() {
+  console.log('🔁 Testing State Machine...\n')
+
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 50 })
+  const domain = 'flaky.example'
+
+  await breaker.recordFailure(domain)
+  const afterOne = (await breaker.acquire(domain)).state
+  await breaker.recordFailure(domain)
+  const blocked = await breaker.acquire(domain)
+  console.log(`  After 1 failure: ${afterOne}`)
+  console.log(`  After 2 failures: ${blocked.state} (allowed: ${blocked.allowed}, retry at ${blocked.retryAt})`)
+
+  await sleep(60)
+  const probes = await race([breaker], domain)
+  console.log(`  After cool-down, concurrent requests let through: ${probes}`)
+
+  await breaker.recordFailure(domain)
+  const reopened = (await breaker.status()).domains[domain]
+  console.log(`  Probe failed: ${reopened.state}, next retry ${reopened.nextRetryAt}`)
+
+  await sleep(60)
+  const secondProbe = await breaker.acquire(domain)
+  await breaker.recordSuccess(domain)
+  const closed = await breaker.acquire(domain)
+  console.log(`  Probe succeeded: ${closed.state}`)
+
+  const success =
+    afterOne === BreakerStates.CLOSED &&
+    blocked.state === BreakerStates.OPEN && !blocked.allowed && !!blocked.retryAt &&
+    probes === 1 &&
+    reopened.state === BreakerStates.OPEN && !!reopened.nextRetryAt &&
+    secondProbe.probe &&
+    closed.state === BreakerStates.CLOSED && closed.allowed && !closed.tracked
+
+  console.log(`\n📊 State Machine Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test per-domain thresholds and cool-downs
+ */
+async function testDomainOverrides() {
+  console.log('🎚️  Testing Per-Domain Settings...\n')
+
+  const breaker = new CircuitBreaker({
+    failureThreshold: 5,
+    domains: { 'fragile.example': { failureThreshold: 1, cooldownMs: 600000 } }
+  })
+
+  await breaker.recordFailure('cdn.fragile.example')
+  await breaker.recordFailure('sturdy.example')
+
+  const status = await breaker.status()
+  const fragile = status.domains['cdn.fragile.example']
+  const sturdy = status.domains['sturdy.example']
+
+  console.log(`  cdn.fragile.example: ${fragile.state} (threshold ${fragile.failureThreshold})`)
+  console.log(`  sturdy.example: ${sturdy.state} (threshold ${sturdy.failureThreshold})`)
+
+  const retryInMinutes = (Date.parse(fragile.nextRetryAt) - Date.now()) / 60000
+  const success =
+    fragile.state === BreakerStates.OPEN && fragile.failureThreshold === 1 &&
+    retryInMinutes > 9 && retryInMinutes <= 10 &&
+    sturdy.state === BreakerStates.CLOSED && sturdy.failureThreshold === 5
+
+  console.log(`\n📊 Per-Domain Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that file and Supabase stores share state between breaker instances
+ */
+async function testSharedStores() {
+  console.log('🗄️  Testing Shared Stores...\n')
+
+  const dir = mkdtempSync(join(tmpdir(), 'breaker-'))
+  const file = join(dir, 'circuit-breakers.json')
+  const supabase = createMemoryClient({ [BREAKER_TABLE]: [] })
+
+  const results = {}
+  try {
+    for (const [name, makeStore] of [
+      ['file', () => new FileBreakerStore(file)],
+      ['supabase', () => new SupabaseBreakerStore(supabase)]
+    ]) {
+      const options = { failureThreshold: 1, cooldownMs: 50 }
+      const first = new CircuitBreaker({ ...options, store: makeStore() })
+      const second = new CircuitBreaker({ ...options, store: makeStore() })
+
+      await first.recordFailure('down.example')
+      const seen = await second.acquire('down.example')
+
+      await sleep(60)
+      const probes = await race([first, second], 'down.example', 6)
+
+      results[name] = seen.state === BreakerStates.OPEN && !seen.allowed && probes === 1
+      console.log(`  ${results[name] ? '✅' : '❌'} ${name}: second instance saw ${seen.state}, ${probes} probe(s) across instances`)
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+
+  const success = Object.values(results).every(Boolean)
+  console.log(`\n📊 Shared Stores Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the error handler reports blocked requests without counting them
+ */
+async function testHandlerIntegration() {
+  console.log('🛡️  Testing Error Handler Integration...\n')
+
+  const handler = new ScrapingErrorHandler({
+    maxRetries: 0,
+    logErrors: false,
+    circuitBreaker: new CircuitBreaker({ failureThreshold: 2, cooldownMs: 60000 })
+  })
+  const url = 'https://refusing.example/story'
+  const refuses = async () => {
+    const error = new Error('connect ECONNREFUSED')
+    error.code = 'ECONNREFUSED'
+    throw error
+  }
+
+  await handler.wrap(url, refuses)
+  await handler.wrap(url, refuses)
+  const blocked = await handler.wrap(url, refuses)
+  const status = await handler.getCircuitBreakerStatus()
+  const domain = status.domains['refusing.example']
+
+  console.log(`  Third request: ${blocked.error.message}`)
+  console.log(`  Retry at: ${blocked.error.metadata.circuitBreaker?.retryAt}`)
+  console.log(`  Failures recorded: ${domain.failures}`)
+
+  const success =
+    !blocked.success &&
+    blocked.error.metadata.circuitBreaker?.state === BreakerStates.OPEN &&
+    blocked.error.metadata.circuitBreaker.retryAt === domain.nextRetryAt &&
+    domain.failures === 2 &&
+    status.failures['refusing.example'] === 2
+
+  console.log(`\n📊 Integration Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Circuit Breaker Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'State Machine', fn: testStateMachine },
+    { name: 'Per-Domain Settings', fn: testDomainOverrides },
+    { name: 'Shared Stores', fn: testSharedStores },
+    { name: 'Error Handler Integration', fn: testHandlerIntegration }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The circuit breaker is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the circuit breaker implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Conditional Re-Scrapes
+ *
+ * Checks that re-scrapes send If-None-Match / If-Modified-Since, treat a 304
+ * or an identical body as unchanged without re-extracting, still extract
+ * changed pages and forced scrapes, that callers without a validator
+ * store always get the content, and that batch summaries count
+ * unchanged pages apart from fresh ones. Pages are served from
+ * scripts/fixtures/articles, so no network is needed.
+ *
+ * Run with: node scripts/test-conditional.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { scrapeUrl, scrapeUrls } from '../server/lib/scraper/demo-scraper.js'
+import { MemoryValidatorStore, UnchangedReasons } from '../server/lib/scraper/conditional.js'
+import { scrapValidators } from '../server/lib/scraper/persist.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const article = readFileSync(join(__dirname, 'fixtures', 'articles', 'blog-article.html'), 'utf8')
+
+const LAST_MODIFIED = 'Mon, 12 Oct 2026 08:00:00 GMT'
+
+/**
+ * Offline transport: serves one page per host and records request headers
+ *
+ * `pages[host]` is `{ body, etag, lastModified }`; a matching If-None-Match
+ * gets a 304. robots.txt is always missing.
+ */
+function fixtureTransport(pages) {
+  const requests = []
+  return {
+    requests,
+    fetch: async (url, { headers = {} } = {}) => {
+      const { host, pathname } = new URL(url)
+      if (pathname === '/robots.txt') {
+        return { status: 404, url, headers: {}, text: () => Promise.resolve('') }
+      }
+
+      requests.push({ url, headers })
+      const page = pages[host]
+      const responseHeaders = {
+        'content-type': 'text/html; charset=utf-8',
+        ...(page.etag && { etag: page.etag }),
+        ...(page.lastModified && { 'last-modified': page.lastModified })
+      }
+
+      if (page.etag && headers['If-None-Match'] === page.etag) {
+        return { status: 304, url, headers: responseHeaders, text: () => Promise.resolve('') }
+      }
+      return { status: 200, url, headers: responseHeaders, text: () => Promise.resolve(page.body) }
+    }
+  }
+}
+
+const scrape = (url, transport, validatorStore, extra = {}) =>
+  scrapeUrl(url, { transport, validatorStore, oembed: false, ...extra })
+
+/**
+ * Test 304 handling with ETag and Last-Modified validators
+ */
+async function testNotModified() {
+  console.log('📭 Testing 304 Not Modified...\n')
+
+  const transport = fixtureTransport({
+    'etag.example': { body: article, etag: '"v1"', lastModified: LAST_MODIFIED }
+  })
+  const store = new MemoryValidatorStore()
+  const url = 'https://etag.example/post?utm_source=feed'
+
+  const first = await scrape(url, transport, store)
+  const second = await scrape('https://etag.example/post', transport, store)
+  const sent = transport.requests[1].headers
+
+  console.log(`  First scrape: ${first.success ? 'extracted' : first.error?.type}, conditional headers: ${'If-None-Match' in transport.requests[0].headers}`)
+  console.log(`  Second scrape sent If-None-Match: ${sent['If-None-Match']}, If-Modified-Since: ${sent['If-Modified-Since']}`)
+  console.log(`  Second scrape: unchanged=${second.unchanged}, reason=${second.data?.reason}`)
+
+  const success = first.success && !first.unchanged &&
+    first.data.validators.etag === '"v1"' &&
+    !('If-None-Match' in transport.requests[0].headers) &&
+    sent['If-None-Match'] === '"v1"' &&
+    sent['If-Modified-Since'] === LAST_MODIFIED &&
+    second.success && second.unchanged &&
+    second.data.reason === UnchangedReasons.NOT_MODIFIED &&
+    second.data.validators.contentHash === first.data.validators.contentHash
+
+  console.log(`\n📊 Not Modified Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test content-hash detection for servers without validators
+ */
+async function testContentHash() {
+  console.log('#️⃣  Testing Content Hash Detection...\n')
+
+  const pages = { 'plain.example': { body: article } }
+  const transport = fixtureTransport(pages)
+  const store = new MemoryValidatorStore()
+  const url = 'https://plain.example/post'
+
+  const first = await scrape(url, transport, store)
+  const same = await scrape(url, transport, store)
+
+  pages['plain.example'].body = article.replace('</article>', '<p>Update: a correction was added.</p></article>')
+  const changed = await scrape(url, transport, store)
+  const forced = await scrape(url, transport, store, { force: true })
+
+  console.log(`  Identical body: unchanged=${!!same.unchanged}, reason=${same.data?.reason}`)
+  console.log(`  Changed body: unchanged=${!!changed.unchanged}, content ${changed.data?.content?.includes('correction') ? 'includes' : 'misses'} update`)
+  console.log(`  Forced re-scrape of unchanged body: unchanged=${!!forced.unchanged}`)
+
+  const success = first.success && !first.unchanged &&
+    same.unchanged && same.data.reason === UnchangedReasons.SAME_HASH &&
+    changed.success && !changed.unchanged && changed.data.content.includes('correction') &&
+    forced.success && !forced.unchanged && !!forced.data.content
+
+  console.log(`\n📊 Content Hash Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test validators carried in from a saved scrap's metadata
+ */
+async function testStoredValidators() {
+  console.log('💾 Testing Validators From Saved Scraps...\n')
+
+  const transport = fixtureTransport({
+    'saved.example': { body: article, etag: '"saved"' }
+  })
+  const scrap = { metadata: { http: { etag: '"saved"', last_modified: null, content_hash: 'sha256:old' } } }
+  const validators = scrapValidators(scrap)
+
+  const result = await scrape('https://saved.example/post', transport, false, { validators })
+
+  console.log(`  Validators from metadata.http: ${JSON.stringify(validators)}`)
+  console.log(`  Scrape with no validator store: unchanged=${!!result.unchanged}, reason=${result.data?.reason}`)
+
+  const success = validators.etag === '"saved"' &&
+    scrapValidators({ metadata: {} }) === null &&
+    result.unchanged && result.data.reason === UnchangedReasons.NOT_MODIFIED
+
+  console.log(`\n📊 Stored Validators Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that scrapes without a validator store always return the content
+ */
+async function testStateless() {
+  console.log('🫙 Testing Scrapes Without a Validator Store...\n')
+
+  const transport = fixtureTransport({
+    'stateless.example': { body: article, etag: '"v1"', lastModified: LAST_MODIFIED }
+  })
+  const url = 'https://stateless.example/post'
+
+  // A caller that asks for the page twice gets it twice
+  const first = await scrape(url, transport, undefined)
+  const second = await scrape(url, transport, undefined)
+  // Opting in to the shared store makes the next scrape conditional
+  await scrape(url, transport, true)
+  const shared = await scrape(url, transport, true)
+
+  const sentConditional = transport.requests.map(request => 'If-None-Match' in request.headers)
+  console.log(`  Second scrape: unchanged=${!!second.unchanged}, content ${second.data?.content ? 'returned' : 'missing'}`)
+  console.log(`  Conditional headers sent: ${sentConditional.join(', ')}`)
+  console.log(`  Shared store on request: unchanged=${!!shared.unchanged}`)
+
+  const success = first.success && !first.unchanged &&
+    second.success && !second.unchanged && !!second.data.content &&
+    sentConditional.join() === 'false,false,false,true' &&
+    shared.unchanged === true
+
+  console.log(`\n📊 Stateless Scrapes Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that batch summaries count unchanged pages separately
+ */
+async function testBatchSummary() {
+  console.log('📦 Testing Batch Summary...\n')
+
+  const pages = {
+    'one.example': { body: article, etag: '"one"' },
+    'two.example': { body: article },
+    'three.example': { body: article }
+  }
+  const transport = fixtureTransport(pages)
+  const validatorStore = new MemoryValidatorStore()
+  const urls = Object.keys(pages).map(host => `https://${host}/post`)
+  const options = { transport, validatorStore, oembed: false }
+
+  const first = await scrapeUrls(urls, options)
+  pages['three.example'].body = article.replace('<h1', '<h1 class="updated"')
+  const second = await scrapeUrls(urls, options)
+
+  console.log(`  First pass: ${JSON.stringify(first.summary)}`)
+  console.log(`  Second pass: ${JSON.stringify(second.summary)}`)
+
+  const success = first.summary.succeeded === 3 && first.summary.unchanged === 0 &&
+    second.summary.succeeded === 1 && second.summary.unchanged === 2 &&
+    second.summary.failed === 0 && second.summary.successRate === 1 &&
+    second.unchanged.every(item => item.unchanged) &&
+    second.results[0].url === 'https://three.example/post'
+
+  console.log(`\n📊 Batch Summary Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Conditional Re-Scrape Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Not Modified', fn: testNotModified },
+    { name: 'Content Hash', fn: testContentHash },
+    { name: 'Stored Validators', fn: testStoredValidators },
+    { name: 'Stateless Scrapes', fn: testStateless },
+    { name: 'Batch Summary', fn: testBatchSummary }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Conditional re-scrapes are working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the change detection implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -26,6 +26,7 @@ import {
 
 // Import demo scraper
 import { runScrapingDemo, scrapeUrls } from '../server/lib/scraper/demo-scraper.js'
+import { MockHttpClient, parseRetryAfter } from '../server/lib/scraper/http-client.js'
 
 /**
  * Test individual error classification
@@ -136,16 +137,18 @@ async function testCircuitBreaker() {
   }
   
   // Check circuit breaker status
-  const status = handler.getCircuitBreakerStatus()
-  const domainBlocked = status.failures[testDomain] >= 5
+  const status = await handler.getCircuitBreakerStatus()
+  const domainBlocked = status.failures[testDomain] >= 5 && status.domains[testDomain]?.state === 'open'
   
   console.log(`\n  Circuit breaker status for ${testDomain}:`)
   console.log(`    Failures: ${status.failures[testDomain] || 0}`)
+  console.log(`    State: ${status.domains[testDomain]?.state}`)
+  console.log(`    Next retry: ${status.domains[testDomain]?.nextRetryAt}`)
   console.log(`    Blocked: ${domainBlocked}`)
   
   // Test reset functionality
-  handler.resetCircuitBreaker(testDomain)
-  const resetStatus = handler.getCircuitBreakerStatus()
+  await handler.resetCircuitBreaker(testDomain)
+  const resetStatus = await handler.getCircuitBreakerStatus()
   const domainReset = !resetStatus.failures[testDomain]
   
   console.log(`\n  After reset:`)
@@ -198,6 +201,76 @@ async function testRetryMechanism() {
   return success
 }
 
+/**
+ * Test Retry-After handling and the retry budget
+ */
+async function testRetryAfter() {
+  console.log('⏳ Testing Retry-After Handling...\n')
+  
+  const inTwoSeconds = new Date(Date.now() + 2000).toUTCString()
+  const parsed = {
+    seconds: parseRetryAfter('3') === 3000,
+    httpDate: parseRetryAfter(inTwoSeconds) > 0 && parseRetryAfter(inTwoSeconds) <= 2000,
+    pastDate: parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT') === 0,
+    malformed: parseRetryAfter('soon') === null
+  }
+  Object.entries(parsed).forEach(([form, ok]) => console.log(`    ${ok ? '✅' : '❌'} parse ${form}`))
+  
+  // Rate limited response that carries a Retry-After header
+  const responseError = (status, retryAfter) => {
+    const error = new Error('HTTP Error')
+    error.response = { status, headers: retryAfter ? { 'retry-after': retryAfter } : {} }
+    return error
+  }
+  
+  // A long baseDelay shows the header, not the backoff, sets the wait
+  const handler = new ScrapingErrorHandler({
+    maxRetries: 3,
+    baseDelay: 10000,
+    logErrors: false,
+    enableCircuitBreaker: false
+  })
+  
+  let calls = 0
+  const recovers = await handler.wrap('https://busy.example/story', async () => {
+    calls++
+    if (calls === 1) throw responseError(429, '1')
+    if (calls === 2) throw responseError(503, '0')
+    return { message: 'Recovered' }
+  })
+  console.log(`  429 then 503, both with Retry-After: ${recovers.success ? 'SUCCESS' : recovers.error.type}`)
+  console.log(`    Attempts: ${recovers.metadata.attempts}, waited ${recovers.metadata.totalWaitMs}ms`)
+  
+  const budgeted = new ScrapingErrorHandler({
+    maxRetries: 5,
+    maxRetryTimeMs: 1500,
+    logErrors: false,
+    enableCircuitBreaker: false
+  })
+  const exhausted = await budgeted.wrap('https://busy.example/story', async () => {
+    throw responseError(429, '1')
+  })
+  const { metadata } = exhausted.error
+  console.log(`  Always 429 with a 1.5s budget: ${exhausted.error.type}`)
+  console.log(`    Attempt: ${metadata.attempt}, attempts: ${metadata.attempts}, waited ${metadata.totalWaitMs}ms, budget exhausted: ${metadata.retryBudgetExhausted}`)
+  
+  const success =
+    Object.values(parsed).every(Boolean) &&
+    recovers.success &&
+    recovers.metadata.attempts === 3 &&
+    recovers.metadata.totalWaitMs === 1000 &&
+    exhausted.error.type === ErrorTypes.RATE_LIMITED &&
+    metadata.attempt === 2 &&
+    metadata.attempts === 2 &&
+    metadata.totalWaitMs === 1000 &&
+    metadata.retryAfterMs === 1000 &&
+    metadata.httpStatus === 429 &&
+    metadata.retryBudgetExhausted === true
+  
+  console.log(`\n📊 Retry-After Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
 /**
  * Test batch processing with mixed results
  */
@@ -220,7 +293,8 @@ async function testBatchProcessing() {
   const startTime = Date.now()
   const result = await scrapeUrls(testUrls, { 
     concurrency: 3,
-    timeout: 2000
+    timeout: 2000,
+    transport: MockHttpClient
   })
   const duration = Date.now() - startTime
   
@@ -283,6 +357,7 @@ async function runAllTests() {
     { name: 'Error Classification', fn: testErrorClassification },
     { name: 'Circuit Breaker', fn: testCircuitBreaker },
     { name: 'Retry Mechanism', fn: testRetryMechanism },
+    { name: 'Retry-After', fn: testRetryAfter },
     { name: 'Batch Processing', fn: testBatchProcessing },
     { name: 'Error Structure', fn: testErrorStructure }
   ]
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Article Extractor
+ *
+ * Runs every saved page in scripts/fixtures/articles through the extractor
+ * and checks the fields listed for it in expected.json. No network needed.
+ *
+ * Run with: node scripts/test-extractor.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { extractArticle } from '../server/lib/scraper/extractor.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures', 'articles')
+
+const expectations = JSON.parse(readFileSync(join(fixturesDir, 'expected.json'), 'utf8'))
+
+/**
+ * Compare one extracted article against its expectations
+ */
+function checkFixture(file, expected) {
+  const html = readFileSync(join(fixturesDir, file), 'utf8')
+  const article = extractArticle(html, expected.url)
+  const checks = []
+
+  const check = (name, passed, detail = '') => checks.push({ name, passed, detail })
+
+  check('title', article.title === expected.title, article.title)
+  check('byline', article.metadata.byline === expected.byline, article.metadata.byline)
+  check('published_at', article.published_at === expected.published_at, article.published_at)
+  check('canonical url', article.url === expected.canonical_url, article.url)
+  check('language', article.metadata.lang === expected.lang, article.metadata.lang)
+  check(
+    'word count',
+    article.metadata.word_count >= expected.minWords,
+    `${article.metadata.word_count} >= ${expected.minWords}`
+  )
+  check('summary present', !!article.summary, article.summary?.substring(0, 60))
+
+  if (expected.summary) {
+    check('summary', article.summary === expected.summary)
+  }
+
+  if (expected.firstImage) {
+    check('lead image', article.metadata.images[0]?.url === expected.firstImage, article.metadata.images[0]?.url)
+  }
+
+  for (const url of expected.images || []) {
+    check(`image ${url}`, article.metadata.images.some(image => image.url === url))
+  }
+
+  for (const text of expected.contains || []) {
+    check(`contains "${text}"`, article.content.includes(text))
+  }
+
+  for (const text of expected.excludes || []) {
+    check(`excludes "${text}"`, !article.content.includes(text))
+  }
+
+  // Paragraph structure is kept as blank-line separated blocks
+  check('paragraph breaks', article.content.split('\n\n').length >= 3)
+
+  return checks
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Article Extractor Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const results = []
+
+  for (const [file, expected] of Object.entries(expectations)) {
+    console.log(`📄 ${file}`)
+
+    let checks
+    try {
+      checks = checkFixture(file, expected)
+    } catch (error) {
+      console.error(`  ❌ Extractor threw an exception:`, error.message)
+      results.push({ name: file, passed: false })
+      continue
+    }
+
+    checks.forEach(({ name, passed, detail }) => {
+      console.log(`  ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`)
+    })
+
+    const passed = checks.every(c => c.passed)
+    results.push({ name: file, passed })
+    console.log('')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} fixtures passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All fixtures extracted correctly.')
+  } else {
+    console.log('⚠️  Some fixtures failed. Check the extractor implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
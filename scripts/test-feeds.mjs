@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Feed Ingestion
+ *
+ * Parses the RSS, Atom and JSON Feed fixtures in scripts/fixtures/feeds,
+ * then polls them with an in-memory feed store: new entries are scraped
+ * and saved under the feed's source, seen entries and duplicate links are
+ * skipped, unchanged feeds answer 304, entry pages already scraped are
+ * fetched conditionally and each feed keeps its own poll interval. Feeds and pages are served offline and saved to the in-memory
+ * Supabase client, so no network or database is needed.
+ *
+ * Run with: node scripts/test-feeds.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { parseFeed, FeedFormats } from '../server/lib/feeds/parser.js'
+import { MemoryFeedStore } from '../server/lib/feeds/store.js'
+import { addFeed, pollFeeds, FeedPollStatus } from '../server/lib/feeds/poller.js'
+import { ErrorTypes } from '../server/lib/scraper/error-handler.js'
+import { MemoryValidatorStore } from '../server/lib/scraper/conditional.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixture = (...path) => readFileSync(join(__dirname, 'fixtures', ...path), 'utf8')
+
+const feeds = {
+  rss: fixture('feeds', 'harbour-news.rss.xml'),
+  atom: fixture('feeds', 'field-notes.atom.xml'),
+  json: fixture('feeds', 'reading-list.json')
+}
+const article = fixture('articles', 'blog-article.html')
+
+const MINUTE = 60 * 1000
+
+/**
+ * Offline transport: serves feeds by URL (with optional ETag) and the
+ * article fixture for every other page, with its URL as the ETag.
+ * robots.txt is always missing.
+ */
+function fixtureTransport(served) {
+  const requested = []
+  const notModified = []
+  return {
+    requested,
+    notModified,
+    fetch: async (url, { headers = {} } = {}) => {
+      const { pathname } = new URL(url)
+      if (pathname === '/robots.txt') {
+        return { status: 404, url, headers: {}, text: () => Promise.resolve('') }
+      }
+
+      requested.push(url)
+      const feed = served[url]
+      if (!feed) {
+        const etag = `"${url}"`
+        if (headers['If-None-Match'] === etag) {
+          notModified.push(url)
+          return { status: 304, url, headers: { etag }, text: () => Promise.resolve('') }
+        }
+        return {
+          status: 200,
+          url,
+          headers: { 'content-type': 'text/html; charset=utf-8', etag },
+          // Each page is its own canonical URL, so every entry saves its own scrap
+          text: () => Promise.resolve(article.replace('/posts/job-queue-postgres/', url))
+        }
+      }
+
+      const responseHeaders = { 'content-type': feed.type, ...(feed.etag && { etag: feed.etag }) }
+      if (feed.etag && headers['If-None-Match'] === feed.etag) {
+        return { status: 304, url, headers: responseHeaders, text: () => Promise.resolve('') }
+      }
+      return { status: 200, url, headers: responseHeaders, text: () => Promise.resolve(feed.body) }
+    }
+  }
+}
+
+/**
+ * Test that every format parses into the same entry shape
+ */
+async function testFeedFormats() {
+  console.log('📰 Testing Feed Formats...\n')
+
+  const rss = parseFeed(feeds.rss, { url: 'https://harbour.example/feed.xml' })
+  const atom = parseFeed(feeds.atom, { url: 'https://notes.example/atom.xml' })
+  const json = parseFeed(feeds.json, { url: 'https://reading.example/feed.json' })
+
+  const checks = [
+    ['RSS format and title', rss.format === FeedFormats.RSS && rss.title === 'Harbour News & Notes'],
+    ['RSS skips entries without a link', rss.entries.length === 3],
+    ['RSS guid as id, CDATA title as text', rss.entries[0].id === 'harbour-2026-0142' && rss.entries[0].title === 'Ferry timetable changes this winter'],
+    ['RSS relative link resolved', rss.entries[1].url === 'https://harbour.example/news/fog-delays'],
+    ['RSS date and author', rss.entries[0].published_at === '2026-10-17T08:30:00.000Z' && rss.entries[0].author === 'Ines Duarte'],
+    ['Atom format and alternate link', atom.format === FeedFormats.ATOM && atom.entries[0].url === 'https://notes.example/2026/tide-pools'],
+    ['Atom html title decoded', atom.entries[0].title === 'Tide pools & what lives in them'],
+    ['Atom falls back to updated and content', atom.entries[1].published_at === '2026-10-12T08:15:00.000Z' && atom.entries[1].summary === 'Turnstones, mostly.'],
+    ['JSON Feed format and external_url', json.format === FeedFormats.JSON && json.entries[0].url === 'https://journal.example/essays/on-maintenance'],
+    ['JSON Feed author and modified date', json.entries[0].author === 'R. Lindqvist' && json.entries[1].published_at === '2026-10-14T10:00:00.000Z']
+  ]
+
+  let rejected = false
+  try {
+    parseFeed('<html><body>Not a feed</body></html>')
+  } catch (error) {
+    rejected = error.code === 'EPARSE'
+  }
+  checks.push(['HTML page rejected as a parsing error', rejected])
+
+  checks.forEach(([name, ok]) => console.log(`  ${ok ? '✅' : '❌'} ${name}`))
+
+  const success = checks.every(([, ok]) => ok)
+  console.log(`\n📊 Feed Formats Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test new-entry diffing, saving under the feed's source and 304s
+ */
+async function testPolling() {
+  console.log('🔄 Testing Feed Polling...\n')
+
+  const feedUrl = 'https://harbour.example/feed.xml'
+  const served = { [feedUrl]: { body: feeds.rss, type: 'application/rss+xml', etag: '"r1"' } }
+  const transport = fixtureTransport(served)
+  const store = new MemoryFeedStore()
+  const supabase = createMemoryClient({ scraps: [] })
+  const options = { transport, supabase }
+
+  await addFeed(store, { url: feedUrl, source: 'harbour', pollIntervalMinutes: 30 })
+  const now = Date.now()
+
+  const first = await pollFeeds(store, { ...options, now })
+  const { data: saved } = await supabase.from('scraps').select('*')
+  const afterFirst = await store.get(feedUrl)
+  console.log(`  First poll: ${first.polled[0].new} new, ${first.polled[0].queued} queued, ${first.polled[0].saved} saved`)
+  console.log(`  Saved sources: ${saved.map(row => row.source).join(', ')}`)
+
+  const notDue = await pollFeeds(store, { ...options, now: now + 10 * MINUTE })
+  console.log(`  Poll 10 min later: ${notDue.summary.polled} polled, ${notDue.skipped} not due`)
+
+  // A new story appears and the feed's ETag changes
+  served[feedUrl] = {
+    ...served[feedUrl],
+    etag: '"r2"',
+    body: feeds.rss.replace('<item>', `<item>
+      <title>Harbour master retires</title>
+      <link>https://harbour.example/news/harbour-master</link>
+      <guid isPermaLink="false">harbour-2026-0143</guid>
+    </item>
+    <item>`)
+  }
+  const second = await pollFeeds(store, { ...options, now: now + 31 * MINUTE })
+  console.log(`  Poll after the interval: ${second.polled[0].new} new, ${second.polled[0].queued} queued`)
+
+  const third = await pollFeeds(store, { ...options, now: now + 62 * MINUTE })
+  console.log(`  Poll of an unchanged feed: ${third.polled[0].status}`)
+
+  const articleFetches = transport.requested.filter(url => url !== feedUrl)
+  const success = first.polled[0].status === FeedPollStatus.POLLED &&
+    first.polled[0].new === 2 && first.polled[0].saved === 2 &&
+    saved.length === 2 && saved.every(row => row.source === 'harbour') &&
+    afterFirst.seen.length === 3 && afterFirst.etag === '"r1"' && afterFirst.title === 'Harbour News & Notes' &&
+    notDue.summary.polled === 0 && notDue.skipped === 1 &&
+    second.polled[0].new === 1 && second.polled[0].saved === 1 &&
+    third.polled[0].status === FeedPollStatus.NOT_MODIFIED &&
+    articleFetches.length === 3
+
+  console.log(`\n📊 Polling Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that entry pages scraped before are fetched conditionally, and
+ * that a page whose save failed is extracted again
+ */
+async function testConditionalEntries() {
+  console.log('🔁 Testing Conditional Entry Scrapes...\n')
+
+  const feedUrl = 'https://harbour.example/feed.xml'
+  const mirrorUrl = 'https://mirror.example/harbour.xml'
+  const served = {
+    [feedUrl]: { body: feeds.rss, type: 'application/rss+xml' },
+    // Relative links would point at the mirror
+    [mirrorUrl]: { body: feeds.rss.replace('/news/fog-delays', 'https://harbour.example/news/fog-delays'), type: 'application/rss+xml' }
+  }
+  const transport = fixtureTransport(served)
+  const store = new MemoryFeedStore()
+  const memory = createMemoryClient({ scraps: [] })
+  // Saving fails while `offline` is set
+  let offline = true
+  const supabase = {
+    from: table => {
+      if (offline) throw new Error('Database unreachable')
+      return memory.from(table)
+    }
+  }
+  const options = { transport, supabase, validatorStore: new MemoryValidatorStore() }
+
+  await addFeed(store, { url: feedUrl, source: 'harbour', pollIntervalMinutes: 30 })
+  const now = Date.now()
+
+  // Nothing saved, so nothing is seen and the retry gets the full pages
+  const failed = await pollFeeds(store, { ...options, now })
+  offline = false
+  const retried = await pollFeeds(store, { ...options, now: now + 31 * MINUTE })
+  const extracted = transport.notModified.length
+
+  // A second feed with the same links: every page is a 304
+  await addFeed(store, { url: mirrorUrl, source: 'mirror', pollIntervalMinutes: 30 })
+  const mirrored = await pollFeeds(store, { ...options, now: now + 32 * MINUTE })
+  const mirror = mirrored.polled.find(feed => feed.url === mirrorUrl)
+  const mirrorRecord = await store.get(mirrorUrl)
+  const { data: saved } = await memory.from('scraps').select('*')
+
+  console.log(`  Save failed: ${failed.polled[0].saved} saved; retry: ${retried.polled[0].saved} saved, ${extracted} not modified`)
+  console.log(`  Mirror feed: ${mirror.queued} queued, ${mirror.summary?.unchanged} unchanged, ${mirror.saved} saved, ${mirrorRecord.seen.length} seen`)
+  console.log(`  Pages answered 304: ${transport.notModified.length}; scraps: ${saved.map(row => row.source).join(', ')}`)
+
+  const success = failed.polled[0].saved === 0 && retried.polled[0].saved === 2 && extracted === 0 &&
+    mirror.queued === 2 && mirror.summary?.unchanged === 2 && mirror.saved === 0 &&
+    mirrorRecord.seen.length === 3 && transport.notModified.length === 2 &&
+    saved.length === 2 && saved.every(row => row.source === 'harbour')
+
+  console.log(`\n📊 Conditional Entries Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test per-feed intervals, force and failure reporting
+ */
+async function testSchedule() {
+  console.log('⏰ Testing Poll Schedule...\n')
+
+  const served = {
+    'https://notes.example/atom.xml': { body: feeds.atom, type: 'application/atom+xml' },
+    'https://reading.example/feed.json': { body: feeds.json, type: 'application/feed+json' },
+    'https://broken.example/feed': { body: article, type: 'text/html' }
+  }
+  const transport = fixtureTransport(served)
+  const store = new MemoryFeedStore()
+
+  await addFeed(store, { url: 'https://notes.example/atom.xml', source: 'field-notes', pollIntervalMinutes: 15 })
+  await addFeed(store, { url: 'https://reading.example/feed.json', source: 'reading', pollIntervalMinutes: 120 })
+  await addFeed(store, { url: 'https://broken.example/feed', pollIntervalMinutes: 15 })
+
+  const now = Date.now()
+  const first = await pollFeeds(store, { transport, now })
+  const later = await pollFeeds(store, { transport, now: now + 20 * MINUTE })
+  const forced = await pollFeeds(store, { transport, now: now + 21 * MINUTE, force: true })
+
+  const broken = first.polled.find(feed => feed.url === 'https://broken.example/feed')
+  const brokenRecord = await store.get('https://broken.example/feed')
+  const laterUrls = later.polled.map(feed => feed.url)
+
+  console.log(`  First run: ${first.summary.polled} polled, ${first.summary.failed} failed, ${first.summary.queued} queued`)
+  console.log(`  Broken feed: ${broken.error?.type}, default source "${brokenRecord.source}"`)
+  console.log(`  20 min later: ${laterUrls.join(', ')}`)
+  console.log(`  Forced run: ${forced.summary.polled} polled, ${forced.summary.queued} queued`)
+
+  const success = first.summary.polled === 3 && first.summary.failed === 1 && first.summary.queued === 4 &&
+    broken.error?.type === ErrorTypes.PARSING_ERROR &&
+    brokenRecord.last_error?.startsWith(ErrorTypes.PARSING_ERROR) &&
+    brokenRecord.source === 'broken.example' &&
+    later.skipped === 1 && !laterUrls.includes('https://reading.example/feed.json') &&
+    forced.summary.polled === 3 && forced.summary.queued === 0
+
+  console.log(`\n📊 Schedule Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Feed Ingestion Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Feed Formats', fn: testFeedFormats },
+    { name: 'Feed Polling', fn: testPolling },
+    { name: 'Conditional Entries', fn: testConditionalEntries },
+    { name: 'Poll Schedule', fn: testSchedule }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Feed ingestion is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the feeds implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
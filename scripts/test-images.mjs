@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Image Proxy
+ *
+ * Serves the images in scripts/fixtures/images (and a few things that are
+ * not images) from a local HTTP server. Checks width snapping and format
+ * negotiation, that each variant is fetched once and then cached (in
+ * memory and in files), that non-images, SVG, missing images and redirects
+ * to private addresses are refused, that the circuit breaker applies, and
+ * that without sharp the original is served.
+ *
+ * Run with: node scripts/test-images.mjs
+ */
+
+import { createServer } from 'http'
+import { mkdtemp, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { ImageProxy } from '../server/lib/images/proxy.js'
+import { FileImageCache, MemoryImageCache } from '../server/lib/images/cache.js'
+import { SharpTransformer } from '../server/lib/images/transform.js'
+import { ScrapingErrorHandler } from '../server/lib/scraper/error-handler.js'
+import { CircuitBreaker } from '../server/lib/scraper/circuit-breaker.js'
+import { UrlGuard } from '../server/lib/scraper/url-guard.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures', 'images')
+
+const FILES = {
+  '/harbour.png': ['harbour.png', 'image/png'],
+  '/pixel.gif': ['pixel.gif', 'image/gif'],
+  '/badge.svg': ['badge.svg', 'image/svg+xml']
+}
+
+/**
+ * Local image host; counts the requests for each path
+ */
+async function startServer() {
+  const hits = {}
+  const server = createServer(async (request, response) => {
+    hits[request.url] = (hits[request.url] || 0) + 1
+    const file = FILES[request.url]
+    if (file) {
+      response.writeHead(200, { 'content-type': file[1] })
+      response.end(await readFile(join(fixturesDir, file[0])))
+    } else if (request.url === '/disguised.png') {
+      response.writeHead(200, { 'content-type': 'image/png' })
+      response.end('<html><body>Hotlinking is not allowed</body></html>')
+    } else if (request.url === '/metadata.png') {
+      response.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' })
+      response.end()
+    } else {
+      response.writeHead(404, { 'content-type': 'text/html' })
+      response.end('<h1>Not found</h1>')
+    }
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return { server, hits, base: `http://127.0.0.1:${server.address().port}` }
+}
+
+/**
+ * Trust the local server itself; everything else gets the real checks
+ */
+function trustLocal(base) {
+  const guard = new UrlGuard({ lookup: async () => [{ address: '93.184.216.34', family: 4 }] })
+  return { check: url => url.startsWith(base) ? Promise.resolve() : guard.check(url) }
+}
+
+/**
+ * Transformer stand-in: records what it was asked for
+ */
+function fakeTransformer() {
+  return {
+    name: 'fake',
+    calls: [],
+    async transform(body, { width, format, original }) {
+      this.calls.push({ width, format })
+      await new Promise(resolve => setTimeout(resolve, 10))
+      return {
+        body: Buffer.from(`${format}:${width}:${body.byteLength}`),
+        contentType: `image/${format}`,
+        width: Math.min(width, original.width),
+        height: Math.round(original.height * Math.min(width, original.width) / original.width)
+      }
+    }
+  }
+}
+
+// Each proxy gets its own breaker, so one test's failures cannot block another's
+function makeProxy(base, options = {}) {
+  return new ImageProxy({
+    urlGuard: trustLocal(base),
+    transformer: fakeTransformer(),
+    cache: new MemoryImageCache(),
+    errorHandler: new ScrapingErrorHandler({
+      circuitBreaker: new CircuitBreaker(),
+      maxRetries: 1,
+      logErrors: false,
+      failureLog: null,
+      telemetry: null
+    }),
+    ...options
+  })
+}
+
+/**
+ * Test width snapping, format negotiation and parameter validation
+ */
+async function testParams() {
+  console.log('📐 Testing Parameters...\n')
+
+  const proxy = new ImageProxy()
+  const chrome = 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+  const cases = [
+    [{ url: 'https://cdn.example/a.jpg', w: '300' }, chrome, { width: 320, format: 'webp', negotiated: true }],
+    [{ url: 'https://cdn.example/a.jpg', w: '5000' }, chrome, { width: 1280, format: 'webp', negotiated: true }],
+    [{ url: 'https://cdn.example/a.jpg' }, 'image/avif,*/*', { width: 640, format: 'avif', negotiated: true }],
+    [{ url: 'https://cdn.example/a.jpg', w: '160' }, '*/*', { width: 160, format: 'jpeg', negotiated: true }],
+    [{ url: 'https://cdn.example/a.jpg', w: '961', f: 'avif' }, chrome, { width: 1280, format: 'avif', negotiated: false }]
+  ]
+
+  let success = true
+  for (const [query, accept, expected] of cases) {
+    const { params } = proxy.parseParams(query, accept)
+    const ok = params && Object.entries(expected).every(([key, value]) => params[key] === value)
+    console.log(`  ${ok ? '✅' : '❌'} w=${query.w ?? '-'} f=${query.f ?? '-'} → ${params?.width} ${params?.format}`)
+    if (!ok) success = false
+  }
+
+  const refused = {
+    missing: proxy.parseParams({}).error?.subtype,
+    garbage: proxy.parseParams({ url: 'not a url' }).error?.subtype,
+    file: proxy.parseParams({ url: 'file:///etc/passwd' }).error?.subtype,
+    format: proxy.parseParams({ url: 'https://cdn.example/a.jpg', f: 'bmp' }).error?.type
+  }
+  console.log(`  Refused: ${JSON.stringify(refused)}`)
+
+  success = success &&
+    refused.missing === 'invalid_url' && refused.garbage === 'invalid_url' &&
+    refused.file === 'unsupported_protocol' && refused.format === 'validation_error'
+
+  console.log(`\n📊 Parameters Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that variants are resized once, cached, and shared between
+ * parallel requests
+ */
+async function testCaching() {
+  console.log('🗃️  Testing Resizing and Caching...\n')
+
+  const { server, hits, base } = await startServer()
+  const dir = await mkdtemp(join(tmpdir(), 'image-cache-'))
+  try {
+    const proxy = makeProxy(base)
+    const { params } = proxy.parseParams({ url: `${base}/harbour.png`, w: '320' }, 'image/webp')
+
+    const first = await proxy.load(params)
+    const second = await proxy.load(params)
+    console.log(`  First: ${first.data?.contentType} ${first.data?.width}x${first.data?.height}, cached ${first.data?.cached}`)
+    console.log(`  Second: cached ${second.data?.cached}; origin hits ${hits['/harbour.png']}`)
+
+    // Three browsers asking for a new variant at once
+    const wide = proxy.parseParams({ url: `${base}/harbour.png`, w: '1280' }, 'image/webp').params
+    const parallel = await Promise.all([1, 2, 3].map(() => proxy.load(wide)))
+    console.log(`  Parallel requests: ${parallel.filter(result => result.success).length} served, origin hits ${hits['/harbour.png']}`)
+
+    // Variants survive in a file cache
+    const files = new FileImageCache({ dir })
+    const filed = makeProxy(base, { cache: files })
+    await filed.load(params)
+    const reread = await makeProxy(base, { cache: files }).load(params)
+    const badKey = await files.get('../../etc/passwd').then(() => 'read', () => 'refused')
+    console.log(`  File cache: served from a new proxy cached ${reread.data?.cached} (${reread.data?.contentType}), bad key ${badKey}`)
+
+    // The memory cache drops the least recently used variant when full
+    const small = new MemoryImageCache({ maxBytes: 10 })
+    await small.set('aa', { body: Buffer.alloc(4) })
+    await small.set('bb', { body: Buffer.alloc(4) })
+    await small.get('aa')
+    await small.set('cc', { body: Buffer.alloc(4) })
+    const kept = ['aa', 'bb', 'cc'].filter(key => small.entries.has(key))
+    console.log(`  Memory cache at 10 bytes keeps: ${kept.join(', ')}`)
+
+    const success = first.success && first.data.contentType === 'image/webp' &&
+      first.data.width === 320 && first.data.height === 240 && first.data.cached === false &&
+      first.data.source === `${base}/harbour.png` &&
+      second.data?.cached === true &&
+      parallel.every(result => result.success) && hits['/harbour.png'] === 3 &&
+      proxy.options.transformer.calls.length === 2 &&
+      reread.data?.cached === true && reread.data.body.equals(first.data.body) && badKey === 'refused' &&
+      kept.join() === 'aa,cc'
+
+    console.log(`\n📊 Resizing and Caching Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    server.close()
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Test that only real images from allowed addresses get through
+ */
+async function testRefusals() {
+  console.log('🚫 Testing Refusals...\n')
+
+  const { server, base } = await startServer()
+  try {
+    const proxy = makeProxy(base)
+    const load = async path => (await proxy.load(proxy.parseParams({ url: `${base}${path}` }, 'image/webp').params))
+
+    const gif = await load('/pixel.gif')
+    const page = await load('/disguised.png')
+    const svg = await load('/badge.svg')
+    const missing = await load('/missing.png')
+    const redirect = await load('/metadata.png')
+
+    console.log(`  GIF: ${gif.success ? gif.data.contentType : gif.error.type}`)
+    console.log(`  HTML sent as image/png: ${page.error?.type} (${page.error?.message})`)
+    console.log(`  SVG: ${svg.error?.type} (${svg.error?.message})`)
+    console.log(`  404: ${missing.error?.type}, status ${missing.error?.metadata?.httpStatus}`)
+    console.log(`  Redirect to metadata address: ${redirect.error?.type}/${redirect.error?.subtype}`)
+
+    // Repeated failures open the breaker for the image host
+    const strict = makeProxy(base, {
+      errorHandler: new ScrapingErrorHandler({
+        circuitBreaker: new CircuitBreaker({ failureThreshold: 2 }),
+        maxRetries: 1,
+        logErrors: false,
+        failureLog: null,
+        telemetry: null
+      })
+    })
+    const gone = strict.parseParams({ url: `${base}/gone.png` }, '').params
+    await strict.load(gone)
+    await strict.load({ ...gone, width: 160 })
+    const blocked = await strict.load(strict.parseParams({ url: `${base}/harbour.png` }, '').params)
+    console.log(`  After two failures: blocked ${Boolean(blocked.error?.metadata?.blocked)}`)
+
+    const success = gif.success && gif.data.contentType === 'image/webp' &&
+      page.error?.type === 'parsing_error' &&
+      svg.error?.type === 'parsing_error' &&
+      missing.error?.type === 'http_error' && missing.error.metadata.httpStatus === 404 &&
+      redirect.error?.type === 'validation_error' && redirect.error.subtype === 'private_address' &&
+      blocked.success === false && blocked.error.metadata.blocked === true
+
+    console.log(`\n📊 Refusals Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    server.close()
+  }
+}
+
+/**
+ * Test that the original is served when sharp is not installed
+ */
+async function testWithoutSharp() {
+  console.log('🪞 Testing Fallback Without sharp...\n')
+
+  const { server, base } = await startServer()
+  const warn = console.warn
+  const warnings = []
+  console.warn = message => warnings.push(message)
+  try {
+    const proxy = makeProxy(base, { transformer: new SharpTransformer({ module: 'sharp-not-installed' }) })
+    const { params } = proxy.parseParams({ url: `${base}/harbour.png`, w: '320' }, 'image/avif,image/webp')
+    const first = await proxy.load(params)
+    const second = await proxy.load({ ...params, width: 640 })
+    const original = await readFile(join(fixturesDir, 'harbour.png'))
+
+    console.log(`  Served: ${first.data?.contentType} ${first.data?.width}x${first.data?.height}, transformer now ${proxy.options.transformer.name}`)
+    console.log(`  Warnings: ${warnings.length} (${warnings[0]})`)
+
+    const success = first.success && first.data.contentType === 'image/png' &&
+      first.data.width === 800 && first.data.body.equals(original) &&
+      second.success && proxy.options.transformer.name === 'passthrough' &&
+      warnings.length === 1 && warnings[0].includes('npm install sharp')
+
+    console.log(`\n📊 Fallback Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    console.warn = warn
+    server.close()
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Image Proxy Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Parameters', fn: testParams },
+    { name: 'Resizing and Caching', fn: testCaching },
+    { name: 'Refusals', fn: testRefusals },
+    { name: 'Fallback Without sharp', fn: testWithoutSharp }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The image proxy is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the image proxy implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
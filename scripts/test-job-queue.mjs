@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Scrape Job Queue
+ *
+ * Checks job deduplication, running jobs through the real scraper with
+ * the concurrency cap, conditional re-scrapes, retries and circuit-breaker
+ * waits, cancellation and who may cancel, and picking work back up from a
+ * job file after a restart. Pages are
+ * served by an offline transport and the file store writes to a temp
+ * directory, so no network or database is needed.
+ *
+ * Run with: node scripts/test-job-queue.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { ScrapeJobQueue, JobStatuses } from '../server/lib/scraper/job-queue.js'
+import { MemoryJobStore, FileJobStore } from '../server/lib/scraper/job-stores.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const article = readFileSync(join(__dirname, 'fixtures', 'articles', 'blog-article.html'), 'utf8')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Offline transport: 404 for hosts starting with "missing", the article
+ * fixture for everything else. robots.txt is always missing.
+ */
+const transport = {
+  fetch: async (url) => {
+    const { hostname, pathname } = new URL(url)
+    if (pathname === '/robots.txt' || hostname.startsWith('missing')) {
+      return { status: 404, url, headers: {}, text: () => Promise.resolve('Not found') }
+    }
+    return {
+      status: 200,
+      url,
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+      text: () => Promise.resolve(article)
+    }
+  }
+}
+
+const scrapeOptions = { transport, oembed: false, validatorStore: false }
+
+/**
+ * Test that active jobs for the same URL are shared
+ */
+async function testDeduplication() {
+  console.log('🪞 Testing Job Deduplication...\n')
+
+  const queue = new ScrapeJobQueue({ store: new MemoryJobStore() })
+  const [first, second] = await queue.enqueue([
+    'https://dedupe.example/story',
+    'https://dedupe.example/story/?utm_source=rss'
+  ])
+  const [saving] = await queue.enqueue(['https://dedupe.example/story'], { save: true })
+
+  await queue.cancel(first.job.id)
+  const [afterCancel] = await queue.enqueue(['https://dedupe.example/story'])
+
+  console.log(`  Same URL with tracking params: ${second.deduplicated ? 'shared' : 'new'} job`)
+  console.log(`  Same URL in save mode: ${saving.deduplicated ? 'shared' : 'new'} job`)
+  console.log(`  Same URL after cancelling: ${afterCancel.deduplicated ? 'shared' : 'new'} job`)
+
+  const success = !first.deduplicated && second.deduplicated && second.job.id === first.job.id &&
+    !saving.deduplicated && saving.job.id !== first.job.id &&
+    !afterCancel.deduplicated && afterCancel.job.id !== first.job.id
+
+  console.log(`\n📊 Deduplication Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test real scrapes through the queue, and the concurrency cap
+ */
+async function testRunningJobs() {
+  console.log('🏃 Testing Job Execution...\n')
+
+  const queue = new ScrapeJobQueue({ store: new MemoryJobStore(), scrapeOptions, concurrency: 2 })
+  const [good, missing] = await queue.enqueue(['https://jobs-a.example/post', 'https://missing.example/post'])
+  await queue.drain()
+
+  const done = await queue.get(good.job.id)
+  const failed = await queue.get(missing.job.id)
+  console.log(`  Good URL: ${done.status}, title "${done.result?.data?.title}"`)
+  console.log(`  404 URL: ${failed.status}, ${failed.error?.type} (canRetry: ${failed.error?.canRetry}, attempts: ${failed.attempts})`)
+
+  // Concurrency: count jobs running at once with a slow runner
+  let running = 0
+  let maxRunning = 0
+  const slow = new ScrapeJobQueue({
+    store: new MemoryJobStore(),
+    concurrency: 2,
+    runner: async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await sleep(20)
+      running--
+      return { success: true, result: {} }
+    }
+  })
+  await slow.enqueue(['https://c.example/1', 'https://c.example/2', 'https://c.example/3', 'https://c.example/4', 'https://c.example/5'])
+  await slow.drain()
+  const slowJobs = await slow.store.list()
+  console.log(`  5 jobs with concurrency 2: at most ${maxRunning} running, ${slowJobs.filter(job => job.status === JobStatuses.SUCCEEDED).length} succeeded`)
+
+  const success = done.status === JobStatuses.SUCCEEDED && !!done.result.data.content &&
+    done.attempts === 1 && !!done.finished_at &&
+    failed.status === JobStatuses.FAILED && failed.error.type === 'http_error' && failed.error.canRetry === false &&
+    maxRunning === 2 && slowJobs.every(job => job.status === JobStatuses.SUCCEEDED)
+
+  console.log(`\n📊 Job Execution Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that a repeated job for an unchanged page is a conditional fetch
+ */
+async function testConditionalJobs() {
+  console.log('🔂 Testing Conditional Re-Scrapes...\n')
+
+  // Pages carry an ETag and answer 304 when it is sent back
+  const sent = []
+  const etagTransport = {
+    fetch: async (url, { headers = {} } = {}) => {
+      if (new URL(url).pathname === '/robots.txt') return transport.fetch(url)
+      sent.push(headers['If-None-Match'] || null)
+      const etag = '"v1"'
+      if (headers['If-None-Match'] === etag) {
+        return { status: 304, url, headers: { etag }, text: () => Promise.resolve('') }
+      }
+      const response = await transport.fetch(url)
+      return { ...response, headers: { ...response.headers, etag } }
+    }
+  }
+
+  // No validatorStore option: the worker uses the shared store
+  const queue = new ScrapeJobQueue({ store: new MemoryJobStore(), scrapeOptions: { transport: etagTransport, oembed: false } })
+  const url = 'https://conditional-jobs.example/post'
+  const run = async (options) => {
+    const [{ job }] = await queue.enqueue([url], options)
+    await queue.drain()
+    return queue.get(job.id)
+  }
+
+  const first = await run()
+  const repeat = await run()
+  const forced = await run({ scrape: { force: true } })
+
+  console.log(`  Headers sent: ${sent.map(etag => etag || 'none').join(', ')}`)
+  console.log(`  First: ${first.status}, content ${!!first.result?.data?.content}`)
+  console.log(`  Repeat: ${repeat.status}, unchanged ${repeat.result?.unchanged} (${repeat.result?.reason})`)
+  console.log(`  Forced: ${forced.status}, content ${!!forced.result?.data?.content}`)
+
+  const success = sent.join(',') === ',"v1",' &&
+    first.status === JobStatuses.SUCCEEDED && !!first.result.data.content &&
+    repeat.status === JobStatuses.SUCCEEDED && repeat.result.unchanged === true &&
+    repeat.result.reason === 'not_modified' && !repeat.result.data &&
+    forced.status === JobStatuses.SUCCEEDED && !!forced.result.data.content
+
+  console.log(`\n📊 Conditional Re-Scrape Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test job-level retries and circuit-breaker waits
+ */
+async function testRetries() {
+  console.log('🔁 Testing Retries and Breaker Waits...\n')
+
+  const calls = {}
+  const retryAt = new Date(Date.now() + 60 * 1000).toISOString()
+  const queue = new ScrapeJobQueue({
+    store: new MemoryJobStore(),
+    retryDelayMs: 0,
+    maxAttempts: 2,
+    runner: async (job) => {
+      calls[job.url] = (calls[job.url] || 0) + 1
+      if (job.url.includes('flaky')) {
+        return calls[job.url] === 1
+          ? { success: false, error: { type: 'timeout', message: 'Request timeout', canRetry: true } }
+          : { success: true, result: { ok: true } }
+      }
+      if (job.url.includes('down')) {
+        return { success: false, error: { type: 'network_error', message: 'Network connection failed', canRetry: true } }
+      }
+      return {
+        success: false,
+        error: {
+          type: 'http_error',
+          message: 'Circuit breaker open',
+          canRetry: false,
+          metadata: { blocked: true, circuitBreaker: { state: 'open', retryAt } }
+        }
+      }
+    }
+  })
+
+  const [flaky, down, blocked] = await queue.enqueue(['https://flaky.example/a', 'https://down.example/a', 'https://blocked.example/a'])
+  await queue.drain()
+
+  const flakyJob = await queue.get(flaky.job.id)
+  const downJob = await queue.get(down.job.id)
+  const blockedJob = await queue.get(blocked.job.id)
+
+  console.log(`  Flaky URL: ${flakyJob.status} after ${flakyJob.attempts} attempts`)
+  console.log(`  Down URL: ${downJob.status} after ${downJob.attempts} attempts`)
+  console.log(`  Breaker-blocked URL: ${blockedJob.status}, run after ${blockedJob.run_after}, attempts ${blockedJob.attempts}`)
+
+  const success = flakyJob.status === JobStatuses.SUCCEEDED && flakyJob.attempts === 2 &&
+    downJob.status === JobStatuses.FAILED && downJob.attempts === 2 && downJob.error.type === 'network_error' &&
+    blockedJob.status === JobStatuses.QUEUED && blockedJob.run_after === retryAt &&
+    blockedJob.attempts === 0 && calls['https://blocked.example/a'] === 1
+
+  console.log(`\n📊 Retries Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that jobs waiting to retry don't crowd out runnable ones
+ */
+async function testRunnableFirst() {
+  console.log('⏳ Testing Claim Order with Deferred Jobs...\n')
+
+  const calls = []
+  const store = new MemoryJobStore()
+  const queue = new ScrapeJobQueue({
+    store,
+    concurrency: 2,
+    runner: async (job) => {
+      calls.push(job.url)
+      return { success: true, result: { ok: true } }
+    }
+  })
+
+  const now = Date.now()
+  const at = offset => new Date(now + offset).toISOString()
+  const deferredUrls = Array.from({ length: 25 }, (_, i) => `https://later.example/${i}`)
+  const queued = await queue.enqueue([...deferredUrls, 'https://retry.example/a', 'https://fresh.example/a'])
+
+  // Older jobs first: 25 waiting an hour, one whose retry time has passed,
+  // then one queued after that retry time
+  const times = [
+    ...deferredUrls.map(() => ({ created_at: at(-10000), run_after: at(60 * 60 * 1000) })),
+    { created_at: at(-5000), run_after: at(-1000) },
+    { created_at: at(-2000), run_after: null }
+  ]
+  for (const [i, { job }] of queued.entries()) {
+    await store.compareAndSet(job.id, job.version, { ...job, ...times[i], version: job.version + 1 })
+  }
+
+  const started = await queue.tick(now)
+  await queue.stop()
+
+  const deferred = await queue.get(queued[0].job.id)
+
+  console.log(`  Started: ${started}, in order: ${calls.join(', ')}`)
+  console.log(`  Deferred job: ${deferred.status}`)
+
+  const success = started === 2 &&
+    calls.join() === 'https://fresh.example/a,https://retry.example/a' &&
+    deferred.status === JobStatuses.QUEUED
+
+  console.log(`\n📊 Claim Order Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test cancelling queued, running and finished jobs
+ */
+async function testCancellation() {
+  console.log('🛑 Testing Cancellation...\n')
+
+  let release
+  const gate = new Promise(resolve => { release = resolve })
+  const ran = []
+  const queue = new ScrapeJobQueue({
+    store: new MemoryJobStore(),
+    concurrency: 1,
+    runner: async (job) => {
+      ran.push(job.url)
+      await gate
+      return { success: true, result: { ok: true } }
+    }
+  })
+
+  const [running, queued] = await queue.enqueue(['https://cancel.example/running', 'https://cancel.example/queued'])
+  await queue.tick()
+
+  const whileRunning = await queue.get(running.job.id)
+  const cancelRunning = await queue.cancel(running.job.id)
+  const cancelQueued = await queue.cancel(queued.job.id)
+  release()
+  await queue.drain()
+
+  const runningAfter = await queue.get(running.job.id)
+  const queuedAfter = await queue.get(queued.job.id)
+  const cancelFinished = await queue.cancel(running.job.id)
+  const cancelMissing = await queue.cancel('no-such-job')
+
+  console.log(`  Running job: ${whileRunning.status} → ${runningAfter.status} (result kept: ${!!runningAfter.result})`)
+  console.log(`  Queued job: ${queuedAfter.status}, ran: ${ran.includes(queued.job.url)}`)
+  console.log(`  Cancelling a finished job: cancelled=${cancelFinished.cancelled}, unknown job: ${cancelMissing}`)
+
+  const success = whileRunning.status === JobStatuses.RUNNING &&
+    cancelRunning.cancelled && runningAfter.status === JobStatuses.CANCELLED && !runningAfter.result &&
+    cancelQueued.cancelled && queuedAfter.status === JobStatuses.CANCELLED && !ran.includes(queued.job.url) &&
+    cancelFinished.cancelled === false && cancelMissing === null
+
+  console.log(`\n📊 Cancellation Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that only owners cancel, and a shared job runs on for the others
+ */
+async function testOwnership() {
+  console.log('🔐 Testing Job Owners...\n')
+
+  let release
+  const gate = new Promise(resolve => { release = resolve })
+  const queue = new ScrapeJobQueue({
+    store: new MemoryJobStore(),
+    concurrency: 1,
+    runner: async () => {
+      await gate
+      return { success: true, result: { ok: true } }
+    }
+  })
+  const url = 'https://owners.example/story'
+
+  const [alice] = await queue.enqueue([url], { owner: 'ip:198.51.100.1' })
+  const [bob] = await queue.enqueue([url], { owner: 'user:bob' })
+  const stranger = await queue.cancel(alice.job.id, { owner: 'ip:203.0.113.66' })
+
+  // Carol joins while it runs, then Alice leaves
+  await queue.tick()
+  const [carol] = await queue.enqueue([url], { owner: 'user:carol' })
+  const aliceLeaves = await queue.cancel(alice.job.id, { owner: 'ip:198.51.100.1' })
+  release()
+  await queue.drain()
+  const shared = await queue.get(alice.job.id)
+
+  // A job with one owner is cancelled by it; an admin (no owner) cancels
+  // a shared one outright
+  const [solo] = await queue.enqueue(['https://owners.example/solo'], { owner: 'user:bob' })
+  const soloCancel = await queue.cancel(solo.job.id, { owner: 'user:bob' })
+  const [sharedAgain] = await queue.enqueue(['https://owners.example/again'], { owner: 'user:bob' })
+  await queue.enqueue(['https://owners.example/again'], { owner: 'user:carol' })
+  const adminCancel = await queue.cancel(sharedAgain.job.id)
+
+  console.log(`  Owners after Bob: ${bob.job.owners.join(', ')} (deduplicated: ${bob.deduplicated})`)
+  console.log(`  Stranger's cancel: forbidden ${stranger.forbidden}, job ${stranger.job.status}`)
+  console.log(`  Alice leaves the running job: released ${aliceLeaves.released}, owners ${aliceLeaves.job.owners.join(', ')}`)
+  console.log(`  Shared job after the run: ${shared.status}, result kept: ${!!shared.result}`)
+  console.log(`  Sole owner cancels: ${soloCancel.cancelled}; admin cancels a shared job: ${adminCancel.cancelled}`)
+
+  const success = bob.deduplicated && bob.job.id === alice.job.id &&
+    bob.job.owners.join(',') === 'ip:198.51.100.1,user:bob' &&
+    stranger.forbidden === true && stranger.cancelled === false && stranger.job.status === JobStatuses.QUEUED &&
+    carol.deduplicated && carol.job.owners.length === 3 &&
+    aliceLeaves.released === true && aliceLeaves.cancelled === false &&
+    aliceLeaves.job.owners.join(',') === 'user:bob,user:carol' &&
+    shared.status === JobStatuses.SUCCEEDED && shared.result?.ok === true &&
+    soloCancel.cancelled === true && adminCancel.cancelled === true
+
+  console.log(`\n📊 Job Owners Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that queued and abandoned jobs survive a restart via the file store
+ */
+async function testRestart() {
+  console.log('💾 Testing Persistence Across Restarts...\n')
+
+  const dir = await mkdtemp(join(tmpdir(), 'scrape-jobs-'))
+  const path = join(dir, 'jobs.json')
+
+  try {
+    // First "server": queue two jobs, claim one, then go away mid-run
+    const before = new ScrapeJobQueue({ store: new FileJobStore(path), leaseMs: 50 })
+    const [abandoned, waiting] = await before.enqueue(['https://jobs-b.example/one', 'https://jobs-b.example/two'])
+    const claimed = await before.claim(abandoned.job, Date.now())
+
+    await sleep(60)
+
+    // Second "server": same file, fresh process state
+    const after = new ScrapeJobQueue({ store: new FileJobStore(path), scrapeOptions })
+    const [again] = await after.enqueue(['https://jobs-b.example/two'])
+    await after.drain()
+
+    const recovered = await after.get(abandoned.job.id)
+    const finished = await after.get(waiting.job.id)
+
+    console.log(`  Abandoned job: ${claimed.status} → ${recovered.status} after ${recovered.attempts} attempts`)
+    console.log(`  Queued job: ${finished.status}, re-queued request ${again.deduplicated ? 'shared it' : 'made a new job'}`)
+
+    const success = claimed.status === JobStatuses.RUNNING &&
+      recovered.status === JobStatuses.SUCCEEDED && recovered.attempts === 2 &&
+      finished.status === JobStatuses.SUCCEEDED && again.deduplicated && again.job.id === waiting.job.id
+
+    console.log(`\n📊 Restart Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scrape Job Queue Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Deduplication', fn: testDeduplication },
+    { name: 'Job Execution', fn: testRunningJobs },
+    { name: 'Conditional Re-Scrapes', fn: testConditionalJobs },
+    { name: 'Retries', fn: testRetries },
+    { name: 'Claim Order', fn: testRunnableFirst },
+    { name: 'Cancellation', fn: testCancellation },
+    { name: 'Job Owners', fn: testOwnership },
+    { name: 'Restart', fn: testRestart }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The job queue is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the job queue implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Live Scrap Lists
+ *
+ * Checks the merge behind useScraps().startLive: a scrap arriving twice
+ * (over Realtime and from a poll) is listed once, an update that stops
+ * matching the filters takes the scrap out, waiting scraps are shown in
+ * sort order and only new rows add to the total. Then reads changes from
+ * the in-memory Supabase client a page at a time: ties on the change
+ * time, a watermark that only moves as far as was read, and updates told
+ * apart from inserts.
+ *
+ * Run with: node scripts/test-live.mjs
+ */
+
+import {
+  readChanges,
+  receiveScrap,
+  showWaiting,
+  watermarkOf
+} from '../composables/scraps/list.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const at = time => `2026-10-01T${time}:00.000Z`
+
+/**
+ * A scrap with content, changed at the later of its two dates (the
+ * memory client has no computed columns, so `changed_at` is stored)
+ */
+function makeScrap(id, created, updated = created, overrides = {}) {
+  const scrap = {
+    id,
+    title: `Scrap ${id}`,
+    content: `Content of ${id}`,
+    summary: null,
+    screenshot_url: null,
+    type: 'article',
+    source: 'pinboard',
+    shared: true,
+    tags: [],
+    published_at: null,
+    created_at: at(created),
+    updated_at: at(updated),
+    ...overrides
+  }
+  return { ...scrap, changed_at: [scrap.created_at, scrap.updated_at].sort().pop() }
+}
+
+function makeList(scraps) {
+  return { scraps: [...scraps], newScraps: [], inserted: new Set(), total: scraps.length }
+}
+
+const ids = scraps => scraps.map(({ id }) => id).join(',')
+
+/**
+ * Test that a scrap seen twice is listed once
+ */
+async function testDeduplication() {
+  console.log('🪞 Testing Deduplication...\n')
+
+  const list = makeList([makeScrap('b', '09:00'), makeScrap('a', '08:00')])
+  const options = { sortBy: 'newest' }
+
+  // Over Realtime, then again from the poll after reconnecting
+  const arrived = makeScrap('c', '10:00')
+  receiveScrap(list, arrived, { ...options, inserted: true })
+  receiveScrap(list, arrived, { ...options, inserted: true })
+
+  // Updates to a listed and to a waiting scrap change them in place
+  receiveScrap(list, { ...makeScrap('a', '08:00', '10:30'), title: 'Renamed' }, options)
+  receiveScrap(list, { ...arrived, title: 'Retitled' }, options)
+
+  console.log(`  Listed: ${ids(list.scraps)}, waiting: ${ids(list.newScraps)}`)
+  console.log(`  Titles: ${list.scraps[1].title} / ${list.newScraps[0].title}`)
+
+  const success = ids(list.scraps) === 'b,a' && ids(list.newScraps) === 'c' &&
+    list.scraps[1].title === 'Renamed' && list.newScraps[0].title === 'Retitled' &&
+    list.inserted.has('c') && list.total === 2
+
+  console.log(`\n📊 Deduplication Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test updates that stop (or keep) matching the filters
+ */
+async function testFilterMismatch() {
+  console.log('🧹 Testing Updates Against the Filters...\n')
+
+  const list = makeList([makeScrap('b', '09:00'), makeScrap('a', '08:00')])
+  const options = { sortBy: 'newest', filters: { type: 'article' } }
+
+  receiveScrap(list, makeScrap('c', '10:00'), { ...options, inserted: true })
+  receiveScrap(list, makeScrap('d', '10:05', '10:05', { type: 'note' }), { ...options, inserted: true })
+
+  // Retyped: the listed one leaves the list and the total, the waiting one
+  // leaves the banner
+  receiveScrap(list, makeScrap('a', '08:00', '11:00', { type: 'note' }), options)
+  receiveScrap(list, makeScrap('c', '10:00', '11:00', { type: 'note' }), options)
+
+  // Realtime leaves out content an update didn't touch; the listed copy has it
+  const { content, ...partial } = makeScrap('b', '09:00', '11:30')
+  receiveScrap(list, { ...partial, title: 'Still here' }, options)
+
+  console.log(`  Listed: ${ids(list.scraps)} (total ${list.total}), waiting: ${ids(list.newScraps) || 'none'}`)
+  console.log(`  Partial update kept content: ${list.scraps[0].content === content}`)
+
+  const success = ids(list.scraps) === 'b' && list.total === 1 &&
+    list.newScraps.length === 0 && list.inserted.size === 0 &&
+    list.scraps[0].title === 'Still here' && list.scraps[0].content === content
+
+  console.log(`\n📊 Filter Mismatch Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that waiting scraps are shown in order and only new rows count
+ */
+async function testBanner() {
+  console.log('🔔 Testing the New Items Banner...\n')
+
+  const list = makeList([makeScrap('b', '07:00', '09:00'), makeScrap('a', '07:00', '08:00')])
+  const options = { sortBy: 'updated' }
+
+  receiveScrap(list, makeScrap('d', '10:00'), { ...options, inserted: true })
+  receiveScrap(list, makeScrap('e', '10:05'), { ...options, inserted: true })
+  // An old scrap from further down the list, updated to the top
+  receiveScrap(list, makeScrap('f', '01:00', '10:02'), options)
+  // Older than the first listed: left for loadMore
+  receiveScrap(list, makeScrap('g', '08:30'), { ...options, inserted: true })
+
+  const waiting = ids(list.newScraps)
+  // What the banner announces: the new rows, not f
+  const announced = list.inserted.size
+  showWaiting(list, 'updated')
+
+  console.log(`  Waiting in arrival order: ${waiting}, ${announced} announced as new`)
+  console.log(`  Shown: ${ids(list.scraps)}, total ${list.total}`)
+
+  const success = waiting === 'd,e,f' && announced === 2 &&
+    ids(list.scraps) === 'e,f,d,b,a' && list.total === 4 &&
+    list.newScraps.length === 0 && list.inserted.size === 0
+
+  console.log(`\n📊 Banner Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test reading changes a page at a time from a watermark
+ */
+async function testPolling() {
+  console.log('⏱️  Testing the Polling Watermark...\n')
+
+  // r2-r4 changed at the same moment, so pages of two split the tie
+  const rows = [
+    makeScrap('r1', '09:00'),
+    makeScrap('r2', '09:30'),
+    makeScrap('r3', '09:00', '09:30'),
+    makeScrap('r4', '09:30'),
+    makeScrap('r5', '09:45'),
+    makeScrap('skipped', '09:50', '09:50', { content: null })
+  ]
+  const supabase = createMemoryClient({ scraps: rows })
+  const query = () => supabase
+    .from('scraps')
+    .select('*')
+    .or('content.not.is.null,summary.not.is.null,screenshot_url.not.is.null')
+
+  const read = []
+  const onRow = (row, inserted) => read.push(`${row.id}${inserted ? '+' : ''}`)
+
+  const first = await readChanges(query, watermarkOf(rows[0]), onRow, { limit: 2 })
+  const firstRead = read.splice(0).join(',')
+
+  // An update to r2 and a new r6 since
+  const scraps = supabase.tables.scraps
+  Object.assign(scraps.find(({ id }) => id === 'r2'), { updated_at: at('10:00'), changed_at: at('10:00') })
+  scraps.push(makeScrap('r6', '10:10'))
+
+  // At most one page of one: the watermark stops at the row read
+  const cut = await readChanges(query, first, onRow, { limit: 1, pages: 1 })
+  const rest = await readChanges(query, cut, onRow, { limit: 1, pages: 5 })
+  const laterRead = read.splice(0).join(',')
+  const idle = await readChanges(query, rest, onRow, { limit: 2 })
+
+  console.log(`  From r1: ${firstRead}, watermark ${first.id} at ${first.at}`)
+  console.log(`  After an update and an insert: ${laterRead} (watermarks ${cut.id}, ${rest.id})`)
+  console.log(`  Nothing new: ${read.length} rows, watermark ${idle.id}`)
+
+  const success = firstRead === 'r2+,r3,r4+,r5+' && first.id === 'r5' &&
+    laterRead === 'r2,r6+' && cut.id === 'r2' && rest.id === 'r6' &&
+    read.length === 0 && idle === rest
+
+  console.log(`\n📊 Polling Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Live Scrap List Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Deduplication', fn: testDeduplication },
+    { name: 'Filter Mismatch', fn: testFilterMismatch },
+    { name: 'Banner', fn: testBanner },
+    { name: 'Polling', fn: testPolling }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Live scrap lists are working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the live list implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Metadata Harvester
+ *
+ * Harvests the saved pages in scripts/fixtures/metadata and checks the
+ * normalized fields and the source recorded for each. oEmbed endpoints are
+ * served from the matching *.oembed.json fixture, so no network is needed.
+ *
+ * Run with: node scripts/test-metadata.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { harvestMetadata, MetadataSources } from '../server/lib/scraper/metadata.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures', 'metadata')
+
+const readFixture = file => readFileSync(join(fixturesDir, file), 'utf8')
+
+/**
+ * Offline transport that answers oEmbed requests from a fixture file
+ */
+function fixtureTransport(oembedFile) {
+  const requested = []
+  return {
+    requested,
+    fetch: async (url) => {
+      requested.push(url)
+      return {
+        status: 200,
+        url,
+        headers: { 'content-type': 'application/json' },
+        text: () => Promise.resolve(readFixture(oembedFile))
+      }
+    }
+  }
+}
+
+const testCases = [
+  {
+    name: 'JSON-LD article with OpenGraph, Twitter player and oEmbed video',
+    page: 'video-story.html',
+    url: 'https://metroweekly.example/arts/film-lab',
+    oembed: 'video-story.oembed.json',
+    expect: (metadata, transport) => ({
+      'author from JSON-LD': metadata.author === 'Dana Reyes, Tom Whitfield' && metadata.sources.author === MetadataSources.JSON_LD,
+      'section from JSON-LD': metadata.section === 'Arts' && metadata.sources.section === MetadataSources.JSON_LD,
+      'keywords deduped': JSON.stringify(metadata.keywords) === JSON.stringify(['film', 'photography']),
+      'modified date from JSON-LD': metadata.modified_at === '2025-02-05T14:00:00.000Z',
+      'publisher with logo': metadata.publisher?.name === 'Metro Weekly' && metadata.publisher?.logo === 'https://metroweekly.example/logo.png',
+      'video from JSON-LD': metadata.video?.embed_url === 'https://player.metroweekly.example/embed/lab-tour' && metadata.video?.duration === 'PT3M12S',
+      'lead image has OpenGraph dimensions': metadata.images[0]?.url === 'https://cdn.metroweekly.example/photos/lab-hero.jpg' && metadata.images[0]?.width === 1600 && metadata.images[0]?.height === 900,
+      'second OpenGraph image kept': metadata.images.some(image => image.url.endsWith('lab-square.jpg') && image.width === 800),
+      'oEmbed thumbnail kept': metadata.images.some(image => image.url.endsWith('lab-tour.jpg') && image.source === MetadataSources.OEMBED),
+      'oEmbed endpoint resolved': transport.requested[0] === 'https://metroweekly.example/oembed?url=https%3A%2F%2Fmetroweekly.example%2Farts%2Ffilm-lab'
+    })
+  },
+  {
+    name: 'Twitter card and plain meta tags with oEmbed photo',
+    page: 'photo-post.html',
+    url: 'https://photos.example/kai/4821',
+    oembed: 'photo-post.oembed.json',
+    expect: (metadata) => ({
+      'title from Twitter': metadata.title === 'Morning fog over the harbour' && metadata.sources.title === MetadataSources.TWITTER,
+      'author from oEmbed': metadata.author === 'Kai Lindqvist' && metadata.sources.author === MetadataSources.OEMBED,
+      'publisher from oEmbed': metadata.publisher?.name === 'Photos Example' && metadata.sources.publisher === MetadataSources.OEMBED,
+      'keywords from meta tags': metadata.keywords?.length === 3 && metadata.sources.keywords === MetadataSources.HTML,
+      'image alt from Twitter, size from oEmbed': metadata.images[0]?.alt === 'Boats half hidden in fog' && metadata.images[0]?.width === 2048,
+      'no video': metadata.video === undefined
+    })
+  },
+  {
+    name: 'oEmbed disabled',
+    page: 'video-story.html',
+    url: 'https://metroweekly.example/arts/film-lab',
+    oembed: 'video-story.oembed.json',
+    options: { oembed: false },
+    expect: (metadata, transport) => ({
+      'no oEmbed request': transport.requested.length === 0,
+      'discovery link still recorded': metadata.oembed_url?.startsWith('https://metroweekly.example/oembed'),
+      'no oEmbed values': !Object.values(metadata.sources).includes(MetadataSources.OEMBED)
+    })
+  }
+]
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Metadata Harvester Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const results = []
+
+  for (const { name, page, url, oembed, options = {}, expect } of testCases) {
+    console.log(`🏷️  ${name}`)
+
+    try {
+      const transport = fixtureTransport(oembed)
+      const metadata = await harvestMetadata(readFixture(page), url, { transport, ...options })
+      const checks = expect(metadata, transport)
+
+      Object.entries(checks).forEach(([check, passed]) => {
+        console.log(`  ${passed ? '✅' : '❌'} ${check}`)
+      })
+
+      const passed = Object.values(checks).every(Boolean)
+      if (!passed) console.log('  Harvested:', JSON.stringify(metadata, null, 2))
+      results.push({ name, passed })
+    } catch (error) {
+      console.error(`  ❌ Harvester threw an exception:`, error.message)
+      results.push({ name, passed: false })
+    }
+    console.log('')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All metadata harvested correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the harvester implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
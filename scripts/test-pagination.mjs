@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Scrap List Pagination
+ *
+ * Reads each sort of useScraps().fetchScraps a page at a time from the
+ * in-memory Supabase client, through rows with no published_at or
+ * updated_at, rows tied on every timestamp, and scraps added between
+ * pages, and checks every row comes once and in order. Then checks that
+ * loadMore keeps the sort and count of the first page, and that a cursor
+ * from another sort is refused.
+ *
+ * Run with: node scripts/test-pagination.mjs
+ */
+
+import {
+  SORT_ORDERS,
+  compareScraps,
+  decodeCursor,
+  encodeCursor,
+  matchesFilters,
+  nextPageOptions,
+  pageOptions,
+  readPage
+} from '../composables/scraps/list.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const at = time => (time ? `2026-10-01T${time}:00.000Z` : null)
+
+function makeScrap(id, created, updated, published, overrides = {}) {
+  return {
+    id,
+    title: `Scrap ${id}`,
+    content: `Content of ${id}`,
+    summary: null,
+    screenshot_url: null,
+    type: 'article',
+    source: 'pinboard',
+    shared: true,
+    tags: [],
+    created_at: at(created),
+    updated_at: at(updated),
+    published_at: at(published),
+    ...overrides
+  }
+}
+
+// Pairs tied on every timestamp (s01/s02, s04/s05, s06/s07), and rows
+// without updated_at or published_at on each side of the others
+const makeRows = () => [
+  makeScrap('s01', '08:00', null, null),
+  makeScrap('s02', '08:00', null, null),
+  makeScrap('s03', '08:00', '09:00', null),
+  makeScrap('s04', '08:10', '09:00', null),
+  makeScrap('s05', '08:10', '09:00', null),
+  makeScrap('s06', '07:00', '07:00', '06:00'),
+  makeScrap('s07', '07:00', '07:00', '06:00'),
+  makeScrap('s08', '07:30', '10:00', '06:00'),
+  makeScrap('s09', '06:00', '06:00', '05:00'),
+  makeScrap('s10', '06:00', null, '05:00'),
+  makeScrap('s11', '09:00', '09:30', null),
+  makeScrap('s12', '05:00', '05:00', null),
+  makeScrap('bare', '08:05', '08:05', null, { content: null })
+]
+
+// Added after the first page: one at the top of each sort, one further
+// down, and one tied with listed rows
+const makeArrivals = () => [
+  makeScrap('n1', '11:00', '11:00', '11:00'),
+  makeScrap('n2', '04:00', '04:00', '04:00'),
+  makeScrap('n3', '07:00', '07:00', '06:00')
+]
+
+const scrapsQuery = (supabase, count) => supabase
+  .from('scraps')
+  .select('*', count ? { count } : undefined)
+  .or('content.not.is.null,summary.not.is.null,screenshot_url.not.is.null')
+
+const ids = scraps => scraps.map(({ id }) => id).join(',')
+
+/**
+ * Read every page of a sort, adding scraps after the first
+ */
+async function readSort(sortBy) {
+  const supabase = createMemoryClient({ scraps: makeRows() })
+  const page = pageOptions({ sortBy, limit: 4 })
+  const read = []
+  let options = page
+  let cursor = null
+  let pages = 0
+
+  do {
+    const result = await readPage(scrapsQuery(supabase), { ...options, cursor })
+    read.push(...result.rows)
+    cursor = result.nextCursor
+    options = nextPageOptions(options, cursor)
+    pages++
+
+    if (pages === 1) supabase.tables.scraps.push(...makeArrivals())
+  } while (cursor && pages < 20)
+
+  // Every row there was, except arrivals that sort above where the
+  // second page started
+  const firstPageEnd = read[page.limit - 1]
+  const expected = supabase.tables.scraps
+    .filter(scrap => matchesFilters(scrap))
+    .filter(scrap => !scrap.id.startsWith('n') || compareScraps(scrap, firstPageEnd, sortBy) > 0)
+    .sort((a, b) => compareScraps(a, b, sortBy))
+
+  return { read, expected, pages }
+}
+
+/**
+ * Test that each sort reads every row once and in order
+ */
+async function testEverySort() {
+  console.log('📄 Testing Paging Through Each Sort...\n')
+
+  let success = true
+  for (const sortBy of Object.keys(SORT_ORDERS)) {
+    const { read, expected, pages } = await readSort(sortBy)
+    const unique = new Set(read.map(({ id }) => id)).size === read.length
+    const complete = ids(read) === ids(expected)
+
+    console.log(`  ${sortBy}: ${pages} pages, ${ids(read)}`)
+    if (!complete) console.log(`    expected ${ids(expected)}`)
+    if (!unique) console.log('    some rows were read twice')
+
+    success = success && unique && complete && pages > 1
+  }
+
+  console.log(`\n📊 Sort Paging Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the next page keeps the options of the first
+ */
+async function testLoadMoreOptions() {
+  console.log('➕ Testing loadMore Options...\n')
+
+  const supabase = createMemoryClient({ scraps: makeRows() })
+  const first = pageOptions({ sortBy: 'oldest', count: 'estimated', limit: 5, filters: { type: 'article' } })
+  const { rows, nextCursor, count } = await readPage(scrapsQuery(supabase, first.count), first)
+
+  const next = nextPageOptions(first, nextCursor)
+  const refiltered = nextPageOptions(first, nextCursor, { type: 'note' })
+  const second = await readPage(scrapsQuery(supabase), next)
+
+  console.log(`  First page: ${ids(rows)} of ${count}`)
+  console.log(`  Next page: ${next.sortBy} sort, ${next.count} count, limit ${next.limit}: ${ids(second.rows)}`)
+  console.log(`  With new filters: ${refiltered.sortBy} sort, ${refiltered.count} count, type ${refiltered.filters.type}`)
+
+  const defaults = pageOptions()
+  const success = next.sortBy === 'oldest' && next.count === 'estimated' &&
+    next.limit === 5 && next.filters.type === 'article' && next.cursor === nextCursor &&
+    refiltered.sortBy === 'oldest' && refiltered.count === 'estimated' &&
+    refiltered.filters.type === 'note' &&
+    count === 12 && ids(rows) === 's12,s09,s10,s06,s07' &&
+    second.rows[0].id === 's08' &&
+    defaults.sortBy === 'newest' && defaults.count === 'exact' && defaults.limit === 20
+
+  console.log(`\n📊 loadMore Options Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that a cursor is only taken by the sort it came from
+ */
+async function testForeignCursor() {
+  console.log('🚫 Testing Cursors From Another Sort...\n')
+
+  const supabase = createMemoryClient({ scraps: makeRows() })
+  const scrap = makeRows()[5]
+  const sorts = Object.keys(SORT_ORDERS)
+
+  let success = true
+  for (const from of sorts) {
+    const cursor = encodeCursor(from, scrap)
+    success = success && decodeCursor(cursor, from).length === SORT_ORDERS[from].length
+
+    for (const sortBy of sorts.filter(sort => sort !== from)) {
+      try {
+        await readPage(scrapsQuery(supabase), { ...pageOptions({ sortBy }), cursor })
+        console.log(`  ❌ A ${from} cursor was taken by the ${sortBy} sort`)
+        success = false
+      } catch (error) {
+        const refused = error.message === `Invalid cursor for the ${sortBy} sort`
+        console.log(`  ${refused ? '✅' : '❌'} ${from} cursor, ${sortBy} sort: ${error.message}`)
+        success = success && refused
+      }
+    }
+  }
+
+  // Same length as a newest key, but labelled for another sort
+  const relabelled = btoa(JSON.stringify(['updated', null, null, null, 's06']))
+  for (const cursor of [relabelled, 'not a cursor']) {
+    try {
+      decodeCursor(cursor, 'newest')
+      success = false
+    } catch (error) {
+      console.log(`  ✅ ${JSON.stringify(cursor)}: ${error.message}`)
+    }
+  }
+
+  console.log(`\n📊 Foreign Cursor Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scrap Pagination Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Sort Paging', fn: testEverySort },
+    { name: 'loadMore Options', fn: testLoadMoreOptions },
+    { name: 'Foreign Cursor', fn: testForeignCursor }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Scrap pagination is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the pagination implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Paywall Detection
+ *
+ * Runs every saved page in scripts/fixtures/paywall through the extractor
+ * and the paywall detector and checks the verdict and signals listed for it
+ * in expected.json, then checks that scrapes carry the `paywall` flag and
+ * that error classification no longer trips on newsletter footers.
+ *
+ * Run with: node scripts/test-paywall.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { extractArticle } from '../server/lib/scraper/extractor.js'
+import { detectPaywall } from '../server/lib/scraper/paywall.js'
+import { classifyError, ErrorTypes } from '../server/lib/scraper/error-handler.js'
+import { scrapeUrl } from '../server/lib/scraper/demo-scraper.js'
+import { MockHttpClient } from '../server/lib/scraper/http-client.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures', 'paywall')
+
+const expectations = JSON.parse(readFileSync(join(fixturesDir, 'expected.json'), 'utf8'))
+
+function readFixture(file) {
+  return readFileSync(join(fixturesDir, file), 'utf8')
+}
+
+/**
+ * Test each fixture's verdict and signals
+ */
+async function testFixtures() {
+  console.log('🧱 Testing Paywall Fixtures...\n')
+
+  let success = true
+  for (const [file, expected] of Object.entries(expectations)) {
+    const html = readFixture(file)
+    const article = extractArticle(html, expected.url)
+    const detection = detectPaywall(html, { content: article.content })
+    const names = detection.signals.map(signal => signal.name)
+
+    const verdictOk = detection.paywall === expected.paywall
+    const missing = (expected.signals || []).filter(name => !names.includes(name))
+    const unexpected = (expected.absent || []).filter(name => names.includes(name))
+    const passed = verdictOk && !missing.length && !unexpected.length
+
+    console.log(`  ${passed ? '✅' : '❌'} ${file}: paywall ${detection.paywall} (${detection.confidence}) [${names.join(', ')}]`)
+    if (missing.length) console.log(`     missing: ${missing.join(', ')}`)
+    if (unexpected.length) console.log(`     unexpected: ${unexpected.join(', ')}`)
+    if (!passed) success = false
+  }
+
+  console.log(`\n📊 Fixtures Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that paywalled pages come back as successful scrapes with the flag
+ */
+async function testScrapeFlag() {
+  console.log('🏷️  Testing Scrape Flag...\n')
+
+  const options = { transport: MockHttpClient, validatorStore: false, oembed: false, renderingTier: false }
+  const teaser = await scrapeUrl('https://paywall-news.com/premium-article', options)
+  const open = await scrapeUrl('https://good-site.com/normal-article', options)
+
+  console.log(`  Teaser: success ${teaser.success}, paywall ${teaser.data?.paywall}, confidence ${teaser.data?.metadata.paywall?.confidence}`)
+  console.log(`  Open article: success ${open.success}, paywall ${open.data?.paywall}`)
+
+  const success = teaser.success && teaser.data.paywall === true &&
+    teaser.data.metadata.paywall.confidence >= 0.5 &&
+    teaser.data.metadata.paywall.signals.some(signal => signal.name === 'paywall_container') &&
+    open.success && open.data.paywall === false && open.data.metadata.paywall.detected === false
+
+  console.log(`\n📊 Scrape Flag Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that error classification uses the structural detector
+ */
+async function testClassification() {
+  console.log('🔍 Testing Error Classification...\n')
+
+  const footer = classifyError(null, { status: 200 }, readFixture('newsletter-footer.html'))
+  const gated = classifyError(null, { status: 200 }, readFixture('piano-teaser.html'))
+
+  console.log(`  Newsletter footer page: ${footer.type}`)
+  console.log(`  Gated teaser page: ${gated.type} (${gated.message})`)
+
+  const success = footer.type !== ErrorTypes.PAYWALL && gated.type === ErrorTypes.PAYWALL
+
+  console.log(`\n📊 Classification Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Paywall Detection Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Fixtures', fn: testFixtures },
+    { name: 'Scrape Flag', fn: testScrapeFlag },
+    { name: 'Classification', fn: testClassification }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Paywall detection is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the paywall detector.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Scrape Persistence
+ *
+ * Exercises URL normalization and the `scraps` upsert against the
+ * in-memory Supabase stand-in, so no database is needed.
+ *
+ * Run with: node scripts/test-persist.mjs
+ */
+
+import { normalizeUrl } from '../server/lib/scraper/normalize-url.js'
+import { saveScrape, SaveActions } from '../server/lib/scraper/persist.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+/**
+ * Build an article shaped like scrapeUrl's output
+ */
+function makeArticle(overrides = {}) {
+  return {
+    title: 'Harbour ferry returns after winter refit',
+    content: 'The ferry is back in service.\n\nTimetables are unchanged.',
+    summary: 'The harbour ferry resumed service on Monday.',
+    published_at: '2025-04-07T08:00:00.000Z',
+    url: 'https://news.example/ferry-returns',
+    requestedUrl: 'https://news.example/ferry-returns?utm_source=rss',
+    metadata: { byline: 'Ana Costa', images: [{ url: 'https://news.example/ferry.jpg' }] },
+    extractedAt: new Date().toISOString(),
+    httpStatus: 200,
+    ...overrides
+  }
+}
+
+/**
+ * Test URL normalization
+ */
+async function testNormalizeUrl() {
+  console.log('🔗 Testing URL Normalization...\n')
+
+  const testCases = [
+    ['https://News.Example/story/?utm_source=rss&utm_medium=feed', 'https://news.example/story'],
+    ['https://news.example/story#comments', 'https://news.example/story'],
+    ['https://news.example:443/story//', 'https://news.example/story'],
+    ['https://news.example/search?q=ferry&fbclid=abc&page=2', 'https://news.example/search?page=2&q=ferry'],
+    ['https://news.example/', 'https://news.example'],
+    ['ftp://news.example/file', null],
+    ['not a url', null]
+  ]
+
+  let passed = 0
+  testCases.forEach(([input, expected]) => {
+    const result = normalizeUrl(input)
+    const success = result === expected
+    console.log(`  ${success ? '✅' : '❌'} ${input} → ${result}`)
+    if (success) passed++
+  })
+
+  console.log(`\n📊 Normalization Tests: ${passed}/${testCases.length} passed\n`)
+  return passed === testCases.length
+}
+
+/**
+ * Test create → unchanged → updated lifecycle
+ */
+async function testSaveLifecycle() {
+  console.log('💾 Testing Save Lifecycle...\n')
+
+  const supabase = createMemoryClient({ scraps: [] })
+
+  const created = await saveScrape(supabase, makeArticle(), { source: 'pinboard', shared: true })
+  console.log(`  First save: ${created.action}`)
+
+  const again = await saveScrape(supabase, makeArticle())
+  console.log(`  Identical re-save: ${again.action}`)
+
+  const updated = await saveScrape(
+    supabase,
+    makeArticle({ content: 'The ferry is back in service.\n\nA new evening sailing starts in May.' })
+  )
+  console.log(`  Re-save with new content: ${updated.action} (${updated.changed.join(', ')})`)
+
+  const rows = supabase.tables.scraps
+  const row = rows[0]
+
+  const success =
+    created.action === SaveActions.CREATED &&
+    again.action === SaveActions.UNCHANGED &&
+    updated.action === SaveActions.UPDATED &&
+    updated.changed.includes('content') &&
+    rows.length === 1 &&
+    row.url === 'https://news.example/ferry-returns' &&
+    row.source === 'pinboard' &&
+    row.shared === true &&
+    row.type === 'article' &&
+    row.content.includes('evening sailing')
+
+  console.log(`  Rows stored: ${rows.length}`)
+  console.log(`\n📊 Lifecycle Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that curated fields survive a re-scrape and legacy URLs are matched
+ */
+async function testCuratedFields() {
+  console.log('✍️  Testing Curated Field Protection...\n')
+
+  const supabase = createMemoryClient({
+    scraps: [
+      {
+        id: 'existing-1',
+        created_at: '2024-01-01T00:00:00.000Z',
+        url: 'https://news.example/ferry-returns/?utm_campaign=spring#top',
+        title: 'Ferry is back (edited)',
+        summary: 'Hand-written summary.',
+        tags: ['transport', 'harbour'],
+        content: null,
+        type: 'link',
+        source: 'pinboard',
+        metadata: { original: { toread: 'yes' } }
+      }
+    ]
+  })
+
+  const result = await saveScrape(supabase, makeArticle(), { type: 'article' })
+  const row = supabase.tables.scraps[0]
+
+  console.log(`  Action: ${result.action} (${result.changed.join(', ')})`)
+  console.log(`  Title kept: ${row.title}`)
+  console.log(`  Tags kept: ${row.tags.join(', ')}`)
+
+  const success =
+    result.action === SaveActions.UPDATED &&
+    result.id === 'existing-1' &&
+    supabase.tables.scraps.length === 1 &&
+    row.title === 'Ferry is back (edited)' &&
+    row.summary === 'Hand-written summary.' &&
+    row.tags.join(',') === 'transport,harbour' &&
+    row.content.startsWith('The ferry is back') &&
+    row.type === 'article' &&
+    row.source === 'pinboard' &&
+    row.metadata.original?.toread === 'yes' &&
+    row.metadata.byline === 'Ana Costa'
+
+  console.log(`\n📊 Curated Fields Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scrape Persistence Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'URL Normalization', fn: testNormalizeUrl },
+    { name: 'Save Lifecycle', fn: testSaveLifecycle },
+    { name: 'Curated Fields', fn: testCuratedFields }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Persistence is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the persistence implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Politeness Layer
+ *
+ * Checks robots.txt parsing against scripts/fixtures/robots, the robots
+ * cache's handling of missing and failing files, per-host pacing and
+ * concurrency, and the robots_blocked error from the error handler.
+ * robots.txt is served from the fixture, so no network is needed.
+ *
+ * Run with: node scripts/test-politeness.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { parseRobots, checkRobots, RobotsCache } from '../server/lib/scraper/robots.js'
+import { Politeness } from '../server/lib/scraper/politeness.js'
+import { ScrapingErrorHandler, ErrorTypes } from '../server/lib/scraper/error-handler.js'
+import { CircuitBreaker } from '../server/lib/scraper/circuit-breaker.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const robotsTxt = readFileSync(join(__dirname, 'fixtures', 'robots', 'news-site.txt'), 'utf8')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Offline transport: serves robots.txt per host and records requests
+ */
+function fixtureTransport(responses = {}) {
+  const requested = []
+  return {
+    requested,
+    fetch: async (url) => {
+      requested.push(url)
+      const { host } = new URL(url)
+      const response = responses[host] ?? { status: 200, body: robotsTxt }
+      if (response instanceof Error) throw response
+      return {
+        status: response.status,
+        url,
+        headers: { 'content-type': 'text/plain' },
+        text: () => Promise.resolve(response.body || '')
+      }
+    }
+  }
+}
+
+/**
+ * Test rule matching for different user agents
+ */
+async function testRobotsRules() {
+  console.log('🤖 Testing robots.txt Rules...\n')
+
+  const robots = parseRobots(robotsTxt)
+  const testCases = [
+    { agent: 'Demo-Scraper/1.0', path: '/news/story', allowed: true },
+    { agent: 'Demo-Scraper/1.0', path: '/drafts/story', allowed: false },
+    { agent: 'Demo-Scraper/1.0', path: '/drafts/published/story', allowed: true },
+    { agent: 'Demo-Scraper/1.0', path: '/reports/annual.pdf', allowed: false },
+    { agent: 'Demo-Scraper/1.0', path: '/reports/annual.pdf?download=1', allowed: true },
+    { agent: 'Demo-Scraper/1.0', path: '/search?q=ferry', allowed: true },
+    { agent: 'SomeCrawler/2.0', path: '/search?q=ferry', allowed: false },
+    { agent: 'SomeCrawler/2.0', path: '/private/press-kit', allowed: true },
+    { agent: 'SomeCrawler/2.0', path: '/private/press-kit/logo.png', allowed: false },
+    { agent: 'BlockedBot', path: '/news/story', allowed: false },
+    { agent: 'BlockedBot', path: '/robots.txt', allowed: true }
+  ]
+
+  let passed = 0
+  testCases.forEach(({ agent, path, allowed }) => {
+    const result = checkRobots(robots, path, agent)
+    const success = result.allowed === allowed
+    console.log(`  ${success ? '✅' : '❌'} ${agent} ${path} → ${result.allowed ? 'allowed' : 'blocked'}${result.rule ? ` (${result.rule.allow ? 'Allow' : 'Disallow'}: ${result.rule.path})` : ''}`)
+    if (success) passed++
+  })
+
+  const ownDelay = checkRobots(robots, '/', 'Demo-Scraper/1.0').crawlDelay
+  const defaultDelay = checkRobots(robots, '/', 'SomeCrawler').crawlDelay
+  const delaysOk = ownDelay === 0.2 && defaultDelay === 2
+  console.log(`  ${delaysOk ? '✅' : '❌'} Crawl-delay: ${ownDelay}s for us, ${defaultDelay}s for others`)
+
+  const success = passed === testCases.length && delaysOk
+  console.log(`\n📊 Rules Test: ${passed}/${testCases.length} paths, ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test caching and the fetch outcome rules
+ */
+async function testRobotsCache() {
+  console.log('🗃️  Testing robots.txt Cache...\n')
+
+  const transport = fixtureTransport({
+    'missing.example': { status: 404 },
+    'broken.example': { status: 503 },
+    'offline.example': Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+  })
+  const politeness = new Politeness({ transport })
+
+  await Promise.all([
+    politeness.check('https://news.example/a'),
+    politeness.check('https://news.example/b'),
+    politeness.check('https://news.example/c')
+  ])
+  const fetchesForNews = transport.requested.filter(url => url.startsWith('https://news.example')).length
+
+  const missing = await politeness.check('https://missing.example/anything')
+  const broken = await politeness.check('https://broken.example/anything')
+  const offline = await politeness.check('https://offline.example/anything')
+
+  console.log(`  robots.txt fetches for 3 news.example checks: ${fetchesForNews}`)
+  console.log(`  404 robots.txt: ${missing.allowed ? 'allowed' : 'blocked'}`)
+  console.log(`  503 robots.txt: ${broken.allowed ? 'allowed' : 'blocked'}`)
+  console.log(`  Unreachable robots.txt: ${offline.allowed ? 'allowed' : 'blocked'}`)
+
+  const cache = new RobotsCache({ ttlMs: 0, transport })
+  await cache.get('https://news.example/a')
+  await cache.get('https://news.example/a')
+  const refetched = transport.requested.filter(url => url.startsWith('https://news.example')).length - fetchesForNews
+
+  const success = fetchesForNews === 1 && missing.allowed && !broken.allowed && offline.allowed && refetched === 2
+  console.log(`\n📊 Cache Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test per-host gaps, Crawl-delay and concurrency limits
+ */
+async function testHostPacing() {
+  console.log('⏱️  Testing Per-Host Pacing...\n')
+
+  const transport = fixtureTransport({ 'fast.example': { status: 404 } })
+  const politeness = new Politeness({ transport, minGapMs: 50, maxConcurrentPerHost: 2 })
+
+  const starts = {}
+  let running = 0
+  let maxRunning = 0
+  const job = (url, duration) => politeness.run(url, async () => {
+    const { host } = new URL(url)
+    ;(starts[host] = starts[host] || []).push(Date.now())
+    if (host === 'fast.example') running++
+    maxRunning = Math.max(maxRunning, running)
+    await sleep(duration)
+    if (host === 'fast.example') running--
+  })
+
+  const began = Date.now()
+  await Promise.all([
+    ...[1, 2, 3, 4].map(i => job(`https://fast.example/story-${i}`, 120)),
+    ...[1, 2, 3].map(i => job(`https://news.example/story-${i}`, 10))
+  ])
+
+  const gaps = host => starts[host].slice(1).map((time, i) => time - starts[host][i])
+  const fastGaps = gaps('fast.example')
+  const newsGaps = gaps('news.example')
+
+  console.log(`  fast.example start gaps (min gap 50ms, 2 at a time): ${fastGaps.join(', ')}ms`)
+  console.log(`  news.example start gaps (Crawl-delay 0.2s): ${newsGaps.join(', ')}ms`)
+  console.log(`  Most fast.example requests in flight at once: ${maxRunning}`)
+  console.log(`  news.example started ${starts['news.example'][0] - began}ms in (not queued behind fast.example)`)
+
+  // Allow a few ms of timer slack
+  const success =
+    fastGaps.every(gap => gap >= 45) &&
+    starts['fast.example'][2] - starts['fast.example'][0] >= 115 &&
+    newsGaps.every(gap => gap >= 195) &&
+    starts['news.example'][0] - began < 100 &&
+    maxRunning === 2
+
+  console.log(`\n📊 Pacing Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that rate limits slow down everything queued for the host
+ */
+async function testRateLimitSlowdown() {
+  console.log('🐢 Testing Rate-Limit Slowdown...\n')
+
+  const transport = fixtureTransport({ 'busy.example': { status: 404 } })
+  const politeness = new Politeness({ transport, minGapMs: 20, maxConcurrentPerHost: 1 })
+
+  const rateLimited = retryAfter => {
+    const error = new Error('HTTP Error')
+    error.response = { status: 429, headers: retryAfter ? { 'retry-after': retryAfter } : {} }
+    return error
+  }
+
+  const starts = []
+  let slowdownAfterTwo = null
+  const outcomes = [
+    () => { throw rateLimited('1') },
+    () => { throw rateLimited() },
+    () => { slowdownAfterTwo = politeness.scheduler.status()['busy.example'].slowdown },
+    () => {}
+  ]
+
+  await Promise.allSettled(outcomes.map((outcome, i) =>
+    politeness.run(`https://busy.example/story-${i}`, async () => {
+      starts.push(Date.now())
+      outcome()
+    })
+  ))
+
+  const gaps = starts.slice(1).map((time, i) => time - starts[i])
+  const finalSlowdown = politeness.scheduler.status()['busy.example'].slowdown
+
+  console.log(`  Start gaps: ${gaps.join(', ')}ms`)
+  console.log(`  Gap multiplier after two 429s: ${slowdownAfterTwo}x, after a success: ${finalSlowdown}x`)
+
+  // Queued request waited out Retry-After: 1; then the doubled 40ms gap applied
+  const success =
+    gaps[0] >= 990 &&
+    gaps[1] >= 38 &&
+    slowdownAfterTwo === 2 &&
+    finalSlowdown === 1
+
+  console.log(`\n📊 Slowdown Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that a robots block surfaces as its own error type
+ */
+async function testHandlerIntegration() {
+  console.log('🛡️  Testing Error Handler Integration...\n')
+
+  const transport = fixtureTransport()
+  const handler = new ScrapingErrorHandler({
+    maxRetries: 2,
+    baseDelay: 10,
+    logErrors: false,
+    circuitBreaker: new CircuitBreaker(),
+    politeness: new Politeness({ transport, minGapMs: 0 })
+  })
+
+  let calls = 0
+  const operation = async () => {
+    calls++
+    return { title: 'Draft' }
+  }
+
+  const blocked = await handler.wrap('https://news.example/drafts/budget', operation, {}, { userAgent: 'Demo-Scraper/1.0' })
+  const allowed = await handler.wrap('https://news.example/news/budget', operation, {}, { userAgent: 'Demo-Scraper/1.0' })
+  const status = await handler.getCircuitBreakerStatus()
+
+  console.log(`  Disallowed URL: ${blocked.error?.type} - ${blocked.error?.message}`)
+  console.log(`  Allowed URL: ${allowed.success ? 'success' : allowed.error.type}`)
+  console.log(`  Operation calls: ${calls}`)
+
+  const success =
+    blocked.error?.type === ErrorTypes.ROBOTS_BLOCKED &&
+    blocked.error.canRetry === false &&
+    allowed.success &&
+    calls === 1 &&
+    !status.domains['news.example']
+
+  console.log(`\n📊 Integration Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Politeness Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'robots.txt Rules', fn: testRobotsRules },
+    { name: 'robots.txt Cache', fn: testRobotsCache },
+    { name: 'Per-Host Pacing', fn: testHostPacing },
+    { name: 'Rate-Limit Slowdown', fn: testRateLimitSlowdown },
+    { name: 'Error Handler Integration', fn: testHandlerIntegration }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The politeness layer is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the politeness implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
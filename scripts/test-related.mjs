@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Related Scraps and Semantic Search
+ *
+ * Uses the in-memory Supabase client. Checks reading and comparing
+ * vectors, nearest neighbours by in-process cosine similarity (rows
+ * without embeddings, other spaces, paging), that the Postgres function
+ * is used when it exists (and how its errors come back), semantic search
+ * through stand-in embedders with kept query embeddings, and the OpenAI
+ * and Ollama request formats.
+ *
+ * Run with: node scripts/test-related.mjs
+ */
+
+import { OllamaEmbedder, OpenAIEmbedder } from '../server/lib/embeddings/embedders.js'
+import { MATCH_FUNCTION, ScrapNeighbours } from '../server/lib/embeddings/neighbours.js'
+import { cosineSimilarity, formatVector, parseVector } from '../server/lib/embeddings/vectors.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+/**
+ * A scrap with just the fields the lookups read
+ */
+function makeScrap(id, overrides = {}) {
+  return {
+    id,
+    title: `Scrap ${id}`,
+    content: `Long content of ${id}`,
+    summary: null,
+    screenshot_url: null,
+    url: `https://example.com/${id}`,
+    embedding: null,
+    embedding_nomic: null,
+    image_embedding: null,
+    created_at: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  }
+}
+
+/**
+ * Ferries near each other, a bus further off; the nomic space disagrees
+ */
+function seedScraps() {
+  return [
+    // PostgREST sends pgvector columns as text
+    makeScrap('ferry', { embedding: '[1,0,0]', embedding_nomic: [0, 1] }),
+    makeScrap('ferry-2', { embedding: [0.9, 0.1, 0], embedding_nomic: [1, 0] }),
+    makeScrap('boat', { embedding: [0.7, 0.7, 0], embedding_nomic: [0.1, 1] }),
+    makeScrap('bus', { embedding: [0, 0, 1] }),
+    makeScrap('unembedded'),
+    makeScrap('wrong-size', { embedding: [1, 0] }),
+    makeScrap('empty', { embedding: [1, 0, 0], content: null }),
+    makeScrap('pictures-only', { image_embedding: [0.5, 0.5] })
+  ]
+}
+
+function quietly(fn) {
+  return async () => {
+    const warn = console.warn
+    console.warn = () => {}
+    try {
+      return await fn()
+    } finally {
+      console.warn = warn
+    }
+  }
+}
+
+/**
+ * Test reading and comparing vectors
+ */
+async function testVectors() {
+  console.log('📐 Testing Vectors...\n')
+
+  const fromText = parseVector('[0.5,-1,2e-3]')
+  console.log(`  '[0.5,-1,2e-3]' → ${JSON.stringify(fromText)}`)
+  console.log(`  cos(same) ${cosineSimilarity([1, 2], [2, 4]).toFixed(3)}, cos(opposite) ${cosineSimilarity([1, 0], [-1, 0])}`)
+
+  const success = JSON.stringify(fromText) === '[0.5,-1,0.002]' &&
+    JSON.stringify(parseVector(['1', 2])) === '[1,2]' &&
+    parseVector(null) === null && parseVector('') === null &&
+    parseVector('[]') === null && parseVector('not a vector') === null &&
+    parseVector([1, 'x']) === null &&
+    Math.abs(cosineSimilarity([1, 2], [2, 4]) - 1) < 1e-9 &&
+    cosineSimilarity([1, 0], [-1, 0]) === -1 &&
+    cosineSimilarity([1, 0], [1, 0, 0]) === null &&
+    cosineSimilarity([0, 0], [1, 0]) === null &&
+    formatVector([0.5, -1]) === '[0.5,-1]'
+
+  console.log(`\n📊 Vectors Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test related scraps compared in process when the function is missing
+ */
+async function testRelatedFallback() {
+  console.log('🧭 Testing Related Scraps Without the Function...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const neighbours = new ScrapNeighbours()
+
+  const text = await neighbours.related(supabase, 'ferry')
+  const nomic = await neighbours.related(supabase, 'ferry', { space: 'embedding_nomic', limit: 1 })
+  const close = await neighbours.related(supabase, 'ferry', { minSimilarity: 0.5 })
+  const missing = await neighbours.related(supabase, 'pictures-only')
+  const unknown = await neighbours.related(supabase, 'no-such-scrap')
+
+  const ids = related => related.results.map(({ scrap, similarity }) => `${scrap.id}:${similarity.toFixed(2)}`).join(', ')
+  console.log(`  embedding: ${ids(text)}`)
+  console.log(`  embedding_nomic, limit 1: ${ids(nomic)}`)
+  console.log(`  min 0.5: ${ids(close)}`)
+  console.log(`  pictures-only: missing=${missing.missing} available=${missing.available.join()}`)
+  console.log(`  no-such-scrap: ${unknown}`)
+
+  const first = text.results[0].scrap
+  const success = text.results.map(({ scrap }) => scrap.id).join() === 'ferry-2,boat,bus' &&
+    text.results[0].similarity > text.results[1].similarity &&
+    !text.missing && text.available.join() === 'embedding,embedding_nomic' &&
+    !('content' in first) && !('embedding' in first) && !('embedding_nomic' in first) &&
+    first.title === 'Scrap ferry-2' &&
+    nomic.results.length === 1 && nomic.results[0].scrap.id === 'boat' &&
+    close.results.map(({ scrap }) => scrap.id).join() === 'ferry-2,boat' &&
+    missing.missing && missing.results.length === 0 && missing.available.join() === 'image_embedding' &&
+    unknown === null
+
+  console.log(`\n📊 Related Scraps Without the Function Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the best matches are kept across pages of rows
+ */
+async function testPaging() {
+  console.log('📚 Testing Paging...\n')
+
+  // 1,200 scraps, with the closest ones on the last page
+  const scraps = Array.from({ length: 1200 }, (_, index) =>
+    makeScrap(`scrap-${String(index).padStart(4, '0')}`, { embedding: [1, index / 100] }))
+  const supabase = createMemoryClient({ scraps })
+  const neighbours = new ScrapNeighbours()
+
+  const results = await neighbours.nearest(supabase, [0, 1], { limit: 3 })
+  console.log(`  ${results.map(({ scrap, similarity }) => `${scrap.id}:${similarity.toFixed(5)}`).join(', ')}`)
+
+  const success = results.map(({ scrap }) => scrap.id).join() === 'scrap-1199,scrap-1198,scrap-1197'
+
+  console.log(`\n📊 Paging Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the Postgres function is used when it exists
+ */
+async function testFunction() {
+  console.log('🐘 Testing the Postgres Function...\n')
+
+  const calls = []
+  const supabase = createMemoryClient({ scraps: seedScraps() }, {
+    [MATCH_FUNCTION]: args => {
+      calls.push(args)
+      return [{ scrap: { id: 'ferry-2', title: 'Scrap ferry-2' }, similarity: '0.98' }]
+    }
+  })
+  const neighbours = new ScrapNeighbours()
+
+  const related = await neighbours.related(supabase, 'ferry', { space: 'embedding_nomic', limit: 5, minSimilarity: 0.8 })
+  console.log(`  Called with ${JSON.stringify(calls[0])}`)
+  console.log(`  Got ${related.results.map(({ scrap, similarity }) => `${scrap.id}:${similarity}`).join(', ')}`)
+
+  let invalid = null
+  try {
+    await neighbours.related(supabase, 'ferry', { space: 'content' })
+  } catch (error) {
+    invalid = error
+  }
+  console.log(`  Unknown space: ${invalid?.code} ${invalid?.message}`)
+
+  const denied = createMemoryClient({ scraps: seedScraps() })
+  denied.rpc = async () => ({ data: null, error: { code: '42501', message: 'permission denied for function match_scraps' } })
+  let thrown = null
+  try {
+    await neighbours.related(denied, 'ferry')
+  } catch (error) {
+    thrown = error
+  }
+  console.log(`  Permission error: ${thrown?.code}`)
+
+  const mismatched = createMemoryClient({ scraps: seedScraps() })
+  mismatched.rpc = async () => ({ data: null, error: { code: '22000', message: 'The query embedding has 2 dimensions but embedding holds 3' } })
+  let wrongSize = null
+  try {
+    await neighbours.nearest(mismatched, [1, 0])
+  } catch (error) {
+    wrongSize = error
+  }
+  const skipped = await quietly(() => neighbours.nearest(createMemoryClient({ scraps: seedScraps() }), [1, 0, 0, 0]))()
+  console.log(`  Wrong-size query: ${wrongSize?.code} ${wrongSize?.message}; in process: ${skipped.length} results`)
+
+  const success = calls.length === 1 &&
+    calls[0].query_embedding === '[0,1]' && calls[0].embedding_space === 'embedding_nomic' &&
+    calls[0].match_count === 5 && calls[0].min_similarity === 0.8 && calls[0].exclude_id === 'ferry' &&
+    related.results[0].similarity === 0.98 &&
+    invalid?.code === 'EINVALIDSPACE' &&
+    thrown?.code === '42501' &&
+    wrongSize?.code === 'EDIMENSIONS' && skipped.length === 0
+
+  console.log(`\n📊 Postgres Function Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test semantic search through a stand-in embedder
+ */
+async function testSemanticSearch() {
+  console.log('🔮 Testing Semantic Search...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const queries = []
+  const neighbours = new ScrapNeighbours({
+    embedders: {
+      embedding: {
+        name: 'stand-in',
+        embed: async text => {
+          queries.push(text)
+          return [0, 0.1, 1]
+        }
+      }
+    }
+  })
+
+  const results = await neighbours.search(supabase, 'buses in the rain', { limit: 2 })
+  console.log(`  Searchable: ${neighbours.searchableSpaces.join()}`)
+  console.log(`  Got ${results.map(({ scrap, similarity }) => `${scrap.id}:${similarity.toFixed(2)}`).join(', ')}`)
+
+  // Kept embeddings: a repeat is free, and the least recently used goes first
+  neighbours.configure({ queryCacheSize: 2 })
+  const kept = neighbours.hasQueryEmbedding('embedding', 'buses in the rain')
+  const again = await neighbours.search(supabase, 'buses in the rain', { limit: 2 })
+  await neighbours.search(supabase, 'ferries', { limit: 2 })
+  await neighbours.search(supabase, 'buses in the rain', { limit: 2 })
+  await neighbours.search(supabase, 'boats', { limit: 2 })
+  const evicted = ['buses in the rain', 'ferries', 'boats'].filter(text => !neighbours.hasQueryEmbedding('embedding', text))
+  console.log(`  Kept after one search: ${kept}; embedded: ${queries.join(' | ')}; dropped: ${evicted.join()}`)
+
+  let unembeddable = null
+  try {
+    await neighbours.search(supabase, 'pictures of boats', { space: 'image_embedding' })
+  } catch (error) {
+    unembeddable = error
+  }
+  console.log(`  image_embedding: ${unembeddable?.code} ${unembeddable?.message}`)
+
+  const success = queries.join('|') === 'buses in the rain|ferries|boats' &&
+    neighbours.searchableSpaces.join() === 'embedding' &&
+    results.length === 2 && results[0].scrap.id === 'bus' &&
+    kept && again[0].scrap.id === 'bus' && evicted.join() === 'ferries' &&
+    unembeddable?.code === 'ENOEMBEDDER'
+
+  console.log(`\n📊 Semantic Search Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the embedding API request formats
+ */
+async function testEmbedders() {
+  console.log('📨 Testing Embedders...\n')
+
+  const requests = []
+  const fakeFetch = (reply, status = 200) => async (url, init) => {
+    requests.push({ url, init, body: JSON.parse(init.body) })
+    return {
+      ok: status < 400,
+      status,
+      json: async () => reply,
+      text: async () => JSON.stringify(reply)
+    }
+  }
+
+  const openai = new OpenAIEmbedder({ apiKey: 'sk-test', fetch: fakeFetch({ data: [{ embedding: [0.1, 0.2] }] }) })
+  const ollama = new OllamaEmbedder({ endpoint: 'http://ollama.local:11434/', fetch: fakeFetch({ embedding: [0.3] }) })
+  const failing = new OpenAIEmbedder({ apiKey: 'sk-bad', fetch: fakeFetch({ error: { message: 'Incorrect API key' } }, 401) })
+
+  const fromOpenAI = await openai.embed('ferries')
+  const fromOllama = await ollama.embed('ferries')
+  let thrown = null
+  try {
+    await failing.embed('ferries')
+  } catch (error) {
+    thrown = error
+  }
+
+  const [toOpenAI, toOllama] = requests
+  console.log(`  OpenAI: ${toOpenAI.url} ${JSON.stringify(toOpenAI.body)}`)
+  console.log(`  Ollama: ${toOllama.url} ${JSON.stringify(toOllama.body)}`)
+  console.log(`  Failure: ${thrown?.message}`)
+
+  const success = JSON.stringify(fromOpenAI) === '[0.1,0.2]' && JSON.stringify(fromOllama) === '[0.3]' &&
+    toOpenAI.url === 'https://api.openai.com/v1/embeddings' &&
+    toOpenAI.init.headers.Authorization === 'Bearer sk-test' &&
+    toOpenAI.body.model === 'text-embedding-ada-002' && toOpenAI.body.input === 'ferries' &&
+    toOllama.url === 'http://ollama.local:11434/api/embeddings' &&
+    toOllama.body.model === 'nomic-embed-text' && toOllama.body.prompt === 'search_query: ferries' &&
+    /401/.test(thrown?.message) && /Incorrect API key/.test(thrown?.message)
+
+  console.log(`\n📊 Embedders Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Related Scraps Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Vectors', fn: testVectors },
+    { name: 'Related Scraps Without the Function', fn: quietly(testRelatedFallback) },
+    { name: 'Paging', fn: quietly(testPaging) },
+    { name: 'Postgres Function', fn: testFunction },
+    { name: 'Semantic Search', fn: quietly(testSemanticSearch) },
+    { name: 'Embedders', fn: testEmbedders }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Related scraps are working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the related scraps implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
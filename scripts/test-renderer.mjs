@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Headless-Browser Rendering Tier
+ *
+ * Serves a JS-only page (an empty shell filled in by a script) and a
+ * static article from a local HTTP server, then checks that the shell is
+ * flagged `javascript_required`, that a configured renderer recovers it,
+ * and that the tier keeps to its own concurrency limit and timeout.
+ *
+ * The rendering tests use a small script-running renderer built on
+ * linkedom; when `playwright` and its Chromium are installed the real
+ * PlaywrightRenderer is tried against the same server as well.
+ *
+ * Run with: node scripts/test-renderer.mjs
+ */
+
+import { createServer } from 'http'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { parseHTML } from 'linkedom'
+
+import { scrapeUrl, scrapeUrls } from '../server/lib/scraper/demo-scraper.js'
+import { requiresJavaScript } from '../server/lib/scraper/error-handler.js'
+import { RenderingTier, PlaywrightRenderer, ScrapeTiers } from '../server/lib/scraper/renderer.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const article = readFileSync(join(__dirname, 'fixtures', 'articles', 'blog-article.html'), 'utf8')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const SHELL = `<!doctype html>
+<html>
+  <head><title>Loading…</title></head>
+  <body>
+    <div id="app"></div>
+    <noscript>Please enable JavaScript to view this content.</noscript>
+    <script src="/app.js"></script>
+  </body>
+</html>`
+
+const APP_JS = `
+  document.title = 'Rendered in the browser'
+  document.getElementById('app').innerHTML = [
+    '<article>',
+    '<h1>Rendered in the browser</h1>',
+    '<p>This story only exists once the page script has run. A plain HTTP fetch sees an empty application shell and a noscript note asking for JavaScript.</p>',
+    '<p>The rendering tier loads the page in a headless browser, waits for the DOM to settle and hands the finished HTML to the same extractor as every other page.</p>',
+    '</article>'
+  ].join('')
+`
+
+const pages = {
+  '/app': { type: 'text/html; charset=utf-8', body: SHELL },
+  '/app.js': { type: 'application/javascript', body: APP_JS },
+  '/static': { type: 'text/html; charset=utf-8', body: article }
+}
+
+/**
+ * Local static server on a free port
+ */
+function startServer() {
+  const server = createServer((request, response) => {
+    const page = pages[new URL(request.url, 'http://localhost').pathname]
+    if (!page) {
+      response.writeHead(404, { 'content-type': 'text/plain' })
+      response.end('Not found')
+      return
+    }
+    response.writeHead(200, { 'content-type': page.type })
+    response.end(page.body)
+  })
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server))
+  })
+}
+
+/**
+ * Minimal "browser": loads the page, runs its external scripts against a
+ * linkedom document and returns the resulting HTML
+ */
+const scriptRenderer = {
+  async render(url) {
+    const response = await fetch(url)
+    const { document, window } = parseHTML(await response.text())
+
+    for (const script of document.querySelectorAll('script[src]')) {
+      const code = await (await fetch(new URL(script.getAttribute('src'), url))).text()
+      new Function('document', 'window', code)(document, window)
+    }
+
+    return { status: response.status, url: response.url, html: document.toString() }
+  }
+}
+
+/**
+ * Test that JS-only pages are told apart from static ones
+ */
+async function testDetection(base) {
+  console.log('🔎 Testing JavaScript Detection...\n')
+
+  const shellText = parseHTML(SHELL).document.body.textContent
+  const detectsShell = requiresJavaScript(SHELL, shellText.trim())
+  const passesArticle = !requiresJavaScript(article, 'A long article body. '.repeat(20))
+
+  const options = { validatorStore: false, oembed: false, renderingTier: false }
+  const shell = await scrapeUrl(`${base}/app`, options)
+  const plain = await scrapeUrl(`${base}/static`, options)
+
+  console.log(`  Shell page flagged: ${detectsShell}, article left alone: ${passesArticle}`)
+  console.log(`  Shell scrape without a renderer: ${shell.success ? 'succeeded' : `${shell.error.type} (canRetry: ${shell.error.canRetry})`}`)
+  console.log(`  Static scrape: tier ${plain.data?.tier}, title "${plain.data?.title}"`)
+
+  const success = detectsShell && passesArticle &&
+    !shell.success && shell.error.type === 'javascript_required' && shell.error.canRetry === false &&
+    plain.success && plain.data.tier === ScrapeTiers.HTTP
+
+  console.log(`\n📊 Detection Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the rendering tier recovers JS-only pages, alone and in batches
+ */
+async function testRenderingFallback(base) {
+  console.log('🖥️  Testing Rendering Fallback...\n')
+
+  const renderingTier = new RenderingTier({ renderer: scriptRenderer })
+  const options = { validatorStore: false, oembed: false, renderingTier }
+
+  const single = await scrapeUrl(`${base}/app`, options)
+  console.log(`  Single scrape: tier ${single.data?.tier}, title "${single.data?.title}"`)
+  console.log(`  Content: ${single.data?.content?.slice(0, 60)}…`)
+
+  const batch = await scrapeUrls([`${base}/app`, `${base}/static`], options)
+  const tiers = Object.fromEntries(batch.results.map(item => [new URL(item.url).pathname, item.data.tier]))
+  console.log(`  Batch tiers: ${JSON.stringify(tiers)}, failed: ${batch.summary.failed}`)
+
+  // A renderer that gets nothing either is still javascript_required
+  const emptyTier = new RenderingTier({
+    renderer: { render: async (url) => ({ status: 200, url, html: SHELL }) }
+  })
+  const stillEmpty = await scrapeUrl(`${base}/app`, { ...options, renderingTier: emptyTier })
+  console.log(`  Renderer returns the shell: ${stillEmpty.error?.type} - ${stillEmpty.error?.message}`)
+
+  const success = single.success && single.data.tier === ScrapeTiers.BROWSER &&
+    single.data.title === 'Rendered in the browser' && single.data.content.includes('headless browser') &&
+    batch.summary.succeeded === 2 && batch.summary.failed === 0 &&
+    tiers['/app'] === ScrapeTiers.BROWSER && tiers['/static'] === ScrapeTiers.HTTP &&
+    !stillEmpty.success && stillEmpty.error.type === 'javascript_required'
+
+  console.log(`\n📊 Rendering Fallback Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the tier's own concurrency limit and timeout
+ */
+async function testTierLimits(base) {
+  console.log('🚦 Testing Tier Concurrency and Timeout...\n')
+
+  let running = 0
+  let maxRunning = 0
+  const slowTier = new RenderingTier({
+    concurrency: 1,
+    renderer: {
+      render: async (url) => {
+        maxRunning = Math.max(maxRunning, ++running)
+        await sleep(30)
+        running--
+        return { status: 200, url, html: '<html></html>' }
+      }
+    }
+  })
+  await Promise.all(['a', 'b', 'c'].map(path => slowTier.render(`${base}/${path}`)))
+  console.log(`  3 renders with concurrency 1: at most ${maxRunning} at once`)
+
+  const hangingTier = new RenderingTier({
+    timeout: 50,
+    renderer: { render: () => sleep(500).then(() => ({ status: 200, html: '' })) }
+  })
+  const timedOut = await scrapeUrl(`${base}/app`, { validatorStore: false, oembed: false, renderingTier: hangingTier })
+  console.log(`  Render past its timeout: ${timedOut.error?.type} after ${timedOut.error?.metadata?.attempts} attempts`)
+
+  const success = maxRunning === 1 &&
+    !timedOut.success && timedOut.error.type === 'timeout' && timedOut.error.metadata.attempts === 2
+
+  console.log(`\n📊 Tier Limits Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the real Playwright renderer, when it is installed
+ */
+async function testPlaywright(base) {
+  console.log('🎭 Testing Playwright Renderer...\n')
+
+  const renderer = new PlaywrightRenderer({ settleMs: 100 })
+  const renderingTier = new RenderingTier({ renderer, timeout: 15000 })
+
+  try {
+    await renderer.browser()
+  } catch (error) {
+    console.log(`  ⏭️  Skipped: ${error.message}`)
+    console.log('\n📊 Playwright Test: SKIPPED\n')
+    return true
+  }
+
+  try {
+    const result = await scrapeUrl(`${base}/app`, { validatorStore: false, oembed: false, renderingTier })
+    console.log(`  Chromium render: tier ${result.data?.tier}, title "${result.data?.title}"`)
+
+    const success = result.success && result.data.tier === ScrapeTiers.BROWSER &&
+      result.data.content.includes('headless browser')
+
+    console.log(`\n📊 Playwright Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    await renderingTier.close()
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Rendering Tier Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const server = await startServer()
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const tests = [
+    { name: 'Detection', fn: testDetection },
+    { name: 'Rendering Fallback', fn: testRenderingFallback },
+    { name: 'Tier Limits', fn: testTierLimits },
+    { name: 'Playwright', fn: testPlaywright }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn(base)
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  server.close()
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The rendering tier is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the rendering tier implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Scrap Detail Page
+ *
+ * Checks that rendered content is sanitized (scripts, frames, event
+ * handlers and javascript: links go; images go through the proxy), and
+ * loading one scrap's detail with the in-memory Supabase client: the
+ * fields left out, embedding status, relationship targets found by id
+ * and by source id, and scraps that don't exist.
+ *
+ * Run with: node scripts/test-scrap-detail.mjs
+ */
+
+import { markdownText, renderMarkdown, sanitizeHtml } from '../server/lib/markdown.js'
+import { loadScrapDetail } from '../server/lib/scrap-detail.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const FERRY = '5b0c7a3e-1f0a-4c1e-9a6e-0d1f2a3b4c5d'
+const HARBOUR = '6c1d8b4f-2a1b-4d2f-8b7f-1e2a3b4c5d6e'
+
+function seedScraps() {
+  return [
+    {
+      id: FERRY,
+      scrap_id: 'pinboard-ferry',
+      source: 'pinboard',
+      type: 'link',
+      title: 'The last ferry',
+      url: 'https://example.com/ferry',
+      summary: 'A **short** trip across the bay.',
+      content: '# Ferry\n\nCrossing at [dawn](https://example.com/dawn).\n\n<script>alert(1)</script>',
+      metadata: {
+        description: 'From the metadata',
+        images: [
+          { url: 'https://example.com/deck.jpg', width: 800, height: 600 },
+          { url: 'javascript:alert(1)' },
+          { url: '/relative.jpg' }
+        ]
+      },
+      relationships: [
+        { type: 'reply', target_id: HARBOUR },
+        { type: 'quote', target_id: 'pinboard-harbour' },
+        { type: 'mention', target_id: 'nowhere' }
+      ],
+      embedding: '[0.1,0.2,0.3]',
+      embedding_nomic: null,
+      image_embedding: [0.5, 0.5],
+      processing_instance_id: 'worker-1',
+      processing_started_at: '2024-01-01T00:00:00.000Z'
+    },
+    {
+      id: HARBOUR,
+      scrap_id: 'pinboard-harbour',
+      source: 'pinboard',
+      type: 'link',
+      title: 'Harbour lights',
+      url: 'https://example.com/harbour',
+      summary: null,
+      content: 'Long enough content. '.repeat(30),
+      metadata: null,
+      relationships: null,
+      embedding: null,
+      embedding_nomic: null,
+      image_embedding: null
+    }
+  ]
+}
+
+/**
+ * Test that dangerous markup doesn't survive
+ */
+async function testSanitizer() {
+  console.log('🧼 Testing the Sanitizer...\n')
+
+  const cases = {
+    script: sanitizeHtml('<p>Hi<script>alert(1)</script></p>'),
+    iframe: sanitizeHtml('<iframe src="https://evil.example"></iframe><p>after</p>'),
+    handler: sanitizeHtml('<img src="https://example.com/a.png" onerror="alert(1)">'),
+    javascript: sanitizeHtml('<a href="javascript:alert(1)">click</a>'),
+    relativeLink: sanitizeHtml('<a href="/about">about</a>'),
+    relativeImage: sanitizeHtml('<p><img src="/local.png">text</p>'),
+    unknown: sanitizeHtml('<custom-tag style="color:red"><b class="x">bold</b></custom-tag>'),
+    code: renderMarkdown('```js\nconst a = 1\n```'),
+    link: renderMarkdown('[dawn](https://example.com/dawn)')
+  }
+
+  for (const [name, html] of Object.entries(cases)) {
+    console.log(`  ${name}: ${html.replace(/\n/g, '')}`)
+  }
+
+  const success = cases.script === '<p>Hi</p>' &&
+    cases.iframe === '<p>after</p>' &&
+    !cases.handler.includes('onerror') &&
+    cases.handler.includes('src="/api/img?url=https%3A%2F%2Fexample.com%2Fa.png&w=960"') &&
+    cases.handler.includes('loading="lazy"') &&
+    cases.javascript === '<a>click</a>' &&
+    cases.relativeLink === '<a href="/about">about</a>' &&
+    cases.relativeImage === '<p>text</p>' &&
+    cases.unknown === '<b>bold</b>' &&
+    sanitizeHtml('<img alt=\'x" onerror="alert(1)\' src="https://example.com/a.png">').includes('alt="x&quot; onerror=&quot;alert(1)"') &&
+    cases.code.includes('<code class="language-js">') &&
+    cases.link.includes('target="_blank"') &&
+    cases.link.includes('rel="noopener noreferrer nofollow"') &&
+    markdownText('A **short**\n\ntrip') === 'A short trip' &&
+    renderMarkdown(null) === ''
+
+  console.log(`\n📊 Sanitizer Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test loading a scrap with its relationships and status
+ */
+async function testDetail() {
+  console.log('📄 Testing Scrap Detail...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const detail = await loadScrapDetail(supabase, FERRY)
+
+  console.log(`  html: ${detail.html.replace(/\n/g, '')}`)
+  console.log(`  description: ${detail.description}`)
+  console.log(`  images: ${detail.images.map(image => image.url).join(', ')}`)
+  console.log(`  relationships: ${detail.relationships.map(entry => `${entry.type}→${entry.target?.title || 'null'}`).join(', ')}`)
+  console.log(`  status: ${JSON.stringify(detail.status)}`)
+
+  const [reply, quote, mention] = detail.relationships
+  const success = detail.scrap.id === FERRY &&
+    !('content' in detail.scrap) && !('embedding' in detail.scrap) &&
+    !('image_embedding' in detail.scrap) &&
+    detail.html.includes('<h1>Ferry</h1>') && !detail.html.includes('script') &&
+    detail.summaryHtml.trim() === '<p>A <strong>short</strong> trip across the bay.</p>' &&
+    detail.description === 'A short trip across the bay.' &&
+    detail.images.length === 1 && detail.images[0].width === 800 &&
+    reply.target?.id === HARBOUR && reply.target.title === 'Harbour lights' &&
+    quote.target?.id === HARBOUR &&
+    mention.target === null && mention.target_id === 'nowhere' &&
+    detail.status.processing?.instance === 'worker-1' &&
+    detail.status.embeddings.embedding === 3 &&
+    detail.status.embeddings.embedding_nomic === null &&
+    detail.status.embeddings.image_embedding === 2
+
+  console.log(`\n📊 Scrap Detail Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the description fallbacks and a scrap without relationships
+ */
+async function testFallbacks() {
+  console.log('🪂 Testing Description Fallbacks...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const detail = await loadScrapDetail(supabase, HARBOUR)
+
+  console.log(`  description (${detail.description.length} chars): ${detail.description.slice(0, 60)}…`)
+
+  const success = detail.description.length === 200 &&
+    detail.description.endsWith('…') &&
+    detail.summaryHtml === '' &&
+    detail.images.length === 0 &&
+    detail.relationships.length === 0 &&
+    detail.status.processing === null
+
+  console.log(`\n📊 Description Fallbacks Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that missing scraps and malformed ids come back as null
+ */
+async function testNotFound() {
+  console.log('🔍 Testing Missing Scraps...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const missing = await loadScrapDetail(supabase, '00000000-0000-4000-8000-000000000000')
+
+  // Postgres refuses to compare a uuid column with 'not-a-uuid'
+  const invalid = {
+    from: () => ({
+      select: () => ({
+        eq: () => ({
+          maybeSingle: async () => ({
+            data: null,
+            error: { code: '22P02', message: 'invalid input syntax for type uuid' }
+          })
+        })
+      })
+    })
+  }
+  const malformed = await loadScrapDetail(invalid, 'not-a-uuid')
+
+  console.log(`  unknown id: ${missing}`)
+  console.log(`  malformed id: ${malformed}`)
+
+  const success = missing === null && malformed === null
+
+  console.log(`\n📊 Missing Scraps Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scrap Detail Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Sanitizer', fn: testSanitizer },
+    { name: 'Scrap Detail', fn: testDetail },
+    { name: 'Description Fallbacks', fn: testFallbacks },
+    { name: 'Missing Scraps', fn: testNotFound }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The scrap detail page is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the scrap detail implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
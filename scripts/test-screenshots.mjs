@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Screenshot Pipeline
+ *
+ * Uses a stand-in renderer (no browser needed), file storage in a temporary
+ * directory and the in-memory Supabase client. Checks which scraps are
+ * skipped, that captures are throttled, that the stored URLs are written
+ * back to the scrap, that failed captures leave it alone, and that storage
+ * keys cannot leave the storage directory.
+ *
+ * Run with: node scripts/test-screenshots.mjs
+ */
+
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import { ScreenshotQueue, ScreenshotSkips, hasShareImage } from '../server/lib/scraper/screenshots.js'
+import { FileScreenshotStorage } from '../server/lib/scraper/screenshot-storage.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+// Placeholder bytes; the pipeline never looks inside them
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex')
+const JPEG = Buffer.from('ffd8ffe0', 'hex')
+
+/**
+ * Renderer stand-in recording when each capture started
+ */
+function fakeRenderer({ delayMs = 20, status = 200, fail = [] } = {}) {
+  const calls = []
+  let running = 0
+  return {
+    calls,
+    maxRunning: 0,
+    async screenshot(url, options) {
+      calls.push({ url, options, at: Date.now() })
+      running++
+      this.maxRunning = Math.max(this.maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, delayMs))
+      running--
+      if (fail.includes(url)) throw new Error('net::ERR_CONNECTION_RESET')
+      return { status, url, fullPage: PNG, thumbnail: JPEG, width: 1280, height: 3200 }
+    }
+  }
+}
+
+function makeScrap(id, overrides = {}) {
+  return {
+    id,
+    url: `https://shots.example/${id}`,
+    title: `Page ${id}`,
+    screenshot_url: null,
+    metadata: {},
+    ...overrides
+  }
+}
+
+async function withStorage(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'screenshots-'))
+  try {
+    return await fn(new FileScreenshotStorage({ dir }), dir)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Test which scraps are queued and which are skipped
+ */
+async function testSkips() {
+  console.log('🚦 Testing Skip Rules...\n')
+
+  return await withStorage(async storage => {
+    const withOgImage = makeScrap('og', { metadata: { images: [{ url: 'https://shots.example/og.jpg', source: 'opengraph' }] } })
+    const withInlineImage = makeScrap('inline', { metadata: { images: [{ url: 'https://shots.example/figure.jpg', source: 'content' }] } })
+    const scraps = [
+      makeScrap('plain'),
+      withOgImage,
+      withInlineImage,
+      makeScrap('shot', { screenshot_url: '/screenshots/shot/old-full.png' }),
+      makeScrap('archived', { metadata: { archive: { service: 'wayback' } } }),
+      makeScrap('no-url', { url: null })
+    ]
+
+    const off = new ScreenshotQueue()
+    const disabled = off.enqueue(scraps[0])
+
+    const queue = new ScreenshotQueue({
+      renderer: fakeRenderer(),
+      storage,
+      supabase: createMemoryClient({ scraps }),
+      intervalMs: 0
+    })
+    const verdicts = Object.fromEntries(scraps.map(scrap => [scrap.id, queue.enqueue(scrap).reason || 'queued']))
+    const duplicate = queue.enqueue(scraps[0]).reason
+    const forcedImage = queue.enqueue(withOgImage, { force: true }).queued
+    const forcedArchive = queue.enqueue(scraps[4], { force: true }).reason
+    await queue.drain()
+
+    console.log(`  Queue not configured: ${disabled.reason}`)
+    for (const [id, verdict] of Object.entries(verdicts)) console.log(`  ${id}: ${verdict}`)
+    console.log(`  Same scrap again while queued: ${duplicate}`)
+    console.log(`  og:image forced: queued ${forcedImage}; archived forced: ${forcedArchive}`)
+
+    const success = disabled.reason === ScreenshotSkips.DISABLED &&
+      verdicts.plain === 'queued' &&
+      verdicts.og === ScreenshotSkips.HAS_IMAGE &&
+      verdicts.inline === 'queued' &&
+      verdicts.shot === ScreenshotSkips.HAS_SCREENSHOT &&
+      verdicts.archived === ScreenshotSkips.ARCHIVED &&
+      verdicts['no-url'] === ScreenshotSkips.NO_URL &&
+      duplicate === ScreenshotSkips.ALREADY_QUEUED &&
+      forcedImage && forcedArchive === ScreenshotSkips.ARCHIVED &&
+      hasShareImage({ metadata: { lead_image: 'https://shots.example/lead.jpg' } })
+
+    console.log(`\n📊 Skip Rules Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  })
+}
+
+/**
+ * Test that captures are spaced out and never exceed the concurrency limit
+ */
+async function testThrottling() {
+  console.log('⏳ Testing Throttling...\n')
+
+  return await withStorage(async storage => {
+    const scraps = ['a', 'b', 'c', 'd'].map(id => makeScrap(id))
+    const renderer = fakeRenderer({ delayMs: 10 })
+    const queue = new ScreenshotQueue({
+      renderer,
+      storage,
+      supabase: createMemoryClient({ scraps }),
+      intervalMs: 60,
+      maxQueued: 2
+    })
+
+    const results = scraps.map(scrap => queue.enqueue(scrap))
+    const duringRun = queue.status()
+    await queue.drain()
+
+    const gaps = renderer.calls.slice(1).map((call, index) => call.at - renderer.calls[index].at)
+    console.log(`  Enqueued: ${results.map(result => result.queued ? 'queued' : result.reason).join(', ')}`)
+    console.log(`  While running: ${duringRun.active} active, ${duringRun.queued} waiting`)
+    console.log(`  Gaps between captures: ${gaps.join('ms, ')}ms; most at once: ${renderer.maxRunning}`)
+
+    // A second queue allowed to run two at once with no spacing
+    const parallel = fakeRenderer({ delayMs: 30 })
+    const wide = new ScreenshotQueue({
+      renderer: parallel,
+      storage,
+      supabase: createMemoryClient({ scraps: scraps.map(scrap => ({ ...scrap })) }),
+      intervalMs: 0,
+      concurrency: 2
+    })
+    scraps.forEach(scrap => wide.enqueue(scrap))
+    await wide.drain()
+    console.log(`  Concurrency 2: ${parallel.calls.length} captures, most at once: ${parallel.maxRunning}`)
+
+    // The first starts at once and two wait, so the fourth is turned away
+    const success = results[0].queued && results[1].queued && results[2].queued &&
+      results[3].reason === ScreenshotSkips.QUEUE_FULL &&
+      renderer.calls.length === 3 && renderer.maxRunning === 1 &&
+      gaps.every(gap => gap >= 55) &&
+      parallel.calls.length === 4 && parallel.maxRunning === 2
+
+    console.log(`\n📊 Throttling Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  })
+}
+
+/**
+ * Test that a capture is stored and its URLs written back to the scrap
+ */
+async function testWriteBack() {
+  console.log('💾 Testing Write-back...\n')
+
+  return await withStorage(async storage => {
+    const supabase = createMemoryClient({
+      scraps: [makeScrap('story', { metadata: { description: 'Kept as it was' } })]
+    })
+    const renderer = fakeRenderer()
+    const queue = new ScreenshotQueue({
+      renderer,
+      storage,
+      supabase: () => supabase,
+      urlGuard: { check: () => Promise.resolve() },
+      intervalMs: 0
+    })
+
+    queue.enqueue(makeScrap('story'))
+    await queue.drain()
+
+    const { data: row } = await supabase.from('scraps').select('*').eq('id', 'story').single()
+    const shot = row.metadata.screenshot || {}
+    const fullKey = row.screenshot_url?.replace('/screenshots/', '')
+    const thumbKey = shot.thumb_url?.replace('/screenshots/', '')
+    const full = fullKey ? await storage.get(fullKey) : null
+    const thumb = thumbKey ? await storage.get(thumbKey) : null
+    const options = renderer.calls[0]?.options || {}
+
+    console.log(`  screenshot_url: ${row.screenshot_url}`)
+    console.log(`  thumb_url: ${shot.thumb_url} (${shot.width}x${shot.height}, ${shot.captured_at})`)
+    console.log(`  Stored: ${full?.contentType}, ${thumb?.contentType}`)
+    console.log(`  Renderer got a guard: ${typeof options.guard === 'function'}, viewport ${options.viewport?.width}`)
+    console.log(`  Status: ${JSON.stringify(queue.status())}`)
+
+    const success = /^\/screenshots\/story\/\d{8}T\d+Z-full\.png$/.test(row.screenshot_url) &&
+      /-thumb\.jpg$/.test(shot.thumb_url) &&
+      shot.width === 1280 && shot.height === 3200 && Boolean(shot.captured_at) &&
+      row.metadata.description === 'Kept as it was' &&
+      full?.contentType === 'image/png' && full.body.equals(PNG) &&
+      thumb?.contentType === 'image/jpeg' && thumb.body.equals(JPEG) &&
+      typeof options.guard === 'function' && options.viewport?.width === 1280 &&
+      queue.status().captured === 1
+
+    console.log(`\n📊 Write-back Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  })
+}
+
+/**
+ * Test that failed captures are counted and leave the scrap alone
+ */
+async function testFailures() {
+  console.log('💥 Testing Failed Captures...\n')
+
+  return await withStorage(async storage => {
+    const scraps = [makeScrap('broken'), makeScrap('missing'), makeScrap('slow'), makeScrap('fine')]
+    const supabase = createMemoryClient({ scraps })
+
+    const renderer = fakeRenderer({ fail: [scraps[0].url] })
+    const errorPage = { async screenshot(url) { return { status: 404, url, fullPage: PNG, thumbnail: JPEG } } }
+    const hanging = { screenshot: () => new Promise(() => {}) }
+
+    const quiet = console.error
+    console.error = () => {}
+    try {
+      const queue = new ScreenshotQueue({ renderer, storage, supabase, intervalMs: 0 })
+      queue.enqueue(scraps[0])
+      queue.enqueue(scraps[3])
+      await queue.drain()
+
+      const notFound = new ScreenshotQueue({ renderer: errorPage, storage, supabase, intervalMs: 0 })
+      notFound.enqueue(scraps[1])
+      await notFound.drain()
+
+      const timingOut = new ScreenshotQueue({ renderer: hanging, storage, supabase, intervalMs: 0, timeout: 50 })
+      timingOut.enqueue(scraps[2])
+      await timingOut.drain()
+
+      const { data: rows } = await supabase.from('scraps').select('*')
+      const byId = Object.fromEntries(rows.map(row => [row.id, row]))
+      console.log(`  Renderer error: failed ${queue.status().failed}, fine page captured ${queue.status().captured}`)
+      console.log(`  404 page: failed ${notFound.status().failed}; hanging page: failed ${timingOut.status().failed}`)
+      console.log(`  Untouched: ${['broken', 'missing', 'slow'].map(id => byId[id].screenshot_url ?? 'null').join(', ')}`)
+
+      const success = queue.status().failed === 1 && queue.status().captured === 1 &&
+        notFound.status().failed === 1 && timingOut.status().failed === 1 &&
+        ['broken', 'missing', 'slow'].every(id => byId[id].screenshot_url === null && !byId[id].metadata.screenshot) &&
+        Boolean(byId.fine.screenshot_url)
+
+      console.log(`\n📊 Failed Captures Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+      return success
+    } finally {
+      console.error = quiet
+    }
+  })
+}
+
+/**
+ * Test that file storage keeps keys inside its directory
+ */
+async function testFileStorage() {
+  console.log('📁 Testing File Storage...\n')
+
+  return await withStorage(async (storage, dir) => {
+    const url = await storage.put('abc/shot-full.png', PNG, 'image/png')
+    const stored = await storage.get('abc/shot-full.png')
+    const missing = await storage.get('abc/nothing.png')
+    const escaped = await storage.get('../../etc/passwd')
+
+    let refused = false
+    try {
+      await storage.put('../outside.png', PNG, 'image/png')
+    } catch {
+      refused = true
+    }
+
+    console.log(`  put → ${url} (under ${dir})`)
+    console.log(`  get: ${stored?.contentType}; missing: ${missing}; traversal: ${escaped}`)
+    console.log(`  Writing outside the directory refused: ${refused}`)
+
+    const success = url === '/screenshots/abc/shot-full.png' &&
+      stored?.contentType === 'image/png' && missing === null && escaped === null && refused
+
+    console.log(`\n📊 File Storage Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  })
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Screenshot Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Skip Rules', fn: testSkips },
+    { name: 'Throttling', fn: testThrottling },
+    { name: 'Write-back', fn: testWriteBack },
+    { name: 'Failed Captures', fn: testFailures },
+    { name: 'File Storage', fn: testFileStorage }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The screenshot pipeline is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the screenshot pipeline implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
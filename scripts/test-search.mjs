@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Scrap Search
+ *
+ * Checks how the search box syntax (words, phrases, prefixes, negation,
+ * OR and typed filters) becomes a to_tsquery() query, that match markers
+ * from Postgres are split into safe segments, and that searches call
+ * search_scraps() with the right arguments (using the in-memory Supabase
+ * client with a stand-in function).
+ *
+ * Run with: node scripts/test-search.mjs
+ */
+
+import {
+  MARK_END,
+  MARK_START,
+  parseSearchQuery,
+  SEARCH_FUNCTION,
+  searchScraps,
+  splitHighlights
+} from '../server/lib/search.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+/**
+ * Test turning the search box into a tsquery
+ */
+async function testQuerySyntax() {
+  console.log('🔤 Testing Query Syntax...\n')
+
+  const cases = [
+    ['ferry timetable', "'ferry' & 'timetable'"],
+    ['"slow ferry"', "'slow ferry'"],
+    ['ferr*', "'ferr':*"],
+    ['ferry -bus -"night bus"', "'ferry' & !'bus' & !'night bus'"],
+    ['ferry OR boat timetable', "('ferry' | 'boat') & 'timetable'"],
+    ['OR ferry OR', "'ferry'"],
+    ["o'brien node.js", "'o''brien' & 'node.js'"],
+    ['back\\slash & | !', "'back\\\\slash'"],
+    ['see http://example.com', "'see' & 'http://example.com'"]
+  ]
+
+  let success = true
+  for (const [input, expected] of cases) {
+    const { query, error } = parseSearchQuery(input)
+    const passed = !error && query.tsquery === expected
+    console.log(`  ${passed ? '✅' : '❌'} ${input} → ${error ? error.message : query.tsquery}`)
+    success = success && passed
+  }
+
+  const { query } = parseSearchQuery('tide* -"night bus"')
+  console.log(`  Terms: ${JSON.stringify(query.terms)}`)
+  success = success &&
+    query.terms.length === 2 &&
+    query.terms[0].prefix && !query.terms[0].negated &&
+    query.terms[1].phrase && query.terms[1].negated
+
+  console.log(`\n📊 Query Syntax Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test filters typed in the box and passed alongside it
+ */
+async function testFilters() {
+  console.log('🏷️  Testing Filters...\n')
+
+  const typed = parseSearchQuery('ferry source:github TYPE:article tag:travel tag:"slow travel" -tag:drafts after:2024-03 before:2025')
+  console.log(`  Typed: ${typed.query?.tsquery} ${JSON.stringify(typed.query?.filters)}`)
+
+  const merged = parseSearchQuery('tag:travel source:github after:2023', {
+    source: 'pinboard',
+    tags: { all: ['travel', 'boats'], exclude: ['drafts'] },
+    after: '2024-02-29'
+  })
+  console.log(`  Merged: ${merged.query?.tsquery} ${JSON.stringify(merged.query?.filters)}`)
+
+  const notFilter = parseSearchQuery('ratio 16:9 todo:later')
+  console.log(`  Not filters: ${notFilter.query?.tsquery}`)
+
+  const { filters } = typed.query
+  const success = typed.query.tsquery === "'ferry'" &&
+    filters.source === 'github' && filters.type === 'article' &&
+    filters.tags.all.join() === 'travel,slow travel' && filters.tags.exclude.join() === 'drafts' &&
+    filters.after === '2024-03-01T00:00:00.000Z' && filters.before === '2025-01-01T00:00:00.000Z' &&
+    merged.query.tsquery === null &&
+    merged.query.filters.source === 'pinboard' &&
+    merged.query.filters.tags.all.join() === 'travel,boats' &&
+    merged.query.filters.tags.exclude.join() === 'drafts' &&
+    merged.query.filters.after === '2024-02-29T00:00:00.000Z' &&
+    notFilter.query.tsquery === "'ratio' & '16:9' & 'todo:later'"
+
+  console.log(`\n📊 Filters Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test queries that are refused before reaching the database
+ */
+async function testRefusals() {
+  console.log('🚫 Testing Refusals...\n')
+
+  const refused = [
+    ['', {}],
+    ['   * - ""', {}],
+    ['-bus -"night bus"', {}],
+    ['ferry after:2024-02-30', {}],
+    ['ferry before:soon', {}],
+    ['ferry', { after: 'yesterday' }]
+  ]
+
+  let success = true
+  for (const [input, filters] of refused) {
+    const { query, error } = parseSearchQuery(input, filters)
+    const passed = !query && error?.type === 'validation_error'
+    console.log(`  ${passed ? '✅' : '❌'} ${JSON.stringify(input)} ${JSON.stringify(filters)}: ${error?.message}`)
+    success = success && passed
+  }
+
+  // Excluding is fine once there is something else to go on
+  const withTag = parseSearchQuery('-bus tag:travel')
+  console.log(`  -bus tag:travel → ${withTag.error?.message || withTag.query.tsquery}`)
+  success = success && !withTag.error
+
+  console.log(`\n📊 Refusals Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test splitting marked titles and snippets into segments
+ */
+async function testHighlights() {
+  console.log('🖍️  Testing Highlights...\n')
+
+  const marked = `The ${MARK_START}slow${MARK_END} ${MARK_START}ferry${MARK_END} <script>alert(1)</script> … ${MARK_START}ferries${MARK_END}`
+  const segments = splitHighlights(marked)
+  console.log(`  ${JSON.stringify(segments)}`)
+
+  const plain = splitHighlights('No matches here')
+  const success = JSON.stringify(segments) === JSON.stringify([
+    { text: 'The ', match: false },
+    { text: 'slow', match: true },
+    { text: ' ', match: false },
+    { text: 'ferry', match: true },
+    { text: ' <script>alert(1)</script> … ', match: false },
+    { text: 'ferries', match: true }
+  ]) &&
+    plain.length === 1 && !plain[0].match &&
+    splitHighlights(null) === null &&
+    splitHighlights('').length === 0
+
+  console.log(`\n📊 Highlights Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test calling search_scraps() and mapping its rows
+ */
+async function testSearch() {
+  console.log('🔎 Testing Search...\n')
+
+  const calls = []
+  const supabase = createMemoryClient({ scraps: [] }, {
+    [SEARCH_FUNCTION]: args => {
+      calls.push(args)
+      if (args.skip > 0) return []
+      return [
+        {
+          scrap: { id: 'scrap-1', title: 'Slow ferry', tags: ['travel'] },
+          rank: 0.42,
+          title_highlight: `Slow ${MARK_START}ferry${MARK_END}`,
+          snippet: `Timetables for the ${MARK_START}ferry${MARK_END}`,
+          // PostgREST sends bigint counts as strings when they may overflow
+          total_count: '2'
+        },
+        {
+          scrap: { id: 'scrap-2', title: null, tags: null },
+          rank: 0.1,
+          title_highlight: null,
+          snippet: null,
+          total_count: '2'
+        }
+      ]
+    }
+  })
+
+  const { query } = parseSearchQuery('ferry -bus tag:travel source:github before:2025')
+  const page = await searchScraps(supabase, query, { limit: 2 })
+  const past = await searchScraps(supabase, query, { limit: 2, offset: 10 })
+  console.log(`  Called with ${JSON.stringify(calls[0])}`)
+  console.log(`  Got ${page.results.map(result => `${result.scrap.id}@${result.rank}`).join(', ')} of ${page.total}`)
+  console.log(`  Past the end: ${past.results.length} results, total ${past.total}`)
+
+  const [first, second] = page.results
+  const success = calls.length === 2 &&
+    calls[0].search_query === "'ferry' & !'bus'" &&
+    calls[0].filter_source === 'github' && calls[0].filter_type === null &&
+    calls[0].all_tags.join() === 'travel' && calls[0].excluded_tags === null &&
+    calls[0].published_after === null && calls[0].published_before === '2025-01-01T00:00:00.000Z' &&
+    calls[0].max_results === 2 && calls[0].skip === 0 &&
+    page.total === 2 &&
+    first.rank === 0.42 && first.title[1].text === 'ferry' && first.title[1].match &&
+    first.snippet.length === 2 &&
+    second.title === null && second.snippet === null &&
+    past.results.length === 0 && past.total === 10
+
+  console.log(`\n📊 Search Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test database errors: a missing function is reported as such
+ */
+async function testErrors() {
+  console.log('💥 Testing Errors...\n')
+
+  const { query } = parseSearchQuery('ferry')
+
+  let missing = null
+  try {
+    await searchScraps(createMemoryClient({ scraps: [] }), query)
+  } catch (error) {
+    missing = error
+  }
+  console.log(`  Missing function: ${missing?.code} ${missing?.message}`)
+
+  const denied = createMemoryClient({ scraps: [] })
+  denied.rpc = async () => ({ data: null, error: { code: '42501', message: 'permission denied for function search_scraps' } })
+  let thrown = null
+  try {
+    await searchScraps(denied, query)
+  } catch (error) {
+    thrown = error
+  }
+  console.log(`  Permission error: ${thrown?.code} ${thrown?.message}`)
+
+  const success = missing?.code === 'ENOSEARCH' && missing.cause?.code === 'PGRST202' &&
+    thrown?.code === '42501'
+
+  console.log(`\n📊 Errors Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Search Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Query Syntax', fn: testQuerySyntax },
+    { name: 'Filters', fn: testFilters },
+    { name: 'Refusals', fn: testRefusals },
+    { name: 'Highlights', fn: testHighlights },
+    { name: 'Search', fn: testSearch },
+    { name: 'Errors', fn: testErrors }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Search is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the search implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
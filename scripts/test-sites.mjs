@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Per-Site Extraction Adapters
+ *
+ * Checks which adapter the registry picks for a URL, then scrapes every
+ * saved API response and page in scripts/fixtures/sites through a stand-in
+ * transport and checks the endpoint fetched and the fields listed for it
+ * in expected.json. Also checks that unmatched pages take the generic path
+ * and that adapter `type` and `source` reach the saved scrap.
+ *
+ * Run with: node scripts/test-sites.mjs
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+import { SiteRegistry, siteRegistry } from '../server/lib/scraper/sites/index.js'
+import { mastodonAdapterFor } from '../server/lib/scraper/sites/mastodon.js'
+import { scrapeUrl } from '../server/lib/scraper/demo-scraper.js'
+import { MockHttpClient } from '../server/lib/scraper/http-client.js'
+import { saveScrape } from '../server/lib/scraper/persist.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const fixturesDir = join(__dirname, 'fixtures', 'sites')
+
+const expectations = JSON.parse(readFileSync(join(fixturesDir, 'expected.json'), 'utf8'))
+
+const options = { validatorStore: false, oembed: false, renderingTier: false }
+
+/**
+ * Transport serving `routes` (URL → fixture file) and 404 for everything
+ * else (robots.txt included); records the URLs asked for
+ */
+function fixtureTransport(routes) {
+  const requested = []
+  return {
+    requested,
+    fetch: async (url, fetchOptions = {}) => {
+      requested.push({ url, accept: fetchOptions.headers?.Accept || null })
+      const file = routes[url]
+      const body = file ? readFileSync(join(fixturesDir, file), 'utf8') : 'Not Found'
+      return {
+        status: file ? 200 : 404,
+        url,
+        headers: { 'content-type': file?.endsWith('.json') ? 'application/json' : 'text/html; charset=utf-8' },
+        text: () => Promise.resolve(body)
+      }
+    }
+  }
+}
+
+/**
+ * Test which adapter the registry picks
+ */
+async function testMatching() {
+  console.log('🧭 Testing Adapter Matching...\n')
+
+  const expectations = {
+    'https://github.com/harbourlabs/tidewater': 'github',
+    'https://gist.github.com/mareike-s/4f1c': 'github',
+    'https://www.youtube.com/watch?v=Qm3kT7aXw9c': 'youtube',
+    'https://m.youtube.com/shorts/Qm3kT7aXw9c': 'youtube',
+    'https://youtu.be/Qm3kT7aXw9c': 'youtube',
+    'https://www.are.na/block/31904122': 'arena',
+    'https://api.are.na/v2/blocks/31904122': null,
+    'https://hachyderm.io/@someone/1234': 'mastodon',
+    'https://notgithub.com/harbourlabs': null,
+    'https://news.example/story': null,
+    'not a url': null
+  }
+
+  let success = true
+  for (const [url, expected] of Object.entries(expectations)) {
+    const actual = siteRegistry.match(url)?.name || null
+    console.log(`  ${actual === expected ? '✅' : '❌'} ${url} → ${actual}`)
+    if (actual !== expected) success = false
+  }
+
+  // Extra instances and patterns through a custom registry
+  const registry = new SiteRegistry([mastodonAdapterFor(['social.harbour.example'])])
+  registry.register({ name: 'blogs', hosts: [/^blog\./], type: 'post' })
+  const instance = registry.match('https://social.harbour.example/@ferry/99')?.name
+  const pattern = registry.match('https://blog.harbour.example/notes')?.name
+  const builtIn = registry.match('https://mastodon.social/@harbourmaster/1')
+  console.log(`  Custom registry: instance ${instance}, pattern ${pattern}, built-in ${builtIn?.name || null}`)
+
+  success = success && instance === 'mastodon' && pattern === 'blogs' && builtIn === null
+
+  console.log(`\n📊 Matching Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Scrape each fixture through its adapter
+ */
+async function testFixtures() {
+  console.log('🧩 Testing Adapter Fixtures...\n')
+
+  let success = true
+  for (const [file, expected] of Object.entries(expectations)) {
+    const transport = fixtureTransport({ [expected.fetch]: file })
+    const result = await scrapeUrl(expected.url, { ...options, transport })
+    const data = result.data || {}
+
+    const checks = {
+      fetched: transport.requested.some(request => request.url === expected.fetch),
+      json: !file.endsWith('.json') || transport.requested.find(request => request.url === expected.fetch)?.accept === 'application/json',
+      site: data.site === expected.site,
+      source: data.source === expected.source,
+      type: data.type === expected.type,
+      title: data.title === expected.title,
+      content: Boolean(data.content?.includes(expected.content)),
+      author: !expected.author || data.metadata?.author === expected.author,
+      published_at: !expected.published_at || data.published_at === expected.published_at
+    }
+    const failed = Object.keys(checks).filter(name => !checks[name])
+    const passed = result.success && !failed.length
+
+    console.log(`  ${passed ? '✅' : '❌'} ${file}: ${data.site}/${data.type} "${data.title}"`)
+    if (!result.success) console.log(`     error: ${result.error.type} ${result.error.message}`)
+    if (failed.length) console.log(`     failed: ${failed.join(', ')}`)
+    if (!passed) success = false
+  }
+
+  console.log(`\n📊 Fixtures Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that unmatched pages (and adapters turned off) take the generic path
+ */
+async function testGenericFallback() {
+  console.log('📰 Testing Generic Fallback...\n')
+
+  const plain = await scrapeUrl('https://good-site.com/normal-article', { ...options, transport: MockHttpClient })
+  console.log(`  Unmatched page: success ${plain.success}, site ${plain.data?.site ?? null}, type ${plain.data?.type ?? null}`)
+
+  // Any GitHub page will do to stand in for the repository page
+  const transport = fixtureTransport({ 'https://github.com/harbourlabs/tidewater': 'github-issue.html' })
+  const off = await scrapeUrl('https://github.com/harbourlabs/tidewater', { ...options, transport, siteAdapters: false })
+  const pageFetched = transport.requested.some(request => request.url === 'https://github.com/harbourlabs/tidewater')
+  console.log(`  Adapters off: fetched the page ${pageFetched}, api fetched ${transport.requested.some(request => request.url.includes('api.github.com'))}`)
+
+  const success = plain.success && plain.data.site === undefined && plain.data.type === undefined &&
+    plain.data.metadata.paywall !== undefined &&
+    off.success && off.data.site === undefined && pageFetched &&
+    !transport.requested.some(request => request.url.includes('api.github.com'))
+
+  console.log(`\n📊 Generic Fallback Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that adapter `type` and `source` are saved, and request options win
+ */
+async function testPersisted() {
+  console.log('💾 Testing Saved Type and Source...\n')
+
+  const video = expectations['youtube-oembed.json']
+  const transport = fixtureTransport({ [video.fetch]: 'youtube-oembed.json' })
+  const result = await scrapeUrl(video.url, { ...options, transport })
+
+  const supabase = createMemoryClient({ scraps: [] })
+  const saved = await saveScrape(supabase, result.data)
+  const overridden = await saveScrape(createMemoryClient({ scraps: [] }), result.data, { source: 'pinboard' })
+
+  console.log(`  Saved: ${saved.scrap.type}/${saved.scrap.source} ${saved.scrap.url}`)
+  console.log(`  With a source option: ${overridden.scrap.source}`)
+
+  const success = saved.scrap.type === 'video' && saved.scrap.source === 'youtube' &&
+    saved.scrap.url === 'https://www.youtube.com/watch?v=Qm3kT7aXw9c' &&
+    overridden.scrap.source === 'pinboard'
+
+  console.log(`\n📊 Saved Fields Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Site Adapter Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Matching', fn: testMatching },
+    { name: 'Fixtures', fn: testFixtures },
+    { name: 'Generic Fallback', fn: testGenericFallback },
+    { name: 'Saved Fields', fn: testPersisted }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The site adapters are working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the site adapters.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
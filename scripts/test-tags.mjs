@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Tag Index
+ *
+ * Uses the in-memory Supabase client. Checks the counts, last-used dates
+ * and options when counting row by row (including tags past the first
+ * page of rows, which the old tag page never saw), that the Postgres
+ * function is used when it exists, and that other database errors are
+ * not hidden by the fallback.
+ *
+ * Run with: node scripts/test-tags.mjs
+ */
+
+import { fetchTagIndex, TAG_INDEX_FUNCTION } from '../server/lib/tag-index.js'
+import { createMemoryClient } from '../server/lib/supabase/memory-client.js'
+
+/**
+ * A scrap row with just the fields the index reads
+ */
+function makeScrap(index, overrides = {}) {
+  const created = new Date(Date.UTC(2024, 0, 1) + index * 60 * 60 * 1000).toISOString()
+  return {
+    id: `scrap-${index}`,
+    content: `Scrap ${index}`,
+    summary: null,
+    screenshot_url: null,
+    shared: true,
+    tags: ['reading'],
+    published_at: null,
+    updated_at: created,
+    created_at: created,
+    ...overrides
+  }
+}
+
+/**
+ * 2,500 scraps: `reading` on all of them, `ferries` only on the oldest few
+ */
+function seedScraps() {
+  const scraps = Array.from({ length: 2500 }, (_, index) => makeScrap(index))
+  scraps[1].tags = ['reading', 'ferries']
+  scraps[2].tags = ['ferries', 'ferries', 'tides']
+  scraps[3].tags = ['ferries']
+  scraps[3].published_at = '2024-06-01T08:00:00.000Z'
+  scraps[4].tags = null
+  scraps[5] = { ...scraps[5], tags: ['drafts'], content: null }
+  scraps[6] = { ...scraps[6], tags: ['private-notes'], shared: false }
+  return scraps
+}
+
+/**
+ * Test counting tags row by row when the function is missing
+ */
+async function testFallback() {
+  console.log('🧮 Testing Row-by-row Counting...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  const warn = console.warn
+  const warnings = []
+  console.warn = message => warnings.push(message)
+  let tags, shared, popular
+  try {
+    tags = await fetchTagIndex(supabase)
+    shared = await fetchTagIndex(supabase, { shared: true })
+    popular = await fetchTagIndex(supabase, { minCount: 3, limit: 1 })
+  } finally {
+    console.warn = warn
+  }
+
+  const byTag = Object.fromEntries(tags.map(entry => [entry.tag, entry]))
+  console.log(`  ${tags.map(entry => `${entry.tag}:${entry.count}`).join(', ')}`)
+  console.log(`  ferries last used ${byTag.ferries?.last_used_at}, reading last used ${byTag.reading?.last_used_at}`)
+  console.log(`  Shared only: ${shared.map(entry => entry.tag).join(', ')}`)
+  console.log(`  min 3, limit 1: ${popular.map(entry => `${entry.tag}:${entry.count}`).join(', ')}`)
+  console.log(`  Warnings: ${warnings.length}`)
+
+  const success = tags.map(entry => entry.tag).join() === 'reading,ferries,private-notes,tides' &&
+    byTag.reading.count === 2495 && byTag.ferries.count === 3 &&
+    byTag.ferries.last_used_at === '2024-06-01T08:00:00.000Z' &&
+    byTag.reading.last_used_at === makeScrap(2499).created_at &&
+    !byTag.drafts &&
+    !shared.some(entry => entry.tag === 'private-notes') &&
+    popular.length === 1 && popular[0].tag === 'reading' &&
+    warnings.length <= 1
+
+  console.log(`\n📊 Row-by-row Counting Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that the Postgres function is used when it exists
+ */
+async function testFunction() {
+  console.log('🐘 Testing the Postgres Function...\n')
+
+  const calls = []
+  const supabase = createMemoryClient({ scraps: [] }, {
+    [TAG_INDEX_FUNCTION]: args => {
+      calls.push(args)
+      // PostgREST sends bigint counts as strings when they may overflow
+      return [
+        { tag: 'reading', count: '12', last_used_at: '2024-05-01T00:00:00+00:00' },
+        { tag: 'tides', count: 2, last_used_at: null }
+      ]
+    }
+  })
+
+  const tags = await fetchTagIndex(supabase, { shared: false, minCount: 2, limit: 50 })
+  console.log(`  Called with ${JSON.stringify(calls[0])}`)
+  console.log(`  Got ${tags.map(entry => `${entry.tag}:${entry.count}`).join(', ')}`)
+
+  const success = calls.length === 1 &&
+    calls[0].only_shared === false && calls[0].min_count === 2 && calls[0].max_tags === 50 &&
+    tags[0].count === 12 && tags[1].count === 2 && tags[0].last_used_at === '2024-05-01T00:00:00+00:00'
+
+  console.log(`\n📊 Postgres Function Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that errors other than a missing function are thrown
+ */
+async function testErrors() {
+  console.log('💥 Testing Errors...\n')
+
+  const supabase = createMemoryClient({ scraps: seedScraps() })
+  supabase.rpc = async () => ({ data: null, error: { code: '42501', message: 'permission denied for function scrap_tag_index' } })
+
+  let thrown = null
+  try {
+    await fetchTagIndex(supabase)
+  } catch (error) {
+    thrown = error
+  }
+  console.log(`  Permission error: ${thrown?.message}`)
+
+  const success = thrown?.code === '42501'
+
+  console.log(`\n📊 Errors Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Tag Index Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Row-by-row Counting', fn: testFallback },
+    { name: 'Postgres Function', fn: testFunction },
+    { name: 'Errors', fn: testErrors }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The tag index is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the tag index implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Scrape Telemetry
+ *
+ * Checks the events the error handler reports (success, unchanged and
+ * failure), the memory and NDJSON sinks, that a failing sink never breaks
+ * a scrape, and the failure-rate summary the dashboard draws.
+ *
+ * Run with: node scripts/test-telemetry.mjs
+ */
+
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import { ScrapingErrorHandler } from '../server/lib/scraper/error-handler.js'
+import { ScrapeTelemetry, summarizeEvents } from '../server/lib/scraper/telemetry.js'
+import { MemoryTelemetrySink, NdjsonTelemetrySink } from '../server/lib/scraper/telemetry-sinks.js'
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`)
+  error.response = { status, headers: {} }
+  return error
+}
+
+function handlerWith(telemetry) {
+  return new ScrapingErrorHandler({ maxRetries: 1, baseDelay: 10, logErrors: false, failureLog: null, telemetry })
+}
+
+/**
+ * Test the events reported for each outcome
+ */
+async function testEvents() {
+  console.log('📡 Testing Reported Events...\n')
+
+  const sink = new MemoryTelemetrySink()
+  const telemetry = new ScrapeTelemetry({ sink })
+  const handler = handlerWith(telemetry)
+
+  let calls = 0
+  await handler.wrap('https://news.example/a', async () => ({ title: 'A', tier: 'http' }), { source: 'feed' })
+  await handler.wrap('https://news.example/b', async () => ({ unchanged: true }))
+  await handler.wrap('https://flaky.example/c', async () => {
+    calls++
+    const error = new Error('socket hang up')
+    error.code = 'ECONNRESET'
+    throw error
+  }, { tier: 'browser' })
+  await handler.wrap('https://gone.example/d', async () => { throw httpError(404) })
+
+  const buffered = sink.events.length
+  const events = await telemetry.read()
+  const [success, unchanged, failure, notFound] = events
+
+  for (const event of events) {
+    console.log(`  ${event.outcome.padEnd(9)} ${event.domain} ${event.error_type ?? '-'} ${event.http_status ?? '-'} attempts ${event.attempts} ${event.latency_ms}ms tier ${event.tier ?? '-'}`)
+  }
+  console.log(`  Buffered until read: ${buffered === 0}`)
+
+  const passed = events.length === 4 && buffered === 0 &&
+    success.outcome === 'success' && success.error_type === null && success.source === 'feed' && success.tier === 'http' &&
+    unchanged.outcome === 'unchanged' &&
+    failure.outcome === 'failure' && failure.error_type === 'network_error' &&
+    failure.attempts === calls && calls === 2 && failure.tier === 'browser' && failure.latency_ms >= 0 &&
+    notFound.error_type === 'http_error' && notFound.http_status === 404
+
+  console.log(`\n📊 Events Test: ${passed ? 'PASSED' : 'FAILED'}\n`)
+  return passed
+}
+
+/**
+ * Test the NDJSON sink round trip and filters
+ */
+async function testNdjsonSink() {
+  console.log('📄 Testing NDJSON Sink...\n')
+
+  const dir = await mkdtemp(join(tmpdir(), 'scrape-telemetry-'))
+  try {
+    const sink = new NdjsonTelemetrySink(join(dir, 'events.ndjson'))
+    const empty = await sink.read()
+
+    const telemetry = new ScrapeTelemetry({ sink, batchSize: 2 })
+    const events = [
+      { timestamp: '2026-01-01T10:00:00.000Z', outcome: 'success', domain: 'a.example' },
+      { timestamp: '2026-01-01T11:00:00.000Z', outcome: 'failure', domain: 'b.example', error_type: 'timeout' },
+      { timestamp: '2026-01-02T09:00:00.000Z', outcome: 'failure', domain: 'a.example', error_type: 'paywall' }
+    ]
+    events.forEach(event => telemetry.record(event))
+    await telemetry.flush()
+
+    const all = await sink.read()
+    const sinceJan2 = await sink.read({ since: '2026-01-02T00:00:00.000Z' })
+    const domainA = await sink.read({ domain: 'a.example' })
+    const latestOne = await sink.read({ limit: 1 })
+
+    console.log(`  Missing file: ${empty.length} events; written: ${all.length}`)
+    console.log(`  Since Jan 2: ${sinceJan2.length}, a.example: ${domainA.length}, latest: ${latestOne[0]?.error_type}`)
+
+    const success = empty.length === 0 && all.length === 3 && sinceJan2.length === 1 &&
+      domainA.length === 2 && latestOne.length === 1 && latestOne[0].error_type === 'paywall'
+
+    console.log(`\n📊 NDJSON Sink Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+    return success
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Test that a failing sink costs events, not scrapes
+ */
+async function testFailingSink() {
+  console.log('🧯 Testing Failing Sink...\n')
+
+  let writes = 0
+  const telemetry = new ScrapeTelemetry({
+    sink: { name: 'broken', write: async () => { writes++; throw new Error('sink down') }, read: async () => [] }
+  })
+  const handler = handlerWith(telemetry)
+
+  const originalError = console.error
+  const logged = []
+  console.error = (...args) => logged.push(args.join(' '))
+  let result
+  try {
+    result = await handler.wrap('https://news.example/a', async () => ({ title: 'A' }))
+    await telemetry.flush()
+  } finally {
+    console.error = originalError
+  }
+
+  console.log(`  Scrape succeeded: ${result.success}, sink writes: ${writes}, dropped logged: ${logged.some(line => line.includes('Dropped 1 events'))}`)
+
+  const success = result.success && writes === 1 && telemetry.buffer.length === 0 &&
+    logged.some(line => line.includes('Dropped 1 events'))
+
+  console.log(`\n📊 Failing Sink Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the failure-rate summary
+ */
+async function testSummary() {
+  console.log('📈 Testing Summary...\n')
+
+  const hour = 60 * 60 * 1000
+  const at = offset => new Date(Date.parse('2026-03-01T00:00:00.000Z') + offset).toISOString()
+  const events = [
+    { timestamp: at(0), outcome: 'success', domain: 'a.example' },
+    { timestamp: at(10 * 60 * 1000), outcome: 'failure', domain: 'a.example', error_type: 'timeout' },
+    { timestamp: at(hour), outcome: 'unchanged', domain: 'b.example' },
+    { timestamp: at(3 * hour), outcome: 'failure', domain: 'b.example', error_type: 'paywall' },
+    { timestamp: at(3 * hour + 1), outcome: 'failure', domain: 'b.example', error_type: 'paywall' },
+    { timestamp: at(3 * hour + 2), outcome: 'failure', domain: 'c.example', error_type: 'http_error' }
+  ]
+
+  const summary = summarizeEvents(events, { since: at(0), until: at(4 * hour), bucketMs: hour })
+  const { totals, byDomain, byType, buckets } = summary
+
+  console.log(`  Totals: ${totals.events} events, ${totals.failures} failures (${(totals.failureRate * 100).toFixed(0)}%), ${totals.unchanged} unchanged`)
+  console.log(`  Domains: ${byDomain.map(stats => `${stats.domain} ${stats.failures}/${stats.total}`).join(', ')}`)
+  console.log(`  Types: ${byType.map(({ type, count }) => `${type} ${count}`).join(', ')}`)
+  console.log(`  Buckets: ${buckets.map(bucket => `${bucket.failures}/${bucket.total}`).join(' ')}`)
+
+  const success = totals.events === 6 && totals.failures === 4 && totals.success === 1 && totals.unchanged === 1 &&
+    byDomain[0].domain === 'b.example' && byDomain[0].failureRate === 2 / 3 && byDomain[0].types.paywall === 2 &&
+    byType[0].type === 'paywall' && byType[0].count === 2 &&
+    buckets.length === 5 && buckets[0].failures === 1 && buckets[0].total === 2 &&
+    buckets[2].total === 0 && buckets[3].failures === 3 && buckets[3].types.paywall === 2
+
+  console.log(`\n📊 Summary Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting Scrape Telemetry Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Events', fn: testEvents },
+    { name: 'NDJSON Sink', fn: testNdjsonSink },
+    { name: 'Failing Sink', fn: testFailingSink },
+    { name: 'Summary', fn: testSummary }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! Scrape telemetry is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the telemetry implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
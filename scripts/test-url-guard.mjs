@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the URL Guard and Rate Limiter
+ *
+ * Checks private/reserved address detection, the protocol, domain list and
+ * DNS checks (with a stand-in resolver), that redirects are checked again
+ * (against a local HTTP server), that connections go to the addresses the
+ * check saw even when DNS answers differently later, the per-client
+ * rate limiter, that a client can't pick its own rate-limit key, and the
+ * bounds on the options a client may pass.
+ *
+ * Run with: node scripts/test-url-guard.mjs
+ */
+
+import dns from 'dns'
+import { createServer } from 'http'
+
+import { UrlGuard, guardTransport, isPrivateAddress } from '../server/lib/scraper/url-guard.js'
+import { RateLimiter, requestAddress } from '../server/lib/scraper/rate-limiter.js'
+import { parseScrapeOptions, MAX_CLIENT_TIMEOUT_MS } from '../server/lib/scraper/request-options.js'
+import { scrapeUrl } from '../server/lib/scraper/demo-scraper.js'
+import { HttpClient, MockHttpClient, pinnedLookup } from '../server/lib/scraper/http-client.js'
+
+// Stand-in DNS: a few names with fixed answers, everything else missing
+const DNS = {
+  'news.example': ['93.184.216.34', '2606:2800:220:1::'],
+  'intranet.example': ['10.1.2.3'],
+  'rebind.example': ['93.184.216.34', '127.0.0.1'],
+  'metadata.example': ['fd00:ec2::254']
+}
+
+async function lookup(hostname) {
+  if (!DNS[hostname]) {
+    const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`)
+    error.code = 'ENOTFOUND'
+    throw error
+  }
+  return DNS[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+}
+
+/**
+ * Resolve to the subtype a guard refuses a URL with, 'allowed', or the error code
+ */
+async function verdict(guard, url) {
+  try {
+    await guard.check(url)
+    return 'allowed'
+  } catch (error) {
+    return error.subtype || error.code
+  }
+}
+
+/**
+ * Test which addresses count as private
+ */
+async function testAddresses() {
+  console.log('🧭 Testing Address Classification...\n')
+
+  const cases = {
+    '127.0.0.1': true,
+    '10.0.0.8': true,
+    '172.20.1.1': true,
+    '192.168.1.10': true,
+    '169.254.169.254': true,
+    '100.64.0.1': true,
+    '0.0.0.0': true,
+    '224.0.0.1': true,
+    '::1': true,
+    '::': true,
+    'fe80::1': true,
+    'fd00::1': true,
+    '::ffff:127.0.0.1': true,
+    '::ffff:a9fe:a9fe': true,
+    '64:ff9b::a00:1': true,
+    '2002:c0a8:101::1': true,
+    'not-an-ip': true,
+    '93.184.216.34': false,
+    '8.8.8.8': false,
+    '172.32.0.1': false,
+    '2606:2800:220:1::': false,
+    '64:ff9b::808:808': false
+  }
+
+  let success = true
+  for (const [address, expected] of Object.entries(cases)) {
+    const actual = isPrivateAddress(address)
+    if (actual !== expected) {
+      console.log(`  ❌ ${address}: expected ${expected ? 'private' : 'public'}`)
+      success = false
+    }
+  }
+  console.log(`  ${Object.keys(cases).length} addresses classified${success ? ' correctly' : ''}`)
+
+  console.log(`\n📊 Address Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test protocol, literal address, DNS and domain list checks
+ */
+async function testUrlChecks() {
+  console.log('🛡️  Testing URL Checks...\n')
+
+  const guard = new UrlGuard({ lookup, denyDomains: 'tracker.example, *.ads.example' })
+  const expectations = {
+    'https://news.example/story': 'allowed',
+    'file:///etc/passwd': 'unsupported_protocol',
+    'ftp://news.example/file': 'unsupported_protocol',
+    'javascript:alert(1)': 'unsupported_protocol',
+    'not a url': 'invalid_url',
+    'http://169.254.169.254/latest/meta-data/': 'private_address',
+    'http://[::1]:3000/': 'private_address',
+    'http://0x7f000001/': 'private_address',
+    'http://2130706433/': 'private_address',
+    'http://[::ffff:10.0.0.1]/': 'private_address',
+    'https://intranet.example/': 'private_address',
+    'https://rebind.example/': 'private_address',
+    'https://metadata.example/': 'private_address',
+    'https://missing.example/': 'ENOTFOUND',
+    'https://tracker.example/pixel': 'domain_denied',
+    'https://cdn.ads.example/banner': 'domain_denied',
+    'https://notads.example/': 'ENOTFOUND'
+  }
+
+  let success = true
+  for (const [url, expected] of Object.entries(expectations)) {
+    const actual = await verdict(guard, url)
+    console.log(`  ${actual === expected ? '✅' : '❌'} ${url} → ${actual}`)
+    if (actual !== expected) success = false
+  }
+
+  // With an allow list only those domains (and subdomains) get through
+  const allowList = new UrlGuard({ lookup, allowDomains: ['news.example'] })
+  const allowed = await verdict(allowList, 'https://news.example/a')
+  const offList = await verdict(allowList, 'https://intranet.example/a')
+  console.log(`  Allow list: news.example ${allowed}, intranet.example ${offList}`)
+
+  success = success && allowed === 'allowed' && offList === 'domain_not_allowed'
+
+  console.log(`\n📊 URL Checks Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that refused URLs come back from the scraper as validation errors,
+ * including a redirect to the metadata endpoint
+ */
+async function testScraperIntegration() {
+  console.log('🔀 Testing Scraper Integration and Redirects...\n')
+
+  const guard = new UrlGuard({ lookup })
+  const options = { validatorStore: false, oembed: false, renderingTier: false }
+
+  const literal = await scrapeUrl('http://169.254.169.254/latest/meta-data/', { ...options, transport: MockHttpClient, urlGuard: guard })
+  const fileUrl = await scrapeUrl('file:///etc/passwd', { ...options, transport: MockHttpClient, urlGuard: guard })
+  console.log(`  Metadata address: ${literal.error?.type}/${literal.error?.subtype} (canRetry: ${literal.error?.canRetry})`)
+  console.log(`  file: URL: ${fileUrl.error?.type}/${fileUrl.error?.subtype}`)
+
+  // A public-looking page that redirects to the metadata endpoint
+  const server = createServer((request, response) => {
+    if (request.url === '/start') {
+      response.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' })
+    } else {
+      response.writeHead(404)
+    }
+    response.end()
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  // Trust the local test server itself; everything else gets the real checks
+  const checked = []
+  const trustLocal = {
+    check: url => {
+      checked.push(url)
+      return url.startsWith(base) ? Promise.resolve() : guard.check(url)
+    }
+  }
+  const redirected = await scrapeUrl(`${base}/start`, { ...options, urlGuard: trustLocal })
+  server.close()
+
+  const redirectChecked = checked.includes('http://169.254.169.254/latest/meta-data/')
+  console.log(`  Redirect to metadata: ${redirected.error?.type}/${redirected.error?.subtype}, target checked: ${redirectChecked}`)
+
+  const success = literal.error?.type === 'validation_error' && literal.error.subtype === 'private_address' &&
+    literal.error.canRetry === false &&
+    fileUrl.error?.type === 'validation_error' && fileUrl.error.subtype === 'unsupported_protocol' &&
+    redirected.error?.type === 'validation_error' && redirected.error.subtype === 'private_address' && redirectChecked
+
+  console.log(`\n📊 Scraper Integration Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that a fetch connects to the addresses the guard checked, not to
+ * whatever the host resolves to by the time the socket opens
+ */
+async function testDnsRebinding() {
+  console.log('📌 Testing Pinned Addresses (DNS Rebinding)...\n')
+
+  const pinned = pinnedLookup(['93.184.216.34', '2606:2800:220:1::'])
+  const answer = options => new Promise(resolve => pinned('news.example', options, (error, ...result) => resolve(error ? error.code : result)))
+  const all = await answer({ all: true })
+  const ipv6 = await answer({ family: 6 })
+  const ipv4Only = await new Promise(resolve => pinnedLookup(['93.184.216.34'])('news.example', { family: 6 }, error => resolve(error?.code)))
+
+  console.log(`  All: ${all[0].map(({ address }) => address).join(', ')}`)
+  console.log(`  IPv6 only: ${ipv6.join(' / ')}; with no IPv6 address: ${ipv4Only}`)
+
+  // The same port on two loopback addresses: the page the check saw and an
+  // "internal" service the name points at on every later lookup
+  const serve = (host, body, port = 0) => new Promise(resolve => {
+    const server = createServer((request, response) => response.end(body))
+    server.listen(port, host, () => resolve(server))
+  })
+  const publicServer = await serve('127.0.0.1', 'public page')
+  const { port } = publicServer.address()
+  const internalServer = await serve('127.0.0.2', 'internal service', port)
+
+  let lookups = 0
+  const nextAddress = () => (lookups++ === 0 ? '127.0.0.1' : '127.0.0.2')
+  const systemLookup = dns.lookup
+  dns.lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') [callback, options] = [options, {}]
+    const address = nextAddress()
+    return options.all ? callback(null, [{ address, family: 4 }]) : callback(null, address, 4)
+  }
+
+  // Offline every reachable address is private, so the check accepts them;
+  // what matters here is which address the connection uses
+  const guard = new UrlGuard({ allowPrivate: true, lookup: async () => [{ address: nextAddress(), family: 4 }] })
+  const url = `http://rebind.example:${port}/`
+
+  let guarded, unguarded
+  try {
+    guarded = await (await guardTransport(HttpClient, guard).fetch(url)).text()
+    unguarded = await (await HttpClient.fetch(url)).text()
+  } finally {
+    dns.lookup = systemLookup
+    publicServer.close()
+    internalServer.close()
+  }
+
+  console.log(`  Guarded fetch reached: ${guarded} (${lookups} lookups in all)`)
+  console.log(`  Unpinned fetch of the same name reached: ${unguarded}`)
+
+  const success = all[0].length === 2 &&
+    ipv6[0] === '2606:2800:220:1::' && ipv6[1] === 6 && ipv4Only === 'ENOTFOUND' &&
+    guarded === 'public page' && unguarded === 'internal service' && lookups === 2
+
+  console.log(`\n📊 DNS Rebinding Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test the per-client fixed-window rate limiter
+ */
+async function testRateLimiter() {
+  console.log('⏱️  Testing Rate Limiter...\n')
+
+  const limiter = new RateLimiter({ limit: 3, windowMs: 1000 })
+  const now = 1_000_000
+
+  const first = [1, 2, 3].map(() => limiter.hit('ip:203.0.113.9', { now }))
+  const fourth = limiter.hit('ip:203.0.113.9', { now: now + 400 })
+  const otherClient = limiter.hit('user:42', { now: now + 400 })
+  const batch = limiter.hit('user:42', { cost: 3, now: now + 500 })
+  const nextWindow = limiter.hit('ip:203.0.113.9', { now: now + 1000 })
+
+  console.log(`  First three: ${first.map(hit => hit.allowed).join(', ')}, remaining ${first[2].remaining}`)
+  console.log(`  Fourth: allowed ${fourth.allowed}, retry after ${fourth.retryAfterMs}ms`)
+  console.log(`  Other client: allowed ${otherClient.allowed}; then a batch of 3: allowed ${batch.allowed}`)
+  console.log(`  Next window: allowed ${nextWindow.allowed}, remaining ${nextWindow.remaining}`)
+
+  const success = first.every(hit => hit.allowed) && first[2].remaining === 0 &&
+    !fourth.allowed && fourth.retryAfterMs === 600 &&
+    otherClient.allowed && !batch.allowed &&
+    nextWindow.allowed && nextWindow.remaining === 2
+
+  console.log(`\n📊 Rate Limiter Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+// A request as h3 sees it: the socket's peer and an X-Forwarded-For header
+function request(remoteAddress, forwardedFor) {
+  const headers = forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+  return { node: { req: { headers, socket: { remoteAddress } } } }
+}
+
+/**
+ * Test that a made-up X-Forwarded-For gets no fresh rate-limit bucket
+ */
+async function testClientAddress() {
+  console.log('🎭 Testing Client Addresses...\n')
+
+  const limiter = new RateLimiter({ limit: 3, windowMs: 1000 })
+  const now = 1_000_000
+
+  // A new forwarded address on every request, straight to the app
+  const rotated = [1, 2, 3, 4].map(n => {
+    const address = requestAddress(request('198.51.100.7', `10.0.0.${n}`))
+    return { address, ...limiter.hit(`ip:${address}`, { now }) }
+  })
+
+  // Behind one proxy, the entry it appended counts and the client's own
+  // entries to its left don't
+  const proxied = [1, 2, 3, 4].map(n => {
+    const address = requestAddress(request('10.0.0.1', `10.9.9.${n}, 203.0.113.5`), { trustedProxies: 1 })
+    return { address, ...limiter.hit(`ip:${address}`, { now }) }
+  })
+  const direct = requestAddress(request('10.0.0.1'), { trustedProxies: 1 })
+  const twoProxies = requestAddress(request('10.0.0.1', '6.6.6.6, 203.0.113.8, 10.0.0.2'), { trustedProxies: 2 })
+  const noSocket = requestAddress({ node: { req: { headers: { 'x-forwarded-for': '6.6.6.6' } } } })
+
+  console.log(`  Rotated header: keyed on ${[...new Set(rotated.map(hit => hit.address))].join(', ')}, fourth allowed ${rotated[3].allowed}`)
+  console.log(`  Behind a proxy: keyed on ${[...new Set(proxied.map(hit => hit.address))].join(', ')}, fourth allowed ${proxied[3].allowed}`)
+  console.log(`  No header: ${direct}; two proxies: ${twoProxies}; no socket: ${noSocket}`)
+
+  const success = rotated.every(hit => hit.address === '198.51.100.7') &&
+    rotated.slice(0, 3).every(hit => hit.allowed) && !rotated[3].allowed &&
+    proxied.every(hit => hit.address === '203.0.113.5') && !proxied[3].allowed &&
+    direct === '10.0.0.1' && twoProxies === '203.0.113.8' && noSocket === 'unknown'
+
+  console.log(`\n📊 Client Address Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Test that a client's timeout is a bounded whole number of milliseconds,
+ * and that it can't pick the User-Agent
+ */
+async function testClientOptions() {
+  console.log('🎛️  Testing Client Scrape Options...\n')
+
+  const cases = [
+    { input: '5000', expected: 5000 },
+    { input: 8000, expected: 8000 },
+    { input: '86400000', expected: MAX_CLIENT_TIMEOUT_MS },
+    { input: 'forever', expected: undefined },
+    { input: '10s', expected: undefined },
+    { input: '-1', expected: undefined },
+    { input: 0, expected: undefined },
+    { input: 2.5, expected: undefined },
+    { input: Infinity, expected: undefined },
+    { input: ['5000'], expected: undefined }
+  ]
+
+  let success = true
+  for (const { input, expected } of cases) {
+    const { timeout } = parseScrapeOptions({ timeout: input })
+    const ok = timeout === expected
+    console.log(`  ${ok ? '✅' : '❌'} ${typeof input === 'number' ? input : JSON.stringify(input)} → ${timeout ?? 'default'}`)
+    success = success && ok
+  }
+
+  // Another name would match another robots.txt group
+  const named = parseScrapeOptions({ userAgent: 'Googlebot/2.1', force: 'true' })
+  console.log(`  userAgent dropped: ${!('userAgent' in named)}, force kept: ${named.force}`)
+  success = success && !('userAgent' in named) && named.force === true
+
+  console.log(`\n📊 Client Options Test: ${success ? 'PASSED' : 'FAILED'}\n`)
+  return success
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('🚀 Starting URL Guard Test Suite')
+  console.log('=' .repeat(60) + '\n')
+
+  const tests = [
+    { name: 'Addresses', fn: testAddresses },
+    { name: 'URL Checks', fn: testUrlChecks },
+    { name: 'Scraper Integration', fn: testScraperIntegration },
+    { name: 'DNS Rebinding', fn: testDnsRebinding },
+    { name: 'Rate Limiter', fn: testRateLimiter },
+    { name: 'Client Address', fn: testClientAddress },
+    { name: 'Client Options', fn: testClientOptions }
+  ]
+
+  const results = []
+
+  for (const test of tests) {
+    console.log(`Running ${test.name} test...`)
+    try {
+      const passed = await test.fn()
+      results.push({ name: test.name, passed })
+    } catch (error) {
+      console.error(`❌ Test '${test.name}' threw an exception:`, error.message)
+      results.push({ name: test.name, passed: false })
+    }
+    console.log('-'.repeat(40) + '\n')
+  }
+
+  // Summary
+  const totalTests = results.length
+  const passedTests = results.filter(r => r.passed).length
+
+  console.log('🏁 TEST SUMMARY')
+  console.log('=' .repeat(60))
+
+  results.forEach(({ name, passed }) => {
+    console.log(`  ${passed ? '✅' : '❌'} ${name}`)
+  })
+
+  console.log('')
+  console.log(`📊 Overall Result: ${passedTests}/${totalTests} tests passed`)
+
+  if (passedTests === totalTests) {
+    console.log('🎉 All tests passed! The URL guard is working correctly.')
+  } else {
+    console.log('⚠️  Some tests failed. Check the URL guard implementation.')
+  }
+
+  return passedTests === totalTests
+}
+
+runAllTests()
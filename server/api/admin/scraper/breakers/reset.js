@@ -0,0 +1,62 @@
+/**
+ * Admin API: Reset Circuit Breakers
+ * 
+ * POST /api/admin/scraper/breakers/reset
+ * { "domain": "example.com" }  → close that domain's breaker
+ * {}                           → close every breaker
+ */
+
+import { scraperErrorHandler } from '../../../../lib/scraper/error-handler.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'POST') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use POST to reset circuit breakers'
+      }
+    }
+  }
+  
+  try {
+    const body = await readBody(event) || {}
+    const domain = typeof body.domain === 'string' ? body.domain.trim().toLowerCase() : null
+    
+    if (body.domain !== undefined && !domain) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: {
+          type: 'validation_error',
+          message: '`domain` must be a non-empty string (leave it out to reset every breaker)'
+        }
+      }
+    }
+    
+    await scraperErrorHandler.resetCircuitBreaker(domain)
+    console.log(`[ADMIN] Reset circuit breaker for ${domain || 'all domains'}`)
+    
+    return {
+      success: true,
+      type: 'breaker_reset',
+      domain,
+      circuitBreaker: await scraperErrorHandler.getCircuitBreakerStatus(),
+      message: domain ? `Circuit breaker reset for ${domain}` : 'All circuit breakers reset'
+    }
+  } catch (error) {
+    console.error('[ADMIN] Failed to reset circuit breaker:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not reset the circuit breaker',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
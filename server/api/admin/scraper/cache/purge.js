@@ -0,0 +1,75 @@
+/**
+ * Admin API: Purge Cached Responses
+ * 
+ * POST /api/admin/scraper/cache/purge
+ * { "url": "https://example.com/a" }  → forget that URL's conditional GET
+ *                                       validators and its site's robots.txt
+ * {}                                  → forget everything
+ * 
+ * The next scrape of a purged URL fetches and extracts it in full.
+ * Validators saved on scraps in Supabase are not touched; use the re-scrape
+ * route to refresh a saved scrap.
+ */
+
+import { validatorStore } from '../../../../lib/scraper/conditional.js'
+import { politeness } from '../../../../lib/scraper/politeness.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'POST') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use POST to purge cached responses'
+      }
+    }
+  }
+  
+  try {
+    const body = await readBody(event) || {}
+    const url = body.url ?? null
+    
+    if (url !== null) {
+      try {
+        new URL(url)
+      } catch {
+        setResponseStatus(event, 400)
+        return {
+          success: false,
+          error: {
+            type: 'validation_error',
+            subtype: 'invalid_url',
+            message: 'Invalid URL format'
+          }
+        }
+      }
+    }
+    
+    const purged = url
+      ? { validators: await validatorStore.delete(url) ? 1 : 0, robots: politeness.robots.clear(url) }
+      : { validators: await validatorStore.clear(), robots: politeness.robots.clear() }
+    console.log(`[ADMIN] Purged cached responses for ${url || 'all URLs'}:`, purged)
+    
+    return {
+      success: true,
+      type: 'cache_purge',
+      url,
+      purged,
+      message: url ? `Cached responses purged for ${url}` : 'All cached responses purged'
+    }
+  } catch (error) {
+    console.error('[ADMIN] Failed to purge cached responses:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not purge cached responses',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
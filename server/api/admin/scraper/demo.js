@@ -0,0 +1,51 @@
+/**
+ * Admin API: Scraping Demo
+ * 
+ * POST /api/admin/scraper/demo → scrape the demo URLs (see demo-scraper.js)
+ *                                and return the results
+ * 
+ * The demo makes no network requests: its fictional URLs are served by
+ * MockHttpClient. It still runs them through the shared error handler, so
+ * each run adds failures, telemetry events and circuit breaker state that
+ * the other admin routes report on. It is admin-only so that only admins
+ * can add those.
+ */
+
+import { runScrapingDemo } from '../../../lib/scraper/demo-scraper.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'POST') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use POST to run the scraping demo'
+      }
+    }
+  }
+  
+  try {
+    const demoResult = await runScrapingDemo()
+    
+    return {
+      success: true,
+      type: 'demo',
+      result: demoResult,
+      message: 'Scraping demo completed successfully'
+    }
+  } catch (error) {
+    console.error('[ADMIN] Scraping demo failed:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'The scraping demo failed',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,58 @@
+/**
+ * Admin API: Recent Scrape Failures
+ * 
+ * GET /api/admin/scraper/failures?limit=50&domain=example.com&type=timeout&since=2024-01-01T00:00:00Z
+ * 
+ * Newest first, from this server's in-memory failure log (see
+ * failure-log.js); every filter is optional and `limit` is capped at 500.
+ */
+
+import { failureLog } from '../../../lib/scraper/failure-log.js'
+
+const MAX_LIMIT = 500
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to list recent failures'
+      }
+    }
+  }
+  
+  const query = getQuery(event)
+  const limit = Math.min(parseInt(query.limit) || 50, MAX_LIMIT)
+  
+  let since
+  if (query.since) {
+    const date = new Date(query.since)
+    if (Number.isNaN(date.getTime())) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: {
+          type: 'validation_error',
+          message: '`since` must be a date'
+        }
+      }
+    }
+    since = date.toISOString()
+  }
+  
+  const failures = failureLog.list({
+    limit,
+    domain: query.domain || undefined,
+    type: query.type || undefined,
+    since
+  })
+  
+  return {
+    success: true,
+    type: 'failures',
+    count: failures.length,
+    failures
+  }
+})
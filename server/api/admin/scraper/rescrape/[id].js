@@ -0,0 +1,85 @@
+/**
+ * Admin API: Force a Re-Scrape
+ * 
+ * POST /api/admin/scraper/rescrape/:id → queue a forced scrape of the scrap's
+ *                                        URL and save the result over it
+ * 
+ * The scrape skips the conditional GET, so the page is extracted again even
+ * when it has not changed. Curated fields (source, type, shared, tags) are
+ * left as they are. Responds 202 with the job; poll it with
+ * GET /api/scrape/jobs/:id.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { describeJob, scrapeJobQueue } from '../../../../lib/scraper/job-queue.js'
+import { findScrapById } from '../../../../lib/scraper/persist.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'POST') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use POST to re-scrape a scrap'
+      }
+    }
+  }
+  
+  const id = getRouterParam(event, 'id')
+  
+  try {
+    const scrap = await findScrapById(serverSupabaseServiceRole(event), id)
+    
+    if (!scrap) {
+      setResponseStatus(event, 404)
+      return {
+        success: false,
+        error: {
+          type: 'not_found',
+          message: `No scrap ${id}`
+        }
+      }
+    }
+    
+    if (!scrap.url) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: {
+          type: 'validation_error',
+          message: `Scrap ${id} has no URL to scrape`
+        }
+      }
+    }
+    
+    const [{ job, deduplicated }] = await scrapeJobQueue.enqueue([scrap.url], {
+      scrape: { force: true },
+      save: true
+    })
+    console.log(`[ADMIN] Queued re-scrape of scrap ${id}: job ${job.id}`)
+    
+    setResponseStatus(event, 202)
+    return {
+      success: true,
+      type: 'job',
+      scrap: { id: scrap.id, url: scrap.url },
+      job: describeJob(job),
+      deduplicated,
+      message: deduplicated ? 'A scrape of this URL is already queued' : 'Re-scrape queued'
+    }
+  } catch (error) {
+    console.error(`[ADMIN] Failed to queue re-scrape of scrap ${id}:`, error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not queue the re-scrape',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,48 @@
+/**
+ * Admin API: Circuit Breaker Status
+ * 
+ * GET /api/admin/scraper/status → state, failure count and cooldown for
+ *                                 every domain the breaker has seen, and
+ *                                 the screenshot queue's counts
+ */
+
+import { scraperErrorHandler } from '../../../lib/scraper/error-handler.js'
+import { screenshotQueue } from '../../../lib/scraper/screenshots.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to read the circuit breaker status'
+      }
+    }
+  }
+  
+  try {
+    const status = await scraperErrorHandler.getCircuitBreakerStatus()
+    
+    return {
+      success: true,
+      type: 'status',
+      circuitBreaker: status,
+      screenshots: screenshotQueue.status(),
+      message: 'Circuit breaker status retrieved'
+    }
+  } catch (error) {
+    console.error('[ADMIN] Failed to read circuit breaker status:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not read the circuit breaker status',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,74 @@
+/**
+ * Admin API: Scrape Failure Rates
+ * 
+ * GET /api/admin/scraper/telemetry?days=7&bucket=day&domain=example.com
+ * 
+ * Summarizes the telemetry events (see telemetry.js) of the last `days`
+ * (1-90, default 7) into failure rates by domain, by error type and per
+ * `bucket` (`hour` or `day`; hourly for up to two days by default).
+ * `domain` narrows everything to one domain. Feeds pages/failures.vue.
+ */
+
+import { scrapeTelemetry, summarizeEvents } from '../../../lib/scraper/telemetry.js'
+
+const BUCKETS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+}
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to read failure rates'
+      }
+    }
+  }
+  
+  const query = getQuery(event)
+  const days = Math.min(Math.max(parseInt(query.days) || 7, 1), 90)
+  const bucket = query.bucket || (days <= 2 ? 'hour' : 'day')
+  
+  if (!BUCKETS[bucket]) {
+    setResponseStatus(event, 400)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: '`bucket` must be `hour` or `day`'
+      }
+    }
+  }
+  
+  try {
+    const until = new Date().toISOString()
+    const since = new Date(Date.now() - days * BUCKETS.day).toISOString()
+    const domain = query.domain || undefined
+    const events = await scrapeTelemetry.read({ since, until, domain })
+    
+    return {
+      success: true,
+      type: 'telemetry',
+      sink: scrapeTelemetry.sink?.name ?? null,
+      range: { since, until, days, bucket },
+      domain: domain ?? null,
+      ...summarizeEvents(events, { since, until, bucketMs: BUCKETS[bucket] })
+    }
+  } catch (error) {
+    console.error('[ADMIN] Failed to read scrape telemetry:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not read scrape telemetry',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
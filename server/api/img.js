@@ -0,0 +1,98 @@
+/**
+ * Image Proxy
+ *
+ * GET /api/img?url=<image url>&w=<width>&f=<avif|webp|jpeg>
+ *
+ * Serves a remote image from our origin, resized to the nearest of the
+ * fixed widths (160, 320, 640, 960, 1280) and re-encoded. Without `f` the
+ * format follows the Accept header (WebP, then AVIF, then JPEG). The
+ * fetch goes through the URL guard and the scraper's circuit breaker, and
+ * each variant is cached, so only images not yet cached count against the
+ * per-client rate limit.
+ *
+ * Errors come back as JSON: 400 for a bad or refused URL, 429 when rate
+ * limited, 502 when the origin fails or sends something that is not an
+ * image, 503 while the origin's circuit breaker is open.
+ */
+
+import { imageProxy } from '../lib/images/proxy.js'
+import { imageRateLimiter } from '../lib/scraper/rate-limiter.js'
+import { rateLimitRefusal } from '../lib/scraper/request-guard.js'
+
+function failureStatus(error) {
+  if (error.type === 'validation_error') return 400
+  if (error.metadata?.blocked) return 503
+  return 502
+}
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Method not allowed'
+      }
+    }
+  }
+
+  try {
+    const { params, error } = imageProxy.parseParams(getQuery(event), getRequestHeader(event, 'accept'))
+    if (error) {
+      setResponseStatus(event, 400)
+      return { success: false, error }
+    }
+    if (params.negotiated) setResponseHeader(event, 'Vary', 'Accept')
+
+    // Cached variants are free; fetching a new one counts
+    if (!await imageProxy.cached(params)) {
+      const limited = await rateLimitRefusal(event, 1, { limiter: imageRateLimiter, noun: 'image' })
+      if (limited) {
+        setResponseStatus(event, 429)
+        return {
+          success: false,
+          error: limited,
+          message: 'Rate limit exceeded'
+        }
+      }
+    }
+
+    const result = await imageProxy.load(params)
+
+    if (!result.success) {
+      setResponseStatus(event, failureStatus(result.error))
+      // Let the browser try again soon rather than caching the failure
+      setResponseHeader(event, 'Cache-Control', 'no-store')
+      return {
+        success: false,
+        error: {
+          type: result.error.type,
+          ...(result.error.subtype && { subtype: result.error.subtype }),
+          message: result.error.message,
+          canRetry: result.error.canRetry
+        }
+      }
+    }
+
+    const image = result.data
+    setResponseHeader(event, 'Content-Type', image.contentType)
+    setResponseHeader(event, 'Content-Length', image.body.byteLength)
+    setResponseHeader(event, 'Cache-Control', `public, max-age=${imageProxy.options.maxAge}, stale-while-revalidate=86400`)
+    setResponseHeader(event, 'X-Image-Cache', image.cached ? 'hit' : 'miss')
+    return image.body
+
+  } catch (error) {
+    console.error('[IMAGES] Image proxy error:', error)
+
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Internal server error',
+        canRetry: true
+      }
+    }
+  }
+})
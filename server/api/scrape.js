@@ -9,50 +9,68 @@
  * { "url": "https://example.com/article", "options": { "timeout": 10000 } }
  * 
  * GET /api/scrape?url=https://example.com/article
+ * 
+ * Saving (opt-in) upserts the article into `scraps`, deduplicated by URL:
+ * POST /api/scrape
+ * { "url": "...", "save": true, "options": { "source": "pinboard", "type": "article", "shared": true } }
+ * 
+ * GET /api/scrape?url=...&save=true&source=pinboard&shared=true
+ * 
+ * Only public http(s) URLs are scraped (see url-guard.js) and each client is
+ * rate limited; refused requests get a `validation_error` with a `subtype`.
+ * 
+ * Without `save`, every request downloads and extracts the page. Saving
+ * re-scrapes conditionally on the stored scrap's ETag / Last-Modified /
+ * content hash: a page that has not changed comes back with
+ * `unchanged: true` and is not saved again. Pass `force=true` (or
+ * `options.force`) to always re-extract.
+ * 
+ * Pages that are gone (404/410, dead domain) or paywalled are read from an
+ * archived snapshot when an archive is configured; those results carry
+ * `archived: true`. Pass `archive=false` (or `options.archive`) to skip it.
+ * 
+ * Saved scraps without an image of their own are queued for a screenshot
+ * (`saved.screenshot` says whether); `screenshot=false` skips it and
+ * `screenshot=force` takes one anyway.
+ * 
+ * This route scrapes while the request waits; use POST /api/scrape/jobs to
+ * queue scrapes for the background worker instead. Circuit breaker status
+ * and the scraping demo are admin routes under /api/admin/scraper.
  */
 
-import { scrapeForApp, runScrapingDemo } from '../lib/scraper/demo-scraper.js'
-import { scraperErrorHandler } from '../lib/scraper/error-handler.js'
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { scrapeForApp } from '../lib/scraper/demo-scraper.js'
+import { saveScrape, saveModeScrapeOptions, SaveActions } from '../lib/scraper/persist.js'
+import { parseScrapeOptions, parseSaveOptions } from '../lib/scraper/request-options.js'
+import { rateLimitRefusal, urlRefusal } from '../lib/scraper/request-guard.js'
+import { urlGuard } from '../lib/scraper/url-guard.js'
+import { screenshotQueue } from '../lib/scraper/screenshots.js'
 
 export default defineEventHandler(async (event) => {
   const method = getMethod(event)
   const query = getQuery(event)
   
   try {
-    // Handle demo endpoint
-    if (query.demo === 'true') {
-      const demoResult = await runScrapingDemo()
-      
-      return {
-        success: true,
-        type: 'demo',
-        result: demoResult,
-        message: 'Scraping demo completed successfully'
-      }
-    }
-    
-    // Handle circuit breaker status endpoint
-    if (query.status === 'true') {
-      const status = scraperErrorHandler.getCircuitBreakerStatus()
-      
-      return {
-        success: true,
-        type: 'status',
-        circuitBreaker: status,
-        message: 'Circuit breaker status retrieved'
-      }
-    }
-    
-    let url, options = {}
+    let url, save = false, options = {}, saveOptions = {}
     
     // Parse request based on method
     if (method === 'GET') {
       url = query.url
-      if (query.timeout) options.timeout = parseInt(query.timeout)
+      save = query.save === 'true'
+      options = parseScrapeOptions({
+        timeout: query.timeout,
+        force: query.force,
+        archive: query.archive,
+        screenshot: query.screenshot
+      })
+      saveOptions = parseSaveOptions(query)
     } else if (method === 'POST') {
       const body = await readBody(event)
       url = body.url
-      options = body.options || {}
+      save = body.save === true
+      // Only pass through options that are safe to take from a client
+      options = parseScrapeOptions(body.options)
+      saveOptions = parseSaveOptions(body.options)
     }
     
     // Validate URL
@@ -76,16 +94,116 @@ export default defineEventHandler(async (event) => {
         success: false,
         error: {
           type: 'validation_error',
+          subtype: 'invalid_url',
           message: 'Invalid URL format'
         }
       }
     }
     
+    // Per-client rate limit, then the URL safety checks (protocol, domain
+    // lists, private addresses)
+    const limited = await rateLimitRefusal(event)
+    if (limited) {
+      setResponseStatus(event, 429)
+      return {
+        success: false,
+        error: limited,
+        message: 'Rate limit exceeded'
+      }
+    }
+    
+    const refused = await urlRefusal(url)
+    if (refused) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: refused,
+        message: 'URL not allowed'
+      }
+    }
+    
+    // When saving, compare against the stored copy; with nothing stored
+    // the page must be extracted so it can be saved
+    let supabase = null, existing = null
+    if (save) {
+      try {
+        supabase = serverSupabaseServiceRole(event)
+        ;({ existing, options } = await saveModeScrapeOptions(supabase, url, options))
+      } catch (error) {
+        console.error('[API] Failed to look up existing scrap:', error)
+        options.force = true
+      }
+    }
+    
     // Perform scraping with error handling
     console.log(`[API] Starting scrape for: ${url}`)
-    const result = await scrapeForApp(url, options)
+    // The guard also checks every redirect on the way
+    const result = await scrapeForApp(url, { ...options, urlGuard })
+    
+    if (result.success && result.unchanged) {
+      // Not modified since the last scrape - nothing new to extract or save
+      return {
+        success: true,
+        type: 'scrape',
+        unchanged: true,
+        reason: result.article.reason,
+        data: result.article,
+        metadata: result.metadata,
+        ...(save && {
+          saved: {
+            action: SaveActions.UNCHANGED,
+            id: existing?.id ?? null,
+            url: existing?.url ?? null,
+            changed: []
+          }
+        }),
+        message: 'Content unchanged since last scrape'
+      }
+    }
     
     if (result.success) {
+      if (save) {
+        try {
+          supabase = supabase || serverSupabaseServiceRole(event)
+          const saved = await saveScrape(supabase, result.article, saveOptions)
+          // Captured in the background; the response does not wait for it
+          const screenshot = options.screenshot === false
+            ? null
+            : screenshotQueue.enqueue(saved.scrap, { force: options.screenshot === 'force' })
+          
+          return {
+            success: true,
+            type: 'scrape',
+            data: result.article,
+            metadata: result.metadata,
+            saved: {
+              action: saved.action,
+              id: saved.id,
+              url: saved.url,
+              changed: saved.changed,
+              ...(screenshot && { screenshot })
+            },
+            message: `Content scraped and ${saved.action}`
+          }
+        } catch (error) {
+          console.error('[API] Failed to save scrape:', error)
+          
+          setResponseStatus(event, 500)
+          return {
+            success: false,
+            type: 'scrape',
+            data: result.article,
+            metadata: result.metadata,
+            error: {
+              type: 'persistence_error',
+              message: error.message || 'Failed to save scraped content',
+              canRetry: true
+            },
+            message: 'Content scraped but could not be saved'
+          }
+        }
+      }
+      
       // Successful scraping
       return {
         success: true,
@@ -141,6 +259,8 @@ function getHttpStatusForErrorType(errorType) {
     'timeout': 504, // Gateway Timeout
     'parsing_error': 502, // Bad Gateway
     'rate_limited': 429, // Too Many Requests
+    'robots_blocked': 403, // Forbidden
+    'validation_error': 400, // Bad Request (e.g. redirected to a private address)
     'unknown': 500 // Internal Server Error
   }
   
@@ -0,0 +1,114 @@
+/**
+ * Nuxt API Route for One Scrape Job
+ * 
+ * GET /api/scrape/jobs/:id     → job status: queued, running, succeeded,
+ *                                failed or cancelled, with `result` or the
+ *                                structured scraping `error`
+ * DELETE /api/scrape/jobs/:id  → cancel a queued or running job
+ * 
+ * Only a client that queued the job (the same signed-in user, or the same
+ * address when anonymous) or an admin can cancel it. When other clients
+ * queued the same URL, cancelling only drops this client's interest and
+ * the job runs on for the rest; an admin's cancel stops it for everyone.
+ */
+
+import { describeJob, scrapeJobQueue } from '../../../lib/scraper/job-queue.js'
+import { requestClient } from '../../../lib/scraper/request-guard.js'
+
+export default defineEventHandler(async (event) => {
+  const method = getMethod(event)
+  const id = getRouterParam(event, 'id')
+  
+  try {
+    if (method === 'GET') {
+      const job = await scrapeJobQueue.get(id)
+      if (!job) return notFound(event, id)
+      
+      return {
+        success: true,
+        type: 'job',
+        job: describeJob(job)
+      }
+    }
+    
+    if (method === 'DELETE') {
+      const client = await requestClient(event)
+      const outcome = await scrapeJobQueue.cancel(id, { owner: client.admin ? null : client.key })
+      if (!outcome) return notFound(event, id)
+      
+      if (outcome.forbidden) {
+        setResponseStatus(event, 403)
+        return {
+          success: false,
+          error: {
+            type: 'forbidden',
+            message: 'Only a client that queued this job can cancel it'
+          }
+        }
+      }
+      
+      if (outcome.released) {
+        return {
+          success: true,
+          type: 'job',
+          job: describeJob(outcome.job),
+          message: 'Job left to the other clients that queued it'
+        }
+      }
+      
+      if (!outcome.cancelled) {
+        setResponseStatus(event, 409)
+        return {
+          success: false,
+          type: 'job',
+          job: describeJob(outcome.job),
+          error: {
+            type: 'validation_error',
+            message: `Job already ${outcome.job.status}`
+          }
+        }
+      }
+      
+      return {
+        success: true,
+        type: 'job',
+        job: describeJob(outcome.job),
+        message: 'Job cancelled'
+      }
+    }
+    
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to check a job or DELETE to cancel it'
+      }
+    }
+    
+  } catch (error) {
+    console.error(`[API] Failed to handle scrape job ${id}:`, error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not read or update the job',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
+
+function notFound(event, id) {
+  setResponseStatus(event, 404)
+  return {
+    success: false,
+    error: {
+      type: 'not_found',
+      message: `No scrape job ${id}`
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Nuxt API Route for Queuing Scrape Jobs
+ * 
+ * Queues scrapes for the background worker instead of scraping while the
+ * request waits. Poll each job with GET /api/scrape/jobs/:id.
+ * 
+ * Usage:
+ * POST /api/scrape/jobs
+ * { "urls": ["https://example.com/a", "https://example.com/b"], "save": true, "options": { "source": "pinboard" } }
+ * 
+ * A single `url` works too. `options` takes the same fields as /api/scrape.
+ * URLs go through the same safety checks and rate limit (one hit per URL);
+ * refused ones come back in `rejected`.
+ * A URL that already has a queued or running job returns that job with
+ * `deduplicated: true`. Jobs are owned by the clients that queued them
+ * (see DELETE /api/scrape/jobs/:id).
+ */
+
+import { describeJob, scrapeJobQueue } from '../../../lib/scraper/job-queue.js'
+import { parseScrapeOptions, parseSaveOptions } from '../../../lib/scraper/request-options.js'
+import { clientKey, rateLimitRefusal, urlRefusal } from '../../../lib/scraper/request-guard.js'
+
+// URLs accepted in one request
+const MAX_URLS_PER_REQUEST = 100
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'POST') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use POST to queue jobs and GET /api/scrape/jobs/:id to check them'
+      }
+    }
+  }
+  
+  try {
+    const body = await readBody(event) || {}
+    const urls = body.urls ?? (body.url ? [body.url] : [])
+    
+    if (!Array.isArray(urls) || !urls.length) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: {
+          type: 'validation_error',
+          message: 'Provide `url` or a non-empty `urls` array'
+        }
+      }
+    }
+    
+    if (urls.length > MAX_URLS_PER_REQUEST) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        error: {
+          type: 'validation_error',
+          message: `At most ${MAX_URLS_PER_REQUEST} URLs per request`
+        }
+      }
+    }
+    
+    // Every URL counts against the client's rate limit
+    const limited = await rateLimitRefusal(event, urls.length)
+    if (limited) {
+      setResponseStatus(event, 429)
+      return {
+        success: false,
+        error: limited,
+        message: 'Rate limit exceeded'
+      }
+    }
+    
+    // Queue the valid, allowed URLs and report the rest
+    const valid = []
+    const rejected = []
+    for (const url of urls) {
+      let href
+      try {
+        href = new URL(String(url)).href
+      } catch {
+        rejected.push({ url, error: { type: 'validation_error', subtype: 'invalid_url', message: 'Invalid URL format' } })
+        continue
+      }
+      
+      const refused = await urlRefusal(href)
+      if (refused) rejected.push({ url, error: refused })
+      else valid.push(href)
+    }
+    
+    if (!valid.length) {
+      setResponseStatus(event, 400)
+      return {
+        success: false,
+        rejected,
+        error: {
+          type: 'validation_error',
+          message: 'No valid URLs to queue'
+        }
+      }
+    }
+    
+    const queued = await scrapeJobQueue.enqueue(valid, {
+      scrape: parseScrapeOptions(body.options),
+      save: body.save === true,
+      saveOptions: parseSaveOptions(body.options),
+      owner: await clientKey(event)
+    })
+    
+    setResponseStatus(event, 202)
+    return {
+      success: true,
+      type: 'jobs',
+      jobs: queued.map(({ job, deduplicated }) => ({ ...describeJob(job), deduplicated })),
+      rejected,
+      message: `${queued.length} job${queued.length === 1 ? '' : 's'} queued`
+    }
+    
+  } catch (error) {
+    console.error('[API] Failed to queue scrape jobs:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not queue scrape jobs',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
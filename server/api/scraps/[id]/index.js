@@ -0,0 +1,65 @@
+/**
+ * Scrap Detail
+ *
+ * GET /api/scraps/:id
+ *
+ * One scrap for the /scrap/:id page: the row (without content or
+ * embeddings), its content and summary rendered from markdown and
+ * sanitized, its images, its relationships with the scraps they point
+ * at, and its processing and embedding status (see lib/scrap-detail.js).
+ * Runs with the caller's Supabase session, so scraps they can't see are
+ * not found.
+ */
+
+import { serverSupabaseClient } from '#supabase/server'
+import { loadScrapDetail } from '../../../lib/scrap-detail.js'
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to read a scrap'
+      }
+    }
+  }
+
+  const id = getRouterParam(event, 'id')
+
+  try {
+    const supabase = await serverSupabaseClient(event)
+    const detail = await loadScrapDetail(supabase, id)
+
+    if (!detail) {
+      setResponseStatus(event, 404)
+      return {
+        success: false,
+        error: {
+          type: 'not_found',
+          message: `No scrap ${id}`
+        }
+      }
+    }
+
+    return {
+      success: true,
+      type: 'scrap',
+      data: detail
+    }
+  } catch (error) {
+    console.error(`[API] Failed to load scrap ${id}:`, error)
+
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not load the scrap',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,93 @@
+/**
+ * Related Scraps
+ *
+ * GET /api/scraps/:id/related?space=embedding_nomic&limit=10&min=0.75
+ *
+ * The scraps nearest to this one in an embedding space (`embedding`,
+ * `embedding_nomic` or `image_embedding`; see lib/embeddings/neighbours.js),
+ * most similar first. `limit` is up to 50 and `min` drops matches below a
+ * cosine similarity. When the scrap has no embedding in the space the
+ * result is empty, `metadata.missing` is true and `metadata.available`
+ * lists the spaces it can be matched in instead. Runs with the caller's
+ * Supabase session, so only scraps they can see are matched.
+ */
+
+import { serverSupabaseClient } from '#supabase/server'
+import { EMBEDDING_SPACES, isEmbeddingSpace, scrapNeighbours } from '../../../lib/embeddings/neighbours.js'
+
+const MAX_LIMIT = 50
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to read related scraps'
+      }
+    }
+  }
+
+  const id = getRouterParam(event, 'id')
+  const query = getQuery(event)
+  const space = query.space || scrapNeighbours.options.space
+  if (!isEmbeddingSpace(space)) {
+    setResponseStatus(event, 400)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: `Unknown embedding space "${space}" (use ${EMBEDDING_SPACES.join(', ')})`
+      }
+    }
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_LIMIT)
+  const minSimilarity = Number.isFinite(parseFloat(query.min)) ? parseFloat(query.min) : undefined
+
+  try {
+    const supabase = await serverSupabaseClient(event)
+    const related = await scrapNeighbours.related(supabase, id, { space, limit, minSimilarity })
+
+    if (!related) {
+      setResponseStatus(event, 404)
+      return {
+        success: false,
+        error: {
+          type: 'not_found',
+          message: `No scrap ${id}`
+        }
+      }
+    }
+
+    // Embeddings are written once; related scraps only change as scraps are added
+    setResponseHeader(event, 'Cache-Control', 'private, max-age=300')
+    return {
+      success: true,
+      type: 'related',
+      data: related.results,
+      metadata: {
+        id,
+        space,
+        limit,
+        minSimilarity: minSimilarity ?? null,
+        missing: related.missing,
+        available: related.available
+      }
+    }
+  } catch (error) {
+    console.error(`[API] Failed to find scraps related to ${id}:`, error)
+
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not find related scraps',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
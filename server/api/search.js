@@ -0,0 +1,97 @@
+/**
+ * Scrap Search
+ *
+ * GET /api/search?q=<query>&source=github&type=article&tag=a,b&exclude=c
+ *                &after=2024-01&before=2025&limit=20&offset=0
+ *
+ * Full-text search over scrap titles, summaries and content, best
+ * matches first, with highlighted snippets (see lib/search.js for the
+ * query syntax). Filters can be typed into `q` (`source:github`) or
+ * passed as parameters, which win over typed ones. Runs with the
+ * caller's Supabase session, so only scraps they can see are searched.
+ */
+
+import { serverSupabaseClient } from '#supabase/server'
+import { parseSearchQuery, searchScraps } from '../lib/search.js'
+
+const MAX_LIMIT = 100
+
+function list(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to search'
+      }
+    }
+  }
+
+  const params = getQuery(event)
+  const { query, error } = parseSearchQuery(params.q, {
+    source: params.source,
+    type: params.type,
+    tags: { all: list(params.tag), exclude: list(params.exclude) },
+    after: params.after,
+    before: params.before
+  })
+  if (error) {
+    setResponseStatus(event, 400)
+    return { success: false, error }
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit) || 20, 1), MAX_LIMIT)
+  const offset = Math.max(parseInt(params.offset) || 0, 0)
+
+  try {
+    const supabase = await serverSupabaseClient(event)
+    const { results, total } = await searchScraps(supabase, query, { limit, offset })
+
+    return {
+      success: true,
+      type: 'search',
+      data: results,
+      metadata: {
+        query: query.text,
+        terms: query.terms,
+        filters: query.filters,
+        total,
+        limit,
+        offset,
+        hasMore: offset + results.length < total
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOSEARCH') {
+      console.error(`[API] ${error.message}`)
+
+      setResponseStatus(event, 503)
+      return {
+        success: false,
+        error: {
+          type: 'internal_error',
+          message: 'Search is not set up on this database yet',
+          canRetry: false
+        }
+      }
+    }
+
+    console.error('[API] Search failed:', error)
+
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not search scraps',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,107 @@
+/**
+ * Semantic Search
+ *
+ * GET /api/search/semantic?q=<text>&space=embedding&limit=20&min=0.7
+ *
+ * Embeds the search text (see lib/embeddings/embedders.js) and returns
+ * the scraps nearest to it, most similar first. Only text spaces with a
+ * configured embedder can be searched: `embedding` needs OPENAI_API_KEY,
+ * `embedding_nomic` needs EMBEDDING_OLLAMA_URL. Runs with the caller's
+ * Supabase session, so only scraps they can see are matched.
+ *
+ * Embedding new search text counts against the client's search rate limit
+ * (EMBEDDING_SEARCH_RATE_LIMIT per SCRAPER_RATE_WINDOW_MS); repeating a
+ * recent search is free.
+ */
+
+import { serverSupabaseClient } from '#supabase/server'
+import { EMBEDDING_SPACES, isEmbeddingSpace, scrapNeighbours } from '../../lib/embeddings/neighbours.js'
+import { searchRateLimiter } from '../../lib/scraper/rate-limiter.js'
+import { rateLimitRefusal } from '../../lib/scraper/request-guard.js'
+
+const MAX_LIMIT = 100
+const MAX_QUERY_LENGTH = 1000
+
+function refusal(event, status, message) {
+  setResponseStatus(event, status)
+  return {
+    success: false,
+    error: {
+      type: 'validation_error',
+      message
+    }
+  }
+}
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    return refusal(event, 405, 'Use GET to search')
+  }
+
+  const query = getQuery(event)
+  const text = String(query.q || '').trim()
+  const space = query.space || scrapNeighbours.options.space
+
+  if (!text) return refusal(event, 400, 'q parameter is required')
+  if (text.length > MAX_QUERY_LENGTH) {
+    return refusal(event, 400, `Search text is limited to ${MAX_QUERY_LENGTH} characters`)
+  }
+  if (!isEmbeddingSpace(space)) {
+    return refusal(event, 400, `Unknown embedding space "${space}" (use ${EMBEDDING_SPACES.join(', ')})`)
+  }
+  if (!scrapNeighbours.searchableSpaces.includes(space)) {
+    const searchable = scrapNeighbours.searchableSpaces
+    return refusal(event, 400, searchable.length
+      ? `${space} can't be searched by text (use ${searchable.join(', ')})`
+      : 'Semantic search is not set up: configure OPENAI_API_KEY or EMBEDDING_OLLAMA_URL')
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT)
+  const minSimilarity = Number.isFinite(parseFloat(query.min)) ? parseFloat(query.min) : undefined
+
+  try {
+    if (!scrapNeighbours.hasQueryEmbedding(space, text)) {
+      const limited = await rateLimitRefusal(event, 1, { limiter: searchRateLimiter, noun: 'search' })
+      if (limited) {
+        setResponseStatus(event, 429)
+        return {
+          success: false,
+          error: limited,
+          message: 'Rate limit exceeded'
+        }
+      }
+    }
+
+    const supabase = await serverSupabaseClient(event)
+    const results = await scrapNeighbours.search(supabase, text, { space, limit, minSimilarity })
+
+    return {
+      success: true,
+      type: 'semantic-search',
+      data: results,
+      metadata: {
+        query: text,
+        space,
+        limit,
+        minSimilarity: minSimilarity ?? null,
+        total: results.length
+      }
+    }
+  } catch (error) {
+    // The embedder doesn't match the column, e.g. another model than it was filled with
+    if (error.code === 'EDIMENSIONS') return refusal(event, 400, error.message)
+
+    console.error('[API] Semantic search failed:', error)
+
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not search scraps',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
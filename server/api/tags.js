@@ -0,0 +1,66 @@
+/**
+ * Tag Index
+ * 
+ * GET /api/tags?shared=true&min=2&limit=100
+ * 
+ * Every tag with the number of scraps carrying it and when it was last
+ * used, most used first (see lib/tag-index.js). `shared` counts only
+ * shared (or unshared) scraps, `min` drops tags used fewer times and
+ * `limit` (up to 1000) keeps the most used. Runs with the caller's
+ * Supabase session, so only scraps they can see are counted.
+ */
+
+import { serverSupabaseClient } from '#supabase/server'
+import { fetchTagIndex } from '../lib/tag-index.js'
+
+const MAX_LIMIT = 1000
+
+export default defineEventHandler(async (event) => {
+  if (getMethod(event) !== 'GET') {
+    setResponseStatus(event, 405)
+    return {
+      success: false,
+      error: {
+        type: 'validation_error',
+        message: 'Use GET to read the tag index'
+      }
+    }
+  }
+  
+  const query = getQuery(event)
+  const shared = query.shared === 'true' ? true : query.shared === 'false' ? false : undefined
+  const minCount = Math.max(parseInt(query.min) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit) || MAX_LIMIT, 1), MAX_LIMIT)
+  
+  try {
+    const supabase = await serverSupabaseClient(event)
+    const tags = await fetchTagIndex(supabase, { shared, minCount, limit })
+    
+    // Tags change as scraps are saved; a short cache is plenty
+    setResponseHeader(event, 'Cache-Control', 'private, max-age=60')
+    return {
+      success: true,
+      type: 'tags',
+      data: tags,
+      metadata: {
+        total: tags.length,
+        shared: shared ?? null,
+        minCount,
+        limit
+      }
+    }
+  } catch (error) {
+    console.error('[API] Failed to build the tag index:', error)
+    
+    setResponseStatus(event, 500)
+    return {
+      success: false,
+      error: {
+        type: 'internal_error',
+        message: 'Could not read tags',
+        canRetry: true
+      },
+      message: 'Internal server error'
+    }
+  }
+})
@@ -0,0 +1,16 @@
+/**
+ * Admin Role Check
+ *
+ * A Supabase user is an admin when their `app_metadata` carries the admin
+ * role, either as `role` or in a `roles` array. `app_metadata` can only be
+ * set with the service-role key, so users cannot grant it to themselves.
+ */
+
+export const DEFAULT_ADMIN_ROLE = 'admin'
+
+export function isAdmin(user, role = DEFAULT_ADMIN_ROLE) {
+  const appMetadata = user?.app_metadata
+  if (!appMetadata) return false
+  if (appMetadata.role === role) return true
+  return Array.isArray(appMetadata.roles) && appMetadata.roles.includes(role)
+}
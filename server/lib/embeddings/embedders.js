@@ -0,0 +1,79 @@
+/**
+ * Query Embedders
+ *
+ * Turn search text into a vector in one of the scrap embedding spaces,
+ * for semantic search. Every embedder implements:
+ * - embed(text) → number[]
+ *
+ * - `OpenAIEmbedder` calls the OpenAI embeddings API (the `embedding`
+ *   column). The model must be the one the column was filled with.
+ * - `OllamaEmbedder` calls a local Ollama server running nomic-embed-text
+ *   (the `embedding_nomic` column), with nomic's "search_query: " prefix.
+ *
+ * Nothing here embeds text into `image_embedding`; image vectors only
+ * work for related scraps.
+ */
+
+async function postJson(fetchImpl, url, body, { headers = {}, timeout }) {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout)
+  })
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '')
+    throw new Error(`${url} answered ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`)
+  }
+  return await response.json()
+}
+
+export class OpenAIEmbedder {
+  constructor({
+    apiKey,
+    model = 'text-embedding-ada-002',
+    endpoint = 'https://api.openai.com/v1/embeddings',
+    timeout = 15000,
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    this.name = `openai:${model}`
+    this.apiKey = apiKey
+    this.model = model
+    this.endpoint = endpoint
+    this.timeout = timeout
+    this.fetch = fetchImpl
+  }
+
+  async embed(text) {
+    const data = await postJson(this.fetch, this.endpoint, { model: this.model, input: text }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: this.timeout
+    })
+    return data.data[0].embedding
+  }
+}
+
+export class OllamaEmbedder {
+  constructor({
+    endpoint = 'http://localhost:11434',
+    model = 'nomic-embed-text',
+    prefix = 'search_query: ',
+    timeout = 15000,
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    this.name = `ollama:${model}`
+    this.endpoint = endpoint.replace(/\/+$/, '')
+    this.model = model
+    this.prefix = prefix
+    this.timeout = timeout
+    this.fetch = fetchImpl
+  }
+
+  async embed(text) {
+    const data = await postJson(this.fetch, `${this.endpoint}/api/embeddings`, {
+      model: this.model,
+      prompt: `${this.prefix}${text}`
+    }, { timeout: this.timeout })
+    return data.embedding
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Scrap Neighbours
+ *
+ * Nearest-neighbour lookups over the scrap embedding columns: scraps
+ * related to a given scrap, and semantic search by embedding the search
+ * text. The caller picks the embedding space (the column):
+ *
+ *   embedding         text, OpenAI
+ *   embedding_nomic   text, nomic-embed-text
+ *   image_embedding   images (related scraps only)
+ *
+ * Postgres ranks by cosine distance in `match_scraps()` (see the
+ * scrap_neighbours migration); on a database without the function the
+ * vectors are read a page at a time and compared here. Scraps without an
+ * embedding in the chosen space are never returned, and asking for
+ * scraps related to one without an embedding is answered with the
+ * spaces it does have.
+ *
+ * Results are `{ scrap, similarity }`, most similar first, without the
+ * scrap's content or embeddings. Search text embeddings are kept (the
+ * `queryCacheSize` most recently used) so a repeated search doesn't call
+ * the embedder again.
+ */
+
+import { cosineSimilarity, formatVector, parseVector } from './vectors.js'
+
+export const MATCH_FUNCTION = 'match_scraps'
+
+export const EMBEDDING_SPACES = ['embedding', 'embedding_nomic', 'image_embedding']
+
+const PAGE_SIZE = 500
+
+// PostgREST's "function not found" and Postgres' "undefined function"
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883']
+
+// data_exception, raised by match_scraps() for a query vector of the wrong size
+const DIMENSION_MISMATCH_CODE = '22000'
+
+// Too large to send with a list of scraps
+const OMITTED_COLUMNS = ['content', ...EMBEDDING_SPACES]
+
+const DEFAULTS = {
+  space: 'embedding',
+  limit: 10,
+  minSimilarity: null,
+  // Query embedders by space, set by the embeddings plugin
+  embedders: {},
+  queryCacheSize: 500
+}
+
+export function isEmbeddingSpace(space) {
+  return EMBEDDING_SPACES.includes(space)
+}
+
+function listed(row) {
+  const scrap = { ...row }
+  for (const column of OMITTED_COLUMNS) delete scrap[column]
+  return scrap
+}
+
+function failure(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+export class ScrapNeighbours {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.queryEmbeddings = new Map()
+    this.configure(options)
+    this.warnedMissing = false
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+    // Another embedder may put the same text somewhere else
+    if (options.embedders) this.queryEmbeddings.clear()
+  }
+
+  /**
+   * Spaces semantic search can embed text into
+   */
+  get searchableSpaces() {
+    return EMBEDDING_SPACES.filter(space => this.options.embedders[space])
+  }
+
+  /**
+   * Scraps nearest to `vector` in `space`
+   */
+  async nearest(supabase, vector, {
+    space = this.options.space,
+    limit = this.options.limit,
+    minSimilarity = this.options.minSimilarity,
+    excludeId = null
+  } = {}) {
+    if (!isEmbeddingSpace(space)) throw failure('EINVALIDSPACE', `Unknown embedding space "${space}"`)
+
+    const { data, error } = await supabase.rpc(MATCH_FUNCTION, {
+      query_embedding: formatVector(vector),
+      embedding_space: space,
+      match_count: limit,
+      min_similarity: minSimilarity,
+      exclude_id: excludeId
+    })
+
+    if (!error) {
+      return (data || []).map(row => ({
+        scrap: row.scrap,
+        similarity: Number(row.similarity)
+      }))
+    }
+
+    if (error.code === DIMENSION_MISMATCH_CODE) throw failure('EDIMENSIONS', error.message)
+    if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error
+
+    if (!this.warnedMissing) {
+      console.warn(`[EMBEDDINGS] ${MATCH_FUNCTION}() not found, comparing vectors in process; apply the scrap_neighbours migration`)
+      this.warnedMissing = true
+    }
+    return await this.compareAll(supabase, vector, { space, limit, minSimilarity, excludeId })
+  }
+
+  /**
+   * The in-process fallback: read every embedding in the space and keep
+   * the `limit` most similar
+   */
+  async compareAll(supabase, vector, { space, limit, minSimilarity, excludeId }) {
+    const best = []
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('scraps')
+        .select('*')
+        .not(space, 'is', null)
+        .or('content.not.is.null,summary.not.is.null,screenshot_url.not.is.null')
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1)
+      if (error) throw error
+
+      for (const row of data || []) {
+        if (excludeId && String(row.id) === String(excludeId)) continue
+        // Rows with unreadable or differently sized vectors are skipped
+        const similarity = cosineSimilarity(vector, parseVector(row[space]))
+        if (similarity === null) continue
+        if (minSimilarity !== null && similarity < minSimilarity) continue
+        if (best.length === limit && similarity <= best[best.length - 1].similarity) continue
+
+        best.push({ scrap: listed(row), similarity })
+        best.sort((a, b) => b.similarity - a.similarity)
+        if (best.length > limit) best.pop()
+      }
+
+      if (!data || data.length < PAGE_SIZE) break
+    }
+
+    return best
+  }
+
+  /**
+   * Scraps related to the scrap `id`: `{ results, missing, available }`,
+   * or null when there is no such scrap
+   *
+   * `missing` is true when the scrap has no embedding in `space`;
+   * `available` lists the spaces it does have one in.
+   */
+  async related(supabase, id, { space = this.options.space, limit, minSimilarity } = {}) {
+    if (!isEmbeddingSpace(space)) throw failure('EINVALIDSPACE', `Unknown embedding space "${space}"`)
+
+    const { data: row, error } = await supabase
+      .from('scraps')
+      .select(`id, ${EMBEDDING_SPACES.join(', ')}`)
+      .eq('id', id)
+      .maybeSingle()
+    if (error) throw error
+    if (!row) return null
+
+    const available = EMBEDDING_SPACES.filter(candidate => parseVector(row[candidate]))
+    const vector = parseVector(row[space])
+    if (!vector) return { results: [], missing: true, available }
+
+    const results = await this.nearest(supabase, vector, { space, limit, minSimilarity, excludeId: row.id })
+    return { results, missing: false, available }
+  }
+
+  /**
+   * Scraps whose meaning is closest to `text`
+   *
+   * Throws an error with code ENOEMBEDDER when nothing is configured to
+   * embed text into `space`, and EDIMENSIONS when the embedder's vectors
+   * are not the size the space holds (the in-process comparison finds
+   * nothing instead).
+   */
+  async search(supabase, text, { space = this.options.space, limit, minSimilarity } = {}) {
+    if (!isEmbeddingSpace(space)) throw failure('EINVALIDSPACE', `Unknown embedding space "${space}"`)
+
+    const vector = await this.embedQuery(space, text)
+    return await this.nearest(supabase, vector, { space, limit, minSimilarity })
+  }
+
+  /**
+   * Whether searching `text` in `space` would reuse a kept embedding
+   */
+  hasQueryEmbedding(space, text) {
+    return this.queryEmbeddings.has(`${space}:${text}`)
+  }
+
+  async embedQuery(space, text) {
+    const key = `${space}:${text}`
+    let vector = this.queryEmbeddings.get(key)
+
+    if (vector) {
+      this.queryEmbeddings.delete(key)
+    } else {
+      const embedder = this.options.embedders[space]
+      if (!embedder) throw failure('ENOEMBEDDER', `No query embedder is configured for ${space}`)
+
+      vector = parseVector(await embedder.embed(text))
+      if (!vector) throw new Error(`${embedder.name} returned no embedding`)
+    }
+
+    // Most recently used last, so the first key is the one to drop
+    this.queryEmbeddings.set(key, vector)
+    if (this.queryEmbeddings.size > this.options.queryCacheSize) {
+      this.queryEmbeddings.delete(this.queryEmbeddings.keys().next().value)
+    }
+    return vector
+  }
+}
+
+// Shared instance behind the related and semantic search routes
+// (configured by a Nitro plugin)
+export const scrapNeighbours = new ScrapNeighbours()
@@ -0,0 +1,54 @@
+/**
+ * Vector Helpers
+ *
+ * Embeddings arrive from PostgREST as pgvector text ("[0.1,0.2,...]") or
+ * as plain arrays (the in-memory client, float8[] columns); both become
+ * arrays of numbers here. Cosine similarity is what the in-process
+ * fallback ranks by, matching pgvector's `1 - (a <=> b)`.
+ */
+
+/**
+ * An embedding as an array of numbers, or null when missing or unreadable
+ */
+export function parseVector(value) {
+  if (value === null || value === undefined) return null
+
+  let vector = value
+  if (typeof value === 'string') {
+    try {
+      vector = JSON.parse(value)
+    } catch {
+      return null
+    }
+  }
+  if (!Array.isArray(vector) || !vector.length) return null
+
+  const numbers = vector.map(Number)
+  return numbers.every(Number.isFinite) ? numbers : null
+}
+
+/**
+ * Cosine similarity in [-1, 1]; null when the vectors can't be compared
+ * (different dimensions, or either is all zeros)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return null
+
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  if (!normA || !normB) return null
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB))
+}
+
+/**
+ * pgvector's text form, for passing a vector to an RPC
+ */
+export function formatVector(vector) {
+  return `[${vector.join(',')}]`
+}
@@ -0,0 +1,190 @@
+/**
+ * Feed Parser (RSS 2.0, RSS 1.0, Atom, JSON Feed)
+ *
+ * Normalizes every format into one shape:
+ *
+ *   { format, title, link, entries: [{ id, url, title, summary, published_at, author }] }
+ *
+ * Entry ids fall back to the entry URL, so feeds without guids still
+ * dedupe. Relative links are resolved against the feed URL.
+ */
+
+import { DOMParser } from 'linkedom'
+
+export const FeedFormats = {
+  RSS: 'rss',
+  ATOM: 'atom',
+  JSON: 'json'
+}
+
+/**
+ * Unparseable feed, classified as ErrorTypes.PARSING_ERROR
+ */
+function parseError(message) {
+  const error = new Error(message)
+  error.code = 'EPARSE'
+  return error
+}
+
+function resolveUrl(href, base) {
+  if (!href) return null
+  try {
+    return new URL(href.trim(), base || undefined).href
+  } catch {
+    return null
+  }
+}
+
+function toIsoDate(value) {
+  if (!value) return null
+  const time = Date.parse(String(value).trim())
+  return Number.isNaN(time) ? null : new Date(time).toISOString()
+}
+
+// Feed summaries are often HTML; keep plain text
+function plainText(value) {
+  if (!value) return null
+  const text = String(value)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text || null
+}
+
+/**
+ * Direct children of an element by tag name (prefixes included, e.g. `dc:creator`)
+ */
+function childrenNamed(element, name) {
+  return [...(element?.children || [])].filter(child => child.tagName.toLowerCase() === name)
+}
+
+function childText(element, ...names) {
+  for (const name of names) {
+    const text = childrenNamed(element, name)[0]?.textContent?.trim()
+    if (text) return text
+  }
+  return null
+}
+
+function parseRssItem(item, base) {
+  const url = resolveUrl(childText(item, 'link'), base)
+  const guid = childrenNamed(item, 'guid')[0]
+  const guidText = guid?.textContent?.trim() || null
+  const guidIsLink = guid && guid.getAttribute('isPermaLink') !== 'false'
+
+  return {
+    id: guidText || url,
+    url: url || (guidIsLink ? resolveUrl(guidText, base) : null),
+    title: plainText(childText(item, 'title')),
+    summary: plainText(childText(item, 'description', 'content:encoded')),
+    published_at: toIsoDate(childText(item, 'pubdate', 'dc:date')),
+    author: childText(item, 'dc:creator', 'author')
+  }
+}
+
+function parseRss(root, base) {
+  // RSS 2.0 nests items in <channel>; RSS 1.0 (RDF) puts them beside it
+  const channel = childrenNamed(root, 'channel')[0]
+  const items = [...childrenNamed(channel, 'item'), ...childrenNamed(root, 'item')]
+
+  return {
+    format: FeedFormats.RSS,
+    title: plainText(childText(channel, 'title')),
+    link: resolveUrl(childText(channel, 'link'), base),
+    entries: items.map(item => parseRssItem(item, base))
+  }
+}
+
+function atomLink(element, base) {
+  const links = childrenNamed(element, 'link')
+  const alternate = links.find(link => (link.getAttribute('rel') || 'alternate') === 'alternate')
+  return resolveUrl((alternate || links[0])?.getAttribute('href'), base)
+}
+
+function parseAtom(root, base) {
+  const entries = childrenNamed(root, 'entry').map(entry => {
+    const url = atomLink(entry, base)
+    const author = childrenNamed(entry, 'author')[0]
+    return {
+      id: childText(entry, 'id') || url,
+      url,
+      title: plainText(childText(entry, 'title')),
+      summary: plainText(childText(entry, 'summary', 'content')),
+      published_at: toIsoDate(childText(entry, 'published', 'updated')),
+      author: childText(author, 'name')
+    }
+  })
+
+  return {
+    format: FeedFormats.ATOM,
+    title: plainText(childText(root, 'title')),
+    link: atomLink(root, base),
+    entries
+  }
+}
+
+function parseJsonFeed(text, base) {
+  let feed
+  try {
+    feed = JSON.parse(text)
+  } catch (error) {
+    throw parseError(`Invalid JSON Feed: ${error.message}`)
+  }
+  if (!String(feed?.version || '').includes('jsonfeed.org') || !Array.isArray(feed.items)) {
+    throw parseError('Not a JSON Feed (missing version or items)')
+  }
+
+  const entries = feed.items.map(item => {
+    const url = resolveUrl(item.url || item.external_url, base)
+    return {
+      id: item.id !== undefined && item.id !== null ? String(item.id) : url,
+      url,
+      title: plainText(item.title),
+      summary: plainText(item.summary || item.content_text || item.content_html),
+      published_at: toIsoDate(item.date_published || item.date_modified),
+      author: item.authors?.[0]?.name || item.author?.name || null
+    }
+  })
+
+  return {
+    format: FeedFormats.JSON,
+    title: plainText(feed.title),
+    link: resolveUrl(feed.home_page_url, base),
+    entries
+  }
+}
+
+/**
+ * Parse a feed document; throws a parsing error for anything else
+ *
+ * `url` is the feed's own URL, used to resolve relative links.
+ */
+export function parseFeed(text, { url = null } = {}) {
+  const body = String(text || '').replace(/^\uFEFF/, '').trim()
+  if (!body) throw parseError('Empty feed')
+
+  let feed
+  if (body.startsWith('{')) {
+    feed = parseJsonFeed(body, url)
+  } else {
+    const root = new DOMParser().parseFromString(body, 'text/xml').documentElement
+    const name = root?.tagName?.toLowerCase()
+
+    if (name === 'rss' || name === 'rdf:rdf') {
+      feed = parseRss(root, url)
+    } else if (name === 'feed') {
+      feed = parseAtom(root, url)
+    } else {
+      throw parseError(`Not a feed (root element <${name || 'none'}>)`)
+    }
+  }
+
+  // Entries without an id or a link cannot be deduped or scraped
+  return { ...feed, entries: feed.entries.filter(entry => entry.id && entry.url) }
+}
@@ -0,0 +1,267 @@
+/**
+ * Feed Poller
+ *
+ * Polls each subscribed feed once it is due (`next_poll_at`), diffs its
+ * entries against the ids already seen and queues the new ones through
+ * `scrapeUrls`, tagged with the feed's `source`. With a Supabase client
+ * the scraped articles are saved into `scraps` under that source.
+ *
+ * Feed fetches go through the scraper error handler, so robots.txt,
+ * per-host pacing, retries and the circuit breaker apply to feeds too,
+ * and they are conditional on the feed's last ETag / Last-Modified.
+ * Entry pages are conditional too (the shared validator store unless
+ * `validatorStore` says otherwise), so a link another feed already
+ * brought in costs a 304.
+ *
+ * An entry is marked seen once it has been scraped (or was unchanged),
+ * saved when saving is on, or failed with an error that will not go away
+ * on retry. Anything else is picked up again on the next poll.
+ */
+
+import { scraperErrorHandler } from '../scraper/error-handler.js'
+import { HttpClient } from '../scraper/http-client.js'
+import { scrapeUrls } from '../scraper/demo-scraper.js'
+import { screenshotQueue } from '../scraper/screenshots.js'
+import { guardTransport } from '../scraper/url-guard.js'
+import { conditionalHeaders, resolveValidatorStore } from '../scraper/conditional.js'
+import { normalizeUrl } from '../scraper/normalize-url.js'
+import { saveScrape } from '../scraper/persist.js'
+import { parseFeed } from './parser.js'
+import { feedRecord, MAX_SEEN } from './store.js'
+
+export const FeedPollStatus = {
+  POLLED: 'polled',
+  NOT_MODIFIED: 'not_modified',
+  FAILED: 'failed'
+}
+
+const DEFAULTS = {
+  userAgent: 'Demo-Scraper/1.0',
+  timeout: 10000,
+  concurrency: 3,
+  // New entries scraped per poll; the rest wait for the next one
+  maxEntriesPerPoll: 20
+}
+
+const FEED_ACCEPT = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/feed+json',
+  'application/json;q=0.9',
+  'application/xml;q=0.8',
+  'text/xml;q=0.8',
+  '*/*;q=0.5'
+].join(', ')
+
+/**
+ * Subscribe to a feed, or update the source and interval of an existing one
+ */
+export async function addFeed(store, { url, source, pollIntervalMinutes }) {
+  const record = feedRecord({ url, source, pollIntervalMinutes })
+  const existing = await store.get(record.url)
+  const feed = existing
+    ? {
+        ...existing,
+        ...(source && { source }),
+        ...(pollIntervalMinutes && { poll_interval_minutes: record.poll_interval_minutes }),
+        updated_at: record.updated_at
+      }
+    : record
+
+  await store.put(feed)
+  return feed
+}
+
+export function isDue(feed, now = Date.now()) {
+  return !feed.next_poll_at || Date.parse(feed.next_poll_at) <= now
+}
+
+/**
+ * Fetch and parse a feed (unwrapped - throws on failure)
+ */
+async function fetchFeed(feed, { transport, userAgent, timeout }) {
+  const response = await transport.fetch(feed.url, {
+    timeout,
+    headers: {
+      'User-Agent': userAgent,
+      Accept: FEED_ACCEPT,
+      ...conditionalHeaders({ etag: feed.etag, lastModified: feed.last_modified })
+    }
+  })
+
+  if (response.status === 304) return { response, notModified: true }
+
+  const text = await response.text()
+  if (response.status >= 400) {
+    const error = new Error('HTTP Error')
+    error.response = response
+    throw error
+  }
+
+  return { response, parsed: parseFeed(text, { url: response.url || feed.url }) }
+}
+
+/**
+ * Fill gaps in a scraped article from the feed entry
+ */
+function withEntryFields(article, entry) {
+  const title = article.title && article.title !== 'No title' ? article.title : entry.title
+  return {
+    ...article,
+    title,
+    summary: article.summary || entry.summary,
+    published_at: article.published_at || entry.published_at
+  }
+}
+
+/**
+ * Poll one feed, queue its new entries and store the updated record
+ *
+ * Returns `{ url, source, status, entries, new, queued, saved, summary, error }`.
+ */
+export async function pollFeed(store, feed, options = {}) {
+  const {
+    transport: baseTransport = HttpClient,
+    urlGuard = null,
+    userAgent = DEFAULTS.userAgent,
+    timeout = DEFAULTS.timeout,
+    concurrency = DEFAULTS.concurrency,
+    maxEntriesPerPoll = DEFAULTS.maxEntriesPerPoll,
+    supabase = null,
+    validatorStore = true,
+    now = Date.now()
+  } = options
+  const validators = resolveValidatorStore(validatorStore)
+  // Feed and entry URLs come from outside, so they get the same checks as /api/scrape
+  const transport = urlGuard ? guardTransport(baseTransport, urlGuard) : baseTransport
+
+  const result = { url: feed.url, source: feed.source, entries: 0, new: 0, queued: 0, saved: 0 }
+  const next = {
+    ...feed,
+    last_polled_at: new Date(now).toISOString(),
+    next_poll_at: new Date(now + feed.poll_interval_minutes * 60 * 1000).toISOString(),
+    updated_at: new Date().toISOString()
+  }
+
+  const fetched = await scraperErrorHandler.wrap(
+    feed.url,
+    () => fetchFeed(feed, { transport, userAgent, timeout }),
+    { source: 'feeds', feed: feed.url },
+    { userAgent, transport }
+  )
+
+  if (!fetched.success) {
+    console.error(`[FEEDS] Failed to poll ${feed.url}: ${fetched.error.type}`)
+    await store.put({ ...next, last_error: `${fetched.error.type}: ${fetched.error.message}` })
+    return { ...result, status: FeedPollStatus.FAILED, error: fetched.error }
+  }
+
+  const { response, notModified, parsed } = fetched.data
+  next.etag = response.headers?.etag || feed.etag
+  next.last_modified = response.headers?.['last-modified'] || feed.last_modified
+  next.last_error = null
+
+  if (notModified) {
+    await store.put(next)
+    return { ...result, status: FeedPollStatus.NOT_MODIFIED }
+  }
+
+  next.title = parsed.title || feed.title
+
+  // New entries, once per id and once per (normalized) URL
+  const previouslySeen = feed.seen || []
+  const seen = new Set(previouslySeen)
+  const fresh = []
+  const idsByUrl = new Map() // normalized URL -> ids of every entry pointing at it
+  for (const entry of parsed.entries) {
+    if (seen.has(entry.id)) continue
+    const key = normalizeUrl(entry.url) || entry.url
+    if (idsByUrl.has(key)) {
+      idsByUrl.get(key).push(entry.id)
+      continue
+    }
+    idsByUrl.set(key, [entry.id])
+    fresh.push(entry)
+  }
+
+  const queue = fresh.slice(0, maxEntriesPerPoll)
+  const done = []
+
+  if (queue.length) {
+    console.log(`[FEEDS] ${feed.url}: ${queue.length} new entries for source "${feed.source}"`)
+
+    const batch = await scrapeUrls(queue.map(entry => entry.url), {
+      concurrency,
+      transport,
+      userAgent,
+      timeout,
+      validatorStore: validators,
+      context: { source: feed.source, feed: feed.url }
+    })
+    result.summary = batch.summary
+
+    const byUrl = new Map([...batch.results, ...batch.unchanged, ...batch.errors].map(item => [item.url, item]))
+
+    for (const entry of queue) {
+      const item = byUrl.get(entry.url)
+      if (!item || (!item.success && item.error?.canRetry)) continue
+
+      if (supabase && item.success && !item.unchanged) {
+        try {
+          const saved = await saveScrape(supabase, withEntryFields(item.data, entry), { source: feed.source })
+          screenshotQueue.enqueue(saved.scrap)
+          result.saved++
+        } catch (error) {
+          console.error(`[FEEDS] Failed to save ${entry.url}:`, error.message)
+          // So the retry extracts the page again rather than finding it unchanged
+          await validators?.delete(entry.url)
+          continue
+        }
+      }
+
+      done.push(...idsByUrl.get(normalizeUrl(entry.url) || entry.url))
+    }
+  }
+
+  next.seen = [...done, ...previouslySeen.filter(id => !done.includes(id))].slice(0, MAX_SEEN)
+  await store.put(next)
+
+  return {
+    ...result,
+    status: FeedPollStatus.POLLED,
+    entries: parsed.entries.length,
+    new: fresh.length,
+    queued: queue.length
+  }
+}
+
+/**
+ * Poll every feed that is due (or all of them with `force: true`)
+ *
+ * Feeds are polled one after another; per-host pacing still applies.
+ * Options: `transport`, `urlGuard`, `userAgent`, `timeout`, `concurrency`,
+ * `maxEntriesPerPoll`, `supabase` (save scraped entries), `validatorStore`
+ * (for entry pages; `false` to always extract them), `now`, `force`.
+ */
+export async function pollFeeds(store, options = {}) {
+  const { force = false, now = Date.now() } = options
+  const feeds = await store.list()
+  const due = force ? feeds : feeds.filter(feed => isDue(feed, now))
+
+  const polled = []
+  for (const feed of due) {
+    polled.push(await pollFeed(store, feed, { ...options, now }))
+  }
+
+  return {
+    polled,
+    skipped: feeds.length - due.length,
+    summary: {
+      feeds: feeds.length,
+      polled: polled.length,
+      failed: polled.filter(feed => feed.status === FeedPollStatus.FAILED).length,
+      queued: polled.reduce((total, feed) => total + feed.queued, 0),
+      saved: polled.reduce((total, feed) => total + feed.saved, 0)
+    }
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Feed Subscription Stores
+ *
+ * One record per feed:
+ *
+ *   { url, source, poll_interval_minutes, title, etag, last_modified,
+ *     last_polled_at, next_poll_at, last_error, seen, created_at, updated_at }
+ *
+ * `seen` holds the ids of entries already queued (newest first, capped at
+ * MAX_SEEN). Every store implements the same async interface:
+ * - get(url)     → record or null
+ * - put(record)  → insert or replace by `url`
+ * - delete(url)
+ * - list()       → all records
+ */
+
+import { readJsonFile, writeJsonFile } from '../scraper/json-file.js'
+
+export const FEED_TABLE = 'scraper_feeds'
+
+// Entry ids remembered per feed; comfortably more than any feed lists at once
+export const MAX_SEEN = 1000
+
+export const DEFAULT_POLL_INTERVAL_MINUTES = 60
+
+function clone(record) {
+  return record ? { ...record, seen: [...(record.seen || [])] } : null
+}
+
+/**
+ * A new feed record with defaults filled in
+ */
+export function feedRecord({ url, source = null, pollIntervalMinutes = DEFAULT_POLL_INTERVAL_MINUTES }) {
+  let href
+  try {
+    href = new URL(url).href
+  } catch {
+    throw new Error(`Invalid feed URL: ${url}`)
+  }
+
+  const interval = Number(pollIntervalMinutes)
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error(`Invalid poll interval: ${pollIntervalMinutes}`)
+  }
+
+  const now = new Date().toISOString()
+  return {
+    url: href,
+    source: source || new URL(href).hostname,
+    poll_interval_minutes: interval,
+    title: null,
+    etag: null,
+    last_modified: null,
+    last_polled_at: null,
+    next_poll_at: null,
+    last_error: null,
+    seen: [],
+    created_at: now,
+    updated_at: now
+  }
+}
+
+/**
+ * Process-local store - subscriptions are lost on restart
+ */
+export class MemoryFeedStore {
+  constructor(records = []) {
+    this.name = 'memory'
+    this.records = new Map(records.map(record => [record.url, clone(record)]))
+  }
+
+  async get(url) {
+    return clone(this.records.get(url))
+  }
+
+  async put(record) {
+    this.records.set(record.url, clone(record))
+  }
+
+  async delete(url) {
+    this.records.delete(url)
+  }
+
+  async list() {
+    return [...this.records.values()].map(clone)
+  }
+}
+
+/**
+ * JSON file store - for a single poller (CLI or one server)
+ */
+export class FileFeedStore {
+  constructor(path = '.data/feeds.json') {
+    this.name = 'file'
+    this.path = path
+  }
+
+  read() {
+    return readJsonFile(this.path)
+  }
+
+  write(records) {
+    return writeJsonFile(this.path, records)
+  }
+
+  async get(url) {
+    const records = await this.read()
+    return clone(records[url])
+  }
+
+  async put(record) {
+    const records = await this.read()
+    records[record.url] = clone(record)
+    await this.write(records)
+  }
+
+  async delete(url) {
+    const records = await this.read()
+    delete records[url]
+    await this.write(records)
+  }
+
+  async list() {
+    return Object.values(await this.read()).map(clone)
+  }
+}
+
+/**
+ * Supabase table store - shared by every server instance
+ *
+ * Accepts a client or a function returning one, so the client can be
+ * created lazily.
+ */
+export class SupabaseFeedStore {
+  constructor(client, { table = FEED_TABLE } = {}) {
+    this.name = 'supabase'
+    this.getClient = typeof client === 'function' ? client : () => client
+    this.table = table
+  }
+
+  query() {
+    return this.getClient().from(this.table)
+  }
+
+  async get(url) {
+    const { data, error } = await this.query().select('*').eq('url', url).maybeSingle()
+    if (error) throw error
+    return data
+  }
+
+  async put(record) {
+    const { error } = await this.query().upsert(record, { onConflict: 'url' })
+    if (error) throw error
+  }
+
+  async delete(url) {
+    const { error } = await this.query().delete().eq('url', url)
+    if (error) throw error
+  }
+
+  async list() {
+    const { data, error } = await this.query().select('*').order('url', { ascending: true })
+    if (error) throw error
+    return data
+  }
+}
+
+/**
+ * Build a store by name: `file` (default), `memory` or `supabase`
+ *
+ * `supabase` needs `client` (a client or a function returning one).
+ */
+export function createFeedStore(type = 'file', { file, client } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryFeedStore()
+    case 'file':
+      return new FileFeedStore(file)
+    case 'supabase':
+      if (!client) throw new Error('The supabase feed store needs a client')
+      return new SupabaseFeedStore(client)
+    default:
+      throw new Error(`Unknown feed store "${type}"`)
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Image Proxy Caches
+ *
+ * Keep resized images so each variant (source URL, width, format) is
+ * fetched and encoded once. Every cache implements:
+ * - get(key)        → `{ body, contentType, width, height, source }`, or null
+ * - set(key, image) → stores the same shape
+ *
+ * Keys are hex digests (see ImageProxy.cacheKey).
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises'
+import { join } from 'path'
+
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024 // 64 MB
+
+/**
+ * Process memory, least recently used first out once `maxBytes` is reached
+ */
+export class MemoryImageCache {
+  constructor({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.name = 'memory'
+    this.maxBytes = maxBytes
+    this.bytes = 0
+    this.entries = new Map()
+  }
+
+  async get(key) {
+    const image = this.entries.get(key)
+    if (!image) return null
+    // Move to the back of the eviction order
+    this.entries.delete(key)
+    this.entries.set(key, image)
+    return image
+  }
+
+  async set(key, image) {
+    if (image.body.byteLength > this.maxBytes) return
+    await this.delete(key)
+    this.entries.set(key, image)
+    this.bytes += image.body.byteLength
+    for (const [oldest] of this.entries) {
+      if (this.bytes <= this.maxBytes) break
+      await this.delete(oldest)
+    }
+  }
+
+  async delete(key) {
+    const image = this.entries.get(key)
+    if (!image) return
+    this.entries.delete(key)
+    this.bytes -= image.body.byteLength
+  }
+
+  clear() {
+    this.entries.clear()
+    this.bytes = 0
+  }
+}
+
+/**
+ * A local directory: `<key>.bin` holds the image, `<key>.json` the rest
+ *
+ * Nothing is evicted; clear the directory (or put it on tmpfs) to reclaim
+ * space.
+ */
+export class FileImageCache {
+  constructor({ dir = '.data/images' } = {}) {
+    this.name = 'file'
+    this.dir = dir
+  }
+
+  path(key, extension) {
+    if (!/^[a-f0-9]+$/.test(key)) throw new Error(`Invalid image cache key: ${key}`)
+    return join(this.dir, key.slice(0, 2), `${key}.${extension}`)
+  }
+
+  async get(key) {
+    try {
+      const [meta, body] = await Promise.all([
+        readFile(this.path(key, 'json'), 'utf8'),
+        readFile(this.path(key, 'bin'))
+      ])
+      return { ...JSON.parse(meta), body }
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null
+      throw error
+    }
+  }
+
+  async set(key, { body, ...meta }) {
+    const binPath = this.path(key, 'bin')
+    await mkdir(join(this.dir, key.slice(0, 2)), { recursive: true })
+    // Write the body first and rename it into place, so a reader that finds
+    // the metadata always finds the whole image
+    await writeFile(`${binPath}.tmp`, body)
+    await rename(`${binPath}.tmp`, binPath)
+    await writeFile(this.path(key, 'json'), JSON.stringify(meta))
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Image Proxy
+ *
+ * Serves scrap media from our own origin instead of hotlinking it: the
+ * remote image is fetched through the URL guard and the scraper's circuit
+ * breaker, checked to really be an image, resized to the nearest of a few
+ * fixed widths, re-encoded as WebP, AVIF or JPEG, and cached per variant.
+ * `GET /api/img` is the HTTP front end; `getMediaUrl` in useScraps builds
+ * its URLs.
+ *
+ * Results follow the scraper's `{ success, data | error }` shape, where
+ * `data` is `{ body, contentType, width, height, source, cached }`.
+ */
+
+import { createHash } from 'crypto'
+import { imageMeta } from 'image-meta'
+import { ErrorTypes, ScrapingErrorHandler, ValidationSubtypes } from '../scraper/error-handler.js'
+import { HttpClient } from '../scraper/http-client.js'
+import { guardTransport, urlGuard } from '../scraper/url-guard.js'
+import { MemoryImageCache } from './cache.js'
+import { FORMAT_CONTENT_TYPES, ImageFormats, PassthroughTransformer, SharpTransformer } from './transform.js'
+
+// Kept in step with IMAGE_WIDTHS in composables/useScraps.ts
+export const IMAGE_WIDTHS = [160, 320, 640, 960, 1280]
+
+/**
+ * Our URL for a remote image at a width; kept in step with proxyImageUrl
+ * in composables/useScraps.ts
+ */
+export function proxyPath(url, width = 640) {
+  return `/api/img?url=${encodeURIComponent(url)}&w=${width}`
+}
+
+// Source formats we accept, by image-meta type
+const SOURCE_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+}
+
+const DEFAULTS = {
+  widths: IMAGE_WIDTHS,
+  defaultWidth: 640,
+  // Output formats, preferred first when the browser accepts several
+  formats: [ImageFormats.WEBP, ImageFormats.AVIF, ImageFormats.JPEG],
+  transport: HttpClient,
+  urlGuard,
+  cache: null,
+  transformer: null,
+  errorHandler: null,
+  timeout: 10000,
+  maxBytes: 15 * 1024 * 1024,
+  // Bigger images are refused before they are decoded
+  maxPixels: 40_000_000,
+  // Browser and CDN cache lifetime (seconds)
+  maxAge: 7 * 24 * 60 * 60,
+  userAgent: 'Demo-Scraper/1.0'
+}
+
+function unsupported(message) {
+  const error = new Error(message)
+  error.code = 'EPARSE'
+  return error
+}
+
+function refusal(message, subtype = ValidationSubtypes.INVALID_URL) {
+  return {
+    error: {
+      type: ErrorTypes.VALIDATION_ERROR,
+      subtype,
+      message,
+      canRetry: false
+    }
+  }
+}
+
+export class ImageProxy {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.configure(options)
+    // Loads in flight by cache key, so parallel requests share one fetch
+    this.loading = new Map()
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+    this.options.cache ||= new MemoryImageCache()
+    this.options.transformer ||= new SharpTransformer({ maxPixels: this.options.maxPixels })
+    // Shares the scraper's circuit breaker, but skips its politeness
+    // pacing, failure log and telemetry - a page of thumbnails is not a crawl
+    this.options.errorHandler ||= new ScrapingErrorHandler({
+      maxRetries: 1,
+      logErrors: false,
+      failureLog: null,
+      telemetry: null
+    })
+  }
+
+  /**
+   * Turn query parameters (`url`, `w`, `f`) and the Accept header into a
+   * variant: `{ params: { url, width, format, negotiated } }` or `{ error }`
+   *
+   * Widths snap up to the nearest allowed one. Without `f` the format is
+   * the first configured one the browser accepts (`negotiated` is then
+   * true and the response varies on Accept).
+   */
+  parseParams({ url, w, f } = {}, accept = '') {
+    const { widths, defaultWidth, formats } = this.options
+
+    if (!url) return refusal('url parameter is required')
+    let parsed
+    try {
+      parsed = new URL(String(url))
+    } catch {
+      return refusal('Invalid URL format')
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return refusal(`Unsupported protocol ${parsed.protocol}`, ValidationSubtypes.UNSUPPORTED_PROTOCOL)
+    }
+
+    const requested = parseInt(w) || defaultWidth
+    const width = widths.find(candidate => candidate >= requested) || widths[widths.length - 1]
+
+    if (f && !formats.includes(f)) {
+      return refusal(`Unsupported format "${f}" (use ${formats.join(', ')})`)
+    }
+    const accepted = String(accept || '').toLowerCase()
+    const format = f ||
+      formats.find(candidate => accepted.includes(FORMAT_CONTENT_TYPES[candidate])) ||
+      (formats.includes(ImageFormats.JPEG) ? ImageFormats.JPEG : formats[formats.length - 1])
+
+    return { params: { url: parsed.href, width, format, negotiated: !f } }
+  }
+
+  cacheKey({ url, width, format }) {
+    const { transformer } = this.options
+    return createHash('sha256').update(`${transformer.name}\n${format}\n${width}\n${url}`).digest('hex')
+  }
+
+  /**
+   * The cached variant, or null
+   */
+  cached(params) {
+    return this.options.cache.get(this.cacheKey(params))
+  }
+
+  /**
+   * Fetch, resize and cache a variant (or return the cached one)
+   */
+  async load(params) {
+    const key = this.cacheKey(params)
+    const hit = await this.options.cache.get(key)
+    if (hit) return { success: true, data: { ...hit, cached: true } }
+
+    if (!this.loading.has(key)) {
+      this.loading.set(key, this.fetchAndResize(params).finally(() => this.loading.delete(key)))
+    }
+    return await this.loading.get(key)
+  }
+
+  async fetchAndResize(params) {
+    const { transport, userAgent } = this.options
+
+    const fetched = await this.options.errorHandler.wrap(
+      params.url,
+      () => this.fetchImage(params.url),
+      { source: 'images' },
+      { userAgent, transport, maxRetries: 1 }
+    )
+    if (!fetched.success) return fetched
+
+    let image
+    try {
+      image = await this.resize(fetched.data, params)
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          type: ErrorTypes.PARSING_ERROR,
+          message: `Could not resize image: ${error.message}`,
+          canRetry: false
+        }
+      }
+    }
+
+    await this.options.cache.set(this.cacheKey(params), image)
+    return { success: true, data: { ...image, cached: false } }
+  }
+
+  /**
+   * Fetch the original and check it is an image we can handle
+   */
+  async fetchImage(url) {
+    const { timeout, maxBytes, maxPixels, userAgent } = this.options
+    const transport = this.options.urlGuard
+      ? guardTransport(this.options.transport, this.options.urlGuard)
+      : this.options.transport
+
+    const response = await transport.fetch(url, {
+      timeout,
+      maxBytes,
+      headers: {
+        'User-Agent': userAgent,
+        Accept: 'image/avif,image/webp,image/*;q=0.8'
+      }
+    })
+
+    // Attach response info for error classification
+    if (response.status >= 400) {
+      const error = new Error('HTTP Error')
+      error.response = response
+      throw error
+    }
+
+    const body = await response.body()
+    let meta = null
+    try {
+      meta = imageMeta(body)
+    } catch {
+      // Not an image format image-meta knows
+    }
+    // SVG is refused too: served from our origin it could run script
+    if (!SOURCE_CONTENT_TYPES[meta?.type]) {
+      throw unsupported(`Not a supported image (${response.contentType || meta?.type || 'unknown type'})`)
+    }
+    if (meta.width * meta.height > maxPixels) {
+      throw unsupported(`Image too large (${meta.width}x${meta.height})`)
+    }
+
+    return {
+      body,
+      contentType: SOURCE_CONTENT_TYPES[meta.type],
+      width: meta.width,
+      height: meta.height,
+      url: response.url || url
+    }
+  }
+
+  /**
+   * Resize the original; without sharp installed the original is served
+   */
+  async resize(original, { width, format }) {
+    try {
+      const resized = await this.options.transformer.transform(original.body, { width, format, original })
+      return { ...resized, source: original.url }
+    } catch (error) {
+      if (error.code !== 'ENOTRANSFORMER') throw error
+      console.warn(`[IMAGES] ${error.message}; serving images at their original size`)
+      this.options.transformer = new PassthroughTransformer()
+      return await this.resize(original, { width, format })
+    }
+  }
+}
+
+// Shared proxy behind /api/img (configured by a Nitro plugin)
+export const imageProxy = new ImageProxy()
@@ -0,0 +1,87 @@
+/**
+ * Image Transformers
+ *
+ * Resize and re-encode fetched images for the image proxy. Every
+ * transformer implements:
+ * - transform(body, { width, format, quality }) → `{ body, contentType, width, height }`
+ *
+ * - `SharpTransformer` uses sharp (libvips). The package is imported the
+ *   first time it is needed, so it stays optional (an optionalDependency).
+ * - `PassthroughTransformer` hands the original back unchanged; the proxy
+ *   falls back to it when sharp is not installed.
+ */
+
+export const ImageFormats = {
+  AVIF: 'avif',
+  WEBP: 'webp',
+  JPEG: 'jpeg'
+}
+
+export const FORMAT_CONTENT_TYPES = {
+  [ImageFormats.AVIF]: 'image/avif',
+  [ImageFormats.WEBP]: 'image/webp',
+  [ImageFormats.JPEG]: 'image/jpeg'
+}
+
+// AVIF looks as good as WebP at a much lower quality setting
+const DEFAULT_QUALITY = {
+  [ImageFormats.AVIF]: 50,
+  [ImageFormats.WEBP]: 75,
+  [ImageFormats.JPEG]: 78
+}
+
+export class SharpTransformer {
+  constructor({ module = 'sharp', maxPixels = 40_000_000 } = {}) {
+    this.name = 'sharp'
+    this.module = module
+    this.maxPixels = maxPixels
+    this.sharp = null
+  }
+
+  async load() {
+    if (this.sharp) return this.sharp
+    let imported
+    try {
+      imported = await import(/* @vite-ignore */ this.module)
+    } catch (error) {
+      const missing = new Error(`Image resizing needs the "${this.module}" package: npm install sharp`)
+      missing.code = 'ENOTRANSFORMER'
+      missing.cause = error
+      throw missing
+    }
+    this.sharp = imported.default || imported
+    return this.sharp
+  }
+
+  async transform(body, { width, format = ImageFormats.WEBP, quality } = {}) {
+    const sharp = await this.load()
+    const { data, info } = await sharp(body, { limitInputPixels: this.maxPixels, animated: false })
+      // Apply EXIF orientation before the tag is dropped
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .toFormat(format, { quality: quality ?? DEFAULT_QUALITY[format] })
+      .toBuffer({ resolveWithObject: true })
+
+    return {
+      body: data,
+      contentType: FORMAT_CONTENT_TYPES[format],
+      width: info.width,
+      height: info.height
+    }
+  }
+}
+
+export class PassthroughTransformer {
+  constructor() {
+    this.name = 'passthrough'
+  }
+
+  async transform(body, { original } = {}) {
+    return {
+      body,
+      contentType: original.contentType,
+      width: original.width,
+      height: original.height
+    }
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Markdown Rendering
+ *
+ * Renders stored scrap content (markdown, or plain text) to HTML with
+ * marked, then sanitizes it, since the content is whatever the scraped
+ * page said. The sanitizer keeps an allowlist of tags and attributes:
+ *
+ * - script, style, iframe, forms and the like are dropped with their content
+ * - other unknown tags are unwrapped, keeping their text
+ * - event handlers, `style` and `class` (bar `language-*` on code) go
+ * - links keep http(s), mailto and relative URLs and open in a new tab
+ * - images keep http(s) sources, served through the image proxy
+ */
+
+import { marked } from 'marked'
+import { parseHTML } from 'linkedom'
+import { proxyPath } from './images/proxy.js'
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div',
+  'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small',
+  'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'tr', 'u', 'ul'
+])
+
+// Removed with everything inside them
+const DROPPED_TAGS = new Set([
+  'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe',
+  'input', 'link', 'math', 'meta', 'noscript', 'object', 'script', 'select',
+  'style', 'svg', 'template', 'textarea', 'title'
+])
+
+const ALLOWED_ATTRIBUTES = {
+  '*': ['title'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align', 'scope'],
+  code: ['class']
+}
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:']
+const IMAGE_PROTOCOLS = ['http:', 'https:']
+
+// Relative URLs resolve against this, so they can be told apart
+const BASE = 'https://relative.invalid/'
+
+// Width content images are resized to
+const IMAGE_WIDTH = 960
+
+/**
+ * The URL when its protocol is allowed: absolute URLs come back
+ * normalised, relative ones as written; otherwise null
+ */
+function safeUrl(value, protocols) {
+  let url
+  try {
+    url = new URL(String(value).trim(), BASE)
+  } catch {
+    return null
+  }
+  if (!protocols.includes(url.protocol)) return null
+  if (url.origin === new URL(BASE).origin) return String(value).trim()
+  return url.href
+}
+
+function cleanAttributes(element, tag) {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])]
+  for (const { name, value } of [...element.attributes]) {
+    const keep = allowed.includes(name.toLowerCase()) &&
+      // Only the language-* class marked gives fenced code
+      (name !== 'class' || /^language-[\w+-]+$/.test(value))
+    if (!keep) element.removeAttribute(name)
+  }
+
+  if (tag === 'a') {
+    const href = element.getAttribute('href')
+    const safe = href === null ? null : safeUrl(href, LINK_PROTOCOLS)
+    if (!safe) {
+      element.removeAttribute('href')
+    } else {
+      element.setAttribute('href', safe)
+      if (/^(https?|mailto):/.test(safe)) {
+        element.setAttribute('target', '_blank')
+        element.setAttribute('rel', 'noopener noreferrer nofollow')
+      }
+    }
+  }
+
+  if (tag === 'img') {
+    const src = safeUrl(element.getAttribute('src') || '', IMAGE_PROTOCOLS)
+    // Relative sources pointed at the scraped site, not at us
+    if (!src || !/^https?:/.test(src)) return false
+    element.setAttribute('src', proxyPath(src, IMAGE_WIDTH))
+    element.setAttribute('loading', 'lazy')
+  }
+
+  return true
+}
+
+function clean(parent) {
+  for (const node of [...parent.childNodes]) {
+    // Text stays; comments, doctypes and processing instructions go
+    if (node.nodeType === 3) continue
+    if (node.nodeType !== 1) {
+      node.remove()
+      continue
+    }
+
+    const tag = node.tagName.toLowerCase()
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove()
+      continue
+    }
+
+    clean(node)
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      node.replaceWith(...node.childNodes)
+    } else if (!cleanAttributes(node, tag)) {
+      node.remove()
+    }
+  }
+}
+
+/**
+ * Strip everything not on the allowlist from an HTML fragment
+ */
+export function sanitizeHtml(html) {
+  if (!html) return ''
+  const { document } = parseHTML(`<html><body>${html}</body></html>`)
+  clean(document.body)
+  return document.body.innerHTML
+}
+
+/**
+ * Markdown (or plain text) to sanitized HTML
+ */
+export function renderMarkdown(text) {
+  if (!text) return ''
+  return sanitizeHtml(marked.parse(String(text), { async: false, gfm: true }))
+}
+
+/**
+ * The plain text of rendered markdown, squeezed onto one line
+ */
+export function markdownText(text) {
+  if (!text) return ''
+  const { document } = parseHTML(`<html><body>${renderMarkdown(text)}</body></html>`)
+  return document.body.textContent.replace(/\s+/g, ' ').trim()
+}
@@ -0,0 +1,128 @@
+/**
+ * Scrap Detail
+ *
+ * Everything the /scrap/:id page shows about one scrap, ready to render:
+ *
+ *   {
+ *     scrap,          the row without content or embeddings
+ *     html,           content rendered from markdown and sanitized
+ *     summaryHtml,    the same for the summary
+ *     description,    plain text for previews (OpenGraph)
+ *     images,         [{ url, width, height, alt }] from metadata.images
+ *     relationships,  [{ id, type, target_id, target }]; `target` is the
+ *                     scrap it points at ({ id, title, url, type, source })
+ *                     or null when it can't be found
+ *     status: {
+ *       processing,   { instance, started_at } while a worker has it, or null
+ *       embeddings    dimensions by embedding column, null where missing
+ *     }
+ *   }
+ *
+ * Relationship targets are looked up by scrap id and by `scrap_id`, the
+ * id the scrap had at its source.
+ */
+
+import { EMBEDDING_SPACES } from './embeddings/neighbours.js'
+import { parseVector } from './embeddings/vectors.js'
+import { markdownText, renderMarkdown } from './markdown.js'
+
+const DESCRIPTION_LENGTH = 200
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const TARGET_COLUMNS = 'id, scrap_id, title, url, type, source'
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text
+}
+
+function images(metadata) {
+  return (Array.isArray(metadata?.images) ? metadata.images : [])
+    .filter(image => /^https?:\/\//i.test(image?.url || ''))
+    .map(image => ({
+      url: image.url,
+      width: image.width ?? null,
+      height: image.height ?? null,
+      alt: image.alt || null
+    }))
+}
+
+/**
+ * Look up the scraps relationships point at
+ */
+async function resolveRelationships(supabase, relationships) {
+  const entries = (Array.isArray(relationships) ? relationships : [])
+    .filter(entry => entry && typeof entry === 'object')
+  const targetIds = [...new Set(entries.map(entry => entry.target_id).filter(Boolean).map(String))]
+  if (!targetIds.length) return entries.map(entry => ({ ...entry, target: null }))
+
+  const targets = new Map()
+  const lookups = []
+  // Comparing a uuid column with anything else is an error in Postgres
+  const uuids = targetIds.filter(id => UUID.test(id))
+  if (uuids.length) {
+    lookups.push(supabase.from('scraps').select(TARGET_COLUMNS).in('id', uuids))
+  }
+  lookups.push(supabase.from('scraps').select(TARGET_COLUMNS).in('scrap_id', targetIds))
+
+  for (const { data, error } of await Promise.all(lookups)) {
+    if (error) throw error
+    for (const row of data || []) {
+      const target = { id: row.id, title: row.title, url: row.url, type: row.type, source: row.source }
+      if (row.scrap_id) targets.set(String(row.scrap_id), target)
+      targets.set(String(row.id), target)
+    }
+  }
+
+  return entries.map(entry => ({
+    ...entry,
+    target: targets.get(String(entry.target_id)) || null
+  }))
+}
+
+/**
+ * The detail for scrap `id`, or null when there is no such scrap (or the
+ * caller can't see it)
+ */
+export async function loadScrapDetail(supabase, id) {
+  const { data: row, error } = await supabase
+    .from('scraps')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+  // An id that isn't a uuid can't match anything
+  if (error?.code === '22P02') return null
+  if (error) throw error
+  if (!row) return null
+
+  const scrap = { ...row }
+  for (const column of ['content', ...EMBEDDING_SPACES]) delete scrap[column]
+
+  const embeddings = Object.fromEntries(EMBEDDING_SPACES.map(space => [
+    space,
+    parseVector(row[space])?.length ?? null
+  ]))
+
+  // Only the start of the content is needed for a preview
+  const description = truncate(
+    markdownText(row.summary) ||
+      String(row.metadata?.description || '').replace(/\s+/g, ' ').trim() ||
+      markdownText(row.content?.slice(0, 2000)),
+    DESCRIPTION_LENGTH
+  )
+
+  return {
+    scrap,
+    html: renderMarkdown(row.content),
+    summaryHtml: renderMarkdown(row.summary),
+    description,
+    images: images(row.metadata),
+    relationships: await resolveRelationships(supabase, row.relationships),
+    status: {
+      processing: row.processing_instance_id || row.processing_started_at
+        ? { instance: row.processing_instance_id, started_at: row.processing_started_at }
+        : null,
+      embeddings
+    }
+  }
+}
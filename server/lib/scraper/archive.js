@@ -0,0 +1,153 @@
+/**
+ * Archive Fallback for Dead, Missing and Paywalled Pages
+ *
+ * When a page is gone (404/410), its domain no longer resolves, or it is
+ * behind a paywall, an archived copy is often still readable. An archive
+ * service finds the snapshot closest to now; the scraper then fetches it
+ * and runs it through the normal extractor.
+ *
+ * - An archive is any object with `name` and
+ *   `lookup(url, { transport, timeout, headers })` resolving to
+ *   `{ snapshotUrl, timestamp, html? }` or null when there is no snapshot
+ *   (`html` saves a second fetch when the lookup already returned the page)
+ * - `WaybackArchive` asks the Wayback Machine availability API;
+ *   `ArchiveTodayArchive` asks archive.today's Memento timegate. Both take
+ *   an `endpoint`, so a local mirror can stand in
+ * - `ArchiveResolver` holds the configured archive (off until one is set)
+ */
+
+import { ErrorTypes } from './error-handler.js'
+
+export const ArchiveServices = {
+  WAYBACK: 'wayback',
+  ARCHIVE_TODAY: 'archive_today'
+}
+
+// HTTP statuses that mean the page is gone rather than failing
+const GONE_STATUSES = [404, 410]
+
+const DEFAULTS = {
+  archive: null,
+  timeout: 15000
+}
+
+/**
+ * Wayback timestamps (`20240102030405`) as ISO strings
+ */
+export function parseWaybackTimestamp(timestamp) {
+  const match = String(timestamp || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/)
+  if (!match) return null
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString()
+}
+
+/**
+ * The raw capture (`id_`), without the Wayback toolbar and rewritten links
+ */
+function rawSnapshotUrl(snapshotUrl, timestamp) {
+  return snapshotUrl.replace(`/${timestamp}/`, `/${timestamp}id_/`)
+}
+
+function lookupError(archive, response) {
+  const error = new Error(`${archive} lookup failed (${response.status})`)
+  error.code = 'EARCHIVE'
+  error.response = response
+  return error
+}
+
+export class WaybackArchive {
+  constructor({ endpoint = 'https://archive.org/wayback/available' } = {}) {
+    this.name = ArchiveServices.WAYBACK
+    this.endpoint = endpoint
+  }
+
+  async lookup(url, { transport, timeout, headers = {} }) {
+    const response = await transport.fetch(`${this.endpoint}?url=${encodeURIComponent(url)}`, {
+      timeout,
+      headers: { ...headers, Accept: 'application/json' }
+    })
+    if (response.status >= 400) throw lookupError(this.name, response)
+
+    const closest = JSON.parse(await response.text()).archived_snapshots?.closest
+    // Captures of error pages are no better than the live page
+    if (!closest?.available || !closest.url || (closest.status && !closest.status.startsWith('2'))) return null
+
+    return {
+      snapshotUrl: rawSnapshotUrl(closest.url, closest.timestamp),
+      timestamp: parseWaybackTimestamp(closest.timestamp)
+    }
+  }
+}
+
+export class ArchiveTodayArchive {
+  constructor({ endpoint = 'https://archive.ph' } = {}) {
+    this.name = ArchiveServices.ARCHIVE_TODAY
+    this.endpoint = endpoint.replace(/\/$/, '')
+  }
+
+  // The timegate redirects to the newest snapshot, so the lookup is the fetch
+  async lookup(url, { transport, timeout, headers = {} }) {
+    const response = await transport.fetch(`${this.endpoint}/timegate/${url}`, { timeout, headers })
+    if (response.status === 404) return null
+    if (response.status >= 400) throw lookupError(this.name, response)
+
+    const datetime = response.headers?.['memento-datetime']
+    const timestamp = datetime ? new Date(datetime) : null
+    return {
+      snapshotUrl: response.url,
+      timestamp: timestamp && !Number.isNaN(timestamp.getTime()) ? timestamp.toISOString() : null,
+      html: await response.text()
+    }
+  }
+}
+
+/**
+ * Why a scrape result should be retried from the archive, or null
+ *
+ * Errors worth retrying (`canRetry`) never go to the archive: the live
+ * page may well come back.
+ */
+export function archiveReason(result) {
+  if (result.success) return result.data?.paywall ? ErrorTypes.PAYWALL : null
+
+  const { type, canRetry, metadata = {} } = result.error
+  if (canRetry) return null
+  if (type === ErrorTypes.DNS_ERROR || type === ErrorTypes.PAYWALL) return type
+  if (type === ErrorTypes.HTTP_ERROR && GONE_STATUSES.includes(metadata.httpStatus)) return type
+  return null
+}
+
+export class ArchiveResolver {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.configure(options)
+  }
+
+  /**
+   * Options: `archive` (null turns the fallback off) and `timeout` (ms)
+   */
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  get enabled() {
+    return Boolean(this.options.archive)
+  }
+
+  get service() {
+    return this.options.archive?.name || null
+  }
+
+  /**
+   * The closest snapshot of `url`, or null when there is none
+   */
+  async find(url, { transport, headers } = {}) {
+    const { archive, timeout } = this.options
+    if (!archive) return null
+    return await archive.lookup(url, { transport, timeout, headers })
+  }
+}
+
+// Shared resolver used by the scraper (off until an archive is configured)
+export const archiveResolver = new ArchiveResolver()
@@ -0,0 +1,173 @@
+/**
+ * Circuit Breaker State Stores
+ *
+ * The breaker keeps one record per domain:
+ *
+ *   { domain, state, failures, opened_at, last_failure_at,
+ *     next_attempt_at, probe_started_at, version, updated_at }
+ *
+ * Every store implements the same async interface:
+ * - get(domain)                             → record or null
+ * - compareAndSet(domain, version, record)  → true if written
+ * - delete(domain) / clear()
+ * - list()                                  → all records
+ *
+ * `compareAndSet` only writes when the stored version still equals
+ * `version` (null = no record yet). That is what lets exactly one caller
+ * win the half-open probe, even across server instances.
+ */
+
+import { readJsonFile, withFileLock, writeJsonFile } from './json-file.js'
+
+export const BREAKER_TABLE = 'scraper_circuit_breakers'
+
+function clone(record) {
+  return record ? { ...record } : null
+}
+
+function currentVersion(record) {
+  return record ? record.version : null
+}
+
+/**
+ * Process-local store (default) - state is lost on restart
+ */
+export class MemoryBreakerStore {
+  constructor() {
+    this.name = 'memory'
+    this.records = new Map()
+  }
+
+  async get(domain) {
+    return clone(this.records.get(domain))
+  }
+
+  async compareAndSet(domain, version, record) {
+    if (currentVersion(this.records.get(domain)) !== version) return false
+    this.records.set(domain, { ...record })
+    return true
+  }
+
+  async delete(domain) {
+    this.records.delete(domain)
+  }
+
+  async clear() {
+    this.records.clear()
+  }
+
+  async list() {
+    return [...this.records.values()].map(clone)
+  }
+}
+
+/**
+ * JSON file store - survives restarts of a single server
+ *
+ * The file is re-read on every operation so that several processes on one
+ * machine see each other's updates. Writes take a `<path>.lock` file, so
+ * conditional writes hold across processes too.
+ */
+export class FileBreakerStore {
+  constructor(path = '.data/circuit-breakers.json') {
+    this.name = 'file'
+    this.path = path
+  }
+
+  read() {
+    return readJsonFile(this.path)
+  }
+
+  write(records) {
+    return writeJsonFile(this.path, records)
+  }
+
+  // Run one read-modify-write at a time, across processes
+  exclusive(operation) {
+    return withFileLock(this.path, operation)
+  }
+
+  async get(domain) {
+    const records = await this.read()
+    return clone(records[domain])
+  }
+
+  compareAndSet(domain, version, record) {
+    return this.exclusive(async () => {
+      const records = await this.read()
+      if (currentVersion(records[domain]) !== version) return false
+      records[domain] = { ...record }
+      await this.write(records)
+      return true
+    })
+  }
+
+  delete(domain) {
+    return this.exclusive(async () => {
+      const records = await this.read()
+      delete records[domain]
+      await this.write(records)
+    })
+  }
+
+  clear() {
+    return this.exclusive(() => this.write({}))
+  }
+
+  async list() {
+    return Object.values(await this.read()).map(clone)
+  }
+}
+
+/**
+ * Supabase table store - shared by every server instance
+ *
+ * Accepts a client or a function returning one, so the client can be
+ * created lazily. Conditional writes use the `version` column.
+ */
+export class SupabaseBreakerStore {
+  constructor(client, { table = BREAKER_TABLE } = {}) {
+    this.name = 'supabase'
+    this.getClient = typeof client === 'function' ? client : () => client
+    this.table = table
+  }
+
+  query() {
+    return this.getClient().from(this.table)
+  }
+
+  async get(domain) {
+    const { data, error } = await this.query().select('*').eq('domain', domain).maybeSingle()
+    if (error) throw error
+    return data
+  }
+
+  async compareAndSet(domain, version, record) {
+    const row = { ...record, domain }
+
+    // No record yet: insert, and lose the race if another instance got there first
+    const { data, error } = version === null
+      ? await this.query().upsert(row, { onConflict: 'domain', ignoreDuplicates: true }).select()
+      : await this.query().update(row).eq('domain', domain).eq('version', version).select()
+
+    if (error) throw error
+    return data.length > 0
+  }
+
+  async delete(domain) {
+    const { error } = await this.query().delete().eq('domain', domain)
+    if (error) throw error
+  }
+
+  async clear() {
+    // PostgREST refuses unfiltered deletes
+    const { error } = await this.query().delete().neq('domain', '')
+    if (error) throw error
+  }
+
+  async list() {
+    const { data, error } = await this.query().select('*').order('domain', { ascending: true })
+    if (error) throw error
+    return data
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Circuit Breaker for Failing Domains
+ *
+ * Per-domain state machine:
+ *
+ *   closed ──(failures ≥ threshold)──▶ open ──(cool-down elapsed)──▶ half_open
+ *     ▲                                  ▲                               │
+ *     └──────────(probe succeeds)────────┼───────(probe fails)───────────┘
+ *
+ * While half-open exactly one request (the probe) is let through; everyone
+ * else is turned away until it reports back. A probe that never reports
+ * (crashed instance) is abandoned after `probeTimeoutMs`.
+ *
+ * State lives in a pluggable store (see breaker-stores.js), so it can
+ * survive restarts and be shared between server instances.
+ */
+
+import { MemoryBreakerStore } from './breaker-stores.js'
+
+export const BreakerStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+}
+
+const DEFAULTS = {
+  failureThreshold: 5,
+  cooldownMs: 60000,
+  probeTimeoutMs: 30000
+}
+
+// Attempts at a conditional write before giving up on a contended record
+const MAX_WRITE_ATTEMPTS = 5
+
+function toTime(value) {
+  return value ? Date.parse(value) : 0
+}
+
+function toIso(time) {
+  return new Date(time).toISOString()
+}
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.store = new MemoryBreakerStore()
+    this.defaults = { ...DEFAULTS }
+    this.domains = {}
+    this.configure(options)
+  }
+
+  /**
+   * Update the store, defaults or per-domain overrides in place
+   *
+   * `domains` maps a hostname to `{ failureThreshold, cooldownMs, probeTimeoutMs }`;
+   * an entry also applies to its subdomains.
+   */
+  configure({ store, domains, ...defaults } = {}) {
+    if (store) this.store = store
+    if (domains) this.domains = { ...domains }
+    for (const key of Object.keys(DEFAULTS)) {
+      if (defaults[key] !== undefined) this.defaults[key] = defaults[key]
+    }
+    return this
+  }
+
+  /**
+   * Effective settings for a domain, most specific override first
+   */
+  settingsFor(domain) {
+    const labels = domain.split('.')
+    for (let i = 0; i < labels.length - 1; i++) {
+      const override = this.domains[labels.slice(i).join('.')]
+      if (override) return { ...this.defaults, ...override }
+    }
+    return { ...this.defaults }
+  }
+
+  /**
+   * Write `next(record)` with optimistic concurrency, retrying on conflicts
+   *
+   * `next` returns the new record, or undefined to leave the store alone.
+   */
+  async update(domain, next) {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const record = await this.store.get(domain)
+      const updated = next(record)
+      if (!updated) return { written: false, record }
+
+      const version = record ? record.version : null
+      const written = await this.store.compareAndSet(domain, version, {
+        ...updated,
+        domain,
+        version: (version || 0) + 1,
+        updated_at: toIso(Date.now())
+      })
+      if (written) return { written: true, record: updated }
+    }
+    return { written: false, record: await this.store.get(domain) }
+  }
+
+  /**
+   * Ask to send a request to a domain
+   *
+   * Returns `{ allowed, state, probe, tracked, retryAt }`. `probe` is true
+   * when this caller holds the half-open probe and must report back;
+   * `tracked` is false when the domain has no failures on record.
+   */
+  async acquire(domain) {
+    let denied = null
+
+    const { written, record } = await this.update(domain, current => {
+      denied = null
+      if (!current || current.state === BreakerStates.CLOSED) return undefined
+
+      const now = Date.now()
+      const retryAt = this.nextRetry(current)
+      if (now < Date.parse(retryAt)) {
+        denied = { state: current.state, retryAt }
+        return undefined
+      }
+
+      // Cool-down over (or the last probe went missing) - take the probe
+      return { ...current, state: BreakerStates.HALF_OPEN, probe_started_at: toIso(now) }
+    })
+
+    if (written) return { allowed: true, state: BreakerStates.HALF_OPEN, probe: true, tracked: true, retryAt: null }
+    if (denied) return { allowed: false, probe: false, tracked: true, ...denied }
+
+    // Closed, or another caller won the probe while we retried
+    if (!record || record.state === BreakerStates.CLOSED) {
+      return { allowed: true, state: BreakerStates.CLOSED, probe: false, tracked: !!record, retryAt: null }
+    }
+    return { allowed: false, state: record.state, probe: false, tracked: true, retryAt: this.nextRetry(record) }
+  }
+
+  /**
+   * Backwards-compatible boolean check (does not take the probe)
+   */
+  async canAttempt(domain) {
+    const record = await this.store.get(domain)
+    if (!record || record.state === BreakerStates.CLOSED) return true
+    const retryAt = this.nextRetry(record)
+    return !retryAt || Date.now() >= Date.parse(retryAt)
+  }
+
+  async recordFailure(domain) {
+    const { failureThreshold, cooldownMs } = this.settingsFor(domain)
+
+    const { record } = await this.update(domain, current => {
+      const now = Date.now()
+      const previous = current || { state: BreakerStates.CLOSED, failures: 0 }
+      const failures = (previous.failures || 0) + 1
+      const trips =
+        previous.state === BreakerStates.HALF_OPEN ||
+        (previous.state === BreakerStates.CLOSED && failures >= failureThreshold)
+
+      return {
+        ...previous,
+        failures,
+        last_failure_at: toIso(now),
+        ...(trips && {
+          state: BreakerStates.OPEN,
+          opened_at: toIso(now),
+          next_attempt_at: toIso(now + cooldownMs),
+          probe_started_at: null
+        })
+      }
+    })
+    return record
+  }
+
+  async recordSuccess(domain) {
+    await this.store.delete(domain)
+  }
+
+  /**
+   * When a blocked domain will next let a request through (ISO string or null)
+   */
+  nextRetry(record) {
+    const { cooldownMs, probeTimeoutMs } = this.settingsFor(record.domain)
+    if (record.state === BreakerStates.OPEN) {
+      return toIso(toTime(record.next_attempt_at) || toTime(record.opened_at) + cooldownMs)
+    }
+    if (record.state === BreakerStates.HALF_OPEN) {
+      return toIso(toTime(record.probe_started_at) + probeTimeoutMs)
+    }
+    return null
+  }
+
+  async status() {
+    const records = await this.store.list()
+    const domains = {}
+
+    for (const record of records) {
+      const { failureThreshold, cooldownMs } = this.settingsFor(record.domain)
+      domains[record.domain] = {
+        state: record.state,
+        failures: record.failures,
+        lastFailureAt: record.last_failure_at || null,
+        openedAt: record.opened_at || null,
+        nextRetryAt: this.nextRetry(record),
+        probeInFlight: record.state === BreakerStates.HALF_OPEN,
+        failureThreshold,
+        cooldownMs
+      }
+    }
+
+    return { store: this.store.name, defaults: { ...this.defaults }, domains }
+  }
+
+  async reset(domain = null) {
+    if (domain) {
+      await this.store.delete(domain)
+    } else {
+      await this.store.clear()
+    }
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Conditional GET and Change Detection
+ *
+ * Remembers each URL's `ETag`, `Last-Modified` and a hash of the body so a
+ * re-scrape can send `If-None-Match` / `If-Modified-Since` and skip
+ * extraction when the page has not changed:
+ * - 304 Not Modified        → unchanged (reason: 'not_modified')
+ * - 200 with the same hash  → unchanged (reason: 'same_hash')
+ *
+ * Validators are `{ etag, lastModified, contentHash, checkedAt }`. They live
+ * in a validator store (process memory by default) keyed by normalized URL;
+ * saved scraps also carry them in `metadata.http`.
+ */
+
+import { createHash } from 'crypto'
+import { normalizeUrl } from './normalize-url.js'
+
+export const UnchangedReasons = {
+  NOT_MODIFIED: 'not_modified',
+  SAME_HASH: 'same_hash'
+}
+
+// URLs remembered by the default in-memory store
+const DEFAULT_MAX_ENTRIES = 5000
+
+export function contentHash(text) {
+  return `sha256:${createHash('sha256').update(text).digest('hex')}`
+}
+
+/**
+ * Request headers for a conditional fetch
+ */
+export function conditionalHeaders(validators) {
+  if (!validators) return {}
+  return {
+    ...(validators.etag && { 'If-None-Match': validators.etag }),
+    ...(validators.lastModified && { 'If-Modified-Since': validators.lastModified })
+  }
+}
+
+/**
+ * Validators to remember from a response; keeps the previous ones a 304
+ * did not repeat
+ */
+export function validatorsFromResponse(response, hash, previous = null) {
+  const headers = response.headers || {}
+  return {
+    etag: headers.etag || previous?.etag || null,
+    lastModified: headers['last-modified'] || previous?.lastModified || null,
+    contentHash: hash || previous?.contentHash || null,
+    checkedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * The store a `validatorStore` option names: `true` for the shared one, or
+ * the caller's own (none when unset)
+ */
+export function resolveValidatorStore(option) {
+  return option === true ? validatorStore : option || null
+}
+
+/**
+ * Bounded in-process validator store (oldest entries are dropped first)
+ */
+export class MemoryValidatorStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  key(url) {
+    return normalizeUrl(url) || url
+  }
+
+  async get(url) {
+    return this.entries.get(this.key(url)) || null
+  }
+
+  async set(url, validators) {
+    const key = this.key(url)
+    this.entries.delete(key)
+    this.entries.set(key, { ...validators })
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  async delete(url) {
+    return this.entries.delete(this.key(url))
+  }
+
+  // Returns how many URLs were forgotten
+  async clear() {
+    const count = this.entries.size
+    this.entries.clear()
+    return count
+  }
+}
+
+// Shared store scrapeUrl uses with `validatorStore: true`
+export const validatorStore = new MemoryValidatorStore()
@@ -7,12 +7,21 @@
  * Architecture:
  * - Wraps scraping operations with structured error handling
  * - Classifies errors by type for appropriate response strategies
- * - Provides circuit breaker pattern for failing domains
+ * - Provides circuit breaker pattern for failing domains (see circuit-breaker.js)
  * - Implements retry logic with exponential backoff
+ * - Optionally gates requests through robots.txt and per-host pacing (see politeness.js)
+ * - Keeps recent failures in memory for the admin API (see failure-log.js)
+ * - Reports every outcome as a structured telemetry event (see telemetry.js)
  * - Logs errors appropriately without crashing the pipeline
  */
 
 import { createHash } from 'crypto'
+import { CircuitBreaker, BreakerStates } from './circuit-breaker.js'
+import { politeness } from './politeness.js'
+import { parseRetryAfter } from './http-client.js'
+import { failureLog } from './failure-log.js'
+import { detectPaywall } from './paywall.js'
+import { scrapeTelemetry, ScrapeOutcomes } from './telemetry.js'
 
 // Error classifications for different handling strategies
 export const ErrorTypes = {
@@ -24,9 +33,21 @@ export const ErrorTypes = {
   TIMEOUT: 'timeout',
   PARSING_ERROR: 'parsing_error',
   RATE_LIMITED: 'rate_limited',
+  ROBOTS_BLOCKED: 'robots_blocked',
+  VALIDATION_ERROR: 'validation_error',
   UNKNOWN: 'unknown'
 }
 
+// Why a request was refused before anything was fetched (`validation_error`)
+export const ValidationSubtypes = {
+  INVALID_URL: 'invalid_url',
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+  PRIVATE_ADDRESS: 'private_address',
+  DOMAIN_DENIED: 'domain_denied',
+  DOMAIN_NOT_ALLOWED: 'domain_not_allowed',
+  RATE_LIMITED: 'rate_limited'
+}
+
 // HTTP status code mappings
 const HTTP_ERROR_CODES = {
   400: 'Bad Request',
@@ -40,23 +61,6 @@ const HTTP_ERROR_CODES = {
   504: 'Gateway Timeout'
 }
 
-// Common paywall indicators for detection
-const PAYWALL_INDICATORS = [
-  'subscribe',
-  'subscription',
-  'paywall',
-  'premium content',
-  'sign in to read',
-  'register to continue',
-  'unlock this article',
-  'become a member',
-  'this content is for subscribers',
-  'continue reading with',
-  'free trial',
-  'monthly plan',
-  'access denied'
-]
-
 // JavaScript-heavy site indicators
 const JS_REQUIRED_INDICATORS = [
   'please enable javascript',
@@ -68,42 +72,15 @@ const JS_REQUIRED_INDICATORS = [
   'this site needs javascript'
 ]
 
-// Circuit breaker for failing domains
-class CircuitBreaker {
-  constructor(failureThreshold = 5, timeoutMs = 60000) {
-    this.failures = new Map() // domain -> failure count
-    this.lastFailure = new Map() // domain -> timestamp
-    this.failureThreshold = failureThreshold
-    this.timeoutMs = timeoutMs
-  }
+// Less extracted text than this may be a JavaScript shell rather than the page
+const MIN_STATIC_TEXT_LENGTH = 200
 
-  canAttempt(domain) {
-    const failures = this.failures.get(domain) || 0
-    const lastFailure = this.lastFailure.get(domain) || 0
-    
-    if (failures >= this.failureThreshold) {
-      const timeSinceLastFailure = Date.now() - lastFailure
-      return timeSinceLastFailure > this.timeoutMs
-    }
-    
-    return true
-  }
-
-  recordFailure(domain) {
-    const failures = (this.failures.get(domain) || 0) + 1
-    this.failures.set(domain, failures)
-    this.lastFailure.set(domain, Date.now())
-  }
-
-  recordSuccess(domain) {
-    this.failures.delete(domain)
-    this.lastFailure.delete(domain)
-  }
-}
-
-// Global circuit breaker instance
+// Shared circuit breaker instance (memory store until configured)
 const circuitBreaker = new CircuitBreaker()
 
+// Error types that count as a domain failure for the circuit breaker
+const BREAKER_FAILURE_TYPES = [ErrorTypes.HTTP_ERROR, ErrorTypes.NETWORK_ERROR, ErrorTypes.DNS_ERROR]
+
 /**
  * Structured error object for consistent error reporting
  */
@@ -117,6 +94,7 @@ class ScrapingError extends Error {
       timestamp: new Date().toISOString(),
       ...metadata
     }
+    this.subtype = metadata.subtype || null
     this.canRetry = this.determineRetryability()
   }
 
@@ -128,12 +106,17 @@ class ScrapingError extends Error {
       ErrorTypes.RATE_LIMITED
     ]
     
-    return retryableTypes.includes(this.type)
+    // A 503 that says when to come back is temporary too
+    const unavailableWithRetryAfter =
+      this.metadata.httpStatus === 503 && this.metadata.retryAfterMs !== undefined
+    
+    return retryableTypes.includes(this.type) || unavailableWithRetryAfter
   }
 
   toJSON() {
     return {
       type: this.type,
+      ...(this.subtype && { subtype: this.subtype }),
       message: this.message,
       canRetry: this.canRetry,
       metadata: this.metadata,
@@ -147,6 +130,24 @@ class ScrapingError extends Error {
   }
 }
 
+/**
+ * Whether a page that loaded fine needs JavaScript to show its content
+ *
+ * `text` is what the extractor got out of `html`. Only pages with little
+ * text are suspects: those that ask for JavaScript, or are scripts and
+ * next to nothing else.
+ */
+function requiresJavaScript(html, text = '') {
+  const visibleText = text.trim()
+  if (visibleText.length >= MIN_STATIC_TEXT_LENGTH) return false
+
+  const htmlLower = html.toLowerCase()
+  const asksForJs = JS_REQUIRED_INDICATORS.some(indicator => htmlLower.includes(indicator))
+  const scriptShell = /<script[\s>]/.test(htmlLower) && visibleText.length < 50
+
+  return asksForJs || scriptShell
+}
+
 /**
  * Classify error based on response, error type, and content
  */
@@ -196,6 +197,39 @@ function classifyError(error, response = null, content = '') {
     const errorMessage = error.message?.toLowerCase() || ''
     const errorCode = error.code?.toLowerCase() || ''
 
+    // Disallowed by the site's robots.txt
+    if (errorCode === 'erobots') {
+      return {
+        type: ErrorTypes.ROBOTS_BLOCKED,
+        message: error.message || 'Blocked by robots.txt'
+      }
+    }
+
+    // URL refused by the URL guard (private address, denied domain, ...)
+    if (errorCode === 'eurlblocked') {
+      return {
+        type: ErrorTypes.VALIDATION_ERROR,
+        subtype: error.subtype,
+        message: error.message || 'URL not allowed'
+      }
+    }
+
+    // Content we fetched but could not make sense of (e.g. a broken feed)
+    if (errorCode === 'eparse') {
+      return {
+        type: ErrorTypes.PARSING_ERROR,
+        message: error.message || 'Failed to parse content'
+      }
+    }
+
+    // Page fetched fine but its content is built by JavaScript
+    if (errorCode === 'ejsrequired') {
+      return {
+        type: ErrorTypes.JAVASCRIPT_REQUIRED,
+        message: error.message || 'JavaScript required for content rendering'
+      }
+    }
+
     // DNS errors
     if (errorMessage.includes('getaddrinfo') || 
         errorCode === 'enotfound' ||
@@ -206,40 +240,38 @@ function classifyError(error, response = null, content = '') {
       }
     }
 
+    // Timeout errors (checked before network errors - ETIMEDOUT is a timeout)
+    if (errorMessage.includes('timeout') || 
+        errorCode === 'etimeout' ||
+        errorCode === 'etimedout') {
+      return {
+        type: ErrorTypes.TIMEOUT,
+        message: 'Request timeout'
+      }
+    }
+
     // Network connection errors
     if (errorMessage.includes('connect') || 
         errorMessage.includes('network') ||
         errorCode === 'econnrefused' ||
-        errorCode === 'econnreset' ||
-        errorCode === 'etimedout') {
+        errorCode === 'econnreset') {
       return {
         type: ErrorTypes.NETWORK_ERROR,
         message: 'Network connection failed'
       }
     }
-
-    // Timeout errors
-    if (errorMessage.includes('timeout') || 
-        errorCode === 'etimeout') {
-      return {
-        type: ErrorTypes.TIMEOUT,
-        message: 'Request timeout'
-      }
-    }
   }
 
   // Content-based error detection
   if (content) {
     const contentLower = content.toLowerCase()
     
-    // Paywall detection
-    const paywallFound = PAYWALL_INDICATORS.some(indicator => 
-      contentLower.includes(indicator)
-    )
-    if (paywallFound) {
+    // Paywall detection (structural, see paywall.js)
+    const paywall = detectPaywall(content)
+    if (paywall.paywall) {
       return {
         type: ErrorTypes.PAYWALL,
-        message: 'Paywall detected'
+        message: `Paywall detected (confidence ${paywall.confidence})`
       }
     }
 
@@ -308,13 +340,22 @@ function extractDomain(url) {
 
 /**
  * Retry with exponential backoff
+ *
+ * The operation receives the zero-based attempt number. When an error
+ * carries `metadata.retryAfterMs` (from a Retry-After header) that delay is
+ * used instead of the backoff. A retry whose wait would push the total past
+ * `maxRetryTimeMs` is not attempted; the error is marked
+ * `retryBudgetExhausted`. `onRetry({ attempt, delay, error })` runs before
+ * each wait.
  */
-async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000) {
+async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000, options = {}) {
+  const { maxRetryTimeMs = Infinity, onRetry } = options
   let lastError
+  let totalWaitMs = 0
   
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      return await operation()
+      return await operation(attempt)
     } catch (error) {
       lastError = error
       
@@ -323,9 +364,18 @@ async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000) {
         break
       }
       
-      // Exponential backoff with jitter
-      const delay = baseDelay * Math.pow(2, attempt) * (0.5 + Math.random() * 0.5)
+      // Server-requested delay, else exponential backoff with jitter
+      const retryAfterMs = error.metadata?.retryAfterMs
+      const delay = retryAfterMs ?? baseDelay * Math.pow(2, attempt) * (0.5 + Math.random() * 0.5)
+      
+      if (totalWaitMs + delay > maxRetryTimeMs) {
+        if (error.metadata) error.metadata.retryBudgetExhausted = true
+        break
+      }
+      
+      onRetry?.({ attempt: attempt + 1, delay, error })
       await new Promise(resolve => setTimeout(resolve, delay))
+      totalWaitMs += delay
     }
   }
   
@@ -340,62 +390,134 @@ export class ScrapingErrorHandler {
     this.options = {
       maxRetries: options.maxRetries || 3,
       baseDelay: options.baseDelay || 1000,
+      maxRetryTimeMs: options.maxRetryTimeMs || 30000,
       enableCircuitBreaker: options.enableCircuitBreaker !== false,
       logErrors: options.logErrors !== false,
       ...options
     }
+    this.circuitBreaker = options.circuitBreaker || circuitBreaker
+    this.politeness = options.politeness || null
+    // Recent failures for the admin API (`failureLog: null` turns it off)
+    this.failureLog = options.failureLog === undefined ? failureLog : options.failureLog
+    // Outcome events for the failure dashboard (`telemetry: null` turns them off)
+    this.telemetry = options.telemetry === undefined ? scrapeTelemetry : options.telemetry
+  }
+
+  /**
+   * Report a finished operation to telemetry
+   */
+  report(outcome, url, domain, { startedAt, attempts, context = {}, error = null, tier = null }) {
+    this.telemetry?.record({
+      timestamp: new Date().toISOString(),
+      outcome,
+      url,
+      domain,
+      error_type: error?.type ?? null,
+      error_subtype: error?.subtype ?? null,
+      http_status: error?.metadata.httpStatus ?? null,
+      latency_ms: Date.now() - startedAt,
+      attempts,
+      source: context.source ?? null,
+      tier: context.tier ?? tier
+    })
   }
 
   /**
    * Wrap a scraping operation with comprehensive error handling
+   *
+   * `request` (`{ userAgent, transport }`) is what the politeness layer
+   * uses to fetch and match robots.txt; `request.maxRetries` overrides the
+   * handler's retry count for this call.
    */
-  async wrap(url, scrapingOperation, context = {}) {
+  async wrap(url, scrapingOperation, context = {}, request = {}) {
     const domain = extractDomain(url)
     const operationId = createHash('md5').update(`${url}-${Date.now()}`).digest('hex').substring(0, 8)
 
+    const breaker = this.options.enableCircuitBreaker ? this.circuitBreaker : null
+    let permit = { allowed: true, probe: false, tracked: false }
+    const retries = { attempts: 0, totalWaitMs: 0 }
+    const startedAt = Date.now()
+
     try {
-      // Check circuit breaker
-      if (this.options.enableCircuitBreaker && !circuitBreaker.canAttempt(domain)) {
-        throw new ScrapingError(
-          ErrorTypes.HTTP_ERROR,
-          'Circuit breaker open - domain temporarily blocked due to repeated failures',
-          null,
-          { domain, operationId }
-        )
+      // Check circuit breaker - while half-open only one probe request gets through
+      if (breaker) {
+        permit = await breaker.acquire(domain).catch(breakerError => {
+          // An unreachable breaker store must not take scraping down with it
+          console.error('[ERROR_HANDLER] Circuit breaker unavailable, allowing request:', breakerError.message)
+          return permit
+        })
+        if (!permit.allowed) {
+          throw new ScrapingError(
+            ErrorTypes.HTTP_ERROR,
+            'Circuit breaker open - domain temporarily blocked due to repeated failures',
+            null,
+            { domain, operationId, circuitBreaker: { state: permit.state, retryAt: permit.retryAt }, blocked: true }
+          )
+        }
       }
 
       // Execute operation with retry logic
       const result = await retryWithBackoff(
-        async () => {
+        async (attempt) => {
+          retries.attempts = attempt + 1
           try {
-            return await scrapingOperation()
+            return this.politeness
+              ? await this.politeness.run(url, scrapingOperation, request)
+              : await scrapingOperation()
           } catch (error) {
             // Classify the error
             const classification = classifyError(error, error.response, error.content)
+            const status = error.response?.status
+            const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after'])
             
             throw new ScrapingError(
               classification.type,
               classification.message,
               error,
-              { domain, url, operationId, attempt: arguments[2] }
+              {
+                domain,
+                url,
+                operationId,
+                attempt: attempt + 1,
+                ...(status && { httpStatus: status }),
+                ...(retryAfterMs !== null && { retryAfterMs }),
+                ...(classification.subtype && { subtype: classification.subtype })
+              }
             )
           }
         },
-        this.options.maxRetries,
-        this.options.baseDelay
+        request.maxRetries ?? this.options.maxRetries,
+        this.options.baseDelay,
+        {
+          maxRetryTimeMs: this.options.maxRetryTimeMs,
+          onRetry: ({ delay }) => { retries.totalWaitMs += delay }
+        }
       )
 
-      // Record success for circuit breaker
-      if (this.options.enableCircuitBreaker) {
-        circuitBreaker.recordSuccess(domain)
+      // Record success for circuit breaker (nothing to clear for healthy domains)
+      if (breaker && permit.tracked) {
+        await breaker.recordSuccess(domain).catch(breakerError => {
+          console.error('[ERROR_HANDLER] Failed to record circuit breaker success:', breakerError.message)
+        })
       }
 
+      this.report(result?.unchanged ? ScrapeOutcomes.UNCHANGED : ScrapeOutcomes.SUCCESS, url, domain, {
+        startedAt,
+        attempts: retries.attempts,
+        context,
+        tier: result?.tier ?? null
+      })
+
       return {
         success: true,
+        // Conditional re-fetch found nothing new
+        ...(result?.unchanged && { unchanged: true }),
         data: result,
         metadata: {
           domain,
           operationId,
+          attempts: retries.attempts,
+          totalWaitMs: Math.round(retries.totalWaitMs),
           timestamp: new Date().toISOString()
         }
       }
@@ -408,16 +530,32 @@ export class ScrapingErrorHandler {
           classification.type,
           classification.message,
           error,
-          { domain, url, operationId }
+          { domain, url, operationId, ...(classification.subtype && { subtype: classification.subtype }) }
         )
       }
 
-      // Record failure for circuit breaker
-      if (this.options.enableCircuitBreaker && 
-          [ErrorTypes.HTTP_ERROR, ErrorTypes.NETWORK_ERROR, ErrorTypes.DNS_ERROR].includes(error.type)) {
-        circuitBreaker.recordFailure(domain)
+      // How hard we tried before giving up
+      error.metadata.attempts = retries.attempts
+      error.metadata.totalWaitMs = Math.round(retries.totalWaitMs)
+
+      // Record failure for circuit breaker (requests it turned away don't count).
+      // A probe that failed for another reason still reached the domain, unless
+      // the error is a transient one worth retrying.
+      if (breaker && !error.metadata.blocked) {
+        try {
+          if (BREAKER_FAILURE_TYPES.includes(error.type) || (permit.probe && error.canRetry)) {
+            await breaker.recordFailure(domain)
+          } else if (permit.probe) {
+            await breaker.recordSuccess(domain)
+          }
+        } catch (breakerError) {
+          console.error('[ERROR_HANDLER] Failed to update circuit breaker:', breakerError.message)
+        }
       }
 
+      this.failureLog?.record(error, url, context)
+      this.report(ScrapeOutcomes.FAILURE, url, domain, { startedAt, attempts: retries.attempts, context, error })
+
       // Log error (non-blocking)
       if (this.options.logErrors) {
         try {
@@ -451,16 +589,19 @@ export class ScrapingErrorHandler {
     } = options
 
     const results = []
+    const unchanged = []
     const errors = []
 
     // Process in batches to control concurrency
     for (let i = 0; i < urlsAndOperations.length; i += concurrency) {
       const batch = urlsAndOperations.slice(i, i + concurrency)
       
-      const batchPromises = batch.map(async ({ url, operation, context }) => {
-        const result = await this.wrap(url, operation, context)
+      const batchPromises = batch.map(async ({ url, operation, context, request }) => {
+        const result = await this.wrap(url, operation, context, request)
         
-        if (result.success) {
+        if (result.unchanged) {
+          unchanged.push({ url, ...result })
+        } else if (result.success) {
           results.push({ url, ...result })
         } else {
           if (collectErrors) {
@@ -479,53 +620,63 @@ export class ScrapingErrorHandler {
       await Promise.allSettled(batchPromises)
     }
 
+    // Unchanged pages are not failures, but are counted apart from fresh scrapes
+    const completed = results.length + unchanged.length
+    
     return {
-      success: results.length > 0,
+      success: completed > 0,
       results,
+      unchanged,
       errors,
       summary: {
         total: urlsAndOperations.length,
         succeeded: results.length,
+        unchanged: unchanged.length,
         failed: errors.length,
-        successRate: results.length / urlsAndOperations.length
+        successRate: completed / urlsAndOperations.length
       }
     }
   }
 
   /**
    * Get circuit breaker status for monitoring
+   *
+   * `domains` has each tracked domain's state, failure count and next retry
+   * time; `failures` is the plain domain → count map.
    */
-  getCircuitBreakerStatus() {
+  async getCircuitBreakerStatus() {
+    const status = await this.circuitBreaker.status()
+    const failures = Object.fromEntries(
+      Object.entries(status.domains).map(([domain, { failures }]) => [domain, failures])
+    )
+
     return {
-      failures: Object.fromEntries(circuitBreaker.failures),
-      lastFailures: Object.fromEntries(circuitBreaker.lastFailure),
-      threshold: circuitBreaker.failureThreshold,
-      timeout: circuitBreaker.timeoutMs
+      ...status,
+      failures,
+      threshold: status.defaults.failureThreshold,
+      timeout: status.defaults.cooldownMs
     }
   }
 
   /**
    * Reset circuit breaker for a domain (for testing/manual intervention)
    */
-  resetCircuitBreaker(domain = null) {
-    if (domain) {
-      circuitBreaker.failures.delete(domain)
-      circuitBreaker.lastFailure.delete(domain)
-    } else {
-      circuitBreaker.failures.clear()
-      circuitBreaker.lastFailure.clear()
-    }
+  async resetCircuitBreaker(domain = null) {
+    await this.circuitBreaker.reset(domain)
   }
 }
 
-// Export default instance for convenience
-export const scraperErrorHandler = new ScrapingErrorHandler()
+// Export default instance for convenience (robots.txt and per-host pacing on)
+export const scraperErrorHandler = new ScrapingErrorHandler({ politeness })
 
 // Export individual components for advanced usage
 export { 
   ScrapingError, 
   CircuitBreaker,
+  BreakerStates,
+  circuitBreaker,
   classifyError,
+  requiresJavaScript,
   extractDomain,
   retryWithBackoff
 }
\ No newline at end of file
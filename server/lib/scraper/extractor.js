@@ -0,0 +1,538 @@
+/**
+ * Readability-style Article Extractor
+ *
+ * Parses a page into a DOM, strips navigation/ads/boilerplate, scores the
+ * remaining blocks and serializes the winning subtree to markdown so the
+ * paragraph structure survives.
+ *
+ * Output uses the same field names as the `scraps` table:
+ *   { title, content, summary, published_at, url, metadata: { images, ... } }
+ */
+
+import { parseHTML } from 'linkedom'
+
+// Elements that never hold article text
+const STRIP_TAGS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'svg', 'canvas', 'link', 'meta'
+]
+
+// Structural boilerplate, removed unless it is the only thing on the page
+const BOILERPLATE_SELECTOR = [
+  'nav', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="complementary"]',
+  '[role="contentinfo"]', '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(',')
+
+const UNLIKELY_CANDIDATES = /-ad-|^ad-|-ad$|^ads?$|adsense|advert|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|gdpr|legends|menu|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|toolbar|yom-remote/i
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story/i
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i
+const NEGATIVE_CLASS = /hidden|banner|byline|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i
+
+const SCORABLE_TAGS = ['P', 'PRE', 'TD', 'BLOCKQUOTE', 'LI', 'H2', 'H3']
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE',
+  'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL'
+])
+
+const BYLINE_SELECTORS = [
+  '[itemprop="author"] [itemprop="name"]',
+  '[rel="author"]',
+  '[itemprop="author"]',
+  '.byline',
+  '.author',
+  '[class*="byline"]'
+]
+const BYLINE_PREFIX = /^(by|von|par|por|di|door)\s+/i
+const BYLINE_CLASS = /byline|dateline|author|story-meta|article-meta|post-meta/i
+
+const SUMMARY_LENGTH = 300
+
+/**
+ * Collapse runs of whitespace into single spaces
+ */
+function normalizeText(text = '') {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Resolve a possibly-relative URL against the page URL
+ */
+function absolutize(href, baseUrl) {
+  if (!href) return null
+  try {
+    const resolved = new URL(href.trim(), baseUrl)
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read the `content` of the first matching <meta> tag
+ */
+function metaContent(document, selectors) {
+  for (const selector of selectors) {
+    const value = document.querySelector(selector)?.getAttribute('content')
+    if (value && value.trim()) return value.trim()
+  }
+  return null
+}
+
+/**
+ * Normalize a date string to ISO 8601, or null if it does not parse
+ */
+function toIsoDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+function classAndId(node) {
+  return `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`
+}
+
+/**
+ * Share of a node's text that sits inside links
+ */
+function linkDensity(node) {
+  const textLength = normalizeText(node.textContent).length
+  if (!textLength) return 0
+
+  let linkLength = 0
+  for (const link of node.querySelectorAll('a')) {
+    linkLength += normalizeText(link.textContent).length
+  }
+  return linkLength / textLength
+}
+
+/**
+ * Page-level fields that live in <head> or well-known markup
+ */
+function readPageFields(document, url) {
+  const siteName = metaContent(document, ['meta[property="og:site_name"]'])
+
+  let title = metaContent(document, [
+    'meta[property="og:title"]',
+    'meta[name="twitter:title"]'
+  ])
+  if (!title) {
+    title = normalizeText(document.querySelector('title')?.textContent)
+    // Drop " | Site Name" style suffixes when the remainder is still a headline
+    const parts = title.split(/\s+[|–—-]\s+/)
+    if (parts.length > 1 && parts[0].split(' ').length >= 3) title = parts[0]
+  }
+  if (!title) title = normalizeText(document.querySelector('h1')?.textContent)
+
+  // Most specific selector first, not first in document order
+  const bylineNode = BYLINE_SELECTORS.map((selector) => document.querySelector(selector)).find(Boolean)
+  const byline =
+    metaContent(document, ['meta[name="author"]', 'meta[property="article:author"]']) ||
+    normalizeText(bylineNode?.textContent).replace(BYLINE_PREFIX, '') ||
+    null
+
+  const timeNode = document.querySelector('time[datetime], [itemprop="datePublished"]')
+  const published_at = toIsoDate(
+    metaContent(document, [
+      'meta[property="article:published_time"]',
+      'meta[itemprop="datePublished"]',
+      'meta[name="parsely-pub-date"]',
+      'meta[name="pubdate"]',
+      'meta[name="date"]',
+      'meta[name="dc.date"]'
+    ]) ||
+      timeNode?.getAttribute('datetime') ||
+      timeNode?.getAttribute('content')
+  )
+
+  const canonical_url =
+    absolutize(document.querySelector('link[rel="canonical"]')?.getAttribute('href'), url) ||
+    absolutize(metaContent(document, ['meta[property="og:url"]']), url) ||
+    url
+
+  const lang =
+    document.documentElement?.getAttribute('lang') ||
+    metaContent(document, ['meta[http-equiv="content-language"]']) ||
+    metaContent(document, ['meta[property="og:locale"]'])?.replace('_', '-') ||
+    null
+
+  const lead_image = absolutize(
+    metaContent(document, [
+      'meta[property="og:image"]',
+      'meta[property="og:image:url"]',
+      'meta[name="twitter:image"]',
+      'meta[name="twitter:image:src"]'
+    ]) || document.querySelector('link[rel="image_src"]')?.getAttribute('href'),
+    url
+  )
+
+  const description = metaContent(document, [
+    'meta[property="og:description"]',
+    'meta[name="description"]',
+    'meta[name="twitter:description"]'
+  ])
+
+  return {
+    title: title || null,
+    byline: byline || null,
+    published_at,
+    canonical_url,
+    lang: lang ? lang.split(/[,;]/)[0].trim() : null,
+    lead_image,
+    description,
+    siteName
+  }
+}
+
+/**
+ * Remove scripts, chrome and anything that looks like ads or widgets
+ */
+function stripBoilerplate(body) {
+  for (const node of body.querySelectorAll(STRIP_TAGS.join(','))) node.remove()
+
+  // Keep structural chrome only if removing it would empty the page
+  const chrome = body.querySelectorAll(BOILERPLATE_SELECTOR)
+  for (const node of chrome) {
+    if (node.querySelector('article, [itemprop="articleBody"]')) continue
+    node.remove()
+  }
+
+  for (const node of body.querySelectorAll('*')) {
+    if (!node.parentNode || node.tagName === 'BODY' || node.tagName === 'ARTICLE') continue
+    const match = classAndId(node)
+    if (UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATE.test(match)) {
+      node.remove()
+    }
+  }
+}
+
+function initialScore(node) {
+  let score = 0
+  switch (node.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      score += 10
+      break
+    case 'DIV':
+    case 'SECTION':
+      score += 5
+      break
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3
+      break
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+      score -= 3
+      break
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      score -= 5
+      break
+  }
+
+  const match = classAndId(node)
+  if (POSITIVE_CLASS.test(match)) score += 25
+  if (NEGATIVE_CLASS.test(match)) score -= 25
+  if (node.getAttribute('itemprop') === 'articleBody') score += 25
+
+  return score
+}
+
+/**
+ * Score paragraph-like blocks and propagate to their ancestors
+ */
+function findTopCandidate(body) {
+  const scores = new Map()
+
+  const addScore = (node, amount) => {
+    if (!node || node.nodeType !== 1 || node.tagName === 'HTML') return
+    if (!scores.has(node)) scores.set(node, initialScore(node))
+    scores.set(node, scores.get(node) + amount)
+  }
+
+  for (const block of body.querySelectorAll(SCORABLE_TAGS.join(','))) {
+    // Containers such as a <td> holding paragraphs are scored via those paragraphs
+    if (block.querySelector(SCORABLE_TAGS.join(','))) continue
+
+    const text = normalizeText(block.textContent)
+    if (text.length < 25) continue
+
+    // One point per block, per comma, and per 100 chars (max 3), discounted for links
+    const rawScore = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3)
+    const contentScore = rawScore * (1 - linkDensity(block))
+
+    const parent = block.parentNode
+    addScore(parent, contentScore)
+    addScore(parent?.parentNode, contentScore / 2)
+    addScore(parent?.parentNode?.parentNode, contentScore / 3)
+  }
+
+  let top = null
+  let topScore = -Infinity
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node))
+    scores.set(node, adjusted)
+    if (adjusted > topScore) {
+      top = node
+      topScore = adjusted
+    }
+  }
+
+  return { top: top || body, topScore, scores }
+}
+
+/**
+ * Gather the winning node plus siblings that look like they belong to it
+ */
+function collectContentNodes(top, topScore, scores) {
+  const parent = top.parentNode
+  if (!parent || top.tagName === 'BODY') return [top]
+
+  const threshold = Math.max(10, topScore * 0.2)
+  const nodes = []
+
+  for (const sibling of parent.children) {
+    if (sibling === top) {
+      nodes.push(sibling)
+      continue
+    }
+
+    if ((scores.get(sibling) || 0) >= threshold) {
+      nodes.push(sibling)
+      continue
+    }
+
+    if (sibling.tagName === 'P') {
+      const text = normalizeText(sibling.textContent)
+      const density = linkDensity(sibling)
+      if ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+        nodes.push(sibling)
+      }
+    }
+  }
+
+  return nodes
+}
+
+/**
+ * Drop blocks inside the article that are mostly links or empty
+ */
+function cleanContentNode(node) {
+  for (const child of node.querySelectorAll('div, section, ul, ol, table, header, p, span')) {
+    if (!child.parentNode) continue
+    const text = normalizeText(child.textContent)
+
+    // Bylines and datelines are returned as fields, not body text
+    if (BYLINE_CLASS.test(classAndId(child)) && text.length < 120) {
+      child.remove()
+      continue
+    }
+
+    const hasMedia = child.querySelector('img, picture, video')
+    if (!text && !hasMedia) {
+      child.remove()
+      continue
+    }
+    if (child.tagName !== 'HEADER' && linkDensity(child) > 0.5 && text.length < 200) {
+      child.remove()
+    }
+  }
+}
+
+/**
+ * Render inline children to markdown-ish text
+ */
+function inlineText(node, baseUrl) {
+  let text = ''
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      text += child.textContent
+    } else if (child.nodeType === 1) {
+      if (child.tagName === 'BR') {
+        text += '\n'
+      } else if (child.tagName === 'A') {
+        const label = normalizeText(inlineText(child, baseUrl))
+        const href = absolutize(child.getAttribute('href'), baseUrl)
+        text += href && label ? `[${label}](${href})` : label
+      } else if (child.tagName === 'STRONG' || child.tagName === 'B') {
+        const inner = normalizeText(inlineText(child, baseUrl))
+        text += inner ? `**${inner}**` : ''
+      } else if (child.tagName === 'EM' || child.tagName === 'I') {
+        const inner = normalizeText(inlineText(child, baseUrl))
+        text += inner ? `_${inner}_` : ''
+      } else if (child.tagName === 'CODE') {
+        text += `\`${child.textContent}\``
+      } else if (!BLOCK_TAGS.has(child.tagName)) {
+        text += inlineText(child, baseUrl)
+      } else {
+        text += ` ${inlineText(child, baseUrl)} `
+      }
+    }
+  }
+  return text
+}
+
+/**
+ * Serialize a content subtree to markdown blocks
+ */
+function toMarkdownBlocks(node, baseUrl, blocks = []) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      const text = normalizeText(child.textContent)
+      if (text) blocks.push(text)
+      continue
+    }
+    if (child.nodeType !== 1) continue
+
+    const tag = child.tagName
+    if (/^H[1-6]$/.test(tag)) {
+      const text = normalizeText(inlineText(child, baseUrl))
+      if (text) blocks.push(`${'#'.repeat(Math.max(2, Number(tag[1])))} ${text}`)
+    } else if (tag === 'P' || tag === 'FIGCAPTION' || tag === 'ADDRESS') {
+      const text = inlineText(child, baseUrl)
+        .split('\n')
+        .map(normalizeText)
+        .filter(Boolean)
+        .join('  \n')
+      if (text) blocks.push(text)
+    } else if (tag === 'UL' || tag === 'OL') {
+      const items = [...child.children]
+        .filter((li) => li.tagName === 'LI')
+        .map((li, i) => {
+          const text = normalizeText(inlineText(li, baseUrl))
+          return text ? `${tag === 'OL' ? `${i + 1}.` : '-'} ${text}` : null
+        })
+        .filter(Boolean)
+      if (items.length) blocks.push(items.join('\n'))
+    } else if (tag === 'BLOCKQUOTE') {
+      const inner = toMarkdownBlocks(child, baseUrl, [])
+      if (inner.length) blocks.push(inner.map((b) => `> ${b.replace(/\n/g, '\n> ')}`).join('\n>\n'))
+    } else if (tag === 'PRE') {
+      const code = child.textContent.replace(/\n+$/, '')
+      if (code.trim()) blocks.push(`\`\`\`\n${code}\n\`\`\``)
+    } else if (tag === 'HR') {
+      blocks.push('---')
+    } else if (tag === 'IMG' || tag === 'PICTURE' || tag === 'VIDEO') {
+      continue
+    } else if (BLOCK_TAGS.has(tag)) {
+      toMarkdownBlocks(child, baseUrl, blocks)
+    } else {
+      const text = normalizeText(inlineText(child, baseUrl))
+      if (text) blocks.push(text)
+    }
+  }
+  return blocks
+}
+
+/**
+ * Collect image URLs from the content, skipping tracking pixels and data URIs
+ */
+function collectImages(nodes, baseUrl) {
+  const images = []
+  for (const node of nodes) {
+    const candidates = node.tagName === 'IMG' ? [node] : [...node.querySelectorAll('img')]
+    for (const img of candidates) {
+      const width = parseInt(img.getAttribute('width'), 10)
+      const height = parseInt(img.getAttribute('height'), 10)
+      if (width <= 2 || height <= 2) continue
+
+      const src =
+        img.getAttribute('data-src') ||
+        img.getAttribute('data-original') ||
+        img.getAttribute('src') ||
+        img.getAttribute('srcset')?.split(/\s+/)[0]
+      const url = absolutize(src, baseUrl)
+      if (!url) continue
+
+      images.push({
+        url,
+        ...(img.getAttribute('alt') && { alt: normalizeText(img.getAttribute('alt')) })
+      })
+    }
+  }
+  return images
+}
+
+/**
+ * Extract the main article from an HTML document
+ */
+export function extractArticle(html, url) {
+  const { document } = parseHTML(html || '<html><body></body></html>')
+  const fields = readPageFields(document, url)
+
+  const body = document.body || document.documentElement
+  stripBoilerplate(body)
+
+  const { top, topScore, scores } = findTopCandidate(body)
+  const contentNodes = collectContentNodes(top, topScore, scores)
+  contentNodes.forEach(cleanContentNode)
+
+  const blocks = contentNodes.flatMap((node) =>
+    node.tagName === 'BODY'
+      ? toMarkdownBlocks(node, url)
+      : toMarkdownBlocks({ childNodes: [node] }, url)
+  )
+
+  // The headline is already stored in `title`
+  if (blocks.length && fields.title) {
+    const first = blocks[0].replace(/^#+\s*/, '')
+    if (normalizeText(first).toLowerCase() === normalizeText(fields.title).toLowerCase()) {
+      blocks.shift()
+    }
+  }
+
+  const content = blocks.join('\n\n').trim()
+
+  const images = []
+  const seen = new Set()
+  const leadImage = fields.lead_image ? [{ url: fields.lead_image }] : []
+  for (const image of [...leadImage, ...collectImages(contentNodes, url)]) {
+    if (seen.has(image.url)) continue
+    seen.add(image.url)
+    images.push(image)
+  }
+
+  const plainText = content.replace(/\]\([^)]*\)/g, ' ').replace(/[#>*_`[\]]/g, ' ')
+  const wordCount = plainText.split(/\s+/).filter(Boolean).length
+
+  const firstParagraph = (blocks.find((b) => !/^(#|>|-|\d+\.|```)/.test(b) && b.length >= 40) || '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*|(^|\W)_|_(\W|$)|`/g, '$1$2')
+  const summary =
+    fields.description ||
+    (firstParagraph.length > SUMMARY_LENGTH
+      ? `${firstParagraph.substring(0, SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`
+      : firstParagraph) ||
+    null
+
+  return {
+    title: fields.title,
+    content,
+    summary,
+    published_at: fields.published_at,
+    url: fields.canonical_url,
+    metadata: {
+      byline: fields.byline,
+      canonical_url: fields.canonical_url,
+      lang: fields.lang,
+      word_count: wordCount,
+      lead_image: fields.lead_image,
+      site_name: fields.siteName,
+      images
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Recent Scrape Failures
+ *
+ * The error handler records every failed operation here so admins can see
+ * what has been going wrong without digging through logs. Entries are kept
+ * in process memory, newest last, up to `capacity`:
+ *
+ *   { timestamp, url, domain, type, subtype, message, canRetry, httpStatus,
+ *     attempts, source, tier }
+ */
+
+const DEFAULT_CAPACITY = 500
+
+export class FailureLog {
+  constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+    this.capacity = capacity
+    this.entries = []
+  }
+
+  /**
+   * Record a failed operation (a ScrapingError) for `url`
+   */
+  record(error, url, context = {}) {
+    const { metadata = {} } = error
+    this.entries.push({
+      timestamp: metadata.timestamp || new Date().toISOString(),
+      url,
+      domain: metadata.domain || null,
+      type: error.type,
+      subtype: error.subtype || null,
+      message: error.message,
+      canRetry: error.canRetry,
+      httpStatus: metadata.httpStatus ?? null,
+      attempts: metadata.attempts ?? null,
+      source: context.source || null,
+      tier: context.tier || null
+    })
+    if (this.entries.length > this.capacity) {
+      this.entries.splice(0, this.entries.length - this.capacity)
+    }
+  }
+
+  /**
+   * Newest failures first, optionally filtered by `domain`, `type` and
+   * `since` (ISO timestamp)
+   */
+  list({ limit = 50, domain, type, since } = {}) {
+    const matching = this.entries.filter(entry =>
+      (!domain || entry.domain === domain) &&
+      (!type || entry.type === type) &&
+      (!since || entry.timestamp >= since)
+    )
+    return matching.slice(-limit).reverse()
+  }
+
+  clear() {
+    this.entries = []
+  }
+}
+
+// Shared log the default error handler writes to
+export const failureLog = new FailureLog()
@@ -0,0 +1,362 @@
+/**
+ * HTTP Transports for the Scraper
+ *
+ * Every transport exposes the same static `fetch(url, options)` method and
+ * resolves to a response shaped the way `classifyError` expects:
+ *
+ *   { status, url, headers, redirects, text: () => Promise<string> }
+ *
+ * HttpClient responses also have `body: () => Promise<Buffer>` for binary
+ * content such as images.
+ *
+ * - HttpClient: real network fetcher (timeouts, redirects, size cap, charsets)
+ * - MockHttpClient: offline transport that fakes responses by hostname
+ */
+
+import { isIP } from 'net'
+import { Agent, fetch } from 'undici'
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+export const DEFAULT_MAX_REDIRECTS = 5
+export const DEFAULT_MAX_BYTES = 5 * 1024 * 1024 // 5 MB
+
+/**
+ * Build an error carrying a Node-style `code` so `classifyError` can read it
+ */
+function transportError(message, code, cause = null) {
+  const error = new Error(message)
+  error.code = code
+  if (cause) error.cause = cause
+  return error
+}
+
+/**
+ * Pull a charset label out of a Content-Type header value
+ */
+function charsetFromContentType(contentType = '') {
+  const match = contentType.match(/charset\s*=\s*["']?([\w.:-]+)/i)
+  return match?.[1] || null
+}
+
+/**
+ * Sniff a charset from a BOM or an early <meta> tag
+ */
+function sniffCharset(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8'
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be'
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le'
+
+  // Meta declarations must appear in the first 1024 bytes per the HTML spec
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024))
+  const metaCharset = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i)
+  return metaCharset?.[1] || null
+}
+
+/**
+ * Decode a body using the declared charset, falling back to UTF-8
+ */
+export function decodeBody(bytes, contentType = '') {
+  const label = charsetFromContentType(contentType) || sniffCharset(bytes) || 'utf-8'
+
+  try {
+    return new TextDecoder(label.toLowerCase()).decode(bytes)
+  } catch {
+    // Unknown or unsupported label
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+/**
+ * Read a response body into a single buffer, aborting past `maxBytes`
+ */
+async function readBodyCapped(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length'), 10)
+  if (declared > maxBytes) {
+    await response.body?.cancel()
+    throw transportError(
+      `Response too large (${declared} bytes, limit ${maxBytes})`,
+      'ERR_RESPONSE_TOO_LARGE'
+    )
+  }
+
+  if (!response.body) return new Uint8Array(0)
+
+  const chunks = []
+  let received = 0
+
+  for await (const chunk of response.body) {
+    received += chunk.byteLength
+    if (received > maxBytes) {
+      throw transportError(
+        `Response too large (over ${maxBytes} bytes)`,
+        'ERR_RESPONSE_TOO_LARGE'
+      )
+    }
+    chunks.push(chunk)
+  }
+
+  const bytes = new Uint8Array(received)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return bytes
+}
+
+/**
+ * Parse a Retry-After header (delay-seconds or HTTP-date) into milliseconds
+ *
+ * Returns null when the header is missing or malformed.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null) return null
+  const text = String(value).trim()
+
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000
+
+  const date = Date.parse(text)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - now)
+}
+
+/**
+ * Translate undici/fetch failures into errors `classifyError` understands
+ */
+function normalizeFetchError(error, timeout) {
+  if (error.code === 'ERR_RESPONSE_TOO_LARGE') return error
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return transportError(`Request timeout after ${timeout}ms`, 'ETIMEOUT', error)
+  }
+
+  // fetch() wraps the socket error as `TypeError: fetch failed` with a cause
+  const cause = error.cause
+  if (cause?.code) {
+    return transportError(cause.message || error.message, cause.code, error)
+  }
+
+  return error
+}
+
+/**
+ * A `dns.lookup`-style function that answers with the given addresses only
+ *
+ * Used as the socket `lookup` for a connection to a host the URL guard
+ * checked, so the connection cannot go anywhere the check did not see.
+ */
+export function pinnedLookup(addresses) {
+  const entries = addresses.map(address => ({ address, family: isIP(address) }))
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    const family = options.family === 'IPv4' ? 4 : options.family === 'IPv6' ? 6 : options.family
+    const matching = family ? entries.filter(entry => entry.family === family) : entries
+
+    if (!matching.length) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`)
+      error.code = 'ENOTFOUND'
+      callback(error)
+    } else if (options.all) {
+      callback(null, matching)
+    } else {
+      callback(null, matching[0].address, matching[0].family)
+    }
+  }
+}
+
+/**
+ * A connection pool that connects to `addresses` whatever the host resolves
+ * to now, or null to resolve normally
+ */
+function pinnedDispatcher(addresses) {
+  return addresses?.length ? new Agent({ connect: { lookup: pinnedLookup(addresses) } }) : null
+}
+
+/**
+ * Real HTTP transport built on undici's fetch
+ *
+ * `guard` (async, throws to refuse) is called with every redirect target
+ * before it is followed, and `addresses` are the ones the first URL's host
+ * was checked against; see url-guard.js. When the guard resolves to
+ * `{ addresses }` the next hop connects only to those too.
+ */
+export class HttpClient {
+  static async fetch(url, options = {}) {
+    const {
+      timeout = 10000,
+      headers = {},
+      maxRedirects = DEFAULT_MAX_REDIRECTS,
+      maxBytes = DEFAULT_MAX_BYTES,
+      guard = null,
+      addresses = null
+    } = options
+
+    // One deadline covers the whole redirect chain and the body read
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+
+    const redirects = []
+    const dispatchers = []
+    let currentUrl = url
+    let dispatcher = pinnedDispatcher(addresses)
+
+    try {
+      for (;;) {
+        if (dispatcher) dispatchers.push(dispatcher)
+        const response = await fetch(currentUrl, {
+          method: 'GET',
+          redirect: 'manual',
+          signal: controller.signal,
+          ...(dispatcher && { dispatcher }),
+          headers: {
+            Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+            ...headers
+          }
+        })
+
+        const location = response.headers.get('location')
+        if (REDIRECT_STATUSES.includes(response.status) && location) {
+          await response.body?.cancel()
+
+          if (redirects.length >= maxRedirects) {
+            throw transportError(
+              `Too many redirects (limit ${maxRedirects})`,
+              'ERR_TOO_MANY_REDIRECTS'
+            )
+          }
+
+          const nextUrl = new URL(location, currentUrl).href
+          const checked = guard ? await guard(nextUrl) : null
+          dispatcher = pinnedDispatcher(checked?.addresses)
+          redirects.push({ from: currentUrl, to: nextUrl, status: response.status })
+          currentUrl = nextUrl
+          continue
+        }
+
+        const contentType = response.headers.get('content-type') || ''
+        const bytes = await readBodyCapped(response, maxBytes)
+
+        return {
+          status: response.status,
+          url: currentUrl,
+          redirects,
+          headers: Object.fromEntries(response.headers),
+          contentType,
+          bytes: bytes.byteLength,
+          text: () => Promise.resolve(decodeBody(bytes, contentType)),
+          body: () => Promise.resolve(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength))
+        }
+      }
+    } catch (error) {
+      throw normalizeFetchError(error, timeout)
+    } finally {
+      clearTimeout(timer)
+      dispatchers.forEach(pool => pool.destroy().catch(() => {}))
+    }
+  }
+}
+
+/**
+ * Mock HTTP transport - fakes responses by hostname so demos and tests run offline
+ */
+export class MockHttpClient {
+  static async fetch(url, _options = {}) {
+    // Simulate various failure scenarios for demo
+    const domain = new URL(url).hostname
+
+    // Simulate some domains being problematic
+    if (domain.includes('paywall-news.com')) {
+      return {
+        status: 200,
+        url,
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        text: () => Promise.resolve(`
+          <html>
+            <body>
+              <h1>Breaking News</h1>
+              <p>This is a preview. Subscribe now to read the full article...</p>
+              <div class="paywall">Sign up for our premium subscription</div>
+            </body>
+          </html>
+        `)
+      }
+    }
+
+    if (domain.includes('js-heavy.com')) {
+      return {
+        status: 200,
+        url,
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        text: () => Promise.resolve(`
+          <html>
+            <body>
+              <p>Please enable JavaScript to view this content</p>
+              <script>document.body.innerHTML = "This content was loaded by JavaScript"</script>
+            </body>
+          </html>
+        `)
+      }
+    }
+
+    if (domain.includes('flaky-server.com')) {
+      // Simulate intermittent failures
+      if (Math.random() < 0.7) {
+        const error = new Error('Network error')
+        error.code = 'ECONNRESET'
+        throw error
+      }
+    }
+
+    if (domain.includes('not-found.com')) {
+      return {
+        status: 404,
+        url,
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        text: () => Promise.resolve('<html><body><h1>404 Not Found</h1></body></html>')
+      }
+    }
+
+    if (domain.includes('rate-limited.com')) {
+      return {
+        status: 429,
+        url,
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        text: () => Promise.resolve('<html><body><h1>Too Many Requests</h1></body></html>')
+      }
+    }
+
+    if (domain.includes('dns-error.com')) {
+      const error = new Error('getaddrinfo ENOTFOUND')
+      error.code = 'ENOTFOUND'
+      throw error
+    }
+
+    // Simulate successful scraping for other domains
+    return {
+      status: 200,
+      url,
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+      text: () => Promise.resolve(`
+        <html>
+          <head>
+            <title>Sample Article - ${domain}</title>
+            <meta property="og:title" content="Sample Article">
+            <meta property="og:description" content="This is a sample article description">
+          </head>
+          <body>
+            <article>
+              <h1>Sample News Article</h1>
+              <p>This is the main content of the article. It contains important information about the topic.</p>
+              <p>Additional paragraphs with more details and analysis.</p>
+            </article>
+          </body>
+        </html>
+      `)
+    }
+  }
+}
@@ -0,0 +1,445 @@
+/**
+ * Durable Scrape Job Queue
+ *
+ * Lets clients hand off scrapes instead of holding a request open through
+ * retries. Jobs move through `queued → running → succeeded | failed`, or
+ * `cancelled` at any point before they finish.
+ *
+ * - Jobs live in a job store (memory, JSON file or Supabase), so queued
+ *   work survives a restart; a running job whose worker died is picked up
+ *   again once its lease expires
+ * - Queuing a URL that already has a queued or running job returns that
+ *   job instead of a new one, and adds the caller to its `owners`
+ * - Only an owner (or a caller passing no owner, such as an admin) can
+ *   cancel a job. While other owners still want it, an owner's cancel only
+ *   takes them off `owners`; the last one cancels it
+ * - Each job runs through `scrapeUrl`, so the error handler's retries,
+ *   politeness and circuit breaker apply; at most `concurrency` jobs run
+ *   at once per worker
+ * - Re-scrapes are conditional: save jobs on the stored scrap's
+ *   validators, others on the shared validator store (unless the job's
+ *   `force` option is set), so an unchanged page finishes as `unchanged`
+ * - A job the circuit breaker turned away waits for the breaker's retry
+ *   time without using up an attempt; other retryable failures are queued
+ *   again until `maxAttempts`
+ */
+
+import { randomUUID } from 'crypto'
+import { scrapeUrl } from './demo-scraper.js'
+import { screenshotQueue } from './screenshots.js'
+import { normalizeUrl } from './normalize-url.js'
+import { saveScrape, saveModeScrapeOptions, SaveActions } from './persist.js'
+import { MemoryJobStore, JobStatuses, ACTIVE_STATUSES } from './job-stores.js'
+
+export { JobStatuses }
+
+const DEFAULTS = {
+  concurrency: 3,
+  pollIntervalMs: 1000,
+  // A running job not finished within its lease is assumed lost
+  leaseMs: 10 * 60 * 1000,
+  maxAttempts: 3,
+  // Wait before re-running a retryable failure, times the attempt number
+  retryDelayMs: 30 * 1000,
+  // Finished jobs are deleted after this long
+  retentionMs: 7 * 24 * 60 * 60 * 1000,
+  // How often lost jobs are recovered and old ones pruned
+  maintenanceIntervalMs: 60 * 1000
+}
+
+// Jobs looked at per claim attempt
+const CLAIM_BATCH = 20
+
+// Updates retried when a job changes under us
+const MAX_UPDATE_ATTEMPTS = 5
+
+const iso = time => new Date(time).toISOString()
+
+/**
+ * The parts of a job a client sees
+ */
+export function describeJob(job) {
+  if (!job) return null
+  const { id, url, status, options, attempts, result, error, run_after, created_at, started_at, finished_at } = job
+  return { id, url, status, options, attempts, result, error, run_after, created_at, started_at, finished_at }
+}
+
+/**
+ * Default runner: scrape (and optionally save) one job's URL
+ *
+ * Resolves to `{ success, result }`, `{ success: false, error }` or
+ * `{ cancelled: true }` when the job was cancelled before saving.
+ */
+async function runScrapeJob(job, queue) {
+  const { save, saveOptions = {} } = job.options
+  let options = { validatorStore: true, ...queue.options.scrapeOptions, ...job.options.scrape }
+  let supabase = null
+  let existing = null
+
+  if (save) {
+    supabase = queue.getSupabase()
+    ;({ existing, options } = await saveModeScrapeOptions(supabase, job.url, options))
+  }
+
+  const result = await scrapeUrl(job.url, options)
+  if (!result.success) return { success: false, error: result.error }
+
+  if (result.unchanged) {
+    return {
+      success: true,
+      result: {
+        unchanged: true,
+        reason: result.data.reason,
+        metadata: result.metadata,
+        ...(save && { saved: { action: SaveActions.UNCHANGED, id: existing?.id ?? null } })
+      }
+    }
+  }
+
+  if (!save) return { success: true, result: { data: result.data, metadata: result.metadata } }
+
+  // Don't write a scrap for a job cancelled while it was running
+  if ((await queue.store.get(job.id))?.status === JobStatuses.CANCELLED) return { cancelled: true }
+
+  try {
+    const saved = await saveScrape(supabase, result.data, saveOptions)
+    if (options.screenshot !== false) {
+      screenshotQueue.enqueue(saved.scrap, { force: options.screenshot === 'force' })
+    }
+    return {
+      success: true,
+      result: {
+        data: result.data,
+        metadata: result.metadata,
+        saved: { action: saved.action, id: saved.id, url: saved.url, changed: saved.changed }
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        type: 'persistence_error',
+        message: error.message || 'Failed to save scraped content',
+        canRetry: true
+      }
+    }
+  }
+}
+
+export class ScrapeJobQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, store: new MemoryJobStore(), runner: runScrapeJob, scrapeOptions: {}, supabase: null }
+    this.configure(options)
+    this.active = new Set()
+    this.timer = null
+    this.ticking = null
+    this.nextMaintenanceAt = 0
+  }
+
+  /**
+   * Options: `store`, `concurrency`, `pollIntervalMs`, `leaseMs`,
+   * `maxAttempts`, `retryDelayMs`, `retentionMs`, `scrapeOptions`
+   * (defaults for every scrape), `supabase` (client or function returning
+   * one, for save jobs) and `runner`.
+   */
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  get store() {
+    return this.options.store
+  }
+
+  getSupabase() {
+    const { supabase } = this.options
+    const client = typeof supabase === 'function' ? supabase() : supabase
+    if (!client) throw new Error('Saving jobs needs a Supabase client')
+    return client
+  }
+
+  /**
+   * Queue one job per URL
+   *
+   * `scrape` holds scrape options, `save` and `saveOptions` work as in
+   * `/api/scrape`, and `owner` identifies the client (its rate-limit key).
+   * Returns `[{ job, deduplicated }]` in URL order.
+   */
+  async enqueue(urls, { scrape = {}, save = false, saveOptions = {}, owner = null } = {}) {
+    const queued = []
+
+    for (const url of urls) {
+      const now = iso(Date.now())
+      const record = {
+        id: randomUUID(),
+        url,
+        // Saving and non-saving requests for a URL are different work
+        dedupe_key: `${save ? 'save' : 'scrape'}:${normalizeUrl(url) || url}`,
+        status: JobStatuses.QUEUED,
+        options: { scrape, save, saveOptions },
+        owners: owner ? [owner] : [],
+        result: null,
+        error: null,
+        attempts: 0,
+        run_after: null,
+        lease_expires_at: null,
+        created_at: now,
+        started_at: null,
+        finished_at: null,
+        updated_at: now,
+        version: 1
+      }
+
+      const { job, created } = await this.store.insert(record)
+      queued.push({
+        job: created || !owner ? job : await this.addOwner(job, owner),
+        deduplicated: !created
+      })
+    }
+
+    this.kick()
+    return queued
+  }
+
+  get(id) {
+    return this.store.get(id)
+  }
+
+  // Add a client to a shared job's owners
+  async addOwner(job, owner) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const owners = job.owners || []
+      if (owners.includes(owner)) return job
+
+      const next = { ...job, owners: [...owners, owner], updated_at: iso(Date.now()), version: job.version + 1 }
+      if (await this.store.compareAndSet(job.id, job.version, next)) return next
+      job = await this.store.get(job.id)
+      if (!job) return null
+    }
+    throw new Error(`Could not share job ${job.id}: it kept changing`)
+  }
+
+  /**
+   * Cancel a queued or running job on behalf of `owner`
+   *
+   * Returns `{ job, cancelled }`, or null when there is no such job.
+   * `forbidden: true` means `owner` did not queue the job; `released: true`
+   * that other owners still want it, so only `owner` was taken off it.
+   * Without an owner the job is cancelled for everyone. A running scrape
+   * is not interrupted, but its result is thrown away.
+   */
+  async cancel(id, { owner = null } = {}) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const job = await this.store.get(id)
+      if (!job) return null
+
+      const owners = job.owners || []
+      if (owner && !owners.includes(owner)) return { job, cancelled: false, forbidden: true }
+      if (!ACTIVE_STATUSES.includes(job.status)) return { job, cancelled: false }
+
+      const now = iso(Date.now())
+      const others = owner ? owners.filter(other => other !== owner) : []
+      if (others.length) {
+        const next = { ...job, owners: others, updated_at: now, version: job.version + 1 }
+        if (await this.store.compareAndSet(id, job.version, next)) return { job: next, cancelled: false, released: true }
+        continue
+      }
+
+      const next = {
+        ...job,
+        status: JobStatuses.CANCELLED,
+        lease_expires_at: null,
+        finished_at: now,
+        updated_at: now,
+        version: job.version + 1
+      }
+      if (await this.store.compareAndSet(id, job.version, next)) return { job: next, cancelled: true }
+    }
+    throw new Error(`Could not cancel job ${id}: it kept changing`)
+  }
+
+  /**
+   * Start polling the store for work
+   */
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.kick(), this.options.pollIntervalMs)
+    this.timer.unref?.()
+    this.kick()
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    clearInterval(this.timer)
+    this.timer = null
+    await Promise.allSettled([...this.active])
+  }
+
+  // Look for work soon, without overlapping ticks
+  kick() {
+    if (!this.timer || this.ticking) return
+    this.ticking = this.tick()
+      .catch(error => console.error('[SCRAPE_JOBS] Failed to claim jobs:', error.message))
+      .finally(() => { this.ticking = null })
+  }
+
+  /**
+   * Claim and start jobs until the worker is full; returns how many started
+   */
+  async tick(now = Date.now()) {
+    if (now >= this.nextMaintenanceAt) {
+      this.nextMaintenanceAt = now + this.options.maintenanceIntervalMs
+      await this.recover(now)
+      await this.prune(now)
+    }
+
+    const free = this.options.concurrency - this.active.size
+    if (free <= 0) return 0
+
+    // The store filters out jobs waiting on `run_after`, so deferred jobs
+    // never fill the batch ahead of ones that can run now
+    const candidates = await this.store.list({
+      statuses: [JobStatuses.QUEUED],
+      runnableAt: iso(now),
+      limit: CLAIM_BATCH
+    })
+
+    let started = 0
+    for (const job of candidates) {
+      if (started >= free) break
+      const claimed = await this.claim(job, now)
+      if (!claimed) continue
+
+      const run = this.run(claimed).finally(() => {
+        this.active.delete(run)
+        this.kick()
+      })
+      this.active.add(run)
+      started++
+    }
+    return started
+  }
+
+  /**
+   * Run every runnable job to completion (for scripts and tests)
+   */
+  async drain() {
+    for (;;) {
+      const started = await this.tick()
+      if (!started && !this.active.size) return
+      if (this.active.size) await Promise.race([...this.active])
+    }
+  }
+
+  async claim(job, now) {
+    const claimed = {
+      ...job,
+      status: JobStatuses.RUNNING,
+      attempts: job.attempts + 1,
+      started_at: iso(now),
+      lease_expires_at: iso(now + this.options.leaseMs),
+      updated_at: iso(now),
+      version: job.version + 1
+    }
+    return (await this.store.compareAndSet(job.id, job.version, claimed)) ? claimed : null
+  }
+
+  async run(job) {
+    let outcome
+    try {
+      outcome = await this.options.runner(job, this)
+    } catch (error) {
+      console.error(`[SCRAPE_JOBS] Job ${job.id} crashed:`, error)
+      outcome = { success: false, error: { type: 'internal_error', message: error.message, canRetry: true } }
+    }
+
+    const now = Date.now()
+    if (outcome.cancelled) return this.store.get(job.id)
+
+    if (outcome.success) {
+      return this.finish(job, { status: JobStatuses.SUCCEEDED, result: outcome.result, error: null, finished_at: iso(now) })
+    }
+
+    const { error } = outcome
+    const blocked = error.metadata?.blocked === true
+
+    if (blocked || (error.canRetry && job.attempts < this.options.maxAttempts)) {
+      const retryAt = Date.parse(error.metadata?.circuitBreaker?.retryAt)
+      const delay = blocked
+        ? (Number.isNaN(retryAt) ? this.options.retryDelayMs : retryAt - now)
+        : error.metadata?.retryAfterMs ?? this.options.retryDelayMs * job.attempts
+
+      return this.finish(job, {
+        status: JobStatuses.QUEUED,
+        error,
+        run_after: iso(now + Math.max(delay, 0)),
+        // The breaker kept us off the site, so this run does not count
+        ...(blocked && { attempts: job.attempts - 1 })
+      })
+    }
+
+    return this.finish(job, { status: JobStatuses.FAILED, error, finished_at: iso(now) })
+  }
+
+  /**
+   * Write a run's outcome unless the job changed meanwhile (e.g. cancelled)
+   *
+   * A change that leaves the run's claim in place (owners joining or
+   * leaving) is kept, and the outcome written over it.
+   */
+  async finish(job, update) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const next = {
+        ...job,
+        ...update,
+        lease_expires_at: null,
+        updated_at: iso(Date.now()),
+        version: job.version + 1
+      }
+      if (await this.store.compareAndSet(job.id, job.version, next)) return next
+
+      const current = await this.store.get(job.id)
+      if (current?.status !== JobStatuses.RUNNING || current.started_at !== job.started_at) return current
+      job = current
+    }
+    return this.store.get(job.id)
+  }
+
+  /**
+   * Re-queue running jobs whose lease expired (their worker went away)
+   */
+  async recover(now = Date.now()) {
+    const running = await this.store.list({ statuses: [JobStatuses.RUNNING] })
+    const lost = running.filter(job => job.lease_expires_at && Date.parse(job.lease_expires_at) <= now)
+
+    for (const job of lost) {
+      const exhausted = job.attempts >= this.options.maxAttempts
+      const error = {
+        type: 'worker_lost',
+        message: 'The worker running this job stopped before it finished',
+        canRetry: !exhausted
+      }
+      await this.finish(job, exhausted
+        ? { status: JobStatuses.FAILED, error, finished_at: iso(now) }
+        : { status: JobStatuses.QUEUED, error, run_after: null })
+    }
+    return lost.length
+  }
+
+  /**
+   * Delete finished jobs older than `retentionMs`
+   */
+  async prune(now = Date.now()) {
+    const finished = [JobStatuses.SUCCEEDED, JobStatuses.FAILED, JobStatuses.CANCELLED]
+    const old = (await this.store.list({ statuses: finished }))
+      .filter(job => Date.parse(job.finished_at || job.updated_at) < now - this.options.retentionMs)
+
+    for (const job of old) await this.store.delete(job.id)
+    return old.length
+  }
+}
+
+// Shared queue used by the API routes (memory store until configured)
+export const scrapeJobQueue = new ScrapeJobQueue()
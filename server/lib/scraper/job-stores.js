@@ -0,0 +1,234 @@
+/**
+ * Scrape Job Stores
+ *
+ * One record per job:
+ *
+ *   { id, url, dedupe_key, status, options, result, error, attempts,
+ *     run_after, lease_expires_at, created_at, started_at, finished_at,
+ *     updated_at, version }
+ *
+ * Every store implements the same async interface:
+ * - get(id)                           → record or null
+ * - insert(record)                    → `{ job, created }`; returns the active
+ *                                       job instead when one with the same
+ *                                       `dedupe_key` is queued or running
+ * - compareAndSet(id, version, record) → true if written
+ * - list({ statuses, limit })         → oldest first
+ * - list({ ..., runnableAt })         → only jobs without a `run_after` later
+ *                                       than `runnableAt`, in the order they
+ *                                       became runnable
+ * - delete(id)
+ *
+ * `compareAndSet` only writes when the stored version still equals
+ * `version`, so two workers cannot both claim a job and a finished run
+ * cannot overwrite a cancellation.
+ */
+
+import { readJsonFile, withFileLock, writeJsonFile } from './json-file.js'
+
+export const JOB_TABLE = 'scraper_jobs'
+
+export const JobStatuses = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+export const ACTIVE_STATUSES = [JobStatuses.QUEUED, JobStatuses.RUNNING]
+
+function clone(record) {
+  return record ? structuredClone(record) : null
+}
+
+function isActiveDuplicate(job, record) {
+  return job.dedupe_key === record.dedupe_key && ACTIVE_STATUSES.includes(job.status)
+}
+
+// When a job became runnable: its retry time if it has one, else when it was queued
+function availableAt(job) {
+  return job.run_after || job.created_at
+}
+
+function selectJobs(jobs, { statuses, limit, runnableAt } = {}) {
+  const selected = jobs
+    .filter(job => !statuses || statuses.includes(job.status))
+    .filter(job => !runnableAt || !job.run_after || job.run_after <= runnableAt)
+    .sort(runnableAt
+      ? (a, b) => availableAt(a).localeCompare(availableAt(b)) || a.created_at.localeCompare(b.created_at)
+      : (a, b) => a.created_at.localeCompare(b.created_at))
+  return (limit ? selected.slice(0, limit) : selected).map(clone)
+}
+
+/**
+ * Process-local store - jobs are lost on restart
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.name = 'memory'
+    this.records = new Map()
+  }
+
+  async get(id) {
+    return clone(this.records.get(id))
+  }
+
+  async insert(record) {
+    const active = [...this.records.values()].find(job => isActiveDuplicate(job, record))
+    if (active) return { job: clone(active), created: false }
+    this.records.set(record.id, clone(record))
+    return { job: clone(record), created: true }
+  }
+
+  async compareAndSet(id, version, record) {
+    if (this.records.get(id)?.version !== version) return false
+    this.records.set(id, clone(record))
+    return true
+  }
+
+  async list(filter) {
+    return selectJobs([...this.records.values()], filter)
+  }
+
+  async delete(id) {
+    this.records.delete(id)
+  }
+}
+
+/**
+ * JSON file store - survives restarts of a single server
+ *
+ * Writes take a `<path>.lock` file, so claims and deduplication hold
+ * across processes on one machine.
+ */
+export class FileJobStore {
+  constructor(path = '.data/scrape-jobs.json') {
+    this.name = 'file'
+    this.path = path
+  }
+
+  read() {
+    return readJsonFile(this.path)
+  }
+
+  write(records) {
+    return writeJsonFile(this.path, records)
+  }
+
+  exclusive(operation) {
+    return withFileLock(this.path, operation)
+  }
+
+  async get(id) {
+    const records = await this.read()
+    return clone(records[id])
+  }
+
+  insert(record) {
+    return this.exclusive(async () => {
+      const records = await this.read()
+      const active = Object.values(records).find(job => isActiveDuplicate(job, record))
+      if (active) return { job: active, created: false }
+      records[record.id] = clone(record)
+      await this.write(records)
+      return { job: clone(record), created: true }
+    })
+  }
+
+  compareAndSet(id, version, record) {
+    return this.exclusive(async () => {
+      const records = await this.read()
+      if (records[id]?.version !== version) return false
+      records[id] = clone(record)
+      await this.write(records)
+      return true
+    })
+  }
+
+  async list(filter) {
+    return selectJobs(Object.values(await this.read()), filter)
+  }
+
+  delete(id) {
+    return this.exclusive(async () => {
+      const records = await this.read()
+      delete records[id]
+      await this.write(records)
+    })
+  }
+}
+
+/**
+ * Supabase table store - shared by every server instance
+ *
+ * A partial unique index on `dedupe_key` for active jobs makes
+ * deduplication atomic; conditional writes use the `version` column.
+ */
+export class SupabaseJobStore {
+  constructor(client, { table = JOB_TABLE } = {}) {
+    this.name = 'supabase'
+    this.getClient = typeof client === 'function' ? client : () => client
+    this.table = table
+  }
+
+  query() {
+    return this.getClient().from(this.table)
+  }
+
+  async get(id) {
+    const { data, error } = await this.query().select('*').eq('id', id).maybeSingle()
+    if (error) throw error
+    return data
+  }
+
+  async findActive(dedupeKey) {
+    const { data, error } = await this.query()
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .in('status', ACTIVE_STATUSES)
+      .limit(1)
+    if (error) throw error
+    return data[0] || null
+  }
+
+  async insert(record) {
+    const active = await this.findActive(record.dedupe_key)
+    if (active) return { job: active, created: false }
+
+    const { data, error } = await this.query().insert(record).select().single()
+    if (error?.code === '23505') {
+      // Another request queued the same URL between our check and insert
+      const winner = await this.findActive(record.dedupe_key)
+      if (winner) return { job: winner, created: false }
+    }
+    if (error) throw error
+    return { job: data, created: true }
+  }
+
+  async compareAndSet(id, version, record) {
+    const { data, error } = await this.query().update(record).eq('id', id).eq('version', version).select()
+    if (error) throw error
+    return data.length > 0
+  }
+
+  async list({ statuses, limit, runnableAt } = {}) {
+    let query = this.query().select('*')
+    // `available_at` is coalesce(run_after, created_at), a computed column
+    // from the scraper_jobs_runnable migration
+    query = runnableAt
+      ? query.lte('available_at', runnableAt).order('available_at', { ascending: true }).order('created_at', { ascending: true })
+      : query.order('created_at', { ascending: true })
+    if (statuses) query = query.in('status', statuses)
+    if (limit) query = query.limit(limit)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data
+  }
+
+  async delete(id) {
+    const { error } = await this.query().delete().eq('id', id)
+    if (error) throw error
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * JSON File Helpers for the File-Backed Stores
+ *
+ * - readJsonFile: parse a file, or return a fallback when it does not exist
+ * - writeJsonFile: write through a temp file + rename so readers never see
+ *   half a file
+ * - withFileLock: run a read-modify-write while holding `<path>.lock`, so
+ *   several processes on one machine do not overwrite each other
+ */
+
+import { randomUUID } from 'crypto'
+import { mkdir, open, readFile, rename, stat, unlink, writeFile } from 'fs/promises'
+import { dirname } from 'path'
+
+const LOCK_RETRY_MS = 10
+const LOCK_WAIT_MS = 2000
+const STALE_LOCK_MS = 5000
+
+export async function readJsonFile(path, fallback = {}) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback
+    throw error
+  }
+}
+
+export async function writeJsonFile(path, data) {
+  await mkdir(dirname(path), { recursive: true })
+  const tmp = `${path}.${randomUUID()}.tmp`
+  await writeFile(tmp, JSON.stringify(data, null, 2))
+  await rename(tmp, path)
+}
+
+async function acquireLock(lockPath) {
+  await mkdir(dirname(lockPath), { recursive: true })
+  const deadline = Date.now() + LOCK_WAIT_MS
+
+  for (;;) {
+    try {
+      const handle = await open(lockPath, 'wx')
+      await handle.close()
+      return
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+    }
+
+    // Break locks left behind by a crashed process
+    const lockAge = await stat(lockPath).then(({ mtimeMs }) => Date.now() - mtimeMs, () => 0)
+    if (lockAge > STALE_LOCK_MS) {
+      await unlink(lockPath).catch(() => {})
+    } else if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`)
+    } else {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS))
+    }
+  }
+}
+
+/**
+ * Run `operation` while holding the lock for `path`, across processes
+ */
+export async function withFileLock(path, operation) {
+  const lockPath = `${path}.lock`
+  await acquireLock(lockPath)
+  try {
+    return await operation()
+  } finally {
+    await unlink(lockPath).catch(() => {})
+  }
+}
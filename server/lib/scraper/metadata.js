@@ -0,0 +1,439 @@
+/**
+ * Structured Metadata Harvester
+ *
+ * Reads JSON-LD, OpenGraph, Twitter card, plain <meta> tags and (optionally)
+ * the page's oEmbed endpoint, and normalizes them into one metadata object.
+ * For every field it also records which source supplied the value.
+ *
+ * Source priority (first non-empty value wins):
+ *   json-ld → opengraph → twitter → oembed → html
+ */
+
+import { parseHTML } from 'linkedom'
+
+export const MetadataSources = {
+  JSON_LD: 'json-ld',
+  OPENGRAPH: 'opengraph',
+  TWITTER: 'twitter',
+  OEMBED: 'oembed',
+  HTML: 'html'
+}
+
+const SOURCE_PRIORITY = [
+  MetadataSources.JSON_LD,
+  MetadataSources.OPENGRAPH,
+  MetadataSources.TWITTER,
+  MetadataSources.OEMBED,
+  MetadataSources.HTML
+]
+
+// JSON-LD types that describe the page's main content, best first
+const ARTICLE_TYPES = [
+  'NewsArticle',
+  'ReportageNewsArticle',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'BlogPosting',
+  'Article',
+  'VideoObject',
+  'WebPage'
+]
+
+const FIELDS = [
+  'title',
+  'description',
+  'author',
+  'section',
+  'keywords',
+  'published_at',
+  'modified_at',
+  'publisher',
+  'video'
+]
+
+function absolutize(href, baseUrl) {
+  if (!href || typeof href !== 'string') return null
+  try {
+    const resolved = new URL(href.trim(), baseUrl)
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null
+  } catch {
+    return null
+  }
+}
+
+function toIsoDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+function toNumber(value) {
+  const number = parseInt(value, 10)
+  return Number.isFinite(number) && number > 0 ? number : null
+}
+
+function asArray(value) {
+  if (value === null || value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.values(value).every(isEmpty)
+  return false
+}
+
+/**
+ * Split comma-separated keyword strings and dedupe case-insensitively
+ */
+function normalizeKeywords(values) {
+  const seen = new Set()
+  const keywords = []
+  for (const value of values.flatMap(asArray)) {
+    if (typeof value !== 'string') continue
+    for (const keyword of value.split(',')) {
+      const trimmed = keyword.trim()
+      if (trimmed && !seen.has(trimmed.toLowerCase())) {
+        seen.add(trimmed.toLowerCase())
+        keywords.push(trimmed)
+      }
+    }
+  }
+  return keywords
+}
+
+/**
+ * Collect every <meta> into a map of property/name → list of values
+ */
+function readMetaTags(document) {
+  const tags = new Map()
+  for (const meta of document.querySelectorAll('meta')) {
+    const key = (meta.getAttribute('property') || meta.getAttribute('name') || meta.getAttribute('itemprop') || '').toLowerCase()
+    const content = meta.getAttribute('content')
+    if (!key || !content?.trim()) continue
+    if (!tags.has(key)) tags.set(key, [])
+    tags.get(key).push(content.trim())
+  }
+  return tags
+}
+
+/**
+ * Parse all JSON-LD blocks, flattening @graph containers
+ */
+function readJsonLd(document) {
+  const nodes = []
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    const raw = script.textContent
+      .replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '')
+      .replace(/^\s*\/\/.*$/gm, '')
+      .trim()
+    if (!raw) continue
+
+    try {
+      for (const node of asArray(JSON.parse(raw))) {
+        if (node?.['@graph']) nodes.push(...asArray(node['@graph']))
+        else if (node) nodes.push(node)
+      }
+    } catch {
+      // Broken JSON-LD is common; skip the block rather than the page
+    }
+  }
+  return nodes
+}
+
+function hasType(node, type) {
+  return asArray(node?.['@type']).includes(type)
+}
+
+function personNames(value) {
+  return asArray(value)
+    .map(person => (typeof person === 'string' ? person : person?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim())
+}
+
+function jsonLdImages(value, baseUrl) {
+  return asArray(value)
+    .map(image => {
+      if (typeof image === 'string') return { url: absolutize(image, baseUrl) }
+      return {
+        url: absolutize(image?.url || image?.contentUrl, baseUrl),
+        width: toNumber(image?.width?.value ?? image?.width),
+        height: toNumber(image?.height?.value ?? image?.height),
+        ...(image?.caption && { alt: String(image.caption) })
+      }
+    })
+    .filter(image => image.url)
+}
+
+/**
+ * Fields from the best JSON-LD article node
+ */
+function fromJsonLd(nodes, baseUrl) {
+  const article = ARTICLE_TYPES.map(type => nodes.find(node => hasType(node, type))).find(Boolean)
+  if (!article) return { fields: {}, images: [] }
+
+  const organization = nodes.find(node => hasType(node, 'Organization') || hasType(node, 'NewsMediaOrganization'))
+  const publisherNode = article.publisher?.name ? article.publisher : organization
+  const videoNode = hasType(article, 'VideoObject') ? article : asArray(article.video)[0]
+
+  const authors = personNames(article.author)
+
+  return {
+    fields: {
+      title: article.headline || article.name || null,
+      description: article.description || null,
+      author: authors.length ? authors.join(', ') : null,
+      section: asArray(article.articleSection)[0] || null,
+      keywords: normalizeKeywords([article.keywords]),
+      published_at: toIsoDate(article.datePublished),
+      modified_at: toIsoDate(article.dateModified),
+      publisher: publisherNode && {
+        name: publisherNode.name || null,
+        url: absolutize(publisherNode.url, baseUrl),
+        logo: absolutize(publisherNode.logo?.url || publisherNode.logo, baseUrl)
+      },
+      video: videoNode && {
+        url: absolutize(videoNode.contentUrl, baseUrl),
+        embed_url: absolutize(videoNode.embedUrl, baseUrl),
+        thumbnail_url: absolutize(asArray(videoNode.thumbnailUrl)[0], baseUrl),
+        width: toNumber(videoNode.width),
+        height: toNumber(videoNode.height),
+        duration: videoNode.duration || null
+      }
+    },
+    images: jsonLdImages(article.image || article.thumbnailUrl, baseUrl)
+  }
+}
+
+/**
+ * Group structured OpenGraph image/video properties into objects
+ *
+ * `og:image:width` etc. describe the most recent `og:image` tag.
+ */
+function groupStructuredTags(document, prefix) {
+  const groups = []
+  for (const meta of document.querySelectorAll('meta')) {
+    const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase()
+    const content = meta.getAttribute('content')?.trim()
+    if (!content) continue
+
+    if (key === prefix || key === `${prefix}:url`) {
+      // og:image:url right after og:image refers to the same image
+      const last = groups[groups.length - 1]
+      if (key === `${prefix}:url` && last && !last.urlFromProperty) {
+        last.url = content
+        last.urlFromProperty = true
+      } else {
+        groups.push({ url: content, urlFromProperty: key === `${prefix}:url` })
+      }
+    } else if (key.startsWith(`${prefix}:`) && groups.length) {
+      groups[groups.length - 1][key.substring(prefix.length + 1)] = content
+    }
+  }
+  return groups
+}
+
+function fromOpenGraph(document, tags, baseUrl) {
+  const first = key => tags.get(key)?.[0] || null
+
+  const images = groupStructuredTags(document, 'og:image')
+    .map(image => ({
+      url: absolutize(image.secure_url || image.url, baseUrl),
+      width: toNumber(image.width),
+      height: toNumber(image.height),
+      ...(image.alt && { alt: image.alt }),
+      ...(image.type && { type: image.type })
+    }))
+    .filter(image => image.url)
+
+  const video = groupStructuredTags(document, 'og:video')[0]
+  const authors = (tags.get('article:author') || []).filter(author => !/^https?:\/\//.test(author))
+
+  return {
+    fields: {
+      title: first('og:title'),
+      description: first('og:description'),
+      author: authors.length ? authors.join(', ') : null,
+      section: first('article:section'),
+      keywords: normalizeKeywords(tags.get('article:tag') || []),
+      published_at: toIsoDate(first('article:published_time')),
+      modified_at: toIsoDate(first('article:modified_time') || first('og:updated_time')),
+      publisher: first('og:site_name') && { name: first('og:site_name') },
+      video: video && {
+        url: absolutize(video.secure_url || video.url, baseUrl),
+        type: video.type || null,
+        width: toNumber(video.width),
+        height: toNumber(video.height)
+      }
+    },
+    images
+  }
+}
+
+function fromTwitter(tags, baseUrl) {
+  const first = key => tags.get(key)?.[0] || null
+  const image = absolutize(first('twitter:image') || first('twitter:image:src'), baseUrl)
+  const player = absolutize(first('twitter:player'), baseUrl)
+
+  return {
+    fields: {
+      title: first('twitter:title'),
+      description: first('twitter:description'),
+      author: first('twitter:creator'),
+      publisher: first('twitter:site') && { name: first('twitter:site') },
+      video: player && {
+        embed_url: player,
+        width: toNumber(first('twitter:player:width')),
+        height: toNumber(first('twitter:player:height'))
+      }
+    },
+    images: image ? [{ url: image, ...(first('twitter:image:alt') && { alt: first('twitter:image:alt') }) }] : []
+  }
+}
+
+function fromHtml(document, tags) {
+  const first = key => tags.get(key)?.[0] || null
+
+  return {
+    fields: {
+      title: document.querySelector('title')?.textContent?.trim() || null,
+      description: first('description'),
+      author: first('author'),
+      keywords: normalizeKeywords([...(tags.get('news_keywords') || []), ...(tags.get('keywords') || [])]),
+      published_at: toIsoDate(first('date') || first('pubdate') || first('parsely-pub-date')),
+      publisher: first('application-name') && { name: first('application-name') }
+    },
+    images: []
+  }
+}
+
+function fromOEmbed(data, baseUrl) {
+  if (!data || typeof data !== 'object') return { fields: {}, images: [] }
+
+  const isVideo = data.type === 'video' || (data.type === 'rich' && /<iframe/i.test(data.html || ''))
+
+  return {
+    fields: {
+      title: data.title || null,
+      author: data.author_name || null,
+      publisher: data.provider_name && {
+        name: data.provider_name,
+        url: absolutize(data.provider_url, baseUrl)
+      },
+      video: isVideo
+        ? { html: data.html || null, width: toNumber(data.width), height: toNumber(data.height) }
+        : null
+    },
+    images: [
+      ...(data.type === 'photo' && data.url
+        ? [{ url: absolutize(data.url, baseUrl), width: toNumber(data.width), height: toNumber(data.height) }]
+        : []),
+      ...(data.thumbnail_url
+        ? [{ url: absolutize(data.thumbnail_url, baseUrl), width: toNumber(data.thumbnail_width), height: toNumber(data.thumbnail_height) }]
+        : [])
+    ].filter(image => image.url)
+  }
+}
+
+/**
+ * Find the page's JSON oEmbed discovery link, if any
+ */
+export function findOEmbedUrl(document, baseUrl) {
+  const link = document.querySelector('link[rel="alternate"][type="application/json+oembed"]')
+  return absolutize(link?.getAttribute('href'), baseUrl)
+}
+
+/**
+ * Fetch an oEmbed endpoint through a scraper transport; failures return null
+ */
+async function fetchOEmbed(endpoint, transport, fetchOptions) {
+  try {
+    const response = await transport.fetch(endpoint, {
+      ...fetchOptions,
+      headers: { ...fetchOptions.headers, Accept: 'application/json' }
+    })
+    if (response.status >= 400) return null
+    return JSON.parse(await response.text())
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Merge image lists, keeping the first occurrence but filling in missing dimensions
+ */
+function mergeImages(lists) {
+  const byUrl = new Map()
+  for (const { source, images } of lists) {
+    for (const image of images) {
+      const existing = byUrl.get(image.url)
+      if (!existing) {
+        byUrl.set(image.url, { ...image, source })
+        continue
+      }
+      for (const [key, value] of Object.entries(image)) {
+        if (isEmpty(existing[key]) && !isEmpty(value)) existing[key] = value
+      }
+    }
+  }
+
+  return [...byUrl.values()].map(image =>
+    Object.fromEntries(Object.entries(image).filter(([, value]) => !isEmpty(value)))
+  )
+}
+
+/**
+ * Harvest and normalize structured metadata from a page
+ *
+ * Options:
+ * - oembed: fetch the page's oEmbed endpoint (default true when a transport is given)
+ * - transport: scraper transport used for the oEmbed request
+ * - fetchOptions: timeout/headers passed to the transport
+ */
+export async function harvestMetadata(html, url, options = {}) {
+  const { transport = null, oembed = !!transport, fetchOptions = {} } = options
+
+  const { document } = parseHTML(html || '<html><body></body></html>')
+  const tags = readMetaTags(document)
+
+  const oembedUrl = findOEmbedUrl(document, url)
+  const oembedData = oembed && oembedUrl && transport
+    ? await fetchOEmbed(oembedUrl, transport, fetchOptions)
+    : null
+
+  const harvested = {
+    [MetadataSources.JSON_LD]: fromJsonLd(readJsonLd(document), url),
+    [MetadataSources.OPENGRAPH]: fromOpenGraph(document, tags, url),
+    [MetadataSources.TWITTER]: fromTwitter(tags, url),
+    [MetadataSources.OEMBED]: fromOEmbed(oembedData, url),
+    [MetadataSources.HTML]: fromHtml(document, tags)
+  }
+
+  const metadata = {}
+  const sources = {}
+
+  for (const field of FIELDS) {
+    for (const source of SOURCE_PRIORITY) {
+      const value = harvested[source].fields[field]
+      if (!isEmpty(value)) {
+        metadata[field] = typeof value === 'object' && !Array.isArray(value)
+          ? Object.fromEntries(Object.entries(value).filter(([, v]) => !isEmpty(v)))
+          : value
+        sources[field] = source
+        break
+      }
+    }
+  }
+
+  metadata.images = mergeImages(
+    SOURCE_PRIORITY.map(source => ({ source, images: harvested[source].images }))
+  )
+  if (metadata.images.length) sources.images = metadata.images[0].source
+
+  if (oembedUrl) metadata.oembed_url = oembedUrl
+  metadata.sources = sources
+
+  return metadata
+}
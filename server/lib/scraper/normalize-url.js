@@ -0,0 +1,68 @@
+/**
+ * URL Normalization for Deduplication
+ *
+ * Two links to the same article rarely look identical: campaign parameters,
+ * fragments, trailing slashes and host casing all vary. `normalizeUrl`
+ * reduces them to one comparable form.
+ */
+
+// Query parameters that only carry tracking/referral information
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid)$/i,
+  /^(_hsenc|_hsmi|mkt_tok|vero_id|oly_anon_id|oly_enc_id|__s)$/i,
+  /^(ref|ref_src|ref_url|referrer|source|share|smid|cmpid|ocid|ito|s_cid|guccounter)$/i
+]
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' }
+
+export function isTrackingParam(name) {
+  return TRACKING_PARAMS.some(pattern => pattern.test(name))
+}
+
+/**
+ * Normalize a URL for comparison
+ *
+ * - lowercases scheme and host, drops default ports
+ * - removes tracking parameters and sorts the rest
+ * - removes the fragment and any trailing slash
+ *
+ * Returns null for values that are not absolute http(s) URLs.
+ */
+export function normalizeUrl(input) {
+  let url
+  try {
+    url = new URL(String(input).trim())
+  } catch {
+    return null
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return null
+
+  url.hash = ''
+  if (url.port === DEFAULT_PORTS[url.protocol]) url.port = ''
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b))
+  url.search = new URLSearchParams(params).toString()
+
+  // Collapse duplicate slashes, then drop the trailing one
+  url.pathname = url.pathname.replace(/\/{2,}/g, '/').replace(/\/+$/, '')
+
+  return url.href.replace(/\/(\?|$)/, '$1')
+}
+
+/**
+ * Spellings of a URL likely to be stored in older rows
+ */
+export function urlVariants(input) {
+  const normalized = normalizeUrl(input)
+  if (!normalized) return []
+
+  const variants = new Set([String(input).trim(), normalized])
+  const url = new URL(normalized)
+  if (!url.search) variants.add(`${normalized}/`)
+
+  return [...variants]
+}
@@ -0,0 +1,272 @@
+/**
+ * Paywall and Soft-Block Detection
+ *
+ * Runs on every fetched page and weighs structural signals rather than
+ * looking for words like "subscribe" anywhere (every newsletter footer has
+ * those):
+ *
+ * - JSON-LD `isAccessibleForFree: false` (and the `hasPart` sections it marks)
+ * - Known paywall / metering containers (`.paywall`, Piano, regwalls, ...)
+ * - A thin article node with most of the page's text outside it
+ * - A body that stops short: trailing ellipsis, no closing punctuation,
+ *   or far fewer words than the page's structured data declares
+ * - A "subscribe to continue" prompt at the end of the article or inside
+ *   a paywall container
+ *
+ * Each signal has a weight; they combine as independent evidence into a
+ * confidence between 0 and 1, and the page counts as paywalled from
+ * `PAYWALL_THRESHOLD` up.
+ */
+
+import { parseHTML } from 'linkedom'
+
+export const PAYWALL_THRESHOLD = 0.5
+
+export const PaywallSignals = {
+  JSON_LD_NOT_FREE: 'json_ld_not_free',
+  JSON_LD_FREE: 'json_ld_free',
+  PAYWALL_CONTAINER: 'paywall_container',
+  THIN_ARTICLE: 'thin_article',
+  TRUNCATED_BODY: 'truncated_body',
+  SHORTER_THAN_DECLARED: 'shorter_than_declared',
+  GATE_PROMPT: 'gate_prompt'
+}
+
+// Negative weights count against a paywall (the publisher says it is free)
+const WEIGHTS = {
+  [PaywallSignals.JSON_LD_NOT_FREE]: 0.7,
+  [PaywallSignals.JSON_LD_FREE]: -0.5,
+  [PaywallSignals.PAYWALL_CONTAINER]: 0.4,
+  [PaywallSignals.THIN_ARTICLE]: 0.2,
+  [PaywallSignals.TRUNCATED_BODY]: 0.25,
+  [PaywallSignals.SHORTER_THAN_DECLARED]: 0.4,
+  [PaywallSignals.GATE_PROMPT]: 0.35
+}
+
+// Containers paywall vendors and publishers put gates and teasers in
+const PAYWALL_SELECTORS = [
+  '[class*="paywall"]',
+  '[id*="paywall"]',
+  '[data-paywall]',
+  '[data-testid*="paywall"]',
+  '[class*="regwall"]',
+  '[class*="subscription-wall"]',
+  '[class*="piano-"]',
+  '[id^="piano"]',
+  '.tp-modal',
+  '.tp-container-inner',
+  '.meteredContent',
+  '.metered-content',
+  '.subscriber-only',
+  '.subscribers-only',
+  '.premium-content',
+  '.article-locked',
+  '.locked-content',
+  '.gated-content'
+]
+
+// Where the article body usually lives, most specific first
+const ARTICLE_SELECTORS = [
+  '[itemprop="articleBody"]',
+  'article',
+  '.article-body',
+  '.story-body',
+  '.entry-content',
+  '.post-content',
+  'main',
+  '[role="main"]'
+]
+
+// Page chrome that is neither article nor gate
+const CHROME_TAGS = 'script, style, noscript, template, nav, header, footer, aside, form, svg'
+
+// Prompts that ask the reader to pay or sign in before reading on
+const GATE_PROMPTS = [
+  /subscribe (now |today )?(to|and) (continue|read|keep reading|unlock)/,
+  /continue reading (with|for|by subscribing)/,
+  /already (a subscriber|have an account)/,
+  /(sign|log) in to (read|continue|keep reading)/,
+  /register (now |for free )?to (read|continue)/,
+  /unlock (this|the full) (article|story)/,
+  /(article|story|content) is (only )?(for|available to) (paying )?(subscribers|members)/,
+  /subscribers?[- ]only/,
+  /read the full (article|story)/,
+  /become a (member|subscriber) to (read|continue)/,
+  /you('ve| have) (reached|used) your (free )?(article )?limit/,
+  /free articles? (left|remaining)/
+]
+
+// A gate prompt only counts this close to the end of the article
+const PROMPT_TAIL_CHARS = 500
+
+// Articles shorter than this may be teasers
+const SHORT_ARTICLE_WORDS = 150
+
+function normalizeText(text = '') {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+function countWords(text) {
+  return text ? text.split(' ').filter(Boolean).length : 0
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * Parse JSON-LD blocks, flattening @graph containers
+ */
+function readJsonLd(document) {
+  const nodes = []
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      for (const node of asArray(JSON.parse(script.textContent.trim()))) {
+        if (node?.['@graph']) nodes.push(...asArray(node['@graph']))
+        else if (node) nodes.push(node)
+      }
+    } catch {
+      // Broken JSON-LD is common; skip the block
+    }
+  }
+  return nodes
+}
+
+function isFalse(value) {
+  return value === false || String(value).toLowerCase() === 'false'
+}
+
+function isTrue(value) {
+  return value === true || String(value).toLowerCase() === 'true'
+}
+
+/**
+ * Accessibility and length the page's structured data declares
+ */
+function readDeclarations(document) {
+  const declared = { free: null, selectors: [], wordCount: null }
+
+  for (const node of readJsonLd(document)) {
+    const flags = [node, ...asArray(node.hasPart)]
+    for (const part of flags) {
+      if (part?.isAccessibleForFree === undefined) continue
+      if (isFalse(part.isAccessibleForFree)) {
+        declared.free = false
+        if (part.cssSelector) declared.selectors.push(...asArray(part.cssSelector))
+      } else if (isTrue(part.isAccessibleForFree) && declared.free === null) {
+        declared.free = true
+      }
+    }
+
+    const wordCount = parseInt(node.wordCount)
+    if (wordCount > 0) declared.wordCount = Math.max(declared.wordCount || 0, wordCount)
+    else if (typeof node.articleBody === 'string') {
+      const bodyWords = countWords(normalizeText(node.articleBody))
+      if (bodyWords) declared.wordCount = Math.max(declared.wordCount || 0, bodyWords)
+    }
+  }
+
+  return declared
+}
+
+function firstMatch(root, selectors) {
+  for (const selector of selectors) {
+    try {
+      const node = root.querySelector(selector)
+      if (node) return { node, selector }
+    } catch {
+      // A selector from the page's JSON-LD we cannot parse
+    }
+  }
+  return null
+}
+
+function allMatches(root, selectors) {
+  return selectors.flatMap(selector => {
+    try {
+      return [...root.querySelectorAll(selector)]
+    } catch {
+      return []
+    }
+  })
+}
+
+/**
+ * Combine signal weights into a 0-1 confidence
+ */
+function combine(signals) {
+  let missed = 1
+  let discount = 1
+  for (const { weight } of signals) {
+    if (weight > 0) missed *= 1 - weight
+    else discount *= 1 + weight
+  }
+  return Math.round((1 - missed) * discount * 100) / 100
+}
+
+/**
+ * Look for a paywall on a fetched page
+ *
+ * `content` is the text the extractor got out of the page, when there is
+ * one; otherwise the article node's text is used. Returns
+ * `{ paywall, confidence, signals: [{ name, weight, detail }] }`.
+ */
+export function detectPaywall(html, { content } = {}) {
+  const { document } = parseHTML(html || '<html><body></body></html>')
+  const body = document.body || document.documentElement
+  const signals = []
+  const signal = (name, detail = null) => signals.push({ name, weight: WEIGHTS[name], detail })
+
+  // What the publisher's structured data says
+  const declared = readDeclarations(document)
+  if (declared.free === false) {
+    const marked = declared.selectors.filter(selector => firstMatch(body, [selector]))
+    signal(PaywallSignals.JSON_LD_NOT_FREE, marked.length ? marked.join(', ') : null)
+  } else if (declared.free === true) {
+    signal(PaywallSignals.JSON_LD_FREE)
+  }
+
+  // Gate containers (and whatever they ask the reader to do)
+  const containers = allMatches(body, PAYWALL_SELECTORS)
+  const container = firstMatch(body, PAYWALL_SELECTORS)
+  if (container) signal(PaywallSignals.PAYWALL_CONTAINER, container.selector)
+
+  for (const node of body.querySelectorAll(CHROME_TAGS)) node.remove()
+
+  // Text inside the article node against the rest of the page
+  const article = firstMatch(body, ARTICLE_SELECTORS)
+  const articleText = normalizeText(article?.node.textContent)
+  const pageWords = countWords(normalizeText(body.textContent))
+  const articleWords = countWords(articleText)
+  if (article && articleWords < SHORT_ARTICLE_WORDS && articleWords < pageWords - articleWords) {
+    signal(PaywallSignals.THIN_ARTICLE, `${articleWords} of ${pageWords} words in ${article.selector}`)
+  }
+
+  // A body that stops short
+  const text = normalizeText(content ?? (articleText || body.textContent))
+  const words = countWords(text)
+  if (/(\.\.\.|…)["'”’)]?$/.test(text)) {
+    signal(PaywallSignals.TRUNCATED_BODY, 'ends with an ellipsis')
+  } else if (words > 0 && words < SHORT_ARTICLE_WORDS && !/[.!?]["'”’)]?$/.test(text)) {
+    signal(PaywallSignals.TRUNCATED_BODY, 'ends mid-sentence')
+  }
+
+  if (declared.wordCount && words < declared.wordCount * 0.5) {
+    signal(PaywallSignals.SHORTER_THAN_DECLARED, `${words} of ${declared.wordCount} declared words`)
+  }
+
+  // "Subscribe to continue" at the end of the article or inside the gate
+  const promptText = [text.slice(-PROMPT_TAIL_CHARS), ...containers.map(node => normalizeText(node.textContent))]
+    .join(' ')
+    .toLowerCase()
+  const prompt = GATE_PROMPTS.find(pattern => pattern.test(promptText))
+  if (prompt) signal(PaywallSignals.GATE_PROMPT, promptText.match(prompt)[0])
+
+  const confidence = Math.max(combine(signals), 0)
+  return {
+    paywall: confidence >= PAYWALL_THRESHOLD,
+    confidence,
+    signals
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Persist Scraped Articles into `scraps`
+ *
+ * Upserts an extracted article by normalized URL:
+ * - no matching row → insert (action: 'created')
+ * - matching row with new information → update (action: 'updated')
+ * - matching row already up to date → no write (action: 'unchanged')
+ *
+ * Curated fields (`title`, `tags`, `summary`) are only filled in when the
+ * existing row has no value; scraped fields overwrite.
+ */
+
+import { normalizeUrl, urlVariants } from './normalize-url.js'
+
+export const SaveActions = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged'
+}
+
+// Fields people edit by hand - never overwritten once set
+const CURATED_FIELDS = ['title', 'tags', 'summary']
+
+// Fields owned by the scraper - always take the latest value
+const SCRAPED_FIELDS = ['content', 'published_at']
+
+// Set from request options when provided
+const OPTION_FIELDS = ['source', 'type', 'shared']
+
+const DEFAULT_TYPE = 'article'
+
+// Rows scanned when falling back to a prefix match on legacy URLs
+const PREFIX_LOOKUP_LIMIT = 50
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0)
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+/**
+ * Find a scrap by its id
+ */
+export async function findScrapById(supabase, id) {
+  const { data, error } = await supabase.from('scraps').select('*').eq('id', id).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Record a captured screenshot on a scrap
+ *
+ * `url` (the full page) goes into `screenshot_url`; the thumbnail and
+ * capture details are merged into `metadata.screenshot`.
+ */
+export async function saveScreenshot(supabase, id, { url, thumbnailUrl, width, height, capturedAt }) {
+  const existing = await findScrapById(supabase, id)
+  if (!existing) return null
+
+  const { data, error } = await supabase
+    .from('scraps')
+    .update({
+      screenshot_url: url,
+      metadata: {
+        ...(existing.metadata || {}),
+        screenshot: { thumb_url: thumbnailUrl, width, height, captured_at: capturedAt }
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Find an existing scrap for any spelling of the URL
+ */
+export async function findScrapByUrl(supabase, ...urls) {
+  const normalized = normalizeUrl(urls[0])
+  const candidates = [...new Set(urls.filter(Boolean).flatMap(urlVariants))]
+  if (!normalized || !candidates.length) return null
+
+  const { data, error } = await supabase
+    .from('scraps')
+    .select('*')
+    .in('url', candidates)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  // Prefer an exact normalized match, then the oldest row
+  const exact =
+    data?.find(row => row.url === normalized) ||
+    data?.find(row => normalizeUrl(row.url) === normalized) ||
+    data?.[0]
+  if (exact) return exact
+
+  // Older rows may still carry tracking params or fragments - look them up
+  // by prefix and keep only those that normalize to the same URL
+  const stem = normalized.split('?')[0]
+  const { data: similar, error: similarError } = await supabase
+    .from('scraps')
+    .select('*')
+    .like('url', `${stem}%`)
+    .order('created_at', { ascending: true })
+    .limit(PREFIX_LOOKUP_LIMIT)
+
+  if (similarError) throw similarError
+  return similar?.find(row => normalizeUrl(row.url) === normalized) || null
+}
+
+/**
+ * Map an extracted article onto `scraps` columns
+ */
+function articleToRow(article, url, options) {
+  const { extractedAt, requestedUrl, httpStatus, validators, tier } = article
+
+  return {
+    url,
+    title: article.title && article.title !== 'No title' ? article.title : null,
+    summary: article.summary || null,
+    content: article.content || null,
+    published_at: article.published_at || null,
+    tags: options.tags?.length ? options.tags : null,
+    metadata: {
+      ...article.metadata,
+      scraped_at: extractedAt || new Date().toISOString(),
+      ...(requestedUrl && requestedUrl !== url && { requested_url: requestedUrl }),
+      ...(httpStatus && { http_status: httpStatus }),
+      // `http` or `browser` (headless rendering)
+      ...(tier && { tier }),
+      // Conditional GET validators for the next re-scrape (check time is not a change)
+      ...(validators && {
+        http: {
+          etag: validators.etag,
+          last_modified: validators.lastModified,
+          content_hash: validators.contentHash
+        }
+      })
+    },
+    // Request options win over what a site adapter worked out
+    source: options.source ?? article.source ?? null,
+    type: options.type ?? article.type ?? DEFAULT_TYPE,
+    shared: options.shared ?? false
+  }
+}
+
+/**
+ * Work out which columns of an existing row should change
+ */
+function buildPatch(existing, incoming, options) {
+  const patch = {}
+
+  for (const field of CURATED_FIELDS) {
+    if (isBlank(existing[field]) && !isBlank(incoming[field])) patch[field] = incoming[field]
+  }
+
+  for (const field of SCRAPED_FIELDS) {
+    if (!isBlank(incoming[field]) && !sameValue(existing[field], incoming[field])) {
+      patch[field] = incoming[field]
+    }
+  }
+
+  for (const field of OPTION_FIELDS) {
+    if (options[field] !== undefined && !sameValue(existing[field], options[field])) {
+      patch[field] = options[field]
+    } else if (options[field] === undefined && isBlank(existing[field]) && !isBlank(incoming[field])) {
+      // Whatever a site adapter worked out fills in a missing value
+      patch[field] = incoming[field]
+    }
+  }
+
+  // Merge metadata key by key; scrape timestamps alone are not a change
+  const { scraped_at, ...incomingMetadata } = incoming.metadata
+  const merged = { ...(existing.metadata || {}) }
+  let metadataChanged = false
+  for (const [key, value] of Object.entries(incomingMetadata)) {
+    if (isBlank(value) || sameValue(merged[key], value)) continue
+    merged[key] = value
+    metadataChanged = true
+  }
+  if (metadataChanged) patch.metadata = { ...merged, scraped_at }
+
+  return patch
+}
+
+/**
+ * Conditional GET validators stored on a saved scrap, if any
+ */
+export function scrapValidators(scrap) {
+  const http = scrap?.metadata?.http
+  if (!http) return null
+  return {
+    etag: http.etag || null,
+    lastModified: http.last_modified || null,
+    contentHash: http.content_hash || null
+  }
+}
+
+/**
+ * Scrape options for a save-mode scrape of `url`
+ *
+ * Re-scrapes are conditional on the stored copy's validators; with no
+ * stored copy the page is always extracted so there is something to save.
+ * Returns `{ existing, options }`.
+ */
+export async function saveModeScrapeOptions(supabase, url, options = {}) {
+  const existing = await findScrapByUrl(supabase, url)
+  const validators = scrapValidators(existing)
+  return {
+    existing,
+    options: validators ? { ...options, validators } : { ...options, force: true }
+  }
+}
+
+/**
+ * Save an extracted article into `scraps`, deduplicating by URL
+ *
+ * Options: `source`, `type`, `shared`, `tags`.
+ * Returns `{ action, id, url, changed, scrap }`.
+ */
+export async function saveScrape(supabase, article, options = {}) {
+  if (article.unchanged) throw new Error(`Nothing to save for unchanged page: ${article.url}`)
+  const url = normalizeUrl(article.url) || normalizeUrl(article.requestedUrl)
+  if (!url) throw new Error(`Cannot save scrape without a valid URL: ${article.url}`)
+
+  const incoming = articleToRow(article, url, options)
+  const existing = await findScrapByUrl(supabase, url, article.requestedUrl)
+
+  if (!existing) {
+    const now = new Date().toISOString()
+    const { data, error } = await supabase
+      .from('scraps')
+      .insert({ ...incoming, updated_at: now })
+      .select()
+      .single()
+
+    if (error) throw error
+    return { action: SaveActions.CREATED, id: data.id, url, changed: Object.keys(incoming), scrap: data }
+  }
+
+  const patch = buildPatch(existing, incoming, options)
+  const changed = Object.keys(patch)
+
+  if (!changed.length) {
+    return { action: SaveActions.UNCHANGED, id: existing.id, url: existing.url, changed, scrap: existing }
+  }
+
+  const { data, error } = await supabase
+    .from('scraps')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return { action: SaveActions.UPDATED, id: existing.id, url: existing.url, changed, scrap: data }
+}
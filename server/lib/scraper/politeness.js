@@ -0,0 +1,230 @@
+/**
+ * Per-Host Politeness Layer
+ *
+ * Sits under ScrapingErrorHandler and gates every request (retries
+ * included) to a host:
+ * - robots.txt `Disallow` rules for our user agent block the request
+ * - requests to one host start at least `minGapMs` apart, or `Crawl-delay`
+ *   seconds apart when robots.txt asks for more
+ * - at most `maxConcurrentPerHost` requests to one host run at once
+ * - a 429 (or 503 with Retry-After) pauses the whole host until the
+ *   Retry-After time, and repeated ones widen the host's gap (2x, 4x, ...)
+ *   until a request succeeds
+ *
+ * Limits are per host and independent of any batch `concurrency`.
+ */
+
+import { RobotsCache, checkRobots } from './robots.js'
+import { parseRetryAfter } from './http-client.js'
+
+const DEFAULTS = {
+  minGapMs: 1000,
+  maxConcurrentPerHost: 2,
+  maxCrawlDelayMs: 30000,
+  maxRateLimitPauseMs: 60000,
+  respectRobots: true,
+  userAgent: 'Demo-Scraper/1.0'
+}
+
+// Idle host entries are pruned once this many hosts are tracked
+const MAX_IDLE_HOSTS = 500
+
+// Largest gap multiplier applied to a host that keeps rate limiting us
+const MAX_SLOWDOWN = 16
+
+/**
+ * FIFO queue per host enforcing a start-to-start gap and a concurrency cap
+ */
+export class HostScheduler {
+  constructor({ maxConcurrentPerHost = DEFAULTS.maxConcurrentPerHost } = {}) {
+    this.maxConcurrent = maxConcurrentPerHost
+    this.hosts = new Map() // host -> { active, nextStartAt, slowdown, queue, timer }
+  }
+
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      if (this.hosts.size >= MAX_IDLE_HOSTS) this.prune()
+      this.hosts.set(host, { active: 0, nextStartAt: 0, slowdown: 1, queue: [], timer: null })
+    }
+    return this.hosts.get(host)
+  }
+
+  prune() {
+    const now = Date.now()
+    for (const [host, state] of this.hosts) {
+      const idle = !state.active && !state.queue.length && state.nextStartAt <= now
+      if (idle && state.slowdown === 1) this.hosts.delete(host)
+    }
+  }
+
+  /**
+   * Wait for a slot; resolves with a release function
+   */
+  acquire(host, gapMs = 0) {
+    const state = this.hostState(host)
+    return new Promise(resolve => {
+      state.queue.push({ resolve, gapMs })
+      this.pump(host, state)
+    }).then(() => {
+      let released = false
+      return () => {
+        if (released) return
+        released = true
+        state.active--
+        this.pump(host, state)
+      }
+    })
+  }
+
+  pump(host, state) {
+    if (state.timer) return
+
+    while (state.queue.length && state.active < this.maxConcurrent) {
+      const wait = state.nextStartAt - Date.now()
+      if (wait > 0) {
+        state.timer = setTimeout(() => {
+          state.timer = null
+          this.pump(host, state)
+        }, wait)
+        return
+      }
+
+      const { resolve, gapMs } = state.queue.shift()
+      state.active++
+      state.nextStartAt = Date.now() + gapMs * state.slowdown
+      resolve()
+    }
+  }
+
+  /**
+   * Hold every queued request for a host until `until`, and multiply its gap
+   */
+  slowDown(host, factor, until = 0) {
+    const state = this.hostState(host)
+    state.slowdown = factor
+    state.nextStartAt = Math.max(state.nextStartAt, until)
+
+    // Re-arm the wait so queued requests respect the new start time
+    if (state.timer) {
+      clearTimeout(state.timer)
+      state.timer = null
+    }
+    this.pump(host, state)
+  }
+
+  /**
+   * Back to the normal gap for a host
+   */
+  recover(host) {
+    const state = this.hosts.get(host)
+    if (state) state.slowdown = 1
+  }
+
+  /**
+   * Snapshot for monitoring: host -> { active, queued, slowdown, nextStartAt }
+   */
+  status() {
+    return Object.fromEntries(
+      [...this.hosts].map(([host, state]) => [host, {
+        active: state.active,
+        queued: state.queue.length,
+        slowdown: state.slowdown,
+        nextStartAt: state.nextStartAt ? new Date(state.nextStartAt).toISOString() : null
+      }])
+    )
+  }
+}
+
+/**
+ * Blocked-by-robots error, classified as ErrorTypes.ROBOTS_BLOCKED
+ */
+function robotsError(url, rule) {
+  const error = new Error(`Blocked by robots.txt${rule ? ` (Disallow: ${rule.path})` : ''}`)
+  error.code = 'EROBOTS'
+  error.url = url
+  error.rule = rule
+  return error
+}
+
+export class Politeness {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options }
+    this.robots = options.robotsCache || new RobotsCache({
+      ttlMs: options.robotsTtlMs,
+      transport: options.transport
+    })
+    this.scheduler = new HostScheduler(this.options)
+    this.rateLimits = new Map() // host -> consecutive rate-limit responses
+  }
+
+  /**
+   * robots.txt verdict for a URL: `{ allowed, rule, crawlDelay }`
+   */
+  async check(url, { userAgent = this.options.userAgent, transport } = {}) {
+    if (!this.options.respectRobots) return { allowed: true, rule: null, crawlDelay: null }
+
+    const robots = await this.robots.get(url, { userAgent, transport })
+    const { pathname, search } = new URL(url)
+    return checkRobots(robots, `${pathname}${search}`, userAgent)
+  }
+
+  /**
+   * Gap between request starts for a host, honoring Crawl-delay
+   */
+  gapFor(crawlDelay) {
+    const requested = crawlDelay ? crawlDelay * 1000 : 0
+    return Math.max(this.options.minGapMs, Math.min(requested, this.options.maxCrawlDelayMs))
+  }
+
+  /**
+   * Run `operation` once robots.txt allows it and the host has a free slot
+   *
+   * `request` carries `{ userAgent, transport }` for the robots.txt fetch.
+   */
+  async run(url, operation, request = {}) {
+    const verdict = await this.check(url, request)
+    if (!verdict.allowed) throw robotsError(url, verdict.rule)
+
+    const { host } = new URL(url)
+    const gapMs = this.gapFor(verdict.crawlDelay)
+    const release = await this.scheduler.acquire(host, gapMs)
+    try {
+      const result = await operation()
+      this.recordSuccess(host)
+      return result
+    } catch (error) {
+      const { status, headers = {} } = error.response || {}
+      if (status === 429 || (status === 503 && headers['retry-after'])) {
+        this.recordRateLimit(host, gapMs, parseRetryAfter(headers['retry-after']))
+      }
+      throw error
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * Pause a host after a rate-limit response
+   *
+   * The pause is the Retry-After delay when given, else the (widened) gap,
+   * capped at `maxRateLimitPauseMs` so queued requests are not parked for
+   * hours. Each consecutive rate limit doubles the host's gap, up to MAX_SLOWDOWN.
+   */
+  recordRateLimit(host, gapMs, retryAfterMs = null) {
+    const strikes = (this.rateLimits.get(host) || 0) + 1
+    this.rateLimits.set(host, strikes)
+
+    const factor = Math.min(2 ** (strikes - 1), MAX_SLOWDOWN)
+    const pauseMs = Math.min(retryAfterMs ?? gapMs * factor, this.options.maxRateLimitPauseMs)
+    this.scheduler.slowDown(host, factor, Date.now() + pauseMs)
+  }
+
+  recordSuccess(host) {
+    if (!this.rateLimits.has(host)) return
+    this.rateLimits.delete(host)
+    this.scheduler.recover(host)
+  }
+}
+
+// Shared instance used by the default error handler
+export const politeness = new Politeness()
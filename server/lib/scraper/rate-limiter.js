@@ -0,0 +1,98 @@
+/**
+ * Per-Client Rate Limiter for the Public Scrape, Image and Search Endpoints
+ *
+ * Counts requests per client key (`user:<id>` for a Supabase session,
+ * `ip:<address>` otherwise, see `requestAddress`) in fixed windows of
+ * `windowMs`. Counts live in
+ * process memory, so each server instance enforces its own limit.
+ */
+
+const DEFAULTS = {
+  // Requests (URLs, for batches) allowed per client per window
+  limit: 120,
+  windowMs: 10 * 60 * 1000
+}
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.configure(options)
+    this.windows = new Map()
+    this.nextPruneAt = 0
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  /**
+   * Count `cost` requests for `key`
+   *
+   * Returns `{ allowed, limit, remaining, retryAfterMs }`; a refused request
+   * is not counted.
+   */
+  hit(key, { cost = 1, now = Date.now() } = {}) {
+    const { limit, windowMs } = this.options
+    this.prune(now)
+
+    let window = this.windows.get(key)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs }
+      this.windows.set(key, window)
+    }
+
+    const allowed = window.count + cost <= limit
+    if (allowed) window.count += cost
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      retryAfterMs: allowed ? 0 : window.resetAt - now
+    }
+  }
+
+  // Drop finished windows (once per window) so idle clients do not pile up
+  prune(now) {
+    if (now < this.nextPruneAt) return
+    this.nextPruneAt = now + this.options.windowMs
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key)
+    }
+  }
+
+  reset(key = null) {
+    if (key) this.windows.delete(key)
+    else this.windows.clear()
+    this.nextPruneAt = 0
+  }
+}
+
+/**
+ * The address a request came from, for `ip:<address>` keys
+ *
+ * The socket's peer, unless `trustedProxies` proxies sit in front of the
+ * app: each appends the address it saw to X-Forwarded-For, so the client
+ * is that many entries from the right (counting the socket as the last).
+ * Anything further left was written by the client and is ignored.
+ */
+export function requestAddress(event, { trustedProxies = 0 } = {}) {
+  const { headers = {}, socket } = event.node?.req || {}
+  const forwarded = trustedProxies > 0
+    ? String(headers['x-forwarded-for'] || '').split(',').map(address => address.trim()).filter(Boolean)
+    : []
+  const chain = [...forwarded, socket?.remoteAddress || 'unknown']
+  return chain[Math.max(chain.length - 1 - trustedProxies, 0)]
+}
+
+// Shared limiter for /api/scrape and /api/scrape/jobs
+export const scrapeRateLimiter = new RateLimiter()
+
+// Shared limiter for /api/img; only images not in the cache count, and a
+// page of thumbnails needs dozens at once
+export const imageRateLimiter = new RateLimiter({ limit: 600 })
+
+// Shared limiter for /api/search/semantic; only text whose embedding isn't
+// kept counts, since each one is a call to the embedding API
+export const searchRateLimiter = new RateLimiter({ limit: 60 })
@@ -0,0 +1,248 @@
+/**
+ * Headless-Browser Rendering Tier
+ *
+ * Some pages ship an empty shell and build their content with JavaScript.
+ * The scraper flags those as `javascript_required`; when a renderer is
+ * configured they are loaded again in a headless browser and the rendered
+ * HTML goes through the same extractor.
+ *
+ * - A renderer is any object with `render(url, { timeout, userAgent, guard })`
+ *   resolving to `{ status, url, html }`, and optionally `close()`. `guard`
+ *   (async, throws to refuse) should vet every URL the page loads. Renderers
+ *   that can also `screenshot()` pages serve the screenshot pipeline
+ *   (screenshots.js)
+ * - `PlaywrightRenderer` drives a local Chromium. `playwright` is imported
+ *   on first use, so it only has to be installed where rendering is on
+ * - `RenderingTier` gives the renderer its own concurrency limit and
+ *   timeout, apart from the HTTP tier's
+ */
+
+// Which tier produced a scrape's content
+export const ScrapeTiers = {
+  HTTP: 'http',
+  BROWSER: 'browser',
+  // An archived snapshot, for pages that are gone or paywalled (see archive.js)
+  ARCHIVE: 'archive'
+}
+
+const DEFAULTS = {
+  renderer: null,
+  // Browser pages are heavy, so far fewer run at once than HTTP fetches
+  concurrency: 2,
+  timeout: 20000
+}
+
+/**
+ * Wait until the page stops changing: no DOM mutations for `quietMs`,
+ * or `maxMs` at the latest
+ */
+async function waitForSettle(page, { quietMs, maxMs }) {
+  await page.waitForLoadState('networkidle', { timeout: maxMs }).catch(() => {})
+  await page.evaluate(({ quietMs, maxMs }) => new Promise(resolve => {
+    let quietTimer
+    const done = () => {
+      observer.disconnect()
+      clearTimeout(quietTimer)
+      clearTimeout(maxTimer)
+      resolve()
+    }
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer)
+      quietTimer = setTimeout(done, quietMs)
+    })
+    observer.observe(document, { subtree: true, childList: true, characterData: true, attributes: true })
+    quietTimer = setTimeout(done, quietMs)
+    const maxTimer = setTimeout(done, maxMs)
+  }), { quietMs, maxMs })
+}
+
+/**
+ * Renderer backed by Playwright's Chromium
+ *
+ * One browser is launched on first use and shared; each render gets a
+ * fresh context, so cookies and storage never leak between pages.
+ */
+export class PlaywrightRenderer {
+  constructor({ launchOptions = {}, settleMs = 500, settleTimeoutMs = 5000, module = 'playwright' } = {}) {
+    this.name = 'playwright'
+    this.launchOptions = launchOptions
+    this.settleMs = settleMs
+    this.settleTimeoutMs = settleTimeoutMs
+    this.module = module
+    this.browserPromise = null
+  }
+
+  async launch() {
+    let playwright
+    try {
+      playwright = await import(/* @vite-ignore */ this.module)
+    } catch (importError) {
+      const error = new Error(
+        `Browser rendering needs the "${this.module}" package: npm install playwright && npx playwright install chromium`
+      )
+      error.code = 'ERENDERER'
+      error.cause = importError
+      throw error
+    }
+
+    const { chromium } = playwright.chromium ? playwright : playwright.default
+    return chromium.launch({ headless: true, ...this.launchOptions })
+  }
+
+  browser() {
+    // A failed launch is retried on the next render
+    this.browserPromise ||= this.launch().catch(error => {
+      this.browserPromise = null
+      throw error
+    })
+    return this.browserPromise
+  }
+
+  /**
+   * Load a page in a fresh context and wait for it to settle
+   */
+  async open(url, { timeout = DEFAULTS.timeout, userAgent, guard, viewport } = {}) {
+    const browser = await this.browser()
+    const context = await browser.newContext({ ...(userAgent && { userAgent }), ...(viewport && { viewport }) })
+
+    try {
+      // Vet the page, its redirects and everything it loads
+      if (guard) {
+        await context.route('**/*', route => guard(route.request().url())
+          .then(() => route.continue(), () => route.abort('blockedbyclient')))
+      }
+
+      const page = await context.newPage()
+      const response = await page.goto(url, { waitUntil: 'load', timeout })
+      await waitForSettle(page, { quietMs: this.settleMs, maxMs: Math.min(this.settleTimeoutMs, timeout) })
+      return { context, page, status: response?.status() ?? 200 }
+    } catch (error) {
+      await context.close().catch(() => {})
+      throw error
+    }
+  }
+
+  async render(url, options = {}) {
+    const { context, page, status } = await this.open(url, options)
+    try {
+      return { status, url: page.url(), html: await page.content() }
+    } finally {
+      await context.close().catch(() => {})
+    }
+  }
+
+  /**
+   * Screenshot a page: the whole page as a PNG, and the first screen
+   * scaled down to `thumbnailWidth` as a JPEG
+   *
+   * Resolves to `{ status, url, fullPage, thumbnail, width, height }`
+   * (buffers, and the full page's size in CSS pixels).
+   */
+  async screenshot(url, { viewport = { width: 1280, height: 800 }, thumbnailWidth = 400, ...options } = {}) {
+    const { context, page, status } = await this.open(url, { ...options, viewport })
+    try {
+      const fullPage = await page.screenshot({ fullPage: true, type: 'png' })
+      const firstScreen = await page.screenshot({ type: 'png' })
+      const size = await page.evaluate(() => ({
+        width: document.documentElement.scrollWidth,
+        height: document.documentElement.scrollHeight
+      }))
+
+      // Let the browser do the scaling: draw the first screen at thumbnail size
+      const thumbnailHeight = Math.round(thumbnailWidth * viewport.height / viewport.width)
+      const thumbnailPage = await (await this.browser()).newPage({
+        viewport: { width: thumbnailWidth, height: thumbnailHeight }
+      })
+      try {
+        await thumbnailPage.setContent(
+          `<body style="margin:0"><img style="display:block;width:100%" src="data:image/png;base64,${firstScreen.toString('base64')}"></body>`
+        )
+        const thumbnail = await thumbnailPage.screenshot({ type: 'jpeg', quality: 80 })
+        return { status, url: page.url(), fullPage, thumbnail, ...size }
+      } finally {
+        await thumbnailPage.close().catch(() => {})
+      }
+    } finally {
+      await context.close().catch(() => {})
+    }
+  }
+
+  async close() {
+    const launching = this.browserPromise
+    this.browserPromise = null
+    if (!launching) return
+    const browser = await launching.catch(() => null)
+    await browser?.close()
+  }
+}
+
+export class RenderingTier {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.configure(options)
+    this.active = 0
+    this.waiting = []
+  }
+
+  /**
+   * Options: `renderer` (null turns the tier off), `concurrency` and
+   * `timeout` (ms per render, not counting time spent waiting for a slot)
+   */
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  get enabled() {
+    return Boolean(this.options.renderer)
+  }
+
+  async acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active++
+      return
+    }
+    // The releasing render hands its slot straight over
+    await new Promise(resolve => this.waiting.push(resolve))
+  }
+
+  release() {
+    const next = this.waiting.shift()
+    if (next) next()
+    else this.active--
+  }
+
+  /**
+   * Render a page, waiting for a free slot first
+   *
+   * Resolves to `{ status, url, html }`; a render that takes longer than
+   * `timeout` rejects with an `ETIMEDOUT` error.
+   */
+  async render(url, { userAgent, guard } = {}) {
+    const { renderer, timeout } = this.options
+    if (!renderer) throw new Error('No renderer configured')
+
+    await this.acquire()
+    let timer
+    try {
+      const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`Render timeout after ${timeout}ms`)
+          error.code = 'ETIMEDOUT'
+          reject(error)
+        }, timeout)
+      })
+      return await Promise.race([renderer.render(url, { timeout, userAgent, guard }), deadline])
+    } finally {
+      clearTimeout(timer)
+      this.release()
+    }
+  }
+
+  async close() {
+    await this.options.renderer?.close?.()
+  }
+}
+
+// Shared tier used by the scraper (off until a renderer is configured)
+export const renderingTier = new RenderingTier()
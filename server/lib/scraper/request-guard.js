@@ -0,0 +1,86 @@
+/**
+ * Abuse Protection for the Public Scrape, Image and Search Endpoints
+ *
+ * - `rateLimitRefusal(event, cost)` counts the request against the client's
+ *   rate limit (keyed on the Supabase user when signed in, else the IP;
+ *   `configureClientKeys({ trustedProxies })` says how many proxies in
+ *   front of the app to read X-Forwarded-For through);
+ *   `{ limiter, noun }` pick another limiter, e.g. the image proxy's
+ * - `requestClient(event)` says who that client is, and whether it is an
+ *   admin, for routes that act on a client's own jobs
+ * - `urlRefusal(url)` runs a URL through the shared URL guard
+ *
+ * Each resolves to null when the request may go ahead, or to the
+ * structured `validation_error` (with a `subtype`) to send back.
+ */
+
+import { serverSupabaseUser } from '#supabase/server'
+import { isAdmin } from '../admin-roles.js'
+import { ErrorTypes, ValidationSubtypes } from './error-handler.js'
+import { requestAddress, scrapeRateLimiter } from './rate-limiter.js'
+import { urlGuard } from './url-guard.js'
+
+// X-Forwarded-For is the client's to write unless a proxy is trusted
+const keyOptions = { trustedProxies: 0 }
+
+export function configureClientKeys({ trustedProxies } = {}) {
+  if (trustedProxies !== undefined) keyOptions.trustedProxies = trustedProxies
+}
+
+/**
+ * The client behind a request: `{ key, admin }`, where `key` is its
+ * rate-limit key and `admin` says whether it is signed in as an admin
+ */
+export async function requestClient(event) {
+  try {
+    const user = await serverSupabaseUser(event)
+    if (user?.id) {
+      const { scraper = {} } = useRuntimeConfig()
+      return { key: `user:${user.id}`, admin: isAdmin(user, scraper.adminRole || undefined) }
+    }
+  } catch {
+    // No session (or an expired one) - fall back to the address
+  }
+  return { key: `ip:${requestAddress(event, keyOptions)}`, admin: false }
+}
+
+/**
+ * Rate-limit key for the client behind a request
+ */
+export async function clientKey(event) {
+  return (await requestClient(event)).key
+}
+
+export async function rateLimitRefusal(event, cost = 1, { limiter = scrapeRateLimiter, noun = 'scrape' } = {}) {
+  const verdict = limiter.hit(await clientKey(event), { cost })
+
+  setResponseHeader(event, 'X-RateLimit-Limit', verdict.limit)
+  setResponseHeader(event, 'X-RateLimit-Remaining', verdict.remaining)
+  if (verdict.allowed) return null
+
+  const retryAfterSeconds = Math.ceil(verdict.retryAfterMs / 1000)
+  setResponseHeader(event, 'Retry-After', retryAfterSeconds)
+  return {
+    type: ErrorTypes.VALIDATION_ERROR,
+    subtype: ValidationSubtypes.RATE_LIMITED,
+    message: `Too many ${noun} requests, try again in ${retryAfterSeconds}s`,
+    canRetry: true,
+    retryAfterMs: verdict.retryAfterMs
+  }
+}
+
+export async function urlRefusal(url) {
+  try {
+    await urlGuard.check(url)
+    return null
+  } catch (error) {
+    // A host that does not resolve is left for the scrape to report as a dns_error
+    if (error.code !== 'EURLBLOCKED') return null
+    return {
+      type: ErrorTypes.VALIDATION_ERROR,
+      subtype: error.subtype,
+      message: error.message,
+      canRetry: false
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Client Request Options
+ *
+ * Picks the scrape and save options a client may set from a query string
+ * or JSON body, for `/api/scrape` and `/api/scrape/jobs`.
+ */
+
+// Longest timeout a client may ask for; each request holds a worker slot
+// and a socket for as long as it waits
+export const MAX_CLIENT_TIMEOUT_MS = 30 * 1000
+
+/**
+ * A client's `timeout` in milliseconds: a positive integer, capped at
+ * MAX_CLIENT_TIMEOUT_MS, or undefined (the scraper's default) for anything
+ * else
+ */
+export function parseTimeout(value) {
+  const timeout = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value
+  if (!Number.isSafeInteger(timeout) || timeout <= 0) return undefined
+  return Math.min(timeout, MAX_CLIENT_TIMEOUT_MS)
+}
+
+/**
+ * Scrape options: `timeout` (see `parseTimeout`), `force`, `archive: false`
+ * to skip the archive fallback, and `screenshot` (`false` to skip the
+ * screenshot of a saved scrap, `force` to take one even when the page has
+ * its own image)
+ *
+ * The User-Agent is not a client's to choose: it also picks the robots.txt
+ * group that applies, so another name could escape a site's rules for
+ * this scraper.
+ */
+export function parseScrapeOptions(input = {}) {
+  const options = {}
+
+  const timeout = parseTimeout(input.timeout)
+  if (timeout) options.timeout = timeout
+  if (input.force === true || input.force === 'true') options.force = true
+  if (input.archive === false || input.archive === 'false') options.archive = false
+  if (input.screenshot === false || input.screenshot === 'false') options.screenshot = false
+  if (input.screenshot === 'force') options.screenshot = 'force'
+
+  return options
+}
+
+/**
+ * Pick the scrap fields a client may set when saving
+ */
+export function parseSaveOptions(input = {}) {
+  const saveOptions = {}
+  
+  if (input.source) saveOptions.source = String(input.source)
+  if (input.type) saveOptions.type = String(input.type)
+  if (input.shared !== undefined) {
+    saveOptions.shared = input.shared === true || input.shared === 'true'
+  }
+  if (input.tags) {
+    const tags = Array.isArray(input.tags) ? input.tags : String(input.tags).split(',')
+    saveOptions.tags = tags.map(tag => String(tag).trim()).filter(Boolean)
+  }
+  
+  return saveOptions
+}
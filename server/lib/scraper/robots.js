@@ -0,0 +1,174 @@
+/**
+ * robots.txt Parsing and Caching
+ *
+ * Follows RFC 9309: groups are selected by user-agent product token (falling
+ * back to `*`), the longest matching rule wins and `Allow` wins ties.
+ * `Crawl-delay` is not in the RFC but is widely used, so it is read too.
+ *
+ * Fetch outcomes:
+ * - 2xx → parse the file
+ * - 4xx → no restrictions
+ * - 5xx → everything disallowed until the entry expires
+ * - network error → no restrictions (the page fetch will report the real error)
+ */
+
+import { HttpClient } from './http-client.js'
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000
+const ERROR_TTL_MS = 5 * 60 * 1000
+const ROBOTS_TIMEOUT_MS = 5000
+const ROBOTS_MAX_BYTES = 500 * 1024
+
+const ALLOW_ALL = { groups: [] }
+const DISALLOW_ALL = { groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }] }
+
+/**
+ * Parse robots.txt into `{ groups: [{ agents, rules: [{ allow, path }], crawlDelay }] }`
+ */
+export function parseRobots(text = '') {
+  const groups = []
+  let current = null
+  let collectingAgents = false
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim()
+    const separator = line.indexOf(':')
+    if (separator === -1) continue
+
+    const key = line.slice(0, separator).trim().toLowerCase()
+    const value = line.slice(separator + 1).trim()
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null }
+        groups.push(current)
+      }
+      current.agents.push(value.toLowerCase())
+      collectingAgents = true
+      continue
+    }
+
+    collectingAgents = false
+    if (!current) continue
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: value })
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value)
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay
+    }
+  }
+
+  return { groups }
+}
+
+/**
+ * Product token of a User-Agent string ("Demo-Scraper/1.0 (+url)" → "demo-scraper")
+ */
+function productToken(userAgent) {
+  return String(userAgent || '').split(/[/\s]/)[0].toLowerCase()
+}
+
+/**
+ * Rules and crawl delay that apply to a user agent
+ */
+export function selectGroup(robots, userAgent) {
+  const token = productToken(userAgent)
+  const specific = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && agent === token))
+  const groups = specific.length
+    ? specific
+    : robots.groups.filter(group => group.agents.includes('*'))
+
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null)
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null
+  }
+}
+
+function ruleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith('$')
+  const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(path)
+}
+
+/**
+ * Check a URL path (with query) against a parsed robots.txt
+ *
+ * Returns `{ allowed, rule, crawlDelay }`.
+ */
+export function checkRobots(robots, path, userAgent) {
+  const { rules, crawlDelay } = selectGroup(robots, userAgent)
+  if (path === '/robots.txt') return { allowed: true, rule: null, crawlDelay }
+
+  let match = null
+  for (const rule of rules) {
+    if (!ruleMatches(rule.path, path)) continue
+    const longer = !match || rule.path.length > match.path.length
+    const allowWinsTie = match && rule.path.length === match.path.length && rule.allow
+    if (longer || allowWinsTie) match = rule
+  }
+
+  return { allowed: !match || match.allow, rule: match, crawlDelay }
+}
+
+/**
+ * Per-origin robots.txt cache with in-flight request sharing
+ */
+export class RobotsCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS
+    this.errorTtlMs = options.errorTtlMs ?? ERROR_TTL_MS
+    this.transport = options.transport || HttpClient
+    this.entries = new Map() // origin -> { robots, expiresAt }
+    this.pending = new Map() // origin -> Promise
+  }
+
+  async get(url, { userAgent, transport } = {}) {
+    const { origin } = new URL(url)
+    const entry = this.entries.get(origin)
+    if (entry && entry.expiresAt > Date.now()) return entry.robots
+
+    if (!this.pending.has(origin)) {
+      const request = this.fetchRobots(origin, { userAgent, transport: transport || this.transport })
+        .then(({ robots, ttlMs }) => {
+          this.entries.set(origin, { robots, expiresAt: Date.now() + ttlMs })
+          return robots
+        })
+        .finally(() => this.pending.delete(origin))
+      this.pending.set(origin, request)
+    }
+    return this.pending.get(origin)
+  }
+
+  async fetchRobots(origin, { userAgent, transport }) {
+    try {
+      const response = await transport.fetch(`${origin}/robots.txt`, {
+        timeout: ROBOTS_TIMEOUT_MS,
+        maxBytes: ROBOTS_MAX_BYTES,
+        headers: userAgent ? { 'User-Agent': userAgent } : {}
+      })
+
+      if (response.status >= 500) return { robots: DISALLOW_ALL, ttlMs: this.errorTtlMs }
+      if (response.status >= 400) return { robots: ALLOW_ALL, ttlMs: this.ttlMs }
+      return { robots: parseRobots(await response.text()), ttlMs: this.ttlMs }
+    } catch {
+      return { robots: ALLOW_ALL, ttlMs: this.errorTtlMs }
+    }
+  }
+
+  /**
+   * Forget one URL's site (or every site); returns how many were cached
+   */
+  clear(url = null) {
+    if (url) {
+      return this.entries.delete(new URL(url).origin) ? 1 : 0
+    }
+    const count = this.entries.size
+    this.entries.clear()
+    return count
+  }
+}
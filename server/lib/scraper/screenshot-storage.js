@@ -0,0 +1,84 @@
+/**
+ * Screenshot Storage Backends
+ *
+ * Where captured screenshots are kept. Every backend implements:
+ * - put(key, body, contentType) → public URL of the stored file
+ * - get(key)                    → `{ body, contentType }`, or null (file storage only)
+ *
+ * Keys look like `<scrap id>/<capture time>-full.png`; a re-capture gets
+ * new keys, so cached copies of the old shot never mask the new one.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises'
+import { dirname, extname, resolve, sep } from 'path'
+
+export const SCREENSHOT_BUCKET = 'screenshots'
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+}
+
+/**
+ * Local directory, served by the `/screenshots/**` route - for development
+ * and tests
+ */
+export class FileScreenshotStorage {
+  constructor({ dir = '.data/screenshots', baseUrl = '/screenshots' } = {}) {
+    this.name = 'file'
+    this.dir = dir
+    this.baseUrl = baseUrl.replace(/\/$/, '')
+  }
+
+  // Keys never leave the storage directory
+  path(key) {
+    const path = resolve(this.dir, key)
+    if (!path.startsWith(resolve(this.dir) + sep)) throw new Error(`Invalid screenshot key: ${key}`)
+    return path
+  }
+
+  async put(key, body) {
+    const path = this.path(key)
+    await mkdir(dirname(path), { recursive: true })
+    await writeFile(path, body)
+    return `${this.baseUrl}/${key}`
+  }
+
+  async get(key) {
+    try {
+      return {
+        body: await readFile(this.path(key)),
+        contentType: CONTENT_TYPES[extname(key)] || 'application/octet-stream'
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid screenshot key')) return null
+      throw error
+    }
+  }
+}
+
+/**
+ * Public Supabase Storage bucket (see the `screenshots` bucket migration)
+ */
+export class SupabaseScreenshotStorage {
+  constructor(client, { bucket = SCREENSHOT_BUCKET } = {}) {
+    this.name = 'supabase'
+    this.getClient = typeof client === 'function' ? client : () => client
+    this.bucket = bucket
+  }
+
+  files() {
+    return this.getClient().storage.from(this.bucket)
+  }
+
+  async put(key, body, contentType) {
+    const { error } = await this.files().upload(key, body, {
+      contentType,
+      upsert: true,
+      // Keys are never reused, so the files can be cached for good
+      cacheControl: '31536000'
+    })
+    if (error) throw error
+    return this.files().getPublicUrl(key).data.publicUrl
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Screenshot Capture Pipeline
+ *
+ * Saved scraps without an image of their own get a screenshot: the page is
+ * loaded in the headless browser, the full page and a thumbnail of the
+ * first screen go to the storage backend (screenshot-storage.js), and the
+ * URLs are written back to the scrap (`screenshot_url` and
+ * `metadata.screenshot.thumb_url`).
+ *
+ * Captures run in the background, after the scrape has returned. The queue
+ * runs `concurrency` captures at once and starts one at most every
+ * `intervalMs`; past `maxQueued` waiting scraps new ones are turned away.
+ * It is off until a renderer with `screenshot()`, a storage backend and a
+ * Supabase client are configured.
+ */
+
+import { saveScreenshot } from './persist.js'
+
+const DEFAULTS = {
+  renderer: null,
+  storage: null,
+  // Supabase client, or a function returning one
+  supabase: null,
+  // Vets every URL the page loads (see url-guard.js)
+  urlGuard: null,
+  concurrency: 1,
+  intervalMs: 5000,
+  maxQueued: 200,
+  timeout: 30000,
+  viewport: { width: 1280, height: 800 },
+  thumbnailWidth: 400,
+  userAgent: 'Demo-Scraper/1.0'
+}
+
+// Why a scrap was not queued
+export const ScreenshotSkips = {
+  DISABLED: 'disabled',
+  NO_URL: 'no_url',
+  HAS_IMAGE: 'has_image',
+  HAS_SCREENSHOT: 'has_screenshot',
+  ARCHIVED: 'archived',
+  ALREADY_QUEUED: 'already_queued',
+  QUEUE_FULL: 'queue_full'
+}
+
+/**
+ * Whether the page declared its own share image (og:image or twitter:image)
+ */
+export function hasShareImage(scrap) {
+  const metadata = scrap.metadata || {}
+  return Boolean(metadata.lead_image) ||
+    Boolean(metadata.images?.some(image => image.source === 'opengraph' || image.source === 'twitter'))
+}
+
+export class ScreenshotQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS }
+    this.configure(options)
+    this.pending = []
+    this.queued = new Set()
+    this.active = 0
+    this.nextStartAt = 0
+    this.timer = null
+    this.idleWaiters = []
+    this.stats = { captured: 0, failed: 0, skipped: 0 }
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  get enabled() {
+    const { renderer, storage, supabase } = this.options
+    return Boolean(renderer?.screenshot && storage && supabase)
+  }
+
+  getSupabase() {
+    const { supabase } = this.options
+    return typeof supabase === 'function' ? supabase() : supabase
+  }
+
+  /**
+   * Queue a saved scrap (`{ id, url, screenshot_url, metadata }`) for capture
+   *
+   * Scraps that already have a screenshot or a share image are skipped
+   * unless `force` is set; archived scraps always are (the live page is
+   * gone or paywalled). Returns `{ queued, reason }` straight away.
+   */
+  enqueue(scrap, { force = false } = {}) {
+    const skip = reason => {
+      this.stats.skipped++
+      return { queued: false, reason }
+    }
+
+    if (!this.enabled) return { queued: false, reason: ScreenshotSkips.DISABLED }
+    if (!scrap?.id || !scrap.url) return skip(ScreenshotSkips.NO_URL)
+    if (scrap.metadata?.archive) return skip(ScreenshotSkips.ARCHIVED)
+    if (!force && scrap.screenshot_url) return skip(ScreenshotSkips.HAS_SCREENSHOT)
+    if (!force && hasShareImage(scrap)) return skip(ScreenshotSkips.HAS_IMAGE)
+    if (this.queued.has(scrap.id)) return skip(ScreenshotSkips.ALREADY_QUEUED)
+    if (this.pending.length >= this.options.maxQueued) return skip(ScreenshotSkips.QUEUE_FULL)
+
+    this.queued.add(scrap.id)
+    this.pending.push({ id: scrap.id, url: scrap.url })
+    this.pump()
+    return { queued: true }
+  }
+
+  // Start whatever the concurrency limit and the interval allow
+  pump() {
+    const { concurrency, intervalMs } = this.options
+
+    while (this.active < concurrency && this.pending.length) {
+      const wait = this.nextStartAt - Date.now()
+      if (wait > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null
+            this.pump()
+          }, wait)
+          // Only a drain() caller keeps the process alive for the queue
+          if (!this.idleWaiters.length) this.timer.unref?.()
+        }
+        return
+      }
+
+      const item = this.pending.shift()
+      this.nextStartAt = Date.now() + intervalMs
+      this.active++
+      this.run(item).finally(() => {
+        this.active--
+        this.queued.delete(item.id)
+        this.pump()
+        if (!this.active && !this.pending.length) this.idleWaiters.splice(0).forEach(resolve => resolve())
+      })
+    }
+  }
+
+  async run(item) {
+    try {
+      await this.capture(item)
+      this.stats.captured++
+    } catch (error) {
+      this.stats.failed++
+      console.error(`[SCREENSHOTS] Failed to capture ${item.url}:`, error.message)
+    }
+  }
+
+  /**
+   * Capture one scrap now and write the URLs back (throws on failure)
+   */
+  async capture({ id, url }) {
+    const { renderer, storage, urlGuard, timeout, viewport, thumbnailWidth, userAgent } = this.options
+
+    let timer
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Screenshot timeout after ${timeout}ms`)
+        error.code = 'ETIMEDOUT'
+        reject(error)
+      }, timeout)
+    })
+
+    let shot
+    try {
+      shot = await Promise.race([
+        renderer.screenshot(url, {
+          timeout,
+          userAgent,
+          viewport,
+          thumbnailWidth,
+          ...(urlGuard && { guard: pageUrl => urlGuard.check(pageUrl) })
+        }),
+        deadline
+      ])
+    } finally {
+      clearTimeout(timer)
+    }
+    if (shot.status >= 400) throw new Error(`Page returned ${shot.status}`)
+
+    const capturedAt = new Date().toISOString()
+    const stamp = capturedAt.replace(/[-:.]/g, '')
+    const [fullUrl, thumbnailUrl] = await Promise.all([
+      storage.put(`${id}/${stamp}-full.png`, shot.fullPage, 'image/png'),
+      storage.put(`${id}/${stamp}-thumb.jpg`, shot.thumbnail, 'image/jpeg')
+    ])
+
+    return await saveScreenshot(this.getSupabase(), id, {
+      url: fullUrl,
+      thumbnailUrl,
+      width: shot.width ?? null,
+      height: shot.height ?? null,
+      capturedAt
+    })
+  }
+
+  /**
+   * Resolves once nothing is queued or running
+   */
+  drain() {
+    if (!this.active && !this.pending.length) return Promise.resolve()
+    this.timer?.ref?.()
+    return new Promise(resolve => this.idleWaiters.push(resolve))
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      queued: this.pending.length,
+      active: this.active,
+      ...this.stats
+    }
+  }
+
+  async close() {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.pending.forEach(item => this.queued.delete(item.id))
+    this.pending = []
+    if (!this.active) this.idleWaiters.splice(0).forEach(resolve => resolve())
+  }
+}
+
+// Shared queue the scrape routes, job worker and feed poller feed into
+export const screenshotQueue = new ScreenshotQueue()
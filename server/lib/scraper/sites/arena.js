@@ -0,0 +1,93 @@
+/**
+ * Are.na
+ *
+ * Blocks and channels are read from the v2 API. A block's class (Text,
+ * Image, Link, Media, Attachment) decides its type; channel pages become
+ * a `channel` with their title and description.
+ */
+
+import { htmlToText } from './text.js'
+
+// Are.na block classes → scrap types
+const BLOCK_TYPES = {
+  Text: 'note',
+  Image: 'image',
+  Link: 'link',
+  Media: 'video',
+  Attachment: 'file'
+}
+
+// Top-level paths that are Are.na pages rather than users
+const RESERVED_PATHS = new Set(['about', 'blog', 'explore', 'feed', 'pricing', 'search', 'settings', 'notifications'])
+
+/**
+ * `{ kind: 'block', id }` or `{ kind: 'channel', slug }` for an Are.na URL, else null
+ */
+export function parseArenaUrl(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean)
+
+  if (segments[0] === 'block' && /^\d+$/.test(segments[1] || '')) return { kind: 'block', id: segments[1] }
+  if (segments.length === 2 && !RESERVED_PATHS.has(segments[0])) return { kind: 'channel', slug: segments[1] }
+  return null
+}
+
+function blockContent(json) {
+  if (json.class === 'Text') return htmlToText(json.content_html) || json.content || ''
+  return htmlToText(json.description_html) || json.description || ''
+}
+
+export const arenaAdapter = {
+  name: 'arena',
+  hosts: ['are.na'],
+  match: ({ hostname }) => hostname !== 'api.are.na',
+  source: 'arena',
+
+  endpoint(url) {
+    const target = parseArenaUrl(url)
+    if (!target) return null
+    return target.kind === 'block'
+      ? `https://api.are.na/v2/blocks/${target.id}`
+      : `https://api.are.na/v2/channels/${target.slug}?per=0`
+  },
+
+  extract({ json, url }) {
+    const author = json.user?.full_name || json.user?.username || null
+
+    if (json.base_class === 'Channel' || json.class === 'Channel') {
+      return {
+        type: 'channel',
+        title: json.title,
+        content: htmlToText(json.metadata?.description) || '',
+        summary: json.metadata?.description ? htmlToText(json.metadata.description) : null,
+        published_at: json.created_at || null,
+        url,
+        metadata: {
+          author,
+          site_name: 'Are.na',
+          source_data: { provider: 'Are.na', channel_id: json.id, length: json.length ?? null, status: json.status || null }
+        }
+      }
+    }
+
+    const image = json.image?.display?.url || json.image?.original?.url
+    return {
+      type: BLOCK_TYPES[json.class] || 'article',
+      title: json.title || json.generated_title || null,
+      content: blockContent(json),
+      published_at: json.created_at || null,
+      url,
+      metadata: {
+        author,
+        site_name: 'Are.na',
+        images: image ? [{ url: image }] : [],
+        ...(json.source?.url && { original_url: json.source.url }),
+        source_data: {
+          provider: 'Are.na',
+          block_id: json.id,
+          block_class: json.class,
+          ...(json.attachment?.url && { attachment_url: json.attachment.url })
+        }
+      }
+    }
+  }
+}
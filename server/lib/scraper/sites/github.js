@@ -0,0 +1,84 @@
+/**
+ * GitHub
+ *
+ * Repository pages are read from the REST API (description, topics, stars,
+ * language); other pages (issues, pull requests, gists) go through the
+ * generic extractor with GitHub's own markup picked out by selectors.
+ */
+
+// Top-level paths that are GitHub features rather than owners
+const RESERVED_OWNERS = new Set([
+  'about', 'collections', 'explore', 'features', 'login', 'marketplace',
+  'notifications', 'orgs', 'pricing', 'search', 'settings', 'sponsors',
+  'topics', 'trending'
+])
+
+/**
+ * `{ owner, repo }` for a repository's front page (or its tree/README), else null
+ */
+export function parseRepository(url) {
+  const { hostname, pathname } = new URL(url)
+  if (hostname !== 'github.com' && hostname !== 'www.github.com') return null
+
+  const [owner, repo, section] = pathname.split('/').filter(Boolean)
+  if (!owner || !repo || RESERVED_OWNERS.has(owner.toLowerCase())) return null
+  if (section && section !== 'tree' && section !== 'blob') return null
+  if (section === 'blob' && !/readme/i.test(pathname)) return null
+
+  return { owner, repo: repo.replace(/\.git$/, '') }
+}
+
+export const githubAdapter = {
+  name: 'github',
+  hosts: ['github.com'],
+  source: 'github',
+  type: 'article',
+
+  endpoint(url) {
+    const repository = parseRepository(url)
+    return repository ? `https://api.github.com/repos/${repository.owner}/${repository.repo}` : null
+  },
+
+  extract({ json, url }) {
+    return {
+      type: 'repository',
+      title: json.full_name,
+      summary: json.description || null,
+      content: [json.description, json.topics?.length ? `Topics: ${json.topics.join(', ')}` : null]
+        .filter(Boolean)
+        .join('\n\n'),
+      published_at: json.created_at || null,
+      url: json.html_url || url,
+      metadata: {
+        author: json.owner?.login || null,
+        site_name: 'GitHub',
+        images: json.owner?.avatar_url ? [{ url: json.owner.avatar_url }] : [],
+        source_data: {
+          provider: 'GitHub',
+          stars: json.stargazers_count ?? null,
+          forks: json.forks_count ?? null,
+          language: json.language || null,
+          topics: json.topics || [],
+          license: json.license?.spdx_id || null,
+          homepage: json.homepage || null,
+          archived: Boolean(json.archived),
+          pushed_at: json.pushed_at || null
+        }
+      }
+    }
+  },
+
+  // Issues, pull requests, discussions and gists
+  selectors: {
+    title: '.js-issue-title, .gh-header-title .markdown-title, [itemprop="name"] strong',
+    content: '.js-comment-body, .markdown-body',
+    author: '.gh-header-meta .author, .timeline-comment-header .author',
+    published_at: '.gh-header-meta relative-time, .timeline-comment-header relative-time'
+  },
+
+  postProcess(article, { url }) {
+    const [, , section] = new URL(url).pathname.split('/').filter(Boolean)
+    const type = { issues: 'issue', pull: 'pull_request', discussions: 'discussion' }[section]
+    return { ...article, ...(type && { type }) }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Per-Site Extraction Adapters
+ *
+ * Some sources have well-known structures the generic extractor handles
+ * poorly. An adapter, matched by hostname, can take over part of the job:
+ *
+ *   {
+ *     name: 'github',
+ *     hosts: ['github.com'],          // each entry covers its subdomains; RegExps work too
+ *     match(url),                     // optional extra check on the parsed URL
+ *     source: 'github',               // `scraps.source` for pages it handles
+ *     type: 'repository',             // `scraps.type` (or set it in extract/postProcess)
+ *     endpoint(url),                  // optional: JSON URL to fetch instead of the page
+ *     extract({ json, url }),         // fields from the endpoint's JSON
+ *     selectors: { title, content, summary, author, published_at },
+ *     postProcess(article, { url, document, json })
+ *   }
+ *
+ * When `endpoint` returns a URL, that is fetched and `extract` builds the
+ * article; otherwise the page goes through the generic extractor and then
+ * the adapter's `selectors` and `postProcess`. Pages no adapter matches are
+ * left to the generic path.
+ */
+
+import { parseHTML } from 'linkedom'
+import { githubAdapter } from './github.js'
+import { youtubeAdapter } from './youtube.js'
+import { arenaAdapter } from './arena.js'
+import { mastodonAdapter } from './mastodon.js'
+import { htmlToText, normalizeText } from './text.js'
+
+// Fields an adapter's `selectors` can fill from the page
+const SELECTOR_FIELDS = ['title', 'content', 'summary', 'author', 'published_at']
+
+function matchesHost(hostname, hosts) {
+  return hosts.some(host => host instanceof RegExp
+    ? host.test(hostname)
+    : hostname === host || hostname.endsWith(`.${host}`))
+}
+
+export class SiteRegistry {
+  constructor(adapters = []) {
+    this.adapters = []
+    adapters.forEach(adapter => this.register(adapter))
+  }
+
+  /**
+   * Add an adapter; one registered with the name of an existing adapter replaces it
+   */
+  register(adapter) {
+    if (!adapter?.name || !adapter.hosts?.length) {
+      throw new Error('A site adapter needs a `name` and at least one host')
+    }
+    this.unregister(adapter.name)
+    this.adapters.push(adapter)
+    return this
+  }
+
+  unregister(name) {
+    this.adapters = this.adapters.filter(adapter => adapter.name !== name)
+  }
+
+  /**
+   * The adapter for a URL, or null
+   */
+  match(url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch {
+      return null
+    }
+    const hostname = parsed.hostname.toLowerCase()
+    return this.adapters.find(adapter =>
+      matchesHost(hostname, adapter.hosts) && (!adapter.match || adapter.match(parsed))
+    ) || null
+  }
+}
+
+/**
+ * Article fields in the shape the generic extractor returns
+ */
+export function siteArticle(fields = {}) {
+  const { metadata = {}, ...rest } = fields
+  return {
+    title: null,
+    content: '',
+    summary: null,
+    published_at: null,
+    url: null,
+    ...rest,
+    metadata: { images: [], ...metadata }
+  }
+}
+
+/**
+ * Fill fields from the adapter's selectors (first non-empty match wins)
+ */
+function applySelectors(article, document, selectors = {}) {
+  const result = { ...article, metadata: { ...article.metadata } }
+
+  for (const field of SELECTOR_FIELDS) {
+    if (!selectors[field]) continue
+    const node = document.querySelector(selectors[field])
+    if (!node) continue
+
+    const value = field === 'published_at'
+      ? node.getAttribute('datetime') || node.getAttribute('content') || normalizeText(node.textContent)
+      : field === 'content'
+        ? htmlToText(node.innerHTML)
+        : node.getAttribute('content') || normalizeText(node.textContent)
+    if (!value) continue
+
+    if (field === 'author') result.metadata.author = value
+    else if (field === 'published_at') {
+      const date = new Date(value)
+      if (!Number.isNaN(date.getTime())) result.published_at = date.toISOString()
+    } else result[field] = value
+  }
+
+  return result
+}
+
+/**
+ * Build an article with a site adapter
+ *
+ * `format` is `json` when `body` came from the adapter's endpoint, else
+ * `html`; `generic()` runs the generic extractor on an HTML body.
+ */
+export async function extractWithAdapter(adapter, body, url, { format = 'html', generic }) {
+  let article
+  let document = null
+  let json = null
+
+  if (format === 'json') {
+    try {
+      json = JSON.parse(body)
+    } catch (parseError) {
+      const error = new Error(`${adapter.name} endpoint did not return JSON`)
+      error.code = 'EPARSE'
+      error.cause = parseError
+      throw error
+    }
+    article = siteArticle(adapter.extract({ json, url }))
+  } else {
+    article = await generic()
+    ;({ document } = parseHTML(body || '<html><body></body></html>'))
+    article = applySelectors(article, document, adapter.selectors)
+  }
+
+  if (adapter.postProcess) {
+    article = adapter.postProcess(article, { url, document, json }) || article
+  }
+
+  return {
+    ...article,
+    type: article.type || adapter.type || null,
+    source: article.source || adapter.source || null,
+    metadata: { ...article.metadata, site_adapter: adapter.name }
+  }
+}
+
+// Shared registry used by the scraper, with the built-in adapters
+export const siteRegistry = new SiteRegistry([githubAdapter, youtubeAdapter, arenaAdapter, mastodonAdapter])
@@ -0,0 +1,87 @@
+/**
+ * Mastodon
+ *
+ * Status pages on the known instances are read from the instance's own
+ * API (`/api/v1/statuses/:id`), which needs no token for public posts.
+ * Other instances can be added with `siteRegistry.register()`; see
+ * `mastodonAdapterFor(hosts)`.
+ */
+
+import { htmlToText } from './text.js'
+
+export const MASTODON_INSTANCES = [
+  'mastodon.social',
+  'mastodon.online',
+  'hachyderm.io',
+  'fosstodon.org',
+  'mas.to',
+  'infosec.exchange',
+  'mstdn.social'
+]
+
+/**
+ * Status id for `/@user/:id` (and `/users/:user/statuses/:id`), else null
+ */
+export function parseStatusId(url) {
+  const { pathname } = new URL(url)
+  const match = pathname.match(/^\/@[\w.-]+(?:@[\w.-]+)?\/(\d+)\/?$/) ||
+    pathname.match(/^\/users\/[\w.-]+\/statuses\/(\d+)\/?$/)
+  return match ? match[1] : null
+}
+
+/**
+ * A Mastodon adapter for a list of instance hostnames
+ */
+export function mastodonAdapterFor(hosts) {
+  return {
+    name: 'mastodon',
+    hosts,
+    source: 'mastodon',
+    type: 'post',
+
+    endpoint(url) {
+      const id = parseStatusId(url)
+      return id ? `${new URL(url).origin}/api/v1/statuses/${id}` : null
+    },
+
+    extract({ json, url }) {
+      // A boost's content lives on the boosted status
+      const status = json.reblog || json
+      const author = status.account?.display_name || status.account?.username || null
+      const content = htmlToText(status.content)
+      const images = (status.media_attachments || [])
+        .filter(media => media.type === 'image' || media.type === 'gifv')
+        .map(media => ({
+          url: media.url,
+          alt: media.description || null,
+          width: media.meta?.original?.width ?? null,
+          height: media.meta?.original?.height ?? null
+        }))
+
+      return {
+        title: author ? `${author}: ${content.split('\n')[0].slice(0, 80)}` : content.slice(0, 80),
+        content,
+        summary: status.spoiler_text || null,
+        published_at: status.created_at || null,
+        url: status.url || url,
+        metadata: {
+          author,
+          site_name: new URL(url).hostname,
+          images,
+          ...(status.card?.url && { link: { url: status.card.url, title: status.card.title || null } }),
+          source_data: {
+            provider: 'Mastodon',
+            status_id: status.id,
+            account: status.account?.acct || null,
+            replies: status.replies_count ?? null,
+            boosts: status.reblogs_count ?? null,
+            favourites: status.favourites_count ?? null,
+            tags: (status.tags || []).map(tag => tag.name)
+          }
+        }
+      }
+    }
+  }
+}
+
+export const mastodonAdapter = mastodonAdapterFor(MASTODON_INSTANCES)
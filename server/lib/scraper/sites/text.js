@@ -0,0 +1,26 @@
+/**
+ * Text helpers shared by the site adapters
+ */
+
+import { parseHTML } from 'linkedom'
+
+export function normalizeText(text = '') {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Plain paragraphs from a fragment of HTML (post bodies, descriptions)
+ */
+export function htmlToText(html = '') {
+  if (!html) return ''
+  const { document } = parseHTML(`<html><body>${html}</body></html>`)
+  for (const br of document.querySelectorAll('br')) br.replaceWith('\n')
+
+  const blocks = [...document.querySelectorAll('p, li, blockquote, pre, h1, h2, h3')]
+    .filter(node => !node.parentElement?.closest('p, li, blockquote, pre'))
+  const texts = (blocks.length ? blocks : [document.body])
+    .map(node => node.textContent.split('\n').map(normalizeText).filter(Boolean).join('\n'))
+    .filter(Boolean)
+
+  return texts.join('\n\n')
+}
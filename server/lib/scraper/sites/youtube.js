@@ -0,0 +1,71 @@
+/**
+ * YouTube
+ *
+ * Video pages are script-heavy and consent-walled, so videos are read from
+ * the oEmbed endpoint instead (title, channel, thumbnail, player HTML).
+ */
+
+const VIDEO_ID = /^[\w-]{11}$/
+
+/**
+ * The video id behind any of YouTube's URL shapes (watch, youtu.be,
+ * shorts, embed, live), else null
+ */
+export function parseVideoId(url) {
+  const { hostname, pathname, searchParams } = new URL(url)
+  const segments = pathname.split('/').filter(Boolean)
+
+  const id = hostname === 'youtu.be'
+    ? segments[0]
+    : segments[0] === 'watch'
+      ? searchParams.get('v')
+      : ['shorts', 'embed', 'live', 'v'].includes(segments[0]) ? segments[1] : null
+
+  return id && VIDEO_ID.test(id) ? id : null
+}
+
+export const youtubeAdapter = {
+  name: 'youtube',
+  hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+  source: 'youtube',
+  type: 'video',
+
+  endpoint(url) {
+    const id = parseVideoId(url)
+    if (!id) return null
+    const watchUrl = `https://www.youtube.com/watch?v=${id}`
+    return `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`
+  },
+
+  extract({ json, url }) {
+    const id = parseVideoId(url)
+    return {
+      title: json.title,
+      content: json.author_name ? `${json.title} by ${json.author_name}` : json.title,
+      url: `https://www.youtube.com/watch?v=${id}`,
+      metadata: {
+        author: json.author_name || null,
+        site_name: 'YouTube',
+        images: json.thumbnail_url
+          ? [{ url: json.thumbnail_url, width: json.thumbnail_width ?? null, height: json.thumbnail_height ?? null }]
+          : [],
+        embed: {
+          type: json.type || 'video',
+          html: json.html || null,
+          width: json.width ?? null,
+          height: json.height ?? null
+        },
+        source_data: {
+          provider: 'YouTube',
+          video_id: id,
+          channel_url: json.author_url || null
+        }
+      }
+    }
+  },
+
+  // Channel and playlist pages fall back to the generic extractor
+  postProcess(article, { url }) {
+    return parseVideoId(url) ? article : { ...article, type: 'article' }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Scrape Telemetry Sinks
+ *
+ * One event per finished scrape operation:
+ *
+ *   { timestamp, outcome, url, domain, error_type, error_subtype,
+ *     http_status, latency_ms, attempts, source, tier }
+ *
+ * Every sink implements the same async interface:
+ * - write(events)                        → append a batch
+ * - read({ since, until, domain, limit }) → matching events, oldest first
+ */
+
+import { createReadStream } from 'fs'
+import { appendFile, mkdir } from 'fs/promises'
+import { dirname } from 'path'
+import { createInterface } from 'readline'
+
+export const TELEMETRY_TABLE = 'scraper_events'
+
+// Most events one read returns; the dashboard summarizes in memory
+const DEFAULT_READ_LIMIT = 50000
+
+function matches(event, { since, until, domain } = {}) {
+  return (!since || event.timestamp >= since) &&
+    (!until || event.timestamp < until) &&
+    (!domain || event.domain === domain)
+}
+
+/**
+ * Process-local sink (default) - keeps the latest `capacity` events
+ */
+export class MemoryTelemetrySink {
+  constructor({ capacity = 10000 } = {}) {
+    this.name = 'memory'
+    this.capacity = capacity
+    this.events = []
+  }
+
+  async write(events) {
+    this.events.push(...events.map(event => ({ ...event })))
+    if (this.events.length > this.capacity) {
+      this.events.splice(0, this.events.length - this.capacity)
+    }
+  }
+
+  async read({ limit = DEFAULT_READ_LIMIT, ...filter } = {}) {
+    return this.events.filter(event => matches(event, filter)).slice(-limit)
+  }
+}
+
+/**
+ * Newline-delimited JSON file - one event per line, appended
+ *
+ * Small appends are atomic, so several processes on one machine can share
+ * the file. Nothing is ever removed; rotate or truncate it from outside.
+ */
+export class NdjsonTelemetrySink {
+  constructor(path = '.data/scrape-events.ndjson') {
+    this.name = 'file'
+    this.path = path
+  }
+
+  async write(events) {
+    if (!events.length) return
+    await mkdir(dirname(this.path), { recursive: true })
+    await appendFile(this.path, events.map(event => JSON.stringify(event)).join('\n') + '\n')
+  }
+
+  async read({ limit = DEFAULT_READ_LIMIT, ...filter } = {}) {
+    const events = []
+    const input = createReadStream(this.path, 'utf8')
+
+    try {
+      for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+        if (!line.trim()) continue
+        let event
+        try {
+          event = JSON.parse(line)
+        } catch {
+          // A line cut short by a crash
+          continue
+        }
+        if (!matches(event, filter)) continue
+        events.push(event)
+        if (events.length > limit) events.shift()
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    return events
+  }
+}
+
+/**
+ * Supabase table sink - shared by every server instance
+ *
+ * Accepts a client or a function returning one, so the client can be
+ * created lazily.
+ */
+export class SupabaseTelemetrySink {
+  constructor(client, { table = TELEMETRY_TABLE } = {}) {
+    this.name = 'supabase'
+    this.getClient = typeof client === 'function' ? client : () => client
+    this.table = table
+  }
+
+  query() {
+    return this.getClient().from(this.table)
+  }
+
+  async write(events) {
+    if (!events.length) return
+    const { error } = await this.query().insert(events)
+    if (error) throw error
+  }
+
+  async read({ since, until, domain, limit = DEFAULT_READ_LIMIT } = {}) {
+    // Newest first so the limit keeps the most recent events
+    let query = this.query().select('*').order('timestamp', { ascending: false }).limit(limit)
+    if (since) query = query.gte('timestamp', since)
+    if (until) query = query.lt('timestamp', until)
+    if (domain) query = query.eq('domain', domain)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.reverse()
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Scrape Telemetry
+ *
+ * The error handler reports every finished operation here as a structured
+ * event (see telemetry-sinks.js for the shape): its outcome (`success`,
+ * `unchanged` or `failure`), the `ErrorTypes` value for failures, domain,
+ * latency and attempt count. Events are buffered and written to the
+ * configured sink in batches; a sink that fails only costs those events,
+ * never the scrape.
+ *
+ * `summarizeEvents` turns events into the failure rates by domain, error
+ * type and time bucket that the failure dashboard draws.
+ */
+
+import { MemoryTelemetrySink } from './telemetry-sinks.js'
+
+export const ScrapeOutcomes = {
+  SUCCESS: 'success',
+  UNCHANGED: 'unchanged',
+  FAILURE: 'failure'
+}
+
+const DEFAULTS = {
+  sink: null,
+  // Events written per batch, and the longest an event waits in the buffer
+  batchSize: 50,
+  flushIntervalMs: 5000,
+  // Events kept while the sink is failing, before the oldest are dropped
+  maxBuffered: 5000
+}
+
+export class ScrapeTelemetry {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, sink: new MemoryTelemetrySink() }
+    this.configure(options)
+    this.buffer = []
+    this.timer = null
+    this.flushing = null
+  }
+
+  /**
+   * Options: `sink` (null turns telemetry off), `batchSize`,
+   * `flushIntervalMs`, `maxBuffered`
+   */
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined)
+    this.options = { ...this.options, ...Object.fromEntries(defined) }
+  }
+
+  get sink() {
+    return this.options.sink
+  }
+
+  record(event) {
+    if (!this.sink) return
+    this.buffer.push(event)
+    if (this.buffer.length > this.options.maxBuffered) {
+      this.buffer.splice(0, this.buffer.length - this.options.maxBuffered)
+    }
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush()
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.options.flushIntervalMs)
+      // Telemetry alone should not keep a process alive
+      this.timer.unref?.()
+    }
+  }
+
+  /**
+   * Write everything buffered so far; resolves once it is written (or dropped)
+   */
+  async flush() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    // One write at a time, so batches land in order
+    while (this.flushing) await this.flushing
+    if (!this.buffer.length || !this.sink) return
+
+    const batch = this.buffer.splice(0, this.buffer.length)
+    this.flushing = this.sink.write(batch)
+      .catch(error => {
+        console.error(`[SCRAPER_TELEMETRY] Dropped ${batch.length} events:`, error.message)
+      })
+      .finally(() => { this.flushing = null })
+    await this.flushing
+  }
+
+  /**
+   * Events from the sink, including any still buffered
+   */
+  async read(filter = {}) {
+    if (!this.sink) return []
+    await this.flush()
+    return this.sink.read(filter)
+  }
+}
+
+function rate(failures, total) {
+  return total ? failures / total : 0
+}
+
+function countInto(counts, key) {
+  counts[key] = (counts[key] || 0) + 1
+}
+
+/**
+ * Failure rates for the dashboard
+ *
+ * Returns `{ totals, byDomain, byType, buckets }`: overall counts, the
+ * `topDomains` domains with the most failures, failure counts per error
+ * type, and one `{ start, total, failures, failureRate, types }` per
+ * `bucketMs` between `since` and `until` (empty buckets included).
+ */
+export function summarizeEvents(events, { since, until = new Date().toISOString(), bucketMs = 60 * 60 * 1000, topDomains = 15 } = {}) {
+  const totals = { events: 0, success: 0, unchanged: 0, failures: 0, failureRate: 0 }
+  const domains = new Map()
+  const types = {}
+  const buckets = new Map()
+
+  const firstTimestamp = since || events[0]?.timestamp || until
+  const start = Math.floor(Date.parse(firstTimestamp) / bucketMs) * bucketMs
+  const end = Date.parse(until)
+  for (let time = start; time <= end; time += bucketMs) {
+    buckets.set(time, { start: new Date(time).toISOString(), total: 0, failures: 0, failureRate: 0, types: {} })
+  }
+
+  for (const event of events) {
+    const failed = event.outcome === ScrapeOutcomes.FAILURE
+    totals.events++
+    if (failed) totals.failures++
+    else if (event.outcome === ScrapeOutcomes.UNCHANGED) totals.unchanged++
+    else totals.success++
+
+    const domain = event.domain || 'unknown-domain'
+    if (!domains.has(domain)) domains.set(domain, { domain, total: 0, failures: 0, failureRate: 0, types: {} })
+    const domainStats = domains.get(domain)
+    domainStats.total++
+
+    const time = Math.floor(Date.parse(event.timestamp) / bucketMs) * bucketMs
+    const bucket = buckets.get(time)
+    if (bucket) bucket.total++
+
+    if (!failed) continue
+    const type = event.error_type || 'unknown'
+    domainStats.failures++
+    countInto(domainStats.types, type)
+    countInto(types, type)
+    if (bucket) {
+      bucket.failures++
+      countInto(bucket.types, type)
+    }
+  }
+
+  totals.failureRate = rate(totals.failures, totals.events)
+  for (const stats of [...domains.values(), ...buckets.values()]) {
+    stats.failureRate = rate(stats.failures, stats.total)
+  }
+
+  return {
+    totals,
+    byDomain: [...domains.values()]
+      .sort((a, b) => b.failures - a.failures || b.failureRate - a.failureRate)
+      .slice(0, topDomains),
+    byType: Object.entries(types)
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count),
+    buckets: [...buckets.values()]
+  }
+}
+
+// Shared telemetry the default error handler reports to (in memory until configured)
+export const scrapeTelemetry = new ScrapeTelemetry()
@@ -0,0 +1,229 @@
+/**
+ * URL Safety Checks for Server-Side Fetches
+ *
+ * The scraper fetches whatever URL it is handed, so without checks a client
+ * can point it at cloud metadata endpoints, localhost or the private
+ * network. `UrlGuard.check(url)` rejects:
+ * - anything but http: and https:
+ * - hosts on the deny list, or missing from the allow list when one is set
+ * - hosts that resolve to a private, loopback, link-local or otherwise
+ *   non-public address (every resolved address must be public)
+ *
+ * `guardTransport` wraps a scraper transport so the check runs before every
+ * fetch and again on each redirect hop, and hands the transport the
+ * addresses it vetted. HttpClient connects to those rather than resolving
+ * the host again, so a DNS answer that changes
+ * between the check and the connection (DNS rebinding) cannot reach a
+ * private address. A refused URL throws a
+ * `UrlGuardError`, which the error handler reports as `validation_error`
+ * with a `subtype` from `ValidationSubtypes`.
+ */
+
+import { lookup as dnsLookup } from 'dns/promises'
+import { BlockList, isIP } from 'net'
+import { ValidationSubtypes } from './error-handler.js'
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:']
+
+// Special-purpose ranges (RFC 6890 and friends) a public site never uses
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]
+
+const BLOCKED_IPV6 = [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['fec0::', 10], // old site-local
+  ['ff00::', 8] // multicast
+]
+
+const blockList = new BlockList()
+BLOCKED_IPV4.forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'))
+BLOCKED_IPV6.forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'))
+
+export class UrlGuardError extends Error {
+  constructor(subtype, message) {
+    super(message)
+    this.name = 'UrlGuardError'
+    this.code = 'EURLBLOCKED'
+    this.subtype = subtype
+  }
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ */
+function ipv6Groups(address) {
+  let text = address
+  // Trailing dotted IPv4 (e.g. ::ffff:1.2.3.4) becomes two groups
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number)
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+  }
+
+  const [head, tail = ''] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const missing = text.includes('::') ? 8 - headGroups.length - tailGroups.length : 0
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16))
+}
+
+function ipv4FromGroups(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.')
+}
+
+/**
+ * The IPv4 address tunnelled inside a NAT64 or 6to4 address, if any
+ */
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address)
+  // NAT64 well-known prefix 64:ff9b::/96
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return ipv4FromGroups(groups[6], groups[7])
+  }
+  // 6to4 2002::/16 carries the IPv4 address in the next 32 bits
+  if (groups[0] === 0x2002) return ipv4FromGroups(groups[1], groups[2])
+  return null
+}
+
+/**
+ * Whether an IP address is anything other than a public unicast address
+ *
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address)
+  if (family === 4) return blockList.check(address, 'ipv4')
+  if (family !== 6) return true
+
+  if (blockList.check(address, 'ipv6')) return true
+  const tunnelled = embeddedIPv4(address)
+  return tunnelled ? blockList.check(tunnelled, 'ipv4') : false
+}
+
+/**
+ * Lowercase a domain list entry and drop a leading `*.` or dot
+ */
+function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '')
+}
+
+/**
+ * Parse a comma-separated (or array) domain list
+ */
+export function parseDomainList(value) {
+  if (!value) return []
+  const entries = Array.isArray(value) ? value : String(value).split(',')
+  return entries.map(normalizeDomain).filter(Boolean)
+}
+
+// A list entry covers the domain itself and every subdomain
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+}
+
+export class UrlGuard {
+  constructor(options = {}) {
+    this.options = { allowDomains: [], denyDomains: [], allowPrivate: false, lookup: dnsLookup }
+    this.configure(options)
+  }
+
+  /**
+   * Options: `allowDomains` / `denyDomains` (arrays or comma-separated
+   * strings), `allowPrivate` (accept private addresses, for local testing)
+   * and `lookup` (a `dns.promises.lookup` stand-in)
+   */
+  configure(options = {}) {
+    const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    this.options = { ...this.options, ...defined }
+    this.allowDomains = parseDomainList(this.options.allowDomains)
+    this.denyDomains = parseDomainList(this.options.denyDomains)
+  }
+
+  /**
+   * Check a URL; resolves to `{ url, addresses }` or throws `UrlGuardError`
+   *
+   * A host that does not resolve throws the lookup's own error, which the
+   * error handler classifies as `dns_error`.
+   */
+  async check(url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch {
+      throw new UrlGuardError(ValidationSubtypes.INVALID_URL, 'Invalid URL format')
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+      throw new UrlGuardError(
+        ValidationSubtypes.UNSUPPORTED_PROTOCOL,
+        `Only http and https URLs can be scraped (got ${parsed.protocol})`
+      )
+    }
+
+    // IPv6 literals come bracketed, FQDNs may end in a dot
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase()
+
+    if (matchesDomain(hostname, this.denyDomains)) {
+      throw new UrlGuardError(ValidationSubtypes.DOMAIN_DENIED, `Scraping ${hostname} is not allowed`)
+    }
+    if (this.allowDomains.length && !matchesDomain(hostname, this.allowDomains)) {
+      throw new UrlGuardError(ValidationSubtypes.DOMAIN_NOT_ALLOWED, `${hostname} is not on the list of allowed domains`)
+    }
+
+    const addresses = isIP(hostname)
+      ? [hostname]
+      : (await this.options.lookup(hostname, { all: true, verbatim: true })).map(({ address }) => address)
+
+    const blocked = !this.options.allowPrivate && addresses.find(isPrivateAddress)
+    if (blocked || !addresses.length) {
+      throw new UrlGuardError(
+        ValidationSubtypes.PRIVATE_ADDRESS,
+        `${hostname} resolves to a private or reserved address${blocked && blocked !== hostname ? ` (${blocked})` : ''}`
+      )
+    }
+
+    return { url: parsed.href, addresses }
+  }
+}
+
+/**
+ * Wrap a transport so every fetch, and every redirect it follows, is checked
+ *
+ * The first URL's vetted addresses go to the transport as `addresses`;
+ * redirects are checked through its `guard` option, which resolves to the
+ * next hop's (see HttpClient). Transports without sockets or redirects of
+ * their own can ignore both.
+ */
+export function guardTransport(transport, guard) {
+  const check = url => guard.check(url)
+  return {
+    async fetch(url, options = {}) {
+      const checked = await check(url)
+      return transport.fetch(url, { ...options, addresses: checked?.addresses, guard: check })
+    }
+  }
+}
+
+// Shared guard used by the public endpoints (configured by a Nitro plugin)
+export const urlGuard = new UrlGuard()
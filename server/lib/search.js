@@ -0,0 +1,243 @@
+/**
+ * Scrap Search
+ *
+ * Turns what was typed in the search box into a Postgres to_tsquery()
+ * query plus filters, and runs it through `search_scraps()` (see the
+ * scrap_search migration), which ranks title, summary and content
+ * matches and picks highlighted snippets.
+ *
+ * Search box syntax:
+ *
+ *   ferry timetable      both words (stemmed, so "ferries" matches too)
+ *   "slow ferry"         the exact phrase
+ *   ferr*                words starting with "ferr"
+ *   -bus  -"night bus"   without the word or phrase
+ *   ferry OR boat        either word
+ *   source:github  type:article  tag:rust  -tag:drafts
+ *   after:2024-03  before:2025   published on or after / before the start
+ *                                of a year, month (YYYY-MM) or day
+ *
+ * Results are `{ scrap, rank, title, snippet }`, where `title` and
+ * `snippet` are lists of `{ text, match }` segments so the page can mark
+ * matches without rendering page text as HTML.
+ */
+
+export const SEARCH_FUNCTION = 'search_scraps'
+
+// How search_scraps() marks the start and end of a match
+export const MARK_START = '\u0002'
+export const MARK_END = '\u0003'
+const MARKS = new RegExp(`(${MARK_START}|${MARK_END})`)
+
+// PostgREST's "function not found" and Postgres' "undefined function"
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883']
+
+// An optional "-", an optional "field:", then a quoted phrase or a word
+const TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/giu
+
+const FILTER_FIELDS = ['source', 'type', 'tag', 'after', 'before']
+
+function refusal(message) {
+  return {
+    error: {
+      type: 'validation_error',
+      message
+    }
+  }
+}
+
+/**
+ * A quoted to_tsquery() lexeme. Postgres runs the text through the same
+ * parser as the documents, so "node.js" or "e-mail" match as indexed and
+ * the words of a phrase are joined with <->.
+ */
+function lexeme(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`
+}
+
+/**
+ * "2024", "2024-03" or "2024-03-15" as the ISO start of that period
+ */
+function parseDate(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value)
+  if (!match) return null
+  const [, year, month = '1', day = '1'] = match
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  // Date.UTC rolls "2024-02-31" over into March
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null
+  return date.toISOString()
+}
+
+function dateRefusal(value) {
+  return refusal(`Unknown date "${value}" (use YYYY, YYYY-MM or YYYY-MM-DD)`)
+}
+
+function cleanList(values) {
+  return [...new Set((values || []).map(value => String(value).trim()).filter(Boolean))]
+}
+
+/**
+ * Parse the search box into `{ query: { text, tsquery, terms, filters } }`
+ * or `{ error }`
+ *
+ * `filters` (`{ source, type, tags: { all, exclude }, after, before }`)
+ * are merged with the ones typed in the box; a source, type or date
+ * given here wins over a typed one, tags are combined. `tsquery` is null
+ * when only filters were given.
+ */
+export function parseSearchQuery(input = '', filters = {}) {
+  const terms = []
+  const clauses = []
+  const typed = { tags: { all: [], exclude: [] } }
+  let alternative = false
+
+  for (const [, minus, field, phrase, word] of String(input).matchAll(TOKEN)) {
+    const negated = minus === '-'
+    const name = field?.toLowerCase()
+
+    if (name && FILTER_FIELDS.includes(name)) {
+      const value = (phrase ?? word).trim()
+      if (!value) continue
+      if (name === 'tag') {
+        typed.tags[negated ? 'exclude' : 'all'].push(value)
+      } else if (name === 'after' || name === 'before') {
+        typed[name] = parseDate(value)
+        if (!typed[name]) return dateRefusal(value)
+      } else {
+        typed[name] = value
+      }
+      continue
+    }
+
+    // Anything else that looks like field:value is searched as text
+    let text = phrase ?? (field ? `${field}:${word}` : word)
+    if (phrase === undefined && !field && !negated && (word === 'OR' || word === '|')) {
+      alternative = clauses.length > 0
+      continue
+    }
+
+    const prefix = phrase === undefined && /\*+$/.test(text)
+    text = text.replace(/\*+$/, '').trim()
+    if (!/[\p{L}\p{N}]/u.test(text)) continue
+
+    const term = { text, phrase: phrase !== undefined, prefix, negated }
+    const tsquery = `${negated ? '!' : ''}${lexeme(text)}${prefix ? ':*' : ''}`
+    terms.push(term)
+    if (alternative) {
+      clauses[clauses.length - 1].push({ term, tsquery })
+    } else {
+      clauses.push([{ term, tsquery }])
+    }
+    alternative = false
+  }
+
+  const dates = {}
+  for (const name of ['after', 'before']) {
+    if (!filters[name]) continue
+    dates[name] = parseDate(String(filters[name]).trim())
+    if (!dates[name]) return dateRefusal(filters[name])
+  }
+
+  const merged = {
+    source: filters.source || typed.source || null,
+    type: filters.type || typed.type || null,
+    tags: {
+      all: cleanList([...typed.tags.all, ...(filters.tags?.all || [])]),
+      exclude: cleanList([...typed.tags.exclude, ...(filters.tags?.exclude || [])])
+    },
+    after: dates.after || typed.after || null,
+    before: dates.before || typed.before || null
+  }
+
+  const hasFilters = merged.source || merged.type || merged.tags.all.length ||
+    merged.tags.exclude.length || merged.after || merged.before
+  if (!clauses.length && !hasFilters) return refusal('Type something to search for')
+  // Only excluding words, with nothing else to go on, would read every scrap
+  if (!hasFilters && !clauses.some(clause => clause.some(({ term }) => !term.negated))) {
+    return refusal('Add a word to search for; a search can\'t only exclude words')
+  }
+
+  const tsquery = clauses.length
+    ? clauses
+      .map(clause => clause.length > 1
+        ? `(${clause.map(({ tsquery }) => tsquery).join(' | ')})`
+        : clause[0].tsquery)
+      .join(' & ')
+    : null
+
+  return {
+    query: {
+      text: String(input).trim(),
+      tsquery,
+      terms,
+      filters: merged
+    }
+  }
+}
+
+/**
+ * Split text marked by search_scraps() into `{ text, match }` segments
+ */
+export function splitHighlights(text) {
+  if (text === null || text === undefined) return null
+
+  const segments = []
+  let match = false
+  for (const part of String(text).split(MARKS)) {
+    if (part === MARK_START) {
+      match = true
+    } else if (part === MARK_END) {
+      match = false
+    } else if (part) {
+      const last = segments[segments.length - 1]
+      if (last?.match === match) {
+        last.text += part
+      } else {
+        segments.push({ text: part, match })
+      }
+    }
+  }
+  return segments
+}
+
+/**
+ * Run a parsed query (from parseSearchQuery) and return
+ * `{ results, total }` for one page
+ *
+ * Throws an error with code ENOSEARCH when the database has no
+ * search_scraps() function; other database errors are thrown as they are.
+ */
+export async function searchScraps(supabase, query, { limit = 20, offset = 0 } = {}) {
+  const { filters } = query
+  const { data, error } = await supabase.rpc(SEARCH_FUNCTION, {
+    search_query: query.tsquery,
+    filter_source: filters.source,
+    filter_type: filters.type,
+    all_tags: filters.tags.all.length ? filters.tags.all : null,
+    excluded_tags: filters.tags.exclude.length ? filters.tags.exclude : null,
+    published_after: filters.after,
+    published_before: filters.before,
+    max_results: limit,
+    skip: offset
+  })
+
+  if (error) {
+    if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error
+    const missing = new Error(`${SEARCH_FUNCTION}() not found; apply the scrap_search migration`)
+    missing.code = 'ENOSEARCH'
+    missing.cause = error
+    throw missing
+  }
+
+  const rows = data || []
+  return {
+    results: rows.map(row => ({
+      scrap: row.scrap,
+      rank: Number(row.rank),
+      title: splitHighlights(row.title_highlight),
+      snippet: splitHighlights(row.snippet)
+    })),
+    // Every row carries the total; past the last page all we know is the offset
+    total: rows.length ? Number(rows[0].total_count) : offset
+  }
+}
@@ -0,0 +1,392 @@
+/**
+ * In-memory Supabase Client Stand-in
+ *
+ * Implements the subset of the supabase-js query builder the server code
+ * uses, backed by plain arrays, so persistence can be exercised offline.
+ *
+ *   const supabase = createMemoryClient({ scraps: [...rows] })
+ *   const { data, error } = await supabase.from('scraps').select('*').eq('id', id)
+ *
+ * Supported: select (with count), insert, update, upsert, delete, eq, neq,
+ * gt, gte, lt, lte, in, is, not, like, ilike, contains, overlaps, or (with
+ * nested and()/or() and quoted values), order, range, limit, single,
+ * maybeSingle, and rpc() for registered functions.
+ */
+
+import { randomUUID } from 'crypto'
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function likeToRegExp(pattern, flags = '') {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags)
+}
+
+/**
+ * Parse a PostgREST literal from an or()/not() filter string
+ */
+function parseLiteral(value) {
+  if (/^".*"$/.test(value)) return value.slice(1, -1).replace(/\\(.)/g, '$1')
+  if (value === 'null') return null
+  if (value === 'true') return true
+  if (value === 'false') return false
+  if (/^\{.*\}$/.test(value)) {
+    return value.slice(1, -1).split(',').filter(Boolean).map(v => v.replace(/^"|"$/g, ''))
+  }
+  if (/^\(.*\)$/.test(value)) {
+    return value.slice(1, -1).split(',').map(v => parseLiteral(v.replace(/^"|"$/g, '')))
+  }
+  return value
+}
+
+function compare(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return 1
+  if (b === null || b === undefined) return -1
+  return a < b ? -1 : 1
+}
+
+/**
+ * Evaluate a single PostgREST operator against a row value
+ */
+function matches(value, operator, expected) {
+  switch (operator) {
+    case 'eq':
+      return value === expected || (value != null && String(value) === String(expected))
+    case 'neq':
+      return !matches(value, 'eq', expected)
+    case 'gt':
+      return value != null && value > expected
+    case 'gte':
+      return value != null && value >= expected
+    case 'lt':
+      return value != null && value < expected
+    case 'lte':
+      return value != null && value <= expected
+    case 'in':
+      return expected.some(item => matches(value, 'eq', item))
+    case 'is':
+      return expected === null ? value === null || value === undefined : value === expected
+    case 'like':
+      return value != null && likeToRegExp(expected).test(value)
+    case 'ilike':
+      return value != null && likeToRegExp(expected, 'i').test(value)
+    case 'cs':
+    case 'contains':
+      return Array.isArray(value)
+        ? expected.every(item => value.includes(item))
+        : value != null && typeof value === 'object' &&
+          Object.entries(expected).every(([k, v]) => JSON.stringify(value[k]) === JSON.stringify(v))
+    case 'ov':
+    case 'overlaps':
+      return Array.isArray(value) && expected.some(item => value.includes(item))
+    default:
+      throw new Error(`Memory client does not support operator "${operator}"`)
+  }
+}
+
+/**
+ * Split a filter list on its top-level commas, leaving commas inside
+ * parentheses, braces and double quotes alone
+ */
+function splitFilters(filters) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let current = ''
+  for (let i = 0; i < filters.length; i++) {
+    const char = filters[i]
+    if (quoted && char === '\\') {
+      current += char + (filters[++i] ?? '')
+      continue
+    }
+    if (char === '"') quoted = !quoted
+    if (!quoted && (char === '(' || char === '{')) depth++
+    if (!quoted && (char === ')' || char === '}')) depth--
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current) parts.push(current)
+  return parts
+}
+
+/**
+ * Parse "col.op.value,col.not.op.value,and(...),or(...)" into predicate
+ * functions
+ */
+function parseOrFilter(filters) {
+  return splitFilters(filters).map(part => {
+    const group = part.match(/^(not\.)?(and|or)\((.*)\)$/)
+    if (group) {
+      const [, negated, logic, inner] = group
+      const predicates = parseOrFilter(inner)
+      return row => (logic === 'and'
+        ? predicates.every(predicate => predicate(row))
+        : predicates.some(predicate => predicate(row))) !== Boolean(negated)
+    }
+
+    const [column, ...rest] = part.split('.')
+    const negate = rest[0] === 'not'
+    const [operator, ...valueParts] = negate ? rest.slice(1) : rest
+    const expected = parseLiteral(valueParts.join('.'))
+    return row => matches(row[column], operator, expected) !== negate
+  })
+}
+
+class MemoryQuery {
+  constructor(client, table) {
+    this.client = client
+    this.table = table
+    this.action = 'select'
+    this.filters = []
+    this.orders = []
+    this.rangeFrom = null
+    this.rangeTo = null
+    this.rowLimit = null
+    this.countMode = null
+    this.head = false
+    this.returning = false
+    this.singleMode = null
+    this.payload = null
+    this.upsertOptions = {}
+  }
+
+  get rows() {
+    if (!this.client.tables[this.table]) this.client.tables[this.table] = []
+    return this.client.tables[this.table]
+  }
+
+  select(_columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.countMode = options.count || null
+      this.head = !!options.head
+    } else {
+      this.returning = true
+    }
+    return this
+  }
+
+  insert(values) {
+    this.action = 'insert'
+    this.payload = Array.isArray(values) ? values : [values]
+    return this
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert'
+    this.payload = Array.isArray(values) ? values : [values]
+    this.upsertOptions = options
+    return this
+  }
+
+  update(values) {
+    this.action = 'update'
+    this.payload = values
+    return this
+  }
+
+  delete() {
+    this.action = 'delete'
+    return this
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(row => matches(row[column], operator, value))
+    return this
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value) }
+  neq(column, value) { return this.filter(column, 'neq', value) }
+  gt(column, value) { return this.filter(column, 'gt', value) }
+  gte(column, value) { return this.filter(column, 'gte', value) }
+  lt(column, value) { return this.filter(column, 'lt', value) }
+  lte(column, value) { return this.filter(column, 'lte', value) }
+  in(column, values) { return this.filter(column, 'in', values) }
+  is(column, value) { return this.filter(column, 'is', value) }
+  like(column, pattern) { return this.filter(column, 'like', pattern) }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern) }
+  contains(column, value) { return this.filter(column, 'contains', value) }
+  overlaps(column, value) { return this.filter(column, 'overlaps', value) }
+
+  not(column, operator, value) {
+    const expected = typeof value === 'string' ? parseLiteral(value) : value
+    this.filters.push(row => !matches(row[column], operator, expected))
+    return this
+  }
+
+  or(filters) {
+    const predicates = parseOrFilter(filters)
+    this.filters.push(row => predicates.some(predicate => predicate(row)))
+    return this
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false, nullsFirst: options.nullsFirst })
+    return this
+  }
+
+  range(from, to) {
+    this.rangeFrom = from
+    this.rangeTo = to
+    return this
+  }
+
+  limit(count) {
+    this.rowLimit = count
+    return this
+  }
+
+  single() {
+    this.singleMode = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle'
+    return this
+  }
+
+  matching() {
+    return this.rows.filter(row => this.filters.every(predicate => predicate(row)))
+  }
+
+  sorted(rows) {
+    if (!this.orders.length) return rows
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aNull = a[column] === null || a[column] === undefined
+        const bNull = b[column] === null || b[column] === undefined
+        if (aNull !== bNull) {
+          // Postgres default: NULLS LAST for ASC, NULLS FIRST for DESC
+          const nullsGoFirst = nullsFirst ?? !ascending
+          return aNull === nullsGoFirst ? -1 : 1
+        }
+        const result = compare(a[column], b[column])
+        if (result !== 0) return ascending ? result : -result
+      }
+      return 0
+    })
+  }
+
+  execute() {
+    let data = null
+    let count = null
+
+    switch (this.action) {
+      case 'select': {
+        const rows = this.sorted(this.matching())
+        count = this.countMode ? rows.length : null
+        let sliced = rows
+        if (this.rangeFrom !== null) sliced = sliced.slice(this.rangeFrom, this.rangeTo + 1)
+        if (this.rowLimit !== null) sliced = sliced.slice(0, this.rowLimit)
+        data = this.head ? null : sliced.map(clone)
+        break
+      }
+      case 'insert': {
+        const now = new Date().toISOString()
+        const inserted = this.payload.map(values => ({
+          id: randomUUID(),
+          created_at: now,
+          ...clone(values)
+        }))
+        for (const row of inserted) {
+          if (this.rows.some(existing => existing.id === row.id)) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' }, count: null }
+          }
+        }
+        this.rows.push(...inserted)
+        data = inserted.map(clone)
+        break
+      }
+      case 'upsert': {
+        const keys = (this.upsertOptions.onConflict || 'id').split(',').map(k => k.trim())
+        const now = new Date().toISOString()
+        data = this.payload.flatMap(values => {
+          const existing = this.rows.find(row => keys.every(key => values[key] !== undefined && row[key] === values[key]))
+          if (existing) {
+            // ON CONFLICT DO NOTHING returns no row for the skipped value
+            if (this.upsertOptions.ignoreDuplicates) return []
+            Object.assign(existing, clone(values))
+            return [clone(existing)]
+          }
+          const row = { id: randomUUID(), created_at: now, ...clone(values) }
+          this.rows.push(row)
+          return [clone(row)]
+        })
+        break
+      }
+      case 'update': {
+        const rows = this.matching()
+        rows.forEach(row => Object.assign(row, clone(this.payload)))
+        data = rows.map(clone)
+        break
+      }
+      case 'delete': {
+        const rows = this.matching()
+        this.client.tables[this.table] = this.rows.filter(row => !rows.includes(row))
+        data = rows.map(clone)
+        break
+      }
+    }
+
+    if (this.action !== 'select' && !this.returning) data = null
+
+    if (this.singleMode) {
+      const rows = data || []
+      if (rows.length > 1 || (this.singleMode === 'single' && rows.length === 0)) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned` },
+          count
+        }
+      }
+      data = rows[0] || null
+    }
+
+    return { data, error: null, count }
+  }
+
+  then(resolve, reject) {
+    try {
+      return Promise.resolve(this.execute()).then(resolve, reject)
+    } catch (error) {
+      return Promise.resolve({ data: null, error: { message: error.message }, count: null }).then(resolve, reject)
+    }
+  }
+}
+
+/**
+ * Create an in-memory client seeded with `{ tableName: rows[] }`
+ *
+ * `functions` registers handlers for `rpc(name, args)`; each receives
+ * `(args, tables)` and returns the data.
+ */
+export function createMemoryClient(seed = {}, functions = {}) {
+  const client = {
+    tables: clone(seed),
+    functions: { ...functions },
+
+    from(table) {
+      return new MemoryQuery(client, table)
+    },
+
+    async rpc(name, args = {}) {
+      const handler = client.functions[name]
+      if (!handler) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } }
+      }
+      try {
+        return { data: await handler(args, client.tables), error: null }
+      } catch (error) {
+        return { data: null, error: { message: error.message } }
+      }
+    }
+  }
+  return client
+}
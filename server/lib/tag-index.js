@@ -0,0 +1,94 @@
+/**
+ * Tag Index
+ *
+ * Every tag in use, with how many scraps carry it and when it was last
+ * used (the newest published, updated or created date among them):
+ *
+ *   [{ tag, count, last_used_at }]   most used first, then by name
+ *
+ * Only scraps the scrap lists show (with content, a summary or a
+ * screenshot) are counted, so the counts match what a tag page lists.
+ * Postgres does the counting in `scrap_tag_index()` (see the scrap_tags
+ * migration); on a database without the function the tags are read a
+ * page at a time and counted here.
+ */
+
+export const TAG_INDEX_FUNCTION = 'scrap_tag_index'
+
+const PAGE_SIZE = 1000
+
+// PostgREST's "function not found" and Postgres' "undefined function"
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883']
+
+let warnedMissing = false
+
+function byUsage(a, b) {
+  return b.count - a.count || (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0)
+}
+
+/**
+ * Count tags from the rows themselves
+ */
+async function countTags(supabase, { shared, minCount, limit }) {
+  const counts = new Map()
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('scraps')
+      .select('tags, published_at, updated_at, created_at')
+      .not('tags', 'is', null)
+      .or('content.not.is.null,summary.not.is.null,screenshot_url.not.is.null')
+    if (typeof shared === 'boolean') query = query.eq('shared', shared)
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+    if (error) throw error
+
+    for (const row of data || []) {
+      const usedAt = row.published_at || row.updated_at || row.created_at
+      for (const tag of new Set(row.tags)) {
+        const entry = counts.get(tag) || { tag, count: 0, last_used_at: null }
+        entry.count++
+        if (usedAt && (!entry.last_used_at || new Date(usedAt) > new Date(entry.last_used_at))) {
+          entry.last_used_at = usedAt
+        }
+        counts.set(tag, entry)
+      }
+    }
+
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  const tags = [...counts.values()].filter(entry => entry.count >= minCount).sort(byUsage)
+  return limit ? tags.slice(0, limit) : tags
+}
+
+/**
+ * Tags with their usage; `shared` limits the count to shared (or
+ * unshared) scraps, `minCount` drops rarely used tags and `limit` keeps
+ * the most used
+ */
+export async function fetchTagIndex(supabase, { shared, minCount = 1, limit = null } = {}) {
+  const { data, error } = await supabase.rpc(TAG_INDEX_FUNCTION, {
+    only_shared: typeof shared === 'boolean' ? shared : null,
+    min_count: minCount,
+    max_tags: limit
+  })
+
+  if (!error) {
+    return (data || []).map(row => ({
+      tag: row.tag,
+      count: Number(row.count),
+      last_used_at: row.last_used_at
+    }))
+  }
+
+  if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error
+
+  if (!warnedMissing) {
+    console.warn(`[TAGS] ${TAG_INDEX_FUNCTION}() not found, counting tags row by row; apply the scrap_tags migration`)
+    warnedMissing = true
+  }
+  return await countTags(supabase, { shared, minCount, limit })
+}
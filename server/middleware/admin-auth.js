@@ -0,0 +1,61 @@
+/**
+ * Admin Gate for /api/admin/*
+ *
+ * Admin routes need a signed-in Supabase user with the admin role (see
+ * server/lib/admin-roles.js; SCRAPER_ADMIN_ROLE changes the role name).
+ * The user comes from an `Authorization: Bearer <access token>` header when
+ * there is one, else from the session cookie. Anyone else gets a 401 (no
+ * user) or 403 (not an admin) before the route runs.
+ */
+
+import { serverSupabaseServiceRole, serverSupabaseUser } from '#supabase/server'
+import { isAdmin } from '../lib/admin-roles.js'
+
+const ADMIN_PATH = /^\/api\/admin(\/|$)/
+
+async function requestUser(event) {
+  const authorization = getRequestHeader(event, 'authorization') || ''
+  const [scheme, token] = authorization.split(' ')
+
+  try {
+    if (scheme?.toLowerCase() === 'bearer' && token) {
+      const { data, error } = await serverSupabaseServiceRole(event).auth.getUser(token)
+      return error ? null : data.user
+    }
+    return await serverSupabaseUser(event)
+  } catch {
+    // No session (or an expired one)
+    return null
+  }
+}
+
+export default defineEventHandler(async (event) => {
+  if (!ADMIN_PATH.test(event.path.split('?')[0])) return
+
+  const user = await requestUser(event)
+  if (!user) {
+    setResponseStatus(event, 401)
+    return {
+      success: false,
+      error: {
+        type: 'unauthorized',
+        message: 'Sign in to use the admin API'
+      }
+    }
+  }
+
+  const { scraper = {} } = useRuntimeConfig()
+  if (!isAdmin(user, scraper.adminRole || undefined)) {
+    console.warn(`[ADMIN] Refused ${getMethod(event)} ${event.path} for user ${user.id}`)
+    setResponseStatus(event, 403)
+    return {
+      success: false,
+      error: {
+        type: 'forbidden',
+        message: 'The admin API needs the admin role'
+      }
+    }
+  }
+
+  event.context.adminUser = user
+})
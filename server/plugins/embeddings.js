@@ -0,0 +1,47 @@
+/**
+ * Configure Related Scraps and Semantic Search
+ *
+ * EMBEDDING_SPACE is the column used when a request doesn't name one
+ * (`embedding`, `embedding_nomic` or `image_embedding`). Text can be
+ * searched in `embedding` when OPENAI_API_KEY is set (EMBEDDING_OPENAI_MODEL
+ * must be the model the column was filled with), and in `embedding_nomic`
+ * when EMBEDDING_OLLAMA_URL points at an Ollama server with
+ * EMBEDDING_NOMIC_MODEL pulled. Related scraps need neither.
+ * EMBEDDING_SEARCH_RATE_LIMIT searches of new text per client are allowed
+ * every SCRAPER_RATE_WINDOW_MS.
+ */
+
+import { OllamaEmbedder, OpenAIEmbedder } from '../lib/embeddings/embedders.js'
+import { EMBEDDING_SPACES, scrapNeighbours } from '../lib/embeddings/neighbours.js'
+import { searchRateLimiter } from '../lib/scraper/rate-limiter.js'
+
+export default defineNitroPlugin(() => {
+  const { embeddings = {}, scraper = {} } = useRuntimeConfig()
+
+  const embedders = {}
+  if (embeddings.openaiKey) {
+    embedders.embedding = new OpenAIEmbedder({
+      apiKey: embeddings.openaiKey,
+      model: embeddings.openaiModel || undefined
+    })
+  }
+  if (embeddings.ollamaUrl) {
+    embedders.embedding_nomic = new OllamaEmbedder({
+      endpoint: embeddings.ollamaUrl,
+      model: embeddings.nomicModel || undefined
+    })
+  }
+
+  let space = embeddings.space || undefined
+  if (space && !EMBEDDING_SPACES.includes(space)) {
+    console.error(`[EMBEDDINGS] Unknown embedding space "${space}", using embedding`)
+    space = undefined
+  }
+
+  scrapNeighbours.configure({ embedders, space })
+
+  searchRateLimiter.configure({
+    limit: parseInt(embeddings.searchRateLimit) || undefined,
+    windowMs: parseInt(scraper.rateWindowMs) || undefined
+  })
+})
@@ -0,0 +1,52 @@
+/**
+ * Configure the Image Proxy
+ *
+ * IMAGE_PROXY_CACHE keeps resized images in `memory` (the default) or in
+ * `file`s under IMAGE_PROXY_CACHE_DIR. IMAGE_PROXY_FORMATS lists the
+ * output formats, preferred first (`webp,avif,jpeg`). IMAGE_PROXY_RATE_LIMIT
+ * uncached images per client are allowed every SCRAPER_RATE_WINDOW_MS.
+ * Resizing needs the optional `sharp` package; without it the originals
+ * are served.
+ */
+
+import { imageProxy } from '../lib/images/proxy.js'
+import { FileImageCache, MemoryImageCache } from '../lib/images/cache.js'
+import { FORMAT_CONTENT_TYPES } from '../lib/images/transform.js'
+import { imageRateLimiter } from '../lib/scraper/rate-limiter.js'
+
+function parseFormats(value) {
+  const formats = String(value || '')
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean)
+  const unknown = formats.filter(format => !FORMAT_CONTENT_TYPES[format])
+  if (unknown.length) {
+    console.error(`[IMAGES] Ignoring unknown image formats: ${unknown.join(', ')}`)
+  }
+  const known = formats.filter(format => FORMAT_CONTENT_TYPES[format])
+  return known.length ? known : undefined
+}
+
+export default defineNitroPlugin(() => {
+  const { images = {}, scraper = {} } = useRuntimeConfig()
+
+  const caches = {
+    memory: () => new MemoryImageCache(),
+    file: () => new FileImageCache({ dir: images.cacheDir || undefined })
+  }
+
+  const createCache = caches[images.cache]
+  if (!createCache) {
+    console.error(`[IMAGES] Unknown image cache "${images.cache}", using memory`)
+  }
+
+  imageProxy.configure({
+    cache: (createCache || caches.memory)(),
+    formats: parseFormats(images.formats)
+  })
+
+  imageRateLimiter.configure({
+    limit: parseInt(images.rateLimit) || undefined,
+    windowMs: parseInt(scraper.rateWindowMs) || undefined
+  })
+})
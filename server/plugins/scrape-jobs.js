@@ -0,0 +1,46 @@
+/**
+ * Configure and Start the Scrape Job Worker
+ *
+ * Picks the job store from `runtimeConfig.scraper.jobStore`
+ * (SCRAPER_JOB_STORE): `file` (default), `memory` or `supabase`. Save jobs
+ * write with the service-role client. Set SCRAPER_JOB_WORKER=false on
+ * instances that should only queue jobs, not run them.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { scrapeJobQueue } from '../lib/scraper/job-queue.js'
+import { FileJobStore, MemoryJobStore, SupabaseJobStore } from '../lib/scraper/job-stores.js'
+import { urlGuard } from '../lib/scraper/url-guard.js'
+
+export default defineNitroPlugin((nitroApp) => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  // The service-role client is cached on the event it is given,
+  // so one long-lived event gives the queue one long-lived client
+  const serviceRoleEvent = { context: {} }
+  const getClient = () => serverSupabaseServiceRole(serviceRoleEvent)
+
+  const stores = {
+    memory: () => new MemoryJobStore(),
+    file: () => new FileJobStore(scraper.jobFile),
+    supabase: () => new SupabaseJobStore(getClient)
+  }
+
+  const createStore = stores[scraper.jobStore]
+  if (!createStore) {
+    console.error(`[SCRAPE_JOBS] Unknown job store "${scraper.jobStore}", using memory`)
+  }
+
+  scrapeJobQueue.configure({
+    store: (createStore || stores.memory)(),
+    concurrency: parseInt(scraper.jobConcurrency) || undefined,
+    // Queued URLs were checked on the way in; redirects are checked as they run
+    scrapeOptions: { urlGuard },
+    supabase: getClient
+  })
+
+  if (String(scraper.jobWorker) !== 'false') {
+    scrapeJobQueue.start()
+    nitroApp.hooks.hook('close', () => scrapeJobQueue.stop())
+  }
+})
@@ -0,0 +1,33 @@
+/**
+ * Configure the Headless-Browser Rendering Tier
+ *
+ * Off unless `runtimeConfig.scraper.renderer` (SCRAPER_RENDERER) is
+ * `playwright`, which needs the `playwright` package and a Chromium from
+ * `npx playwright install chromium`. SCRAPER_RENDER_CONCURRENCY and
+ * SCRAPER_RENDER_TIMEOUT (ms) set the tier's own limits.
+ */
+
+import { renderingTier, PlaywrightRenderer } from '../lib/scraper/renderer.js'
+
+export default defineNitroPlugin((nitroApp) => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  const renderers = {
+    playwright: () => new PlaywrightRenderer()
+  }
+
+  if (!scraper.renderer) return
+
+  const createRenderer = renderers[scraper.renderer]
+  if (!createRenderer) {
+    console.error(`[SCRAPER_RENDERER] Unknown renderer "${scraper.renderer}", rendering stays off`)
+    return
+  }
+
+  renderingTier.configure({
+    renderer: createRenderer(),
+    concurrency: parseInt(scraper.renderConcurrency) || undefined,
+    timeout: parseInt(scraper.renderTimeout) || undefined
+  })
+  nitroApp.hooks.hook('close', () => renderingTier.close())
+})
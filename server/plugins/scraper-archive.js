@@ -0,0 +1,38 @@
+/**
+ * Configure the Archive Fallback
+ *
+ * SCRAPER_ARCHIVE picks the archive dead, missing and paywalled pages are
+ * read from: `wayback` (the default), `archive_today`, or `off`.
+ * SCRAPER_ARCHIVE_ENDPOINT points the service at another address (a
+ * mirror); SCRAPER_ARCHIVE_TIMEOUT (ms) limits each lookup.
+ */
+
+import {
+  archiveResolver,
+  ArchiveServices,
+  WaybackArchive,
+  ArchiveTodayArchive
+} from '../lib/scraper/archive.js'
+
+export default defineNitroPlugin(() => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  const endpoint = scraper.archiveEndpoint || undefined
+  const archives = {
+    [ArchiveServices.WAYBACK]: () => new WaybackArchive({ endpoint }),
+    [ArchiveServices.ARCHIVE_TODAY]: () => new ArchiveTodayArchive({ endpoint })
+  }
+
+  if (!scraper.archive || scraper.archive === 'off') return
+
+  const createArchive = archives[scraper.archive]
+  if (!createArchive) {
+    console.error(`[SCRAPER_ARCHIVE] Unknown archive "${scraper.archive}", the archive fallback stays off`)
+    return
+  }
+
+  archiveResolver.configure({
+    archive: createArchive(),
+    timeout: parseInt(scraper.archiveTimeout) || undefined
+  })
+})
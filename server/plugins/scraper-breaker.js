@@ -0,0 +1,47 @@
+/**
+ * Configure the Shared Scraper Circuit Breaker
+ *
+ * Picks the breaker store from `runtimeConfig.scraper.breakerStore`
+ * (SCRAPER_BREAKER_STORE): `memory` (default), `file` or `supabase`.
+ * Per-domain overrides come from SCRAPER_BREAKER_DOMAINS as JSON, e.g.
+ * `{"medium.com": {"failureThreshold": 3, "cooldownMs": 300000}}`.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { circuitBreaker } from '../lib/scraper/error-handler.js'
+import { FileBreakerStore, SupabaseBreakerStore } from '../lib/scraper/breaker-stores.js'
+
+function parseDomains(value) {
+  if (!value) return undefined
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    console.error('[SCRAPER_BREAKER] Ignoring invalid SCRAPER_BREAKER_DOMAINS:', error.message)
+    return undefined
+  }
+}
+
+export default defineNitroPlugin(() => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  // The service-role client is cached on the event it is given,
+  // so one long-lived event gives the store one long-lived client
+  const serviceRoleEvent = { context: {} }
+
+  const stores = {
+    memory: () => undefined,
+    file: () => new FileBreakerStore(scraper.breakerFile),
+    supabase: () => new SupabaseBreakerStore(() => serverSupabaseServiceRole(serviceRoleEvent))
+  }
+
+  const createStore = stores[scraper.breakerStore]
+  if (!createStore) {
+    console.error(`[SCRAPER_BREAKER] Unknown breaker store "${scraper.breakerStore}", using memory`)
+  }
+
+  circuitBreaker.configure({
+    store: createStore?.(),
+    domains: parseDomains(scraper.breakerDomains)
+  })
+})
@@ -0,0 +1,32 @@
+/**
+ * Configure the URL Guard and Rate Limit for the Public Scrape Endpoints
+ *
+ * SCRAPER_ALLOW_DOMAINS / SCRAPER_DENY_DOMAINS are comma-separated domain
+ * lists (each entry covers its subdomains); with an allow list only those
+ * domains can be scraped. SCRAPER_RATE_LIMIT URLs per client are allowed
+ * every SCRAPER_RATE_WINDOW_MS. Clients are told apart by the socket's
+ * address unless SCRAPER_TRUSTED_PROXIES says how many proxies in front of
+ * the app add to X-Forwarded-For.
+ */
+
+import { urlGuard } from '../lib/scraper/url-guard.js'
+import { scrapeRateLimiter } from '../lib/scraper/rate-limiter.js'
+import { configureClientKeys } from '../lib/scraper/request-guard.js'
+
+export default defineNitroPlugin(() => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  urlGuard.configure({
+    allowDomains: scraper.allowDomains,
+    denyDomains: scraper.denyDomains
+  })
+
+  scrapeRateLimiter.configure({
+    limit: parseInt(scraper.rateLimit) || undefined,
+    windowMs: parseInt(scraper.rateWindowMs) || undefined
+  })
+
+  configureClientKeys({
+    trustedProxies: Math.max(parseInt(scraper.trustedProxies) || 0, 0)
+  })
+})
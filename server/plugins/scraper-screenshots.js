@@ -0,0 +1,53 @@
+/**
+ * Configure the Screenshot Pipeline
+ *
+ * Off unless `runtimeConfig.scraper.screenshots` (SCRAPER_SCREENSHOTS)
+ * names a storage backend: `supabase` (the public SCRAPER_SCREENSHOT_BUCKET
+ * bucket) or `file` (SCRAPER_SCREENSHOT_DIR, served under /screenshots).
+ * Captures use Playwright's Chromium, shared with the rendering tier when
+ * that is on. SCRAPER_SCREENSHOT_INTERVAL (ms) spaces captures out.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { renderingTier, PlaywrightRenderer } from '../lib/scraper/renderer.js'
+import { screenshotQueue } from '../lib/scraper/screenshots.js'
+import { FileScreenshotStorage, SupabaseScreenshotStorage } from '../lib/scraper/screenshot-storage.js'
+import { urlGuard } from '../lib/scraper/url-guard.js'
+
+export default defineNitroPlugin((nitroApp) => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  // One long-lived event gives the queue one long-lived service-role client
+  const serviceRoleEvent = { context: {} }
+  const getClient = () => serverSupabaseServiceRole(serviceRoleEvent)
+
+  const storages = {
+    supabase: () => new SupabaseScreenshotStorage(getClient, { bucket: scraper.screenshotBucket || undefined }),
+    file: () => new FileScreenshotStorage({ dir: scraper.screenshotDir || undefined })
+  }
+
+  if (!scraper.screenshots || scraper.screenshots === 'off') return
+
+  const createStorage = storages[scraper.screenshots]
+  if (!createStorage) {
+    console.error(`[SCREENSHOTS] Unknown screenshot storage "${scraper.screenshots}", screenshots stay off`)
+    return
+  }
+
+  // Reuse the rendering tier's browser rather than launching a second one
+  const shared = renderingTier.options.renderer?.screenshot ? renderingTier.options.renderer : null
+  const renderer = shared || new PlaywrightRenderer()
+
+  screenshotQueue.configure({
+    renderer,
+    storage: createStorage(),
+    supabase: getClient,
+    urlGuard,
+    intervalMs: parseInt(scraper.screenshotInterval) || undefined
+  })
+
+  nitroApp.hooks.hook('close', async () => {
+    await screenshotQueue.close()
+    if (!shared) await renderer.close()
+  })
+})
@@ -0,0 +1,35 @@
+/**
+ * Configure Scrape Telemetry
+ *
+ * Picks the sink from `runtimeConfig.scraper.telemetrySink`
+ * (SCRAPER_TELEMETRY_SINK): `memory` (default), `file` (NDJSON at
+ * SCRAPER_TELEMETRY_FILE), `supabase` (the `scraper_events` table) or
+ * `off`. Buffered events are flushed when the server shuts down.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { scrapeTelemetry } from '../lib/scraper/telemetry.js'
+import { MemoryTelemetrySink, NdjsonTelemetrySink, SupabaseTelemetrySink } from '../lib/scraper/telemetry-sinks.js'
+
+export default defineNitroPlugin((nitroApp) => {
+  const { scraper = {} } = useRuntimeConfig()
+
+  // The service-role client is cached on the event it is given,
+  // so one long-lived event gives the sink one long-lived client
+  const serviceRoleEvent = { context: {} }
+
+  const sinks = {
+    off: () => null,
+    memory: () => new MemoryTelemetrySink(),
+    file: () => new NdjsonTelemetrySink(scraper.telemetryFile),
+    supabase: () => new SupabaseTelemetrySink(() => serverSupabaseServiceRole(serviceRoleEvent))
+  }
+
+  const createSink = sinks[scraper.telemetrySink]
+  if (!createSink) {
+    console.error(`[SCRAPER_TELEMETRY] Unknown telemetry sink "${scraper.telemetrySink}", using memory`)
+  }
+
+  scrapeTelemetry.configure({ sink: (createSink || sinks.memory)() })
+  nitroApp.hooks.hook('close', () => scrapeTelemetry.flush())
+})
@@ -0,0 +1,29 @@
+/**
+ * Screenshots kept in local files (SCRAPER_SCREENSHOTS=file)
+ *
+ * GET /screenshots/<scrap id>/<file> → the stored PNG or JPEG. With any
+ * other storage backend the URLs point elsewhere and this route 404s.
+ */
+
+import { screenshotQueue } from '../../lib/scraper/screenshots.js'
+
+export default defineEventHandler(async (event) => {
+  const { storage } = screenshotQueue.options
+  const file = storage?.get ? await storage.get(getRouterParam(event, 'key') || '') : null
+
+  if (!file) {
+    setResponseStatus(event, 404)
+    return {
+      success: false,
+      error: {
+        type: 'not_found',
+        message: 'Screenshot not found'
+      }
+    }
+  }
+
+  setResponseHeader(event, 'Content-Type', file.contentType)
+  // Keys are never reused
+  setResponseHeader(event, 'Cache-Control', 'public, max-age=31536000, immutable')
+  return file.body
+})
@@ -0,0 +1,42 @@
+/**
+ * Scheduled Feed Poll
+ *
+ * Runs on the `nitro.scheduledTasks` cron (SCRAPER_FEEDS_CRON) and polls
+ * every feed whose own interval has elapsed, saving new entries into
+ * `scraps` with the service-role client. The feed list comes from
+ * `runtimeConfig.scraper.feedStore` (SCRAPER_FEED_STORE): `file`
+ * (default) or `supabase`.
+ *
+ * Payload: `{ force: true }` polls every feed, `{ save: false }` scrapes
+ * without saving.
+ */
+
+import { serverSupabaseServiceRole } from '#supabase/server'
+import { createFeedStore } from '../../lib/feeds/store.js'
+import { pollFeeds } from '../../lib/feeds/poller.js'
+import { urlGuard } from '../../lib/scraper/url-guard.js'
+
+export default defineTask({
+  meta: {
+    name: 'feeds:poll',
+    description: 'Poll due feeds and scrape their new entries'
+  },
+
+  async run({ payload = {} }) {
+    const { scraper = {} } = useRuntimeConfig()
+
+    // One long-lived event gives the task one service-role client
+    const serviceRoleEvent = { context: {} }
+    const getClient = () => serverSupabaseServiceRole(serviceRoleEvent)
+
+    const store = createFeedStore(scraper.feedStore, { file: scraper.feedFile, client: getClient })
+    const { summary } = await pollFeeds(store, {
+      force: payload.force === true,
+      urlGuard,
+      supabase: payload.save === false ? null : getClient()
+    })
+
+    console.log(`[FEEDS] Polled ${summary.polled}/${summary.feeds} feeds, queued ${summary.queued}, saved ${summary.saved}`)
+    return { result: summary }
+  }
+})
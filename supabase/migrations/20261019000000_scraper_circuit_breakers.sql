@@ -0,0 +1,17 @@
+-- Shared circuit breaker state for the scraper (SCRAPER_BREAKER_STORE=supabase)
+-- One row per domain; `version` is bumped on every write for conditional updates.
+
+create table if not exists public.scraper_circuit_breakers (
+  domain text primary key,
+  state text not null default 'closed' check (state in ('closed', 'open', 'half_open')),
+  failures integer not null default 0,
+  opened_at timestamptz,
+  last_failure_at timestamptz,
+  next_attempt_at timestamptz,
+  probe_started_at timestamptz,
+  version integer not null default 1,
+  updated_at timestamptz not null default now()
+);
+
+-- Only the service role touches breaker state
+alter table public.scraper_circuit_breakers enable row level security;
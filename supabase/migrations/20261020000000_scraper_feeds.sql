@@ -0,0 +1,22 @@
+-- Feed subscriptions for the feed poller (SCRAPER_FEED_STORE=supabase)
+-- One row per feed; `seen` holds the ids of entries already queued, newest first.
+
+create table if not exists public.scraper_feeds (
+  url text primary key,
+  source text not null,
+  poll_interval_minutes integer not null default 60 check (poll_interval_minutes > 0),
+  title text,
+  etag text,
+  last_modified text,
+  last_polled_at timestamptz,
+  next_poll_at timestamptz,
+  last_error text,
+  seen text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists scraper_feeds_next_poll_at_idx on public.scraper_feeds (next_poll_at);
+
+-- Only the service role manages subscriptions
+alter table public.scraper_feeds enable row level security;
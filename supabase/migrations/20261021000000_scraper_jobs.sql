@@ -0,0 +1,32 @@
+-- Durable scrape jobs for /api/scrape/jobs (SCRAPER_JOB_STORE=supabase)
+-- `version` is bumped on every write for conditional updates (claims, cancellation).
+
+create table if not exists public.scraper_jobs (
+  id uuid primary key,
+  url text not null,
+  dedupe_key text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  options jsonb not null default '{}'::jsonb,
+  result jsonb,
+  error jsonb,
+  attempts integer not null default 0,
+  run_after timestamptz,
+  lease_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz,
+  updated_at timestamptz not null default now(),
+  version integer not null default 1
+);
+
+-- At most one queued or running job per URL (and save mode)
+create unique index if not exists scraper_jobs_active_dedupe_key_idx
+  on public.scraper_jobs (dedupe_key)
+  where status in ('queued', 'running');
+
+create index if not exists scraper_jobs_status_created_at_idx
+  on public.scraper_jobs (status, created_at);
+
+-- Only the service role reads and writes jobs
+alter table public.scraper_jobs enable row level security;
@@ -0,0 +1,26 @@
+-- Scrape telemetry events for the failure dashboard (SCRAPER_TELEMETRY_SINK=supabase)
+-- One row per finished scrape operation; rows are only ever inserted.
+
+create table if not exists public.scraper_events (
+  id bigint generated always as identity primary key,
+  timestamp timestamptz not null default now(),
+  outcome text not null check (outcome in ('success', 'unchanged', 'failure')),
+  url text not null,
+  domain text,
+  error_type text,
+  error_subtype text,
+  http_status integer,
+  latency_ms integer,
+  attempts integer,
+  source text,
+  tier text
+);
+
+create index if not exists scraper_events_timestamp_idx
+  on public.scraper_events (timestamp desc);
+
+create index if not exists scraper_events_domain_timestamp_idx
+  on public.scraper_events (domain, timestamp desc);
+
+-- Only the service role reads and writes events
+alter table public.scraper_events enable row level security;
@@ -0,0 +1,6 @@
+-- Public bucket for page screenshots (SCRAPER_SCREENSHOTS=supabase)
+-- The service role uploads; anyone can read, so `screenshot_url` works in <img>.
+
+insert into storage.buckets (id, name, public)
+values ('screenshots', 'screenshots', true)
+on conflict (id) do nothing;
@@ -0,0 +1,34 @@
+-- Tag filters and the tag index (GET /api/tags)
+-- The GIN index serves the array operators useScraps filters tags with
+-- (&& any-of, @> all-of, and NOT && to exclude).
+
+create index if not exists scraps_tags_idx
+  on public.scraps using gin (tags);
+
+-- Every tag with the number of scraps carrying it and when it was last used.
+-- Only scraps the scrap lists show (with content, a summary or a screenshot)
+-- are counted. Runs as the caller, so row level security still applies.
+create or replace function public.scrap_tag_index(
+  only_shared boolean default null,
+  min_count integer default 1,
+  max_tags integer default null
+)
+returns table (tag text, count bigint, last_used_at timestamptz)
+language sql
+stable
+as $$
+  select
+    t.tag,
+    count(*) as count,
+    max(coalesce(s.published_at, s.updated_at, s.created_at)) as last_used_at
+  from public.scraps s
+  cross join lateral unnest(s.tags) as t(tag)
+  where (s.content is not null or s.summary is not null or s.screenshot_url is not null)
+    and (only_shared is null or s.shared = only_shared)
+  group by t.tag
+  having count(*) >= min_count
+  order by count(*) desc, t.tag
+  limit max_tags
+$$;
+
+grant execute on function public.scrap_tag_index(boolean, integer, integer) to anon, authenticated;
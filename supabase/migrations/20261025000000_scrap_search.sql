@@ -0,0 +1,93 @@
+-- Full-text search over scraps (GET /api/search)
+-- Title, summary and content are weighted A, B and C. The vector lives in
+-- an expression index rather than a stored column, so the `select *` the
+-- scrap lists use doesn't start sending it to the browser.
+
+create or replace function public.scrap_search_vector(title text, summary text, content text)
+returns tsvector
+language sql
+immutable
+parallel safe
+as $$
+  select
+    setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(summary, '')), 'B') ||
+    -- A tsvector is capped at 1MB; the start of a long page is plenty
+    setweight(to_tsvector('english'::regconfig, left(coalesce(content, ''), 100000)), 'C')
+$$;
+
+create index if not exists scraps_search_idx
+  on public.scraps using gin (public.scrap_search_vector(title, summary, content));
+
+-- Ranked matches for a to_tsquery() query (built from the search box syntax
+-- by server/lib/search.js), one page at a time. Without a query the filters
+-- alone pick the scraps, newest first. Highlights are marked with chr(2) and
+-- chr(3) instead of HTML, so page text is never served as markup. The scrap
+-- comes back as JSON without its content and embeddings, which are large and
+-- not needed to list it. Runs as the caller, so row level security applies.
+create or replace function public.search_scraps(
+  search_query text default null,
+  filter_source text default null,
+  filter_type text default null,
+  all_tags text[] default null,
+  excluded_tags text[] default null,
+  published_after timestamptz default null,
+  published_before timestamptz default null,
+  max_results integer default 20,
+  skip integer default 0
+)
+returns table (scrap jsonb, rank real, title_highlight text, snippet text, total_count bigint)
+language sql
+stable
+as $$
+  with matches as (
+    select
+      s.*,
+      case
+        when nullif(search_query, '') is null then 0::real
+        else ts_rank_cd(
+          public.scrap_search_vector(s.title, s.summary, s.content),
+          to_tsquery('english', search_query),
+          32
+        )
+      end as search_rank,
+      count(*) over () as search_total
+    from public.scraps s
+    where (s.content is not null or s.summary is not null or s.screenshot_url is not null)
+      and (nullif(search_query, '') is null
+        or public.scrap_search_vector(s.title, s.summary, s.content) @@ to_tsquery('english', search_query))
+      and (filter_source is null or s.source = filter_source)
+      and (filter_type is null or s.type = filter_type)
+      and (all_tags is null or s.tags @> all_tags)
+      and (excluded_tags is null or s.tags is null or not s.tags && excluded_tags)
+      and (published_after is null or coalesce(s.published_at, s.created_at) >= published_after)
+      and (published_before is null or coalesce(s.published_at, s.created_at) < published_before)
+    order by search_rank desc, coalesce(s.published_at, s.created_at) desc nulls last, s.id
+    limit max_results
+    offset skip
+  )
+  select
+    to_jsonb(m) - 'search_rank' - 'search_total' - 'content'
+      - 'embedding' - 'embedding_nomic' - 'image_embedding' as scrap,
+    m.search_rank as rank,
+    case
+      when nullif(search_query, '') is null or m.title is null then m.title
+      else ts_headline('english', m.title, to_tsquery('english', search_query),
+        'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3))
+    end as title_highlight,
+    case
+      when nullif(search_query, '') is null then left(coalesce(m.summary, m.content), 240)
+      -- Headlines are slow on long text, so only the start of the content is read
+      else ts_headline('english', concat_ws(' … ', m.summary, left(m.content, 20000)),
+        to_tsquery('english', search_query),
+        'MaxFragments=2, MaxWords=30, MinWords=12, FragmentDelimiter=" … ", StartSel='
+          || chr(2) || ', StopSel=' || chr(3))
+    end as snippet,
+    m.search_total as total_count
+  from matches m
+  order by m.search_rank desc, coalesce(m.published_at, m.created_at) desc nulls last, m.id
+$$;
+
+grant execute on function public.scrap_search_vector(text, text, text) to anon, authenticated;
+grant execute on function public.search_scraps(text, text, text, text[], text[], timestamptz, timestamptz, integer, integer)
+  to anon, authenticated;
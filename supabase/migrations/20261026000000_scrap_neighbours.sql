@@ -0,0 +1,76 @@
+-- Related scraps and semantic search (GET /api/scraps/:id/related,
+-- GET /api/search/semantic) over the pgvector embedding columns.
+
+-- HNSW indexes for cosine distance. They need a fixed dimension, so a
+-- column declared as plain `vector` is left unindexed (and scanned).
+do $$
+declare
+  space text;
+begin
+  foreach space in array array['embedding', 'embedding_nomic', 'image_embedding'] loop
+    if exists (
+      select 1
+      from pg_attribute
+      where attrelid = 'public.scraps'::regclass
+        and attname = space
+        and not attisdropped
+        and format_type(atttypid, atttypmod) like 'vector(%)'
+    ) then
+      execute format(
+        'create index if not exists %I on public.scraps using hnsw (%I vector_cosine_ops)',
+        'scraps_' || space || '_idx',
+        space
+      );
+    end if;
+  end loop;
+end
+$$;
+
+-- The scraps nearest to a vector in one embedding space, most similar
+-- first. The vector is passed as text ('[0.1,0.2,...]') because each space
+-- has its own dimension. Scraps without an embedding in the space are
+-- skipped, and `min_similarity` drops weak matches after the nearest
+-- `match_count` are found, so fewer may come back. The scrap comes back as
+-- JSON without its content and embeddings. Runs as the caller, so row level
+-- security applies.
+create or replace function public.match_scraps(
+  query_embedding text,
+  embedding_space text default 'embedding',
+  match_count integer default 10,
+  min_similarity double precision default null,
+  exclude_id text default null
+)
+returns table (scrap jsonb, similarity double precision)
+language plpgsql
+stable
+as $$
+begin
+  if embedding_space not in ('embedding', 'embedding_nomic', 'image_embedding') then
+    raise exception 'Unknown embedding space %', embedding_space using errcode = '22023';
+  end if;
+
+  return query execute format(
+    $query$
+      select
+        to_jsonb(m) - 'distance' - 'content'
+          - 'embedding' - 'embedding_nomic' - 'image_embedding',
+        1 - m.distance
+      from (
+        select s.*, s.%1$I <=> $1::vector as distance
+        from public.scraps s
+        where s.%1$I is not null
+          and ($2::text is null or s.id::text <> $2::text)
+          and (s.content is not null or s.summary is not null or s.screenshot_url is not null)
+        order by s.%1$I <=> $1::vector
+        limit $3
+      ) m
+      where $4::double precision is null or 1 - m.distance >= $4::double precision
+      order by m.distance
+    $query$,
+    embedding_space
+  )
+  using query_embedding, exclude_id, match_count, min_similarity;
+end
+$$;
+
+grant execute on function public.match_scraps(text, text, integer, double precision, text) to anon, authenticated;
@@ -0,0 +1,18 @@
+-- Live updates for the scrap views (useScraps().startLive). Realtime only
+-- sends changes for tables in the supabase_realtime publication; row level
+-- security still decides who receives which rows. Without the publication
+-- (plain Postgres), the views poll instead.
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+    and not exists (
+      select 1
+      from pg_publication_tables
+      where pubname = 'supabase_realtime'
+        and schemaname = 'public'
+        and tablename = 'scraps'
+    ) then
+    alter publication supabase_realtime add table public.scraps;
+  end if;
+end
+$$;
@@ -0,0 +1,16 @@
+-- Keyset pagination in useScraps: each sort orders by a few timestamps and
+-- then the id, and a page starts after the last row of the one before. An
+-- index in the same order lets Postgres read a page straight off it
+-- instead of sorting every matching scrap.
+
+-- newest
+create index if not exists scraps_newest_idx
+  on public.scraps (published_at desc nulls last, updated_at desc, created_at desc, id desc);
+
+-- updated
+create index if not exists scraps_updated_idx
+  on public.scraps (updated_at desc, created_at desc, id desc);
+
+-- oldest
+create index if not exists scraps_oldest_idx
+  on public.scraps (created_at, id);
@@ -0,0 +1,16 @@
+-- Claiming jobs (ScrapeJobQueue.tick) reads queued jobs in the order they
+-- became runnable: a retry waits until run_after, a new job is runnable
+-- from created_at. PostgREST exposes this function as a computed column,
+-- so the store can filter and order on `available_at`; being plain SQL it
+-- is inlined and can use the index below.
+create or replace function public.available_at(job public.scraper_jobs)
+returns timestamptz
+language sql
+immutable
+as $$
+  select coalesce(job.run_after, job.created_at)
+$$;
+
+create index if not exists scraper_jobs_queued_available_at_idx
+  on public.scraper_jobs ((coalesce(run_after, created_at)), created_at)
+  where status = 'queued';
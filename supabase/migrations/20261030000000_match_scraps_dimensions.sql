@@ -0,0 +1,65 @@
+-- match_scraps() with a query vector of another size than the space holds
+-- used to fail inside pgvector's distance operator. Now a vector(n) column
+-- refuses the wrong size up front with a clear message (data_exception,
+-- the code pgvector uses for mismatched dimensions), and in a plain
+-- `vector` column rows of another size are skipped, as the in-process
+-- comparison does.
+create or replace function public.match_scraps(
+  query_embedding text,
+  embedding_space text default 'embedding',
+  match_count integer default 10,
+  min_similarity double precision default null,
+  exclude_id text default null
+)
+returns table (scrap jsonb, similarity double precision)
+language plpgsql
+stable
+as $$
+declare
+  query_dimensions integer;
+  column_dimensions integer;
+begin
+  if embedding_space not in ('embedding', 'embedding_nomic', 'image_embedding') then
+    raise exception 'Unknown embedding space %', embedding_space using errcode = '22023';
+  end if;
+
+  query_dimensions := vector_dims(query_embedding::vector);
+
+  -- pgvector keeps n of vector(n) as the type modifier; plain `vector` has -1
+  select nullif(a.atttypmod, -1)
+  into column_dimensions
+  from pg_attribute a
+  where a.attrelid = 'public.scraps'::regclass
+    and a.attname = embedding_space
+    and not a.attisdropped;
+
+  if column_dimensions is not null and column_dimensions <> query_dimensions then
+    raise exception 'The query embedding has % dimensions but % holds %',
+      query_dimensions, embedding_space, column_dimensions
+      using errcode = '22000';
+  end if;
+
+  return query execute format(
+    $query$
+      select
+        to_jsonb(m) - 'distance' - 'content'
+          - 'embedding' - 'embedding_nomic' - 'image_embedding',
+        1 - m.distance
+      from (
+        select s.*, s.%1$I <=> $1::vector as distance
+        from public.scraps s
+        where s.%1$I is not null
+          and vector_dims(s.%1$I) = $5
+          and ($2::text is null or s.id::text <> $2::text)
+          and (s.content is not null or s.summary is not null or s.screenshot_url is not null)
+        order by s.%1$I <=> $1::vector
+        limit $3
+      ) m
+      where $4::double precision is null or 1 - m.distance >= $4::double precision
+      order by m.distance
+    $query$,
+    embedding_space
+  )
+  using query_embedding, exclude_id, match_count, min_similarity, query_dimensions;
+end
+$$;
@@ -0,0 +1,15 @@
+-- When each scrap last changed, for the polling side of useScraps().startLive:
+-- it reads scraps changed after the last one it saw, ordered by this and
+-- the id, a page at a time. PostgREST exposes the function as a computed
+-- column (`changed_at`) to filter and order on, but leaves it out of
+-- `select=*`; being plain SQL it is inlined and can use the index below.
+create or replace function public.changed_at(scrap public.scraps)
+returns timestamptz
+language sql
+immutable
+as $$
+  select greatest(scrap.created_at, scrap.updated_at)
+$$;
+
+create index if not exists scraps_changed_at_idx
+  on public.scraps ((greatest(created_at, updated_at)), id);
@@ -0,0 +1,6 @@
+-- Clients that queued a scrape job (rate-limit keys: `user:<id>` or
+-- `ip:<address>`). A URL queued again while its job is active adds the
+-- new client here instead of creating a second job; only owners (or an
+-- admin) may cancel, and a job still owned by others is not cancelled.
+alter table public.scraper_jobs
+  add column if not exists owners text[] not null default '{}';
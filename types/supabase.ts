@@ -84,6 +84,138 @@ export interface Database {
           source?: string | null
         }
       }
+      scraper_circuit_breakers: {
+        Row: {
+          domain: string
+          state: string
+          failures: number
+          opened_at: string | null
+          last_failure_at: string | null
+          next_attempt_at: string | null
+          probe_started_at: string | null
+          version: number
+          updated_at: string
+        }
+        Insert: {
+          domain: string
+          state?: string
+          failures?: number
+          opened_at?: string | null
+          last_failure_at?: string | null
+          next_attempt_at?: string | null
+          probe_started_at?: string | null
+          version?: number
+          updated_at?: string
+        }
+        Update: {
+          domain?: string
+          state?: string
+          failures?: number
+          opened_at?: string | null
+          last_failure_at?: string | null
+          next_attempt_at?: string | null
+          probe_started_at?: string | null
+          version?: number
+          updated_at?: string
+        }
+      }
+      scraper_feeds: {
+        Row: {
+          url: string
+          source: string
+          poll_interval_minutes: number
+          title: string | null
+          etag: string | null
+          last_modified: string | null
+          last_polled_at: string | null
+          next_poll_at: string | null
+          last_error: string | null
+          seen: string[]
+          created_at: string
+          updated_at: string
+        }
+        Insert: {
+          url: string
+          source: string
+          poll_interval_minutes?: number
+          title?: string | null
+          etag?: string | null
+          last_modified?: string | null
+          last_polled_at?: string | null
+          next_poll_at?: string | null
+          last_error?: string | null
+          seen?: string[]
+          created_at?: string
+          updated_at?: string
+        }
+        Update: {
+          url?: string
+          source?: string
+          poll_interval_minutes?: number
+          title?: string | null
+          etag?: string | null
+          last_modified?: string | null
+          last_polled_at?: string | null
+          next_poll_at?: string | null
+          last_error?: string | null
+          seen?: string[]
+          created_at?: string
+          updated_at?: string
+        }
+      }
+      scraper_jobs: {
+        Row: {
+          id: string
+          url: string
+          dedupe_key: string
+          status: string
+          options: any
+          result: any | null
+          error: any | null
+          attempts: number
+          run_after: string | null
+          lease_expires_at: string | null
+          created_at: string
+          started_at: string | null
+          finished_at: string | null
+          updated_at: string
+          version: number
+        }
+        Insert: {
+          id: string
+          url: string
+          dedupe_key: string
+          status?: string
+          options?: any
+          result?: any | null
+          error?: any | null
+          attempts?: number
+          run_after?: string | null
+          lease_expires_at?: string | null
+          created_at?: string
+          started_at?: string | null
+          finished_at?: string | null
+          updated_at?: string
+          version?: number
+        }
+        Update: {
+          id?: string
+          url?: string
+          dedupe_key?: string
+          status?: string
+          options?: any
+          result?: any | null
+          error?: any | null
+          attempts?: number
+          run_after?: string | null
+          lease_expires_at?: string | null
+          created_at?: string
+          started_at?: string | null
+          finished_at?: string | null
+          updated_at?: string
+          version?: number
+        }
+      }
     }
     Views: {
       [_ in never]: never